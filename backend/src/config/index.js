@@ -1,3 +1,4 @@
+const path = require('path');
 require('dotenv').config();
 
 const config = {
@@ -62,6 +63,63 @@ const config = {
     maxGeographic: 100, // For geographic-based limiting
     enableProgressiveDelay: true
   },
+  attachments: {
+    maxFileSize: parseInt(process.env.ATTACHMENT_MAX_SIZE, 10) || 10 * 1024 * 1024, // 10 MB
+    // Longest side of the generated image previews, in pixels
+    thumbnailSize: 320,
+    maxPerMessage: 10,
+    // Uploads never sent with a message are removed after this long
+    unclaimedTtl: parseInt(process.env.ATTACHMENT_UNCLAIMED_TTL, 10) || 24 * 60 * 60 * 1000, // 1 day
+    cleanupInterval: parseInt(process.env.ATTACHMENT_CLEANUP_INTERVAL, 10) || 60 * 60 * 1000, // 1 hour
+    cleanupBatchSize: 500,
+    allowedMimeTypes: process.env.ATTACHMENT_ALLOWED_TYPES?.split(',') || [
+      'image/png',
+      'image/jpeg',
+      'image/gif',
+      'image/webp',
+      'application/pdf',
+      'application/zip',
+      'application/json',
+      'text/plain',
+      'text/csv'
+    ],
+    storage: {
+      driver: process.env.ATTACHMENT_STORAGE_DRIVER || 'local',
+      localDir: process.env.ATTACHMENT_STORAGE_DIR || path.join(__dirname, '../../uploads')
+    }
+  },
+  scheduledMessages: {
+    pollInterval: parseInt(process.env.SCHEDULER_POLL_INTERVAL, 10) || 10 * 1000, // 10 seconds
+    // A delivery claimed longer ago than this is assumed lost with its instance and retried
+    lockTimeout: 2 * 60 * 1000, // 2 minutes
+    maxPendingPerUser: 50,
+    maxDelay: 365 * 24 * 60 * 60 * 1000 // 1 year
+  },
+  retention: {
+    interval: parseInt(process.env.RETENTION_INTERVAL, 10) || 60 * 60 * 1000, // 1 hour
+    // Messages archived or deleted per query, a channel is worked through in batches
+    batchSize: 500,
+    maxDays: 3650
+  },
+  savedMessages: {
+    reminderInterval: parseInt(process.env.SAVED_REMINDER_INTERVAL, 10) || 30 * 1000, // 30 seconds
+    maxPerUser: 500,
+    maxReminderDelay: 365 * 24 * 60 * 60 * 1000 // 1 year
+  },
+  messageExpiry: {
+    interval: parseInt(process.env.MESSAGE_EXPIRY_INTERVAL, 10) || 10 * 1000, // 10 seconds
+    batchSize: 500,
+    maxMinutes: 7 * 24 * 60 // 1 week
+  },
+  contentFilters: {
+    maxFiltersPerChannel: 20,
+    maxListEntries: 500,
+    // Direct conversations have no admin settings and nobody to review them,
+    // so they get this chain and a hold there rejects the message
+    directMessages: [
+      { name: 'flood', action: 'reject', options: { maxMessages: 10, windowSeconds: 10, maxRepeats: 5, repeatWindowSeconds: 300 } }
+    ]
+  },
   swagger: {
     title: 'Chat-JS API',
     version: '1.0.0'
@@ -0,0 +1,106 @@
+const { validationResult } = require('express-validator');
+const attachmentService = require('../services/attachmentService');
+const { logger } = require('../middleware/auth');
+
+// Map service errors onto HTTP responses
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (error.message === 'Channel not found' || error.message === 'Attachment not found' || error.message === 'Stored file not found') {
+    return res.status(404).json({ error: error.message, code: 'NOT_FOUND' });
+  }
+
+  if (error.message.startsWith('You cannot')) {
+    return res.status(403).json({ error: error.message, code: 'INSUFFICIENT_PERMISSIONS' });
+  }
+
+  if (error.message.startsWith('File is too large')) {
+    return res.status(413).json({ error: error.message, code: 'FILE_TOO_LARGE' });
+  }
+
+  if (error.message === 'File type not allowed') {
+    return res.status(415).json({ error: error.message, code: 'UNSUPPORTED_FILE_TYPE' });
+  }
+
+  if (error.message.startsWith('File')) {
+    return res.status(400).json({ error: error.message, code: 'INVALID_FILE' });
+  }
+
+  return res.status(500).json({ error: fallbackMessage, code: 'DATABASE_ERROR' });
+};
+
+// Keep the original name for downloads, RFC 5987 encoding covers non-ASCII names
+const contentDisposition = (type, filename) => {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+};
+
+// Stream a stored file or its thumbnail to the client
+const sendFile = async (req, res, thumbnail) => {
+  try {
+    const attachment = await attachmentService.getAttachmentForViewer(req.params.attachmentId, {
+      userId: req.user._id,
+      nickname: req.user.nickname,
+      role: req.user.role
+    });
+    const { stream, mimeType } = await attachmentService.openAttachment(attachment, thumbnail);
+
+    // Only verified images are shown inline, everything else downloads
+    const inline = thumbnail || attachmentService.isImage(attachment.mimeType);
+    res.set({
+      'Content-Type': mimeType,
+      'Content-Disposition': contentDisposition(inline ? 'inline' : 'attachment', attachment.filename),
+      'Cache-Control': 'private, max-age=86400'
+    });
+    if (!thumbnail) {
+      res.set('Content-Length', String(attachment.size));
+    }
+
+    stream.on('error', (error) => {
+      logger.error('Error streaming attachment:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    logger.error('Error downloading attachment:', error);
+    sendServiceError(res, error, 'Failed to download attachment');
+  }
+};
+
+class AttachmentController {
+  constructor() {
+    this.logger = logger;
+  }
+
+  async uploadAttachment(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid request data',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    try {
+      const attachment = await attachmentService.createAttachment({
+        _id: req.user._id,
+        nickname: req.user.nickname,
+        role: req.user.role
+      }, req.params.channelId, req.body);
+
+      res.status(201).json(attachmentService.formatAttachment(attachment));
+    } catch (error) {
+      logger.error('Error uploading attachment:', error);
+      sendServiceError(res, error, 'Failed to upload attachment');
+    }
+  }
+
+  async downloadAttachment(req, res) {
+    await sendFile(req, res, false);
+  }
+
+  async downloadThumbnail(req, res) {
+    await sendFile(req, res, true);
+  }
+}
+
+module.exports = new AttachmentController();
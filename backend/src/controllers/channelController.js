@@ -1,6 +1,77 @@
+const { validationResult } = require('express-validator');
 const channelService = require('../services/channelService');
+const readMarkerService = require('../services/readMarkerService');
+const pinService = require('../services/pinService');
+const retentionService = require('../services/retentionService');
+const messageExpiryService = require('../services/messageExpiryService');
+const exportService = require('../services/exportService');
+const importService = require('../services/importService');
+const contentFilterService = require('../services/contentFilterService');
+const heldMessageService = require('../services/heldMessageService');
 const { logger } = require('../middleware/auth');
 
+const sendRetentionError = (res, error, fallbackMessage) => {
+  if (error.message === 'Channel not found') {
+    return res.status(404).json({ error: error.message, code: 'CHANNEL_NOT_FOUND' });
+  }
+
+  if (error.message.startsWith('Retention')) {
+    return res.status(400).json({ error: error.message, code: 'VALIDATION_ERROR' });
+  }
+
+  return res.status(500).json({ error: fallbackMessage, code: 'DATABASE_ERROR' });
+};
+
+const sendExpiryError = (res, error) => {
+  if (error.message === 'Channel not found') {
+    return res.status(404).json({ error: error.message, code: 'CHANNEL_NOT_FOUND' });
+  }
+
+  if (error.message.startsWith('Message expiry')) {
+    return res.status(400).json({ error: error.message, code: 'VALIDATION_ERROR' });
+  }
+
+  return res.status(500).json({ error: 'Failed to update message expiry', code: 'DATABASE_ERROR' });
+};
+
+const sendExportError = (res, error) => {
+  if (error.message === 'Channel not found') {
+    return res.status(404).json({ error: error.message, code: 'CHANNEL_NOT_FOUND' });
+  }
+
+  if (error.message === 'Invalid date range' || error.message.startsWith('Export format')) {
+    return res.status(400).json({ error: error.message, code: 'VALIDATION_ERROR' });
+  }
+
+  return res.status(500).json({ error: 'Failed to export channel', code: 'DATABASE_ERROR' });
+};
+
+const sendImportError = (res, error) => {
+  const invalid = error.message.startsWith('Import source') || error.message.startsWith('Invalid')
+    || /^User .+ not found$/.test(error.message);
+  if (invalid) {
+    return res.status(400).json({ error: error.message, code: 'VALIDATION_ERROR' });
+  }
+
+  return res.status(500).json({ error: 'Failed to import history', code: 'DATABASE_ERROR' });
+};
+
+const sendContentFilterError = (res, error, fallbackMessage) => {
+  if (error.message === 'Channel not found') {
+    return res.status(404).json({ error: error.message, code: 'CHANNEL_NOT_FOUND' });
+  }
+
+  if (error.message === 'Held message not found') {
+    return res.status(404).json({ error: error.message, code: 'HELD_MESSAGE_NOT_FOUND' });
+  }
+
+  if (error.message.startsWith('Content filter')) {
+    return res.status(400).json({ error: error.message, code: 'VALIDATION_ERROR' });
+  }
+
+  return res.status(500).json({ error: fallbackMessage, code: 'DATABASE_ERROR' });
+};
+
 class ChannelController {
   constructor() {
     this.logger = logger;
@@ -10,13 +81,30 @@ class ChannelController {
     try {
       const channels = await channelService.getAllChannels();
 
+      // Unread counts are per user, the cached channel list is shared
+      let unreadCounts = new Map();
+      try {
+        unreadCounts = await readMarkerService.getUnreadCounts({
+          userId: req.user._id,
+          nickname: req.user.nickname,
+          since: req.user.createdAt
+        }, channels.filter(channel => channel.type === 'text').map(channel => channel.id));
+      } catch (error) {
+        logger.warn('Failed to load unread counts:', error.message);
+      }
+
+      const channelsWithCounts = channels.map(channel => ({
+        ...(typeof channel.toObject === 'function' ? channel.toObject() : channel),
+        ...(unreadCounts.get(channel.id) || { unreadCount: 0, mentionCount: 0 })
+      }));
+
       logger.info(`Channels list requested by ${req.user.nickname}`, {
         userId: req.user._id,
         channelCount: channels.length
       });
 
       console.log('📤 Returning channels data:', channels.length);
-      res.json(channels);
+      res.json(channelsWithCounts);
     } catch (error) {
       logger.error('Error fetching channels:', error);
       console.error('❌ Error in GET /api/channels:', error.message);
@@ -79,7 +167,7 @@ class ChannelController {
       const { channelId } = req.params;
       const channel = await channelService.getChannelById(channelId);
 
-      if (!channel) {
+      if (!channel || (channel.type === 'dm' && !channel.members.includes(req.user.nickname))) {
         return res.status(404).json({
           error: 'Channel not found',
           code: 'CHANNEL_NOT_FOUND'
@@ -100,6 +188,25 @@ class ChannelController {
     }
   }
 
+  async getPins(req, res) {
+    try {
+      const pins = await pinService.getPins(req.params.channelId, {
+        nickname: req.user.nickname,
+        role: req.user.role
+      });
+
+      res.json(pins);
+    } catch (error) {
+      logger.error('Error fetching pins:', error);
+
+      if (error.message === 'Channel not found') {
+        return res.status(404).json({ error: error.message, code: 'CHANNEL_NOT_FOUND' });
+      }
+
+      res.status(500).json({ error: 'Failed to fetch pins', code: 'DATABASE_ERROR' });
+    }
+  }
+
   async updateChannel(req, res) {
     try {
       const { channelId } = req.params;
@@ -164,6 +271,221 @@ class ChannelController {
       }
     }
   }
+
+  async getRetention(req, res) {
+    try {
+      res.json(await retentionService.getPolicy(req.params.channelId));
+    } catch (error) {
+      logger.error('Error fetching retention policy:', error);
+      sendRetentionError(res, error, 'Failed to fetch retention policy');
+    }
+  }
+
+  async updateRetention(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid request data',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    try {
+      const policy = await retentionService.setPolicy(req.params.channelId, {
+        days: req.body.days,
+        action: req.body.action
+      }, req.user.nickname);
+
+      res.json(policy);
+    } catch (error) {
+      logger.error('Error updating retention policy:', error);
+      sendRetentionError(res, error, 'Failed to update retention policy');
+    }
+  }
+
+  async archiveChannel(req, res) {
+    try {
+      const archived = await retentionService.archiveChannel(req.params.channelId, req.user.nickname);
+
+      res.json({ channel: req.params.channelId, archived });
+    } catch (error) {
+      logger.error('Error archiving channel:', error);
+      sendRetentionError(res, error, 'Failed to archive channel');
+    }
+  }
+
+  async updateMessageExpiry(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid request data',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    try {
+      const setting = await messageExpiryService.setChannelExpiry(
+        req.params.channelId,
+        req.body.minutes ?? null,
+        req.user.nickname,
+        req.app.get('io')
+      );
+
+      res.json(setting);
+    } catch (error) {
+      logger.error('Error updating message expiry:', error);
+      sendExpiryError(res, error);
+    }
+  }
+
+  async exportChannel(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid request data',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    let exportInfo;
+    try {
+      exportInfo = await exportService.prepareExport(req.params.channelId, {
+        nickname: req.user.nickname,
+        role: req.user.role
+      }, {
+        format: req.query.format,
+        from: req.query.from,
+        to: req.query.to,
+        attachments: req.query.attachments
+      });
+    } catch (error) {
+      logger.error('Error exporting channel:', error);
+      return sendExportError(res, error);
+    }
+
+    logger.info(`Channel '${exportInfo.channel.id}' exported by ${req.user.nickname}`, {
+      userId: req.user._id,
+      format: exportInfo.format,
+      attachments: exportInfo.attachments
+    });
+
+    res.setHeader('Content-Type', exportInfo.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exportInfo.filename}"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    try {
+      await exportService.writeExport(exportInfo, res);
+    } catch (error) {
+      // Headers and part of the body are already sent, all that is left is cutting the download short
+      logger.error('Error streaming channel export:', error);
+      res.destroy(error);
+    }
+  }
+
+  async importHistory(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid request data',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    try {
+      const summary = await importService.importHistory(req.body.source, req.body.data, {
+        importedBy: req.user.nickname,
+        userMap: req.body.userMap
+      });
+
+      res.status(201).json(summary);
+    } catch (error) {
+      logger.error('Error importing history:', error);
+      sendImportError(res, error);
+    }
+  }
+
+  async getContentFilters(req, res) {
+    try {
+      res.json(await contentFilterService.getSettings(req.params.channelId));
+    } catch (error) {
+      logger.error('Error fetching content filters:', error);
+      sendContentFilterError(res, error, 'Failed to fetch content filters');
+    }
+  }
+
+  async updateContentFilters(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid request data',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    try {
+      const settings = await contentFilterService.setSettings(
+        req.params.channelId,
+        req.body.filters,
+        req.user.nickname
+      );
+
+      res.json(settings);
+    } catch (error) {
+      logger.error('Error updating content filters:', error);
+      sendContentFilterError(res, error, 'Failed to update content filters');
+    }
+  }
+
+  async getHeldMessages(req, res) {
+    try {
+      const messages = await heldMessageService.listHeld(req.params.channelId, {
+        nickname: req.user.nickname,
+        role: req.user.role
+      });
+
+      res.json({ channel: req.params.channelId, messages });
+    } catch (error) {
+      logger.error('Error fetching held messages:', error);
+      sendContentFilterError(res, error, 'Failed to fetch held messages');
+    }
+  }
+
+  async approveHeldMessage(req, res) {
+    try {
+      const message = await heldMessageService.approve(
+        req.params.channelId,
+        req.params.heldId,
+        { nickname: req.user.nickname, role: req.user.role },
+        req.app.get('io')
+      );
+
+      res.json({ message });
+    } catch (error) {
+      logger.error('Error approving held message:', error);
+      sendContentFilterError(res, error, 'Failed to approve held message');
+    }
+  }
+
+  async rejectHeldMessage(req, res) {
+    try {
+      const result = await heldMessageService.reject(
+        req.params.channelId,
+        req.params.heldId,
+        { nickname: req.user.nickname, role: req.user.role },
+        req.app.get('io')
+      );
+
+      res.json(result);
+    } catch (error) {
+      logger.error('Error rejecting held message:', error);
+      sendContentFilterError(res, error, 'Failed to reject held message');
+    }
+  }
 }
 
 module.exports = new ChannelController();
\ No newline at end of file
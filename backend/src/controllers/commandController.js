@@ -0,0 +1,19 @@
+const commandService = require('../services/commandService');
+const { logger } = require('../middleware/auth');
+
+class CommandController {
+  constructor() {
+    this.logger = logger;
+  }
+
+  async listCommands(req, res) {
+    try {
+      res.json(commandService.listCommands(req.user.role));
+    } catch (error) {
+      logger.error('Error listing commands:', error);
+      res.status(500).json({ error: 'Failed to get commands', code: 'INTERNAL_ERROR' });
+    }
+  }
+}
+
+module.exports = new CommandController();
@@ -0,0 +1,205 @@
+const { validationResult } = require('express-validator');
+const directMessageService = require('../services/directMessageService');
+const readMarkerService = require('../services/readMarkerService');
+const chatService = require('../services/chatService');
+const { logger } = require('../middleware/auth');
+
+// Map service errors onto HTTP responses
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (error.message === 'User not found' || /^User .+ not found$/.test(error.message)) {
+    return res.status(404).json({ error: error.message, code: 'USER_NOT_FOUND' });
+  }
+
+  if (error.message === 'Conversation not found') {
+    return res.status(404).json({ error: error.message, code: 'NOT_FOUND' });
+  }
+
+  if (error.message === 'Everyone is already in this conversation') {
+    return res.status(409).json({ error: error.message, code: 'ALREADY_MEMBER' });
+  }
+
+  if (error.message === 'You cannot message yourself'
+    || error.message === 'Nickname is required'
+    || error.message === 'Only group conversations can be changed'
+    || error.message.startsWith('A group conversation')
+    || error.message.startsWith('Group name cannot exceed')) {
+    return res.status(400).json({ error: error.message, code: 'VALIDATION_ERROR' });
+  }
+
+  return res.status(500).json({ error: fallbackMessage, code: 'DATABASE_ERROR' });
+};
+
+class DirectMessageController {
+  constructor() {
+    this.logger = logger;
+  }
+
+  async listConversations(req, res) {
+    try {
+      const conversations = await directMessageService.listConversations(req.user.nickname);
+
+      let unreadCounts = new Map();
+      try {
+        unreadCounts = await readMarkerService.getUnreadCounts({
+          userId: req.user._id,
+          nickname: req.user.nickname,
+          since: req.user.createdAt
+        }, conversations.map(conversation => conversation.id));
+      } catch (error) {
+        logger.warn('Failed to load unread counts:', error.message);
+      }
+
+      res.json(conversations.map(conversation =>
+        directMessageService.formatConversation(conversation, unreadCounts.get(conversation.id))
+      ));
+    } catch (error) {
+      logger.error('Error listing direct conversations:', error);
+      sendServiceError(res, error, 'Failed to get direct messages');
+    }
+  }
+
+  async openConversation(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid request data',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    try {
+      const { channel, created } = await directMessageService.openConversation(req.user.nickname, req.body.nickname);
+
+      if (created) {
+        const io = req.app.get('io');
+        if (io) {
+          chatService.announceConversation(io, channel);
+        }
+      }
+
+      res.status(created ? 201 : 200).json(directMessageService.formatConversation(channel));
+    } catch (error) {
+      logger.error('Error opening direct conversation:', error);
+      sendServiceError(res, error, 'Failed to open direct conversation');
+    }
+  }
+
+  async createGroupConversation(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid request data',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    try {
+      const channel = await directMessageService.createGroupConversation(
+        req.user.nickname,
+        req.body.nicknames,
+        req.body.name
+      );
+
+      const io = req.app.get('io');
+      if (io) {
+        chatService.announceConversation(io, channel);
+      }
+
+      res.status(201).json(directMessageService.formatConversation(channel));
+    } catch (error) {
+      logger.error('Error creating group conversation:', error);
+      sendServiceError(res, error, 'Failed to create group conversation');
+    }
+  }
+
+  async renameConversation(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid request data',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    try {
+      const { nickname } = req.user;
+      const channel = await directMessageService.renameConversation(req.params.conversationId, nickname, req.body.name);
+
+      const io = req.app.get('io');
+      if (io) {
+        chatService.announceConversation(io, channel);
+        await chatService.createSystemMessage(
+          channel.id,
+          channel.name ? `${nickname} renamed the conversation to "${channel.name}"` : `${nickname} removed the conversation name`,
+          io
+        );
+      }
+
+      res.json(directMessageService.formatConversation(channel));
+    } catch (error) {
+      logger.error('Error renaming conversation:', error);
+      sendServiceError(res, error, 'Failed to rename conversation');
+    }
+  }
+
+  async addMembers(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid request data',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    try {
+      const { nickname } = req.user;
+      const { channel, added } = await directMessageService.addMembers(
+        req.params.conversationId,
+        nickname,
+        req.body.nicknames
+      );
+
+      const io = req.app.get('io');
+      if (io) {
+        chatService.announceConversation(io, channel);
+        await chatService.createSystemMessage(channel.id, `${nickname} added ${added.join(', ')}`, io);
+      }
+
+      res.json(directMessageService.formatConversation(channel));
+    } catch (error) {
+      logger.error('Error adding conversation members:', error);
+      sendServiceError(res, error, 'Failed to add members');
+    }
+  }
+
+  async leaveConversation(req, res) {
+    try {
+      const { nickname } = req.user;
+      const channel = await directMessageService.leaveConversation(req.params.conversationId, nickname);
+
+      const io = req.app.get('io');
+      if (io) {
+        await chatService.removeFromConversation(io, channel.id, nickname);
+      }
+
+      // Nobody is left to read the history
+      if (channel.members.length === 0) {
+        await chatService.removeChannelMessages(channel.id);
+      } else if (io) {
+        chatService.announceConversation(io, channel);
+        await chatService.createSystemMessage(channel.id, `${nickname} left the conversation`, io);
+      }
+
+      res.json({ message: 'Left the conversation' });
+    } catch (error) {
+      logger.error('Error leaving conversation:', error);
+      sendServiceError(res, error, 'Failed to leave conversation');
+    }
+  }
+}
+
+module.exports = new DirectMessageController();
@@ -0,0 +1,173 @@
+const { validationResult } = require('express-validator');
+const messageService = require('../services/messageService');
+const chatService = require('../services/chatService');
+const { logger } = require('../middleware/auth');
+
+// Map service errors onto HTTP responses
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (error.message === 'Message not found') {
+    return res.status(404).json({ error: error.message, code: 'MESSAGE_NOT_FOUND' });
+  }
+
+  if (error.message.startsWith('You can only')) {
+    return res.status(403).json({ error: error.message, code: 'INSUFFICIENT_PERMISSIONS' });
+  }
+
+  if (error.message.startsWith('Message text')) {
+    return res.status(400).json({ error: error.message, code: 'INVALID_MESSAGE' });
+  }
+
+  if (error.message.endsWith('cannot be edited') || error.message.endsWith('can be forwarded')
+    || error.message.endsWith('cannot be forwarded')) {
+    return res.status(400).json({ error: error.message, code: 'INVALID_MESSAGE' });
+  }
+
+  // Rejected by a content filter of the target channel
+  if (typeof error.code === 'string' && error.code.startsWith('CONTENT_')) {
+    return res.status(400).json({ error: error.message, code: error.code });
+  }
+
+  if (error.message === 'Channel not found') {
+    return res.status(404).json({ error: error.message, code: 'CHANNEL_NOT_FOUND' });
+  }
+
+  if (error.message === 'You cannot post to this channel' || error.message.startsWith('You are')) {
+    return res.status(403).json({ error: error.message, code: 'INSUFFICIENT_PERMISSIONS' });
+  }
+
+  return res.status(500).json({ error: fallbackMessage, code: 'DATABASE_ERROR' });
+};
+
+class MessageController {
+  constructor() {
+    this.logger = logger;
+  }
+
+  async editMessage(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid request data',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    try {
+      const { messageId } = req.params;
+      const { text } = req.body;
+
+      const message = await messageService.editMessage(messageId, req.user.nickname, text, req.app.get('io'));
+
+      logger.info(`Message ${messageId} edited via API by ${req.user.nickname}`, {
+        userId: req.user._id
+      });
+
+      res.json(chatService.formatMessage(message));
+    } catch (error) {
+      logger.error('Error editing message:', error);
+      sendServiceError(res, error, 'Failed to edit message');
+    }
+  }
+
+  async deleteMessage(req, res) {
+    try {
+      const { messageId } = req.params;
+
+      const message = await messageService.deleteMessage(messageId, {
+        nickname: req.user.nickname,
+        role: req.user.role,
+        isModerator: req.user.hasModeratorPrivileges()
+      }, req.app.get('io'));
+
+      logger.info(`Message ${messageId} deleted via API by ${req.user.nickname}`, {
+        userId: req.user._id
+      });
+
+      res.json({
+        message: 'Message deleted successfully',
+        id: message._id.toString(),
+        deletedAt: message.deletedAt,
+        deletedBy: message.deletedBy
+      });
+    } catch (error) {
+      logger.error('Error deleting message:', error);
+      sendServiceError(res, error, 'Failed to delete message');
+    }
+  }
+
+  async searchMessages(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid search parameters',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    try {
+      const result = await messageService.searchMessages({
+        nickname: req.user.nickname,
+        role: req.user.role
+      }, req.query);
+
+      res.json(result);
+    } catch (error) {
+      logger.error('Error searching messages:', error);
+      sendServiceError(res, error, 'Failed to search messages');
+    }
+  }
+
+  async getMessageContext(req, res) {
+    try {
+      const { messageId } = req.params;
+      const context = await messageService.getMessageContext(messageId, {
+        nickname: req.user.nickname,
+        role: req.user.role
+      });
+
+      res.json(context);
+    } catch (error) {
+      logger.error('Error fetching message context:', error);
+      sendServiceError(res, error, 'Failed to fetch message context');
+    }
+  }
+
+  async forwardMessage(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid request data',
+        code: 'VALIDATION_ERROR',
+        details: errors.array()
+      });
+    }
+
+    try {
+      const message = await messageService.forwardMessage(
+        req.params.messageId,
+        req.user,
+        req.body.channel,
+        req.app.get('io')
+      );
+      res.status(201).json(message);
+    } catch (error) {
+      logger.error('Error forwarding message:', error);
+      sendServiceError(res, error, 'Failed to forward message');
+    }
+  }
+
+  async getRevisions(req, res) {
+    try {
+      const { messageId } = req.params;
+      const result = await messageService.getRevisions(messageId, req.user);
+      res.json(result);
+    } catch (error) {
+      logger.error('Error fetching message revisions:', error);
+      sendServiceError(res, error, 'Failed to fetch message revisions');
+    }
+  }
+}
+
+module.exports = new MessageController();
@@ -0,0 +1,95 @@
+const { validationResult } = require('express-validator');
+const savedMessageService = require('../services/savedMessageService');
+const { logger } = require('../middleware/auth');
+
+// Map service errors onto HTTP responses
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (error.message === 'Message not found' || error.message === 'Saved message not found') {
+    return res.status(404).json({ error: error.message, code: 'NOT_FOUND' });
+  }
+
+  if (error.message === 'Message already saved') {
+    return res.status(409).json({ error: error.message, code: 'ALREADY_SAVED' });
+  }
+
+  if (error.message.startsWith('You can save at most')) {
+    return res.status(429).json({ error: error.message, code: 'SAVED_LIMIT_REACHED' });
+  }
+
+  if (error.message.startsWith('Note') || error.message.startsWith('Reminder time') || error.message === 'Invalid reminder time') {
+    return res.status(400).json({ error: error.message, code: 'VALIDATION_ERROR' });
+  }
+
+  return res.status(500).json({ error: fallbackMessage, code: 'DATABASE_ERROR' });
+};
+
+const sendValidationError = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    error: 'Invalid request data',
+    code: 'VALIDATION_ERROR',
+    details: errors.array()
+  });
+  return true;
+};
+
+class SavedMessageController {
+  constructor() {
+    this.logger = logger;
+  }
+
+  async listSaved(req, res) {
+    try {
+      res.json(await savedMessageService.listSaved(req.user));
+    } catch (error) {
+      logger.error('Error listing saved messages:', error);
+      sendServiceError(res, error, 'Failed to get saved messages');
+    }
+  }
+
+  async saveMessage(req, res) {
+    if (sendValidationError(req, res)) return;
+
+    try {
+      const saved = await savedMessageService.saveMessage(req.user, {
+        messageId: req.body.messageId,
+        note: req.body.note,
+        remindAt: req.body.remindAt
+      });
+      res.status(201).json(saved);
+    } catch (error) {
+      logger.error('Error saving message:', error);
+      sendServiceError(res, error, 'Failed to save message');
+    }
+  }
+
+  async updateSaved(req, res) {
+    if (sendValidationError(req, res)) return;
+
+    try {
+      const saved = await savedMessageService.updateSaved(req.user, req.params.id, {
+        note: req.body.note,
+        remindAt: req.body.remindAt
+      });
+      res.json(saved);
+    } catch (error) {
+      logger.error('Error updating saved message:', error);
+      sendServiceError(res, error, 'Failed to update saved message');
+    }
+  }
+
+  async removeSaved(req, res) {
+    try {
+      res.json(await savedMessageService.removeSaved(req.user, req.params.id));
+    } catch (error) {
+      logger.error('Error removing saved message:', error);
+      sendServiceError(res, error, 'Failed to remove saved message');
+    }
+  }
+}
+
+module.exports = new SavedMessageController();
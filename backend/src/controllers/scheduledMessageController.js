@@ -0,0 +1,104 @@
+const { validationResult } = require('express-validator');
+const scheduledMessageService = require('../services/scheduledMessageService');
+const { logger } = require('../middleware/auth');
+
+// Map service errors onto HTTP responses
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (error.message === 'Channel not found' || error.message === 'Scheduled message not found') {
+    return res.status(404).json({ error: error.message, code: 'NOT_FOUND' });
+  }
+
+  if (error.message.startsWith('You cannot') || error.message.startsWith('You are banned')) {
+    return res.status(403).json({ error: error.message, code: 'INSUFFICIENT_PERMISSIONS' });
+  }
+
+  if (error.message === 'Only pending messages can be changed') {
+    return res.status(409).json({ error: error.message, code: 'NOT_PENDING' });
+  }
+
+  if (error.message.startsWith('You can have at most')) {
+    return res.status(429).json({ error: error.message, code: 'SCHEDULE_LIMIT_REACHED' });
+  }
+
+  if (error.message.startsWith('Message text') || error.message.startsWith('Send time') || error.message === 'Invalid send time') {
+    return res.status(400).json({ error: error.message, code: 'VALIDATION_ERROR' });
+  }
+
+  return res.status(500).json({ error: fallbackMessage, code: 'DATABASE_ERROR' });
+};
+
+const sendValidationError = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    error: 'Invalid request data',
+    code: 'VALIDATION_ERROR',
+    details: errors.array()
+  });
+  return true;
+};
+
+class ScheduledMessageController {
+  constructor() {
+    this.logger = logger;
+  }
+
+  async listScheduledMessages(req, res) {
+    if (sendValidationError(req, res)) return;
+
+    try {
+      const scheduled = await scheduledMessageService.listScheduledMessages(req.user, req.query.status);
+      res.json(scheduled);
+    } catch (error) {
+      logger.error('Error listing scheduled messages:', error);
+      sendServiceError(res, error, 'Failed to get scheduled messages');
+    }
+  }
+
+  async createScheduledMessage(req, res) {
+    if (sendValidationError(req, res)) return;
+
+    try {
+      const scheduled = await scheduledMessageService.createScheduledMessage(req.user, {
+        channel: req.body.channel,
+        text: req.body.text,
+        sendAt: req.body.sendAt
+      });
+      res.status(201).json(scheduled);
+    } catch (error) {
+      logger.error('Error scheduling message:', error);
+      sendServiceError(res, error, 'Failed to schedule message');
+    }
+  }
+
+  async updateScheduledMessage(req, res) {
+    if (sendValidationError(req, res)) return;
+
+    try {
+      const scheduled = await scheduledMessageService.updateScheduledMessage(req.user, req.params.id, {
+        channel: req.body.channel,
+        text: req.body.text,
+        sendAt: req.body.sendAt
+      });
+      res.json(scheduled);
+    } catch (error) {
+      logger.error('Error updating scheduled message:', error);
+      sendServiceError(res, error, 'Failed to update scheduled message');
+    }
+  }
+
+  async cancelScheduledMessage(req, res) {
+    try {
+      const scheduled = await scheduledMessageService.cancelScheduledMessage(req.user, req.params.id);
+      res.json(scheduled);
+    } catch (error) {
+      logger.error('Error cancelling scheduled message:', error);
+      sendServiceError(res, error, 'Failed to cancel scheduled message');
+    }
+  }
+}
+
+module.exports = new ScheduledMessageController();
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Message moved out of its channel by a retention policy, kept as it was stored
+const archivedMessageSchema = new mongoose.Schema({
+  // Same _id as the original message, so archiving a message twice is a no-op
+  _id: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  channel: {
+    type: String,
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  archivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  message: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, { minimize: false });
+
+archivedMessageSchema.index({ channel: 1, timestamp: -1 });
+
+module.exports = mongoose.models.ArchivedMessage || mongoose.model('ArchivedMessage', archivedMessageSchema);
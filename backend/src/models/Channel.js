@@ -9,7 +9,10 @@ const channelSchema = new mongoose.Schema({
   },
   name: {
     type: String,
-    required: true,
+    // Direct conversations are named after their members unless a group was renamed
+    required: function() {
+      return this.type !== 'dm';
+    },
     trim: true,
     maxlength: 100
   },
@@ -19,7 +22,7 @@ const channelSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['text', 'voice'],
+    enum: ['text', 'voice', 'dm'],
     required: true
   },
   description: {
@@ -58,13 +61,82 @@ const channelSchema = new mongoose.Schema({
   locked: {
     type: Boolean,
     default: false
-  }
+  },
+  // Messages older than `days` are archived or deleted by the retention job, null keeps them forever
+  retention: {
+    days: {
+      type: Number,
+      min: 1,
+      default: null
+    },
+    action: {
+      type: String,
+      enum: ['archive', 'delete'],
+      default: 'archive'
+    },
+    updatedBy: {
+      type: String,
+      default: null
+    },
+    lastRunAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Minutes after which messages disappear, messages may choose a shorter time but not keep longer
+  messageExpiry: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  // Filters new messages run through before they are saved, in order, see contentFilterService
+  contentFilters: {
+    type: [{
+      _id: false,
+      name: { type: String, required: true },
+      action: { type: String, enum: ['redact', 'hold', 'reject'], required: true },
+      options: { type: mongoose.Schema.Types.Mixed, default: {} }
+    }],
+    default: []
+  },
+  // Nicknames of the participants of a direct conversation, empty for regular channels
+  members: {
+    type: [String],
+    default: undefined
+  },
+  // Group conversations can be renamed and change members, one-to-one conversations can't
+  group: {
+    type: Boolean,
+    default: undefined
+  },
+  // Sorted members of a one-to-one conversation, so each pair of users has only one
+  memberKey: {
+    type: String,
+    default: undefined
+  },
+  lastMessageAt: {
+    type: Date,
+    default: null
+  },
+  // Pinned messages, in the order they were pinned
+  pins: [{
+    _id: false,
+    message: { type: mongoose.Schema.Types.ObjectId, ref: 'Message', required: true },
+    pinnedBy: { type: String, required: true },
+    pinnedAt: { type: Date, default: Date.now }
+  }]
 });
 
 // Indexes
 channelSchema.index({ id: 1, type: 1 }); // For channel queries by type
 channelSchema.index({ parent: 1 }); // For nested channels
 channelSchema.index({ position: 1 }); // For ordering
+channelSchema.index({ members: 1, type: 1 }); // For a user's direct conversations
+channelSchema.index(
+  { memberKey: 1 },
+  { unique: true, partialFilterExpression: { memberKey: { $type: 'string' } } }
+); // One one-to-one conversation per pair, groups have no key
+channelSchema.index({ 'retention.days': 1 }); // For the retention job
 
 // Generate unique ID from name and handle slug
 channelSchema.pre('save', async function(next) {
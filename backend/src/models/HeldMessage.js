@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Message a content filter held back until a moderator approves or rejects it
+const heldMessageSchema = new mongoose.Schema({
+  // ID the message gets once approved, its attachments are already bound to it
+  messageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    unique: true
+  },
+  author: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  channel: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    default: '',
+    maxlength: 2000
+  },
+  type: {
+    type: String,
+    enum: ['public', 'poll'],
+    default: 'public'
+  },
+  action: {
+    type: Boolean,
+    default: false
+  },
+  replyTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  // Same shape as Message.attachments
+  attachments: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  poll: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  clientId: {
+    type: String,
+    default: undefined
+  },
+  // Expiry the author asked for, in minutes
+  expiresIn: {
+    type: Number,
+    default: null
+  },
+  // Filter that held the message and the reason given to the author
+  filter: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Review queue of a channel, oldest first
+heldMessageSchema.index({ channel: 1, createdAt: 1 });
+
+// A resent message is held once
+heldMessageSchema.index(
+  { author: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('HeldMessage', heldMessageSchema);
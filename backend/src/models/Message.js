@@ -8,7 +8,8 @@ const messageSchema = new mongoose.Schema({
   },
   text: {
     type: String,
-    required: true,
+    // Tombstones of deleted messages keep no text, attachments may go without a caption
+    required: function() { return !this.deletedAt && this.attachments.length === 0; },
     maxlength: 2000
   },
   channel: {
@@ -18,7 +19,7 @@ const messageSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['public', 'private', 'system'],
+    enum: ['public', 'private', 'system', 'poll'],
     default: 'public'
   },
   target: {
@@ -26,6 +27,11 @@ const messageSchema = new mongoose.Schema({
     trim: true,
     default: null
   },
+  // Sent with /me, shown as "* author text"
+  action: {
+    type: Boolean,
+    default: false
+  },
   timestamp: {
     type: Date,
     default: Date.now,
@@ -36,10 +42,110 @@ const messageSchema = new mongoose.Schema({
     enum: ['delivered', 'failed'],
     default: 'delivered'
   },
+  // Generated by the sending client, resending the same id doesn't post twice
+  clientId: {
+    type: String,
+    default: undefined
+  },
   replyTo: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Message',
     default: null
+  },
+  // Thread summary, maintained on the root message of a thread
+  replyCount: {
+    type: Number,
+    default: 0
+  },
+  lastReplyAt: {
+    type: Date,
+    default: null
+  },
+  // Users notified by @nickname, @here or @channel when the message was sent
+  mentions: [{
+    _id: false,
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    nickname: { type: String, required: true }
+  }],
+  // Copy of the attachment metadata needed to render the message
+  attachments: [{
+    _id: false,
+    attachment: { type: mongoose.Schema.Types.ObjectId, ref: 'Attachment', required: true },
+    filename: { type: String, required: true },
+    mimeType: { type: String, required: true },
+    size: { type: Number, required: true },
+    width: { type: Number, default: null },
+    height: { type: Number, default: null },
+    hasThumbnail: { type: Boolean, default: false }
+  }],
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  revisions: [{
+    _id: false,
+    text: { type: String, required: true },
+    timestamp: { type: Date, default: Date.now } // When this version was written
+  }],
+  // Poll messages keep the question in `text`. Votes are keyed by user ID so that
+  // changing a vote is a single update; anonymous polls never reveal who voted.
+  poll: {
+    type: {
+      _id: false,
+      options: [{ _id: false, text: { type: String, required: true } }],
+      multiple: { type: Boolean, default: false },
+      anonymous: { type: Boolean, default: false },
+      closesAt: { type: Date, default: null },
+      closedAt: { type: Date, default: null },
+      votes: {
+        type: Map,
+        of: new mongoose.Schema({
+          nickname: { type: String, required: true },
+          options: { type: [Number], required: true },
+          votedAt: { type: Date, default: Date.now }
+        }, { _id: false }),
+        default: {}
+      }
+    },
+    default: undefined
+  },
+  // Forwarded messages copy the original text and point back at the original. Forwarding
+  // a forward keeps the first original, so authorship survives any number of hops.
+  forwardedFrom: {
+    type: {
+      _id: false,
+      message: { type: mongoose.Schema.Types.ObjectId, ref: 'Message', required: true },
+      author: { type: String, required: true },
+      channel: { type: String, required: true },
+      timestamp: { type: Date, required: true }
+    },
+    default: null
+  },
+  // Self-destructing messages are removed at this time, null keeps the message
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Emoji mapped to nicknames of users who reacted with it
+  reactions: {
+    type: Map,
+    of: [String],
+    default: {}
+  },
+  // Everyone who ever reacted, so a nickname change finds their reactions through an index.
+  // Removing a reaction leaves the nickname here.
+  reactedBy: {
+    type: [String],
+    default: undefined
   }
 });
 
@@ -48,9 +154,32 @@ messageSchema.index({ channel: 1, timestamp: -1 });
 messageSchema.index({ author: 1, timestamp: -1 });
 messageSchema.index({ channel: 1, type: 1, timestamp: -1 });
 
+// Messages mentioning a user
+messageSchema.index({ 'mentions.user': 1, timestamp: -1 });
+
+// Messages a user reacted to
+messageSchema.index({ reactedBy: 1 }, { sparse: true });
+
+// Deduplicate resent messages
+messageSchema.index(
+  { author: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } }
+);
+
+// Full-text search
+messageSchema.index({ text: 'text' });
+
+// Thread replies in order
+messageSchema.index({ replyTo: 1, timestamp: 1 });
+
 // For private messages
 messageSchema.index({ channel: 1, author: 1, target: 1, timestamp: -1 });
 
+// The expiry job removes messages when they expire and tells the clients. The TTL index
+// only catches what is left behind while no instance is running, an hour later so it
+// never beats the job to a message.
+messageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 3600 });
+
 // Limit history retrieval (keep recent messages)
 messageSchema.pre('save', function(next) {
   if (this.isNew && this.type === 'system') {
@@ -60,4 +189,28 @@ messageSchema.pre('save', function(next) {
   next();
 });
 
+// Replace message text, keeping the previous version in revision history
+messageSchema.methods.applyEdit = function(newText) {
+  this.revisions.push({
+    text: this.text,
+    timestamp: this.editedAt || this.timestamp
+  });
+  this.text = newText;
+  this.editedAt = new Date();
+  return this.save();
+};
+
+// Turn the message into a tombstone, dropping its content but keeping the record
+messageSchema.methods.softDelete = function(deletedBy) {
+  this.text = '';
+  this.revisions = [];
+  this.attachments = [];
+  this.reactions = {};
+  this.reactedBy = undefined;
+  this.poll = undefined;
+  this.deletedAt = new Date();
+  this.deletedBy = deletedBy;
+  return this.save();
+};
+
 module.exports = mongoose.model('Message', messageSchema);
\ No newline at end of file
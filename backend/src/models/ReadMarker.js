@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Last message a user has read in a channel
+const readMarkerSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  channel: {
+    type: String,
+    required: true
+  },
+  lastReadMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    required: true
+  },
+  // Timestamp of lastReadMessage, messages after it are unread
+  lastReadAt: {
+    type: Date,
+    required: true
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+readMarkerSchema.index({ user: 1, channel: 1 }, { unique: true });
+
+module.exports = mongoose.models.ReadMarker || mongoose.model('ReadMarker', readMarkerSchema);
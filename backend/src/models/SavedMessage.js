@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// A message a user keeps in their personal "Saved items" list
+const savedMessageSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    required: true
+  },
+  // Channel of the message, kept for the link back after the message is gone
+  channel: {
+    type: String,
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  remindAt: {
+    type: Date,
+    default: null
+  },
+  // Set when the reminder job claimed the reminder, so it fires once
+  remindedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A message is saved once per user
+savedMessageSchema.index({ user: 1, message: 1 }, { unique: true });
+// Listing a user's saved items, newest first
+savedMessageSchema.index({ user: 1, createdAt: -1 });
+// Reminder job scan for due reminders
+savedMessageSchema.index({ remindedAt: 1, remindAt: 1 });
+
+module.exports = mongoose.models.SavedMessage || mongoose.model('SavedMessage', savedMessageSchema);
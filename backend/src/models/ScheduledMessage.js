@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Message written now and posted to a channel at sendAt
+const scheduledMessageSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  author: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  channel: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true,
+    maxlength: 2000
+  },
+  sendAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'cancelled', 'failed'],
+    default: 'pending'
+  },
+  // _id of the Message to create, fixed up front so a retried delivery cannot post twice
+  messageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: () => new mongoose.Types.ObjectId()
+  },
+  // Delivery claim of a scheduler instance
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Scheduler scan for due messages
+scheduledMessageSchema.index({ status: 1, sendAt: 1 });
+// Listing a user's messages
+scheduledMessageSchema.index({ user: 1, status: 1, sendAt: 1 });
+
+module.exports = mongoose.models.ScheduledMessage || mongoose.model('ScheduledMessage', scheduledMessageSchema);
@@ -43,6 +43,14 @@ const userSchema = new mongoose.Schema({
     enum: ['online', 'offline'],
     default: 'offline'
   },
+  // Set on placeholder accounts created for authors of imported history, e.g. 'slack:U024BE7LH'.
+  // Nobody can sign in with them.
+  importedFrom: {
+    type: String,
+    default: undefined,
+    unique: true,
+    sparse: true
+  },
   // Moderation fields
   banned: {
     type: Boolean,
@@ -0,0 +1,55 @@
+const express = require('express');
+const attachmentController = require('../controllers/attachmentController');
+const { authenticateToken } = require('../middleware/auth');
+const { apiRateLimiter } = require('../config/rateLimit');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/attachments/{attachmentId}:
+ *   get:
+ *     tags:
+ *       - Attachments
+ *     summary: Download an attachment
+ *     description: Streams the file. Images are served inline, other types as downloads. Access follows the visibility of the message the file belongs to.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: File contents
+ *       404:
+ *         description: Attachment not found or not visible to the caller
+ */
+router.get('/:attachmentId', authenticateToken, apiRateLimiter, attachmentController.downloadAttachment);
+
+/**
+ * @swagger
+ * /api/attachments/{attachmentId}/thumbnail:
+ *   get:
+ *     tags:
+ *       - Attachments
+ *     summary: Download an image thumbnail
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: JPEG thumbnail
+ *       404:
+ *         description: Attachment has no thumbnail or is not visible to the caller
+ */
+router.get('/:attachmentId/thumbnail', authenticateToken, apiRateLimiter, attachmentController.downloadThumbnail);
+
+module.exports = router;
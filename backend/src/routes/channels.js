@@ -1,7 +1,8 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const channelController = require('../controllers/channelController');
-const { authenticateToken } = require('../middleware/auth');
+const attachmentController = require('../controllers/attachmentController');
+const { authenticateToken, requireModerator, requireAdmin } = require('../middleware/auth');
 const { apiRateLimiter } = require('../config/rateLimit');
 
 const router = express.Router();
@@ -15,7 +16,7 @@ console.log('🔧 GET /api/channels route registered at startup');
  *     tags:
  *       - Channels
  *     summary: Get list of channels
- *     description: Retrieves a list of all available channels
+ *     description: Retrieves a list of all available channels with the caller's unread message and mention counts
  *     security:
  *       - bearerAuth: []
  *     responses:
@@ -34,6 +35,8 @@ console.log('🔧 GET /api/channels route registered at startup');
  *                 description: ""
  *                 createdBy: "system"
  *                 position: 0
+ *                 unreadCount: 3
+ *                 mentionCount: 1
  *       401:
  *         description: Unauthorized
  *         content:
@@ -102,8 +105,560 @@ router.post('/', authenticateToken, apiRateLimiter, [
   body('description').optional().isLength({ max: 500 }).trim()
 ], channelController.createChannel);
 
+/**
+ * @swagger
+ * /api/channels/import:
+ *   post:
+ *     tags:
+ *       - Channels
+ *     summary: Import history from Slack or Discord (admin only)
+ *     description: |
+ *       Creates the exported channels, or adds to existing ones with the same name, and their
+ *       messages with the original authors and timestamps. Authors are matched to users by
+ *       `userMap`, email or nickname; the rest get placeholder accounts nobody can sign in with.
+ *       Importing the same export again only adds new messages. Exports larger than the request
+ *       size limit can be imported with `npm run import:history`.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [source, data]
+ *             properties:
+ *               source:
+ *                 type: string
+ *                 enum: [slack, discord]
+ *               data:
+ *                 description: |
+ *                   Slack: `{ users, channels, messages: { channelName: [...] } }` built from the export files.
+ *                   Discord: a DiscordChatExporter JSON file, or an array of them.
+ *               userMap:
+ *                 type: object
+ *                 description: Export user ID or name mapped to an existing nickname
+ *                 additionalProperties:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Import summary
+ *         content:
+ *           application/json:
+ *             example:
+ *               source: "slack"
+ *               channels: [{ id: "general", name: "General", created: false, imported: 1520, skipped: 0 }]
+ *               users: { matched: 12, placeholders: ["old.intern"] }
+ *       400:
+ *         description: Invalid export or unknown user in userMap
+ *       403:
+ *         description: Admin privileges required
+ */
+router.post('/import', authenticateToken, requireAdmin, apiRateLimiter, [
+  body('source').isIn(['slack', 'discord']),
+  body('data').exists(),
+  body('userMap').optional().isObject()
+], channelController.importHistory);
+
 router.get('/:channelId', authenticateToken, apiRateLimiter, channelController.getChannelById);
+
+/**
+ * @swagger
+ * /api/channels/{channelId}/pins:
+ *   get:
+ *     tags:
+ *       - Channels
+ *     summary: Get pinned messages
+ *     description: Pinned messages of the channel, most recently pinned first. Moderators pin and unpin over the socket with `pin_message` and `unpin_message`.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: channelId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Pinned messages
+ *         content:
+ *           application/json:
+ *             example:
+ *               - message:
+ *                   id: "64b7f0c2e4b0a1a2b3c4d5e6"
+ *                   author: "alice"
+ *                   room: "general"
+ *                   text: "Runbook: https://wiki.example.com/oncall"
+ *                 pinnedBy: "moderator"
+ *                 pinnedAt: "2024-01-01T10:00:00.000Z"
+ *       404:
+ *         description: Channel not found
+ */
+router.get('/:channelId/pins', authenticateToken, apiRateLimiter, channelController.getPins);
+
+/**
+ * @swagger
+ * /api/channels/{channelId}/retention:
+ *   get:
+ *     tags:
+ *       - Channels
+ *     summary: Get the retention policy
+ *     description: How long the channel keeps its messages. `days` is null when messages are kept forever.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: channelId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Retention policy
+ *         content:
+ *           application/json:
+ *             example:
+ *               channel: "general"
+ *               days: 90
+ *               action: "archive"
+ *               updatedBy: "admin"
+ *               lastRunAt: "2024-01-01T10:00:00.000Z"
+ *       404:
+ *         description: Channel not found
+ *   put:
+ *     tags:
+ *       - Channels
+ *     summary: Set the retention policy (admin only)
+ *     description: Messages older than `days` are moved to the archive or deleted by a background job that runs every hour. Send `days` as null to keep messages forever.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: channelId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               days:
+ *                 type: integer
+ *                 nullable: true
+ *                 minimum: 1
+ *                 maximum: 3650
+ *               action:
+ *                 type: string
+ *                 enum: [archive, delete]
+ *                 default: archive
+ *     responses:
+ *       200:
+ *         description: Updated retention policy
+ *       400:
+ *         description: Invalid number of days or action
+ *       403:
+ *         description: Admin privileges required
+ *       404:
+ *         description: Channel not found
+ */
+router.get('/:channelId/retention', authenticateToken, apiRateLimiter, channelController.getRetention);
+router.put('/:channelId/retention', authenticateToken, requireAdmin, apiRateLimiter, [
+  body('days').optional({ nullable: true }).isInt().toInt(),
+  body('action').optional().isIn(['archive', 'delete'])
+], channelController.updateRetention);
+
+/**
+ * @swagger
+ * /api/channels/{channelId}/message-expiry:
+ *   put:
+ *     tags:
+ *       - Channels
+ *     summary: Make messages disappear after a set time (admin only)
+ *     description: New messages in the channel are deleted `minutes` after they are sent. Messages may choose a shorter expiry but not a longer one. Send `minutes` as null to turn the default off.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: channelId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               minutes:
+ *                 type: integer
+ *                 nullable: true
+ *                 minimum: 1
+ *                 maximum: 10080
+ *     responses:
+ *       200:
+ *         description: Updated setting
+ *         content:
+ *           application/json:
+ *             example:
+ *               channel: "secrets"
+ *               minutes: 60
+ *       400:
+ *         description: Invalid number of minutes
+ *       403:
+ *         description: Admin privileges required
+ *       404:
+ *         description: Channel not found
+ */
+router.put('/:channelId/message-expiry', authenticateToken, requireAdmin, apiRateLimiter, [
+  body('minutes').optional({ nullable: true }).isInt().toInt()
+], channelController.updateMessageExpiry);
+
+/**
+ * @swagger
+ * /api/channels/{channelId}/archive:
+ *   post:
+ *     tags:
+ *       - Channels
+ *     summary: Archive all messages of a channel (admin only)
+ *     description: Moves every message into the archive, after which the channel is empty and can be deleted.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: channelId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Number of archived messages
+ *         content:
+ *           application/json:
+ *             example:
+ *               channel: "old-project"
+ *               archived: 1250
+ *       403:
+ *         description: Admin privileges required
+ *       404:
+ *         description: Channel not found
+ */
+router.post('/:channelId/archive', authenticateToken, requireAdmin, apiRateLimiter, channelController.archiveChannel);
+
+/**
+ * @swagger
+ * /api/channels/{channelId}/content-filters:
+ *   get:
+ *     tags:
+ *       - Channels
+ *     summary: Get the content filters of a channel (moderators only)
+ *     description: The filter chain new messages run through before they are saved, and the filters that can be added to it.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: channelId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Filter chain and available filters
+ *         content:
+ *           application/json:
+ *             example:
+ *               channel: "general"
+ *               filters:
+ *                 - name: "banned-words"
+ *                   action: "redact"
+ *                   options:
+ *                     words: ["spam"]
+ *               available:
+ *                 - name: "banned-words"
+ *                   description: "Words that may not be used, matched as whole words in any case"
+ *                   actions: ["redact", "hold", "reject"]
+ *                   defaults:
+ *                     words: []
+ *       403:
+ *         description: Moderator privileges required
+ *       404:
+ *         description: Channel not found
+ *   put:
+ *     tags:
+ *       - Channels
+ *     summary: Set the content filters of a channel (admin only)
+ *     description: |
+ *       Replaces the filter chain. Filters run in order: `redact` removes the matching parts and
+ *       passes the text on, `hold` keeps the message for moderators to review and `reject` refuses
+ *       it with an error code starting with `CONTENT_`. An empty list turns filtering off.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: channelId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [filters]
+ *             properties:
+ *               filters:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [name, action]
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                       enum: [banned-words, links, invites, caps, flood]
+ *                     action:
+ *                       type: string
+ *                       enum: [redact, hold, reject]
+ *                     options:
+ *                       type: object
+ *     responses:
+ *       200:
+ *         description: Updated filter chain
+ *       400:
+ *         description: Unknown filter, unsupported action or invalid options
+ *       403:
+ *         description: Admin privileges required
+ *       404:
+ *         description: Channel not found
+ */
+router.get('/:channelId/content-filters', authenticateToken, requireModerator, apiRateLimiter, channelController.getContentFilters);
+router.put('/:channelId/content-filters', authenticateToken, requireAdmin, apiRateLimiter, [
+  body('filters').isArray()
+], channelController.updateContentFilters);
+
+/**
+ * @swagger
+ * /api/channels/{channelId}/held-messages:
+ *   get:
+ *     tags:
+ *       - Channels
+ *     summary: List messages held for review (moderators only)
+ *     description: Messages a content filter held back, oldest first.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: channelId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Held messages
+ *         content:
+ *           application/json:
+ *             example:
+ *               channel: "general"
+ *               messages:
+ *                 - id: "507f1f77bcf86cd799439011"
+ *                   author: "john_doe"
+ *                   text: "Join my server discord.gg/abc"
+ *                   filter: "invites"
+ *                   reason: "Invite links are not allowed here"
+ *                   createdAt: "2024-01-01T10:00:00.000Z"
+ *       403:
+ *         description: Moderator privileges required
+ *       404:
+ *         description: Channel not found
+ */
+router.get('/:channelId/held-messages', authenticateToken, requireModerator, apiRateLimiter, channelController.getHeldMessages);
+
+/**
+ * @swagger
+ * /api/channels/{channelId}/held-messages/{heldId}/approve:
+ *   post:
+ *     tags:
+ *       - Channels
+ *     summary: Post a held message (moderators only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: channelId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: heldId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The posted message
+ *       403:
+ *         description: Moderator privileges required
+ *       404:
+ *         description: Channel or held message not found
+ */
+router.post('/:channelId/held-messages/:heldId/approve', authenticateToken, requireModerator, apiRateLimiter, channelController.approveHeldMessage);
+
+/**
+ * @swagger
+ * /api/channels/{channelId}/held-messages/{heldId}:
+ *   delete:
+ *     tags:
+ *       - Channels
+ *     summary: Reject a held message (moderators only)
+ *     description: Drops the message and its attachments. The author is told it was rejected.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: channelId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: heldId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rejected message ID
+ *       403:
+ *         description: Moderator privileges required
+ *       404:
+ *         description: Channel or held message not found
+ */
+router.delete('/:channelId/held-messages/:heldId', authenticateToken, requireModerator, apiRateLimiter, channelController.rejectHeldMessage);
+
+/**
+ * @swagger
+ * /api/channels/{channelId}/export:
+ *   get:
+ *     tags:
+ *       - Channels
+ *     summary: Export the channel history
+ *     description: |
+ *       Streams every message of the channel the user can read, system messages and
+ *       deleted message placeholders included, oldest first. With `attachments=true`
+ *       the transcript and the attached files are sent together as a zip archive.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: channelId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, md, html]
+ *           default: json
+ *       - in: query
+ *         name: from
+ *         description: Only messages sent at or after this time
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         description: Only messages sent at or before this time
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: attachments
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Export file, sent as a download
+ *         content:
+ *           application/json: {}
+ *           text/markdown: {}
+ *           text/html: {}
+ *           application/zip: {}
+ *       400:
+ *         description: Unknown format or invalid date range
+ *       404:
+ *         description: Channel not found or not readable by the user
+ */
+router.get('/:channelId/export', authenticateToken, apiRateLimiter, [
+  query('format').optional().isIn(['json', 'md', 'html']),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('attachments').optional().isBoolean().toBoolean()
+], channelController.exportChannel);
+
 router.put('/:channelId', authenticateToken, apiRateLimiter, channelController.updateChannel);
 router.delete('/:channelId', authenticateToken, apiRateLimiter, channelController.deleteChannel);
 
+/**
+ * @swagger
+ * /api/channels/{channelId}/attachments:
+ *   post:
+ *     tags:
+ *       - Channels
+ *     summary: Upload an attachment
+ *     description: |
+ *       Stores a file for a later message in the channel. The returned id is sent in the
+ *       `attachments` array of the socket `message` event. The server renders a JPEG thumbnail
+ *       of images and reads their dimensions. Size and MIME type limits come from the server
+ *       configuration. Files not sent with a message within a day are removed.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: channelId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             filename: "screenshot.png"
+ *             mimeType: "image/png"
+ *             data: "iVBORw0KGgo..."
+ *     responses:
+ *       201:
+ *         description: Stored attachment
+ *         content:
+ *           application/json:
+ *             example:
+ *               id: "64b7f0c2e4b0a1a2b3c4d5e6"
+ *               filename: "screenshot.png"
+ *               mimeType: "image/png"
+ *               size: 183204
+ *               width: 1280
+ *               height: 720
+ *               url: "/api/attachments/64b7f0c2e4b0a1a2b3c4d5e6"
+ *               thumbnailUrl: "/api/attachments/64b7f0c2e4b0a1a2b3c4d5e6/thumbnail"
+ *       400:
+ *         description: Invalid file data or image
+ *       403:
+ *         description: Channel is restricted to administrators
+ *       404:
+ *         description: Channel not found
+ *       413:
+ *         description: File is too large
+ *       415:
+ *         description: File type not allowed
+ */
+router.post('/:channelId/attachments', authenticateToken, apiRateLimiter, [
+  body('filename').isString().trim().isLength({ min: 1, max: 255 }),
+  body('mimeType').isString().trim().toLowerCase(),
+  body('data').isString().notEmpty()
+], attachmentController.uploadAttachment);
+
 module.exports = router;
\ No newline at end of file
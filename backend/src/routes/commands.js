@@ -0,0 +1,43 @@
+const express = require('express');
+const commandController = require('../controllers/commandController');
+const { authenticateToken } = require('../middleware/auth');
+const { apiRateLimiter } = require('../config/rateLimit');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/commands:
+ *   get:
+ *     tags:
+ *       - Commands
+ *     summary: List slash commands
+ *     description: Commands the caller's role may use, for autocomplete in the message input. Commands run over the socket with `command` `{ text }`; output meant only for the caller comes back as `command_reply`.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Available commands
+ *         content:
+ *           application/json:
+ *             example:
+ *               - name: "mute"
+ *                 aliases: []
+ *                 description: "Stop a user from sending messages for a while"
+ *                 usage: "/mute <nickname> [minutes]"
+ *                 permission: "moderator"
+ *                 args:
+ *                   - name: "nickname"
+ *                     type: "user"
+ *                     required: true
+ *                     description: "User to mute"
+ *                   - name: "minutes"
+ *                     type: "number"
+ *                     required: false
+ *                     description: "Duration, 10 minutes by default"
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticateToken, apiRateLimiter, commandController.listCommands);
+
+module.exports = router;
@@ -0,0 +1,223 @@
+const express = require('express');
+const { body } = require('express-validator');
+const directMessageController = require('../controllers/directMessageController');
+const { authenticateToken } = require('../middleware/auth');
+const { apiRateLimiter } = require('../config/rateLimit');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/dms:
+ *   get:
+ *     tags:
+ *       - Direct Messages
+ *     summary: List your direct conversations
+ *     description: Conversations with other users, most recently active first, with your unread message and mention counts. Each conversation is a channel of type `dm`, joined with `join_room` like any other channel.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Direct conversations
+ *         content:
+ *           application/json:
+ *             example:
+ *               - id: "dm:64b7f0c2e4b0a1a2b3c4d5e6"
+ *                 type: "dm"
+ *                 group: false
+ *                 name: null
+ *                 members: ["alice", "bob"]
+ *                 createdBy: "alice"
+ *                 createdAt: "2024-01-01T09:00:00.000Z"
+ *                 lastMessageAt: "2024-01-01T09:55:00.000Z"
+ *                 unreadCount: 2
+ *                 mentionCount: 0
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticateToken, apiRateLimiter, directMessageController.listConversations);
+
+/**
+ * @swagger
+ * /api/dms:
+ *   post:
+ *     tags:
+ *       - Direct Messages
+ *     summary: Open a direct conversation
+ *     description: Returns the conversation with the given user, creating it on first use. The other user does not need to be online.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nickname
+ *             properties:
+ *               nickname:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Existing conversation
+ *       201:
+ *         description: Conversation created
+ *       400:
+ *         description: Invalid nickname, or your own
+ *       404:
+ *         description: User not found
+ */
+router.post('/', authenticateToken, apiRateLimiter, [
+  body('nickname').isString().trim().isLength({ min: 1, max: 50 })
+], directMessageController.openConversation);
+
+/**
+ * @swagger
+ * /api/dms/groups:
+ *   post:
+ *     tags:
+ *       - Direct Messages
+ *     summary: Start a group conversation
+ *     description: A private conversation between 3 to 10 users, you included. Members can rename it, add people and leave.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nicknames
+ *             properties:
+ *               nicknames:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Other members
+ *               name:
+ *                 type: string
+ *                 description: Optional name, members are listed instead when it is empty
+ *     responses:
+ *       201:
+ *         description: Conversation created
+ *       400:
+ *         description: Too few or too many members
+ *       404:
+ *         description: One of the users was not found
+ */
+router.post('/groups', authenticateToken, apiRateLimiter, [
+  body('nicknames').isArray({ min: 1, max: 20 }),
+  body('nicknames.*').isString().trim().isLength({ min: 1, max: 50 }),
+  body('name').optional().isString().trim().isLength({ max: 100 })
+], directMessageController.createGroupConversation);
+
+/**
+ * @swagger
+ * /api/dms/{conversationId}:
+ *   patch:
+ *     tags:
+ *       - Direct Messages
+ *     summary: Rename a group conversation
+ *     description: An empty name removes it, the conversation is then shown by its members.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Renamed conversation
+ *       400:
+ *         description: Not a group conversation
+ *       404:
+ *         description: Conversation not found
+ */
+router.patch('/:conversationId', authenticateToken, apiRateLimiter, [
+  body('name').isString().trim().isLength({ max: 100 })
+], directMessageController.renameConversation);
+
+/**
+ * @swagger
+ * /api/dms/{conversationId}/members:
+ *   post:
+ *     tags:
+ *       - Direct Messages
+ *     summary: Add members to a group conversation
+ *     description: New members can read the earlier history of the conversation.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nicknames
+ *             properties:
+ *               nicknames:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Updated conversation
+ *       400:
+ *         description: The conversation would have more than 10 members
+ *       404:
+ *         description: Conversation or user not found
+ *       409:
+ *         description: Everyone is already a member
+ */
+router.post('/:conversationId/members', authenticateToken, apiRateLimiter, [
+  body('nicknames').isArray({ min: 1, max: 10 }),
+  body('nicknames.*').isString().trim().isLength({ min: 1, max: 50 })
+], directMessageController.addMembers);
+
+/**
+ * @swagger
+ * /api/dms/{conversationId}/members/me:
+ *   delete:
+ *     tags:
+ *       - Direct Messages
+ *     summary: Leave a group conversation
+ *     description: You lose access to its history. The other members can add you back. When the last member leaves, the conversation and its messages are deleted.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Left the conversation
+ *       400:
+ *         description: Not a group conversation
+ *       404:
+ *         description: Conversation not found
+ */
+router.delete('/:conversationId/members/me', authenticateToken, apiRateLimiter, directMessageController.leaveConversation);
+
+module.exports = router;
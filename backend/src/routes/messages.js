@@ -0,0 +1,229 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const messageController = require('../controllers/messageController');
+const { authenticateToken } = require('../middleware/auth');
+const { apiRateLimiter } = require('../config/rateLimit');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/messages/search:
+ *   get:
+ *     tags:
+ *       - Messages
+ *     summary: Search messages
+ *     description: Full-text search over messages the caller can see, newest first. Private messages are only returned to their author or target.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: channel
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: author
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [public, private, system, poll]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Matching messages with paging info
+ *         content:
+ *           application/json:
+ *             example:
+ *               results: []
+ *               total: 0
+ *               page: 1
+ *               limit: 20
+ *               hasMore: false
+ *       400:
+ *         description: Invalid search parameters
+ */
+router.get('/search', authenticateToken, apiRateLimiter, [
+  query('q').isString().trim().isLength({ min: 1, max: 200 }),
+  query('channel').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  query('author').optional().isString().trim().isLength({ min: 1, max: 50 }),
+  query('type').optional().isIn(['public', 'private', 'system', 'poll']),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt()
+], messageController.searchMessages);
+
+/**
+ * @swagger
+ * /api/messages/{messageId}/context:
+ *   get:
+ *     tags:
+ *       - Messages
+ *     summary: Get messages around a message
+ *     description: Returns the channel timeline surrounding a message, used to jump to a search result. Thread replies resolve to their thread's root message.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Surrounding messages, oldest first
+ *       404:
+ *         description: Message not found
+ */
+router.get('/:messageId/context', authenticateToken, apiRateLimiter, messageController.getMessageContext);
+
+/**
+ * @swagger
+ * /api/messages/{messageId}:
+ *   patch:
+ *     tags:
+ *       - Messages
+ *     summary: Edit a message
+ *     description: Replaces the text of one of your own messages. The previous text is kept in the revision history.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             text: "Fixed the typo"
+ *     responses:
+ *       200:
+ *         description: Edited message
+ *       400:
+ *         description: Invalid message text
+ *       403:
+ *         description: Message belongs to another user
+ *       404:
+ *         description: Message not found
+ */
+router.patch('/:messageId', authenticateToken, apiRateLimiter, [
+  body('text').isString().trim().isLength({ min: 1, max: 2000 })
+], messageController.editMessage);
+
+/**
+ * @swagger
+ * /api/messages/{messageId}:
+ *   delete:
+ *     tags:
+ *       - Messages
+ *     summary: Delete a message
+ *     description: Soft-deletes a message, leaving a tombstone. Authors can delete their own messages, moderators can delete any message.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Message deleted
+ *       403:
+ *         description: Message belongs to another user and caller is not a moderator
+ *       404:
+ *         description: Message not found
+ */
+router.delete('/:messageId', authenticateToken, apiRateLimiter, messageController.deleteMessage);
+
+/**
+ * @swagger
+ * /api/messages/{messageId}/forward:
+ *   post:
+ *     tags:
+ *       - Messages
+ *     summary: Forward a message
+ *     description: Reposts a text message into another channel or direct conversation. The copy names the original author and links to the original message. Requires read access to the source and write access to the target.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             channel: "random"
+ *     responses:
+ *       201:
+ *         description: Forwarded message, with forwardedFrom pointing at the original
+ *       400:
+ *         description: Message cannot be forwarded
+ *       403:
+ *         description: Caller cannot post to the target channel
+ *       404:
+ *         description: Message or target channel not found
+ */
+router.post('/:messageId/forward', authenticateToken, apiRateLimiter, [
+  body('channel').isString().trim().notEmpty()
+], messageController.forwardMessage);
+
+/**
+ * @swagger
+ * /api/messages/{messageId}/revisions:
+ *   get:
+ *     tags:
+ *       - Messages
+ *     summary: Get earlier versions of a message
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Current message with its revision history, oldest first
+ *       404:
+ *         description: Message not found
+ */
+router.get('/:messageId/revisions', authenticateToken, apiRateLimiter, messageController.getRevisions);
+
+module.exports = router;
@@ -0,0 +1,152 @@
+const express = require('express');
+const { body } = require('express-validator');
+const savedMessageController = require('../controllers/savedMessageController');
+const { authenticateToken } = require('../middleware/auth');
+const { apiRateLimiter } = require('../config/rateLimit');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/me/saved:
+ *   get:
+ *     tags:
+ *       - Saved Messages
+ *     summary: List your saved messages
+ *     description: Newest first. `message` is null when the message was deleted for good or you can no longer see it; `room` and `messageId` still link back to where it was, see `/api/messages/{messageId}/context`.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Saved messages
+ *         content:
+ *           application/json:
+ *             example:
+ *               - id: "64b7f0c2e4b0a1a2b3c4d5e7"
+ *                 messageId: "64b7f0c2e4b0a1a2b3c4d5e6"
+ *                 room: "general"
+ *                 note: "Deploy checklist"
+ *                 remindAt: "2024-01-02T09:00:00.000Z"
+ *                 remindedAt: null
+ *                 message:
+ *                   id: "64b7f0c2e4b0a1a2b3c4d5e6"
+ *                   author: "alice"
+ *                   text: "Steps for the release: ..."
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticateToken, apiRateLimiter, savedMessageController.listSaved);
+
+/**
+ * @swagger
+ * /api/me/saved:
+ *   post:
+ *     tags:
+ *       - Saved Messages
+ *     summary: Save a message
+ *     description: Any message you can see can be saved once. With `remindAt` the server sends a `saved_reminder` socket event at that time.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - messageId
+ *             properties:
+ *               messageId:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *               remindAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *     responses:
+ *       201:
+ *         description: Message saved
+ *       400:
+ *         description: Invalid note or reminder time
+ *       404:
+ *         description: Message not found
+ *       409:
+ *         description: Message already saved
+ *       429:
+ *         description: Too many saved messages
+ */
+router.post('/', authenticateToken, apiRateLimiter, [
+  body('messageId').isMongoId(),
+  body('note').optional().isString().isLength({ max: 500 }),
+  body('remindAt').optional({ nullable: true }).isISO8601()
+], savedMessageController.saveMessage);
+
+/**
+ * @swagger
+ * /api/me/saved/{id}:
+ *   patch:
+ *     tags:
+ *       - Saved Messages
+ *     summary: Change the note or reminder of a saved message
+ *     description: Send `remindAt` as null to remove the reminder. A new reminder time fires again even if the old one already did.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *               remindAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Updated saved message
+ *       400:
+ *         description: Invalid note or reminder time
+ *       404:
+ *         description: Saved message not found
+ */
+router.patch('/:id', authenticateToken, apiRateLimiter, [
+  body('note').optional().isString().isLength({ max: 500 }),
+  body('remindAt').optional({ nullable: true }).isISO8601()
+], savedMessageController.updateSaved);
+
+/**
+ * @swagger
+ * /api/me/saved/{id}:
+ *   delete:
+ *     tags:
+ *       - Saved Messages
+ *     summary: Remove a message from your saved messages
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Removed
+ *       404:
+ *         description: Saved message not found
+ */
+router.delete('/:id', authenticateToken, apiRateLimiter, savedMessageController.removeSaved);
+
+module.exports = router;
@@ -0,0 +1,165 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const scheduledMessageController = require('../controllers/scheduledMessageController');
+const { authenticateToken } = require('../middleware/auth');
+const { apiRateLimiter } = require('../config/rateLimit');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/scheduled-messages:
+ *   get:
+ *     tags:
+ *       - Scheduled Messages
+ *     summary: List your scheduled messages
+ *     description: Messages still waiting, being sent or failed, soonest first. Pass `status` to list only one status, e.g. `sent` or `cancelled`.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, sending, sent, cancelled, failed]
+ *     responses:
+ *       200:
+ *         description: Scheduled messages
+ *         content:
+ *           application/json:
+ *             example:
+ *               - id: "64b7f0c2e4b0a1a2b3c4d5e6"
+ *                 channel: "general"
+ *                 text: "Standup starts in 5 minutes"
+ *                 sendAt: "2024-01-01T09:55:00.000Z"
+ *                 status: "pending"
+ *                 error: null
+ *                 messageId: null
+ *                 sentAt: null
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticateToken, apiRateLimiter, [
+  query('status').optional().isIn(['pending', 'sending', 'sent', 'cancelled', 'failed'])
+], scheduledMessageController.listScheduledMessages);
+
+/**
+ * @swagger
+ * /api/scheduled-messages:
+ *   post:
+ *     tags:
+ *       - Scheduled Messages
+ *     summary: Schedule a channel message
+ *     description: The server posts the message to the channel at `sendAt`. Permissions, bans and mutes are checked again at that time.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - channel
+ *               - text
+ *               - sendAt
+ *             properties:
+ *               channel:
+ *                 type: string
+ *               text:
+ *                 type: string
+ *                 maxLength: 2000
+ *               sendAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Message scheduled
+ *       400:
+ *         description: Invalid text or send time
+ *       403:
+ *         description: Caller cannot post to the channel
+ *       404:
+ *         description: Channel not found
+ *       429:
+ *         description: Too many pending scheduled messages
+ */
+router.post('/', authenticateToken, apiRateLimiter, [
+  body('channel').isString().notEmpty(),
+  body('text').isString().isLength({ min: 1, max: 2000 }),
+  body('sendAt').isISO8601()
+], scheduledMessageController.createScheduledMessage);
+
+/**
+ * @swagger
+ * /api/scheduled-messages/{id}:
+ *   patch:
+ *     tags:
+ *       - Scheduled Messages
+ *     summary: Edit a pending scheduled message
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               channel:
+ *                 type: string
+ *               text:
+ *                 type: string
+ *                 maxLength: 2000
+ *               sendAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Updated scheduled message
+ *       400:
+ *         description: Invalid text or send time
+ *       404:
+ *         description: Scheduled message not found
+ *       409:
+ *         description: Message is no longer pending
+ */
+router.patch('/:id', authenticateToken, apiRateLimiter, [
+  body('channel').optional().isString().notEmpty(),
+  body('text').optional().isString().isLength({ min: 1, max: 2000 }),
+  body('sendAt').optional().isISO8601()
+], scheduledMessageController.updateScheduledMessage);
+
+/**
+ * @swagger
+ * /api/scheduled-messages/{id}:
+ *   delete:
+ *     tags:
+ *       - Scheduled Messages
+ *     summary: Cancel a pending scheduled message
+ *     description: Also dismisses a message whose delivery failed, so it drops out of the default list.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cancelled scheduled message
+ *       404:
+ *         description: Scheduled message not found
+ *       409:
+ *         description: Message was already sent or cancelled
+ */
+router.delete('/:id', authenticateToken, apiRateLimiter, scheduledMessageController.cancelScheduledMessage);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+/**
+ * Fill in reactedBy on messages that got their reactions before the field existed,
+ * so nickname changes find those reactions too. Safe to run more than once.
+ *
+ *   npm run migrate:reacted-by
+ */
+require('dotenv').config();
+const { connectDB, closeDB } = require('../../db/connection');
+const Message = require('../models/Message');
+
+// Every nickname that reacted to a message, reactions are a map of emoji to nicknames
+const REACTED_NICKNAMES = {
+  $setUnion: [{
+    $reduce: {
+      input: { $objectToArray: { $ifNull: ['$reactions', {}] } },
+      initialValue: [],
+      in: { $concatArrays: ['$$value', '$$this.v'] }
+    }
+  }]
+};
+
+async function main() {
+  await connectDB();
+  try {
+    const { modifiedCount } = await Message.updateMany(
+      { reactedBy: { $exists: false }, $expr: { $gt: [{ $size: REACTED_NICKNAMES }, 0] } },
+      [{ $set: { reactedBy: REACTED_NICKNAMES } }]
+    );
+    console.log(`✅ reactedBy filled in on ${modifiedCount} messages`);
+  } finally {
+    await closeDB();
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Backfill failed:', error.message);
+      process.exit(1);
+    });
+}
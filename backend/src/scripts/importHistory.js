@@ -0,0 +1,90 @@
+/**
+ * Import history from a Slack or Discord export.
+ *
+ *   npm run import:history -- --source slack --path ./slack-export --as admin
+ *   npm run import:history -- --source discord --path ./discord-export --as admin --map users.json
+ *
+ * Slack: the unzipped export directory (users.json, channels.json and a directory of daily
+ * files per channel). Discord: a DiscordChatExporter JSON file or a directory of them.
+ * --map points at a JSON file mapping export user IDs or names to existing nicknames.
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { connectDB, closeDB } = require('../../db/connection');
+const importService = require('../services/importService');
+
+const readJson = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    if (!argv[i].startsWith('--')) {
+      throw new Error(`Unexpected argument ${argv[i]}`);
+    }
+    args[argv[i].slice(2)] = argv[i + 1];
+  }
+  return args;
+};
+
+const readSlackExport = (dir) => {
+  const read = name => (fs.existsSync(path.join(dir, name)) ? readJson(path.join(dir, name)) : []);
+  const channels = read('channels.json');
+  const messages = {};
+
+  channels.forEach(channel => {
+    const channelDir = path.join(dir, channel.name);
+    if (!fs.existsSync(channelDir)) {
+      return;
+    }
+    // Daily files are named YYYY-MM-DD.json, so sorting by name keeps them in order
+    messages[channel.name] = fs.readdirSync(channelDir)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .flatMap(file => readJson(path.join(channelDir, file)));
+  });
+
+  return { users: read('users.json'), channels, messages };
+};
+
+const readDiscordExport = (target) => {
+  if (!fs.statSync(target).isDirectory()) {
+    return readJson(target);
+  }
+  return fs.readdirSync(target)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => readJson(path.join(target, file)));
+};
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.source || !args.path || !args.as) {
+    console.error('Usage: npm run import:history -- --source slack|discord --path <export> --as <admin nickname> [--map <users.json>]');
+    process.exit(1);
+  }
+
+  const data = args.source === 'slack' ? readSlackExport(args.path) : readDiscordExport(args.path);
+  const userMap = args.map ? readJson(args.map) : {};
+
+  await connectDB();
+  try {
+    const summary = await importService.importHistory(args.source, data, { importedBy: args.as, userMap });
+
+    summary.channels.forEach(channel => {
+      console.log(`#${channel.id}: ${channel.imported} imported, ${channel.skipped} already there${channel.created ? ' (new channel)' : ''}`);
+    });
+    console.log(`👥 ${summary.users.matched} authors matched to existing users, ${summary.users.placeholders.length} placeholders created`);
+  } finally {
+    await closeDB();
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Import failed:', error.message);
+      process.exit(1);
+    });
+}
@@ -34,9 +34,20 @@ const {
 const authRoutes = require('../routes/auth');
 const userRoutes = require('../routes/users');
 const channelRoutes = require('../routes/channels');
+const messageRoutes = require('../routes/messages');
+const attachmentRoutes = require('../routes/attachments');
+const scheduledMessageRoutes = require('../routes/scheduledMessages');
+const commandRoutes = require('../routes/commands');
+const directMessageRoutes = require('../routes/directMessages');
+const savedMessageRoutes = require('../routes/savedMessages');
 
 // Import services
 const channelService = require('../services/channelService');
+const scheduledMessageService = require('../services/scheduledMessageService');
+const retentionService = require('../services/retentionService');
+const messageExpiryService = require('../services/messageExpiryService');
+const savedMessageService = require('../services/savedMessageService');
+const attachmentService = require('../services/attachmentService');
 const { connectDB } = require('../../db/connection');
 
 // Import utils
@@ -182,6 +193,24 @@ class Server {
     // Channel routes
     this.app.use('/api/channels', channelRoutes);
 
+    // Message routes
+    this.app.use('/api/messages', messageRoutes);
+
+    // Attachment downloads
+    this.app.use('/api/attachments', attachmentRoutes);
+
+    // Scheduled messages of the current user
+    this.app.use('/api/scheduled-messages', scheduledMessageRoutes);
+
+    // Slash commands offered in the message input
+    this.app.use('/api/commands', commandRoutes);
+
+    // Direct conversations of the current user
+    this.app.use('/api/dms', directMessageRoutes);
+
+    // Saved messages of the current user
+    this.app.use('/api/me/saved', savedMessageRoutes);
+
     // Health check
     this.app.get('/health', (req, res) => {
       res.json({
@@ -250,8 +279,15 @@ class Server {
           return next(new Error('User is banned'));
         }
 
+        // A nickname change in another session leaves this one with the old nickname
+        if (session.nickname !== user.nickname) {
+          socket.previousNickname = session.nickname;
+          session.nickname = user.nickname;
+          session.save?.(error => error && this.logger.warn('Failed to save session after nickname change:', error.message));
+        }
+
         socket.userId = session.userId;
-        socket.nickname = session.nickname;
+        socket.nickname = user.nickname;
         socket.role = session.role || 'member';
 
         return next();
@@ -264,6 +300,9 @@ class Server {
     // Initialize socket service
     this.socketService = new SocketService(this.io);
 
+    // Let REST controllers broadcast to connected clients
+    this.app.set('io', this.io);
+
     this.logger.info('Socket.IO configured');
   }
 
@@ -309,6 +348,11 @@ class Server {
         this.server.listen(this.port, this.host, () => {
           this.logger.info(`Server running on port ${this.port}`);
           console.log(`Server running on port ${this.port}`);
+          scheduledMessageService.start(this.io);
+          retentionService.start(this.io);
+          messageExpiryService.start(this.io);
+          savedMessageService.start(this.io);
+          attachmentService.start();
           resolve();
         });
       } catch (error) {
@@ -319,6 +363,12 @@ class Server {
   }
 
   async shutdown() {
+    scheduledMessageService.stop();
+    retentionService.stop();
+    messageExpiryService.stop();
+    savedMessageService.stop();
+    attachmentService.stop();
+
     return new Promise((resolve) => {
       if (this.server) {
         this.server.close((err) => {
@@ -0,0 +1,411 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const Attachment = require('../models/Attachment');
+const Channel = require('../models/Channel');
+const Message = require('../models/Message');
+const config = require('../config');
+const directMessageService = require('./directMessageService');
+const { createStorageDriver } = require('./storage');
+const { logger } = require('../middleware/auth');
+
+// Leading bytes of the image formats we preview, served files must really be what they claim
+const IMAGE_SIGNATURES = {
+  'image/png': [{ offset: 0, bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] }],
+  'image/jpeg': [{ offset: 0, bytes: [0xff, 0xd8, 0xff] }],
+  'image/gif': [{ offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] }],
+  'image/webp': [{ offset: 0, bytes: [0x52, 0x49, 0x46, 0x46] }, { offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] }]
+};
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+// JPEG has no transparency, previews get the chat background instead of black
+const THUMBNAIL_BACKGROUND = '#313338';
+
+class AttachmentService {
+  constructor() {
+    this.logger = logger;
+    this.storage = createStorageDriver();
+    this.timer = null;
+    this.processing = false;
+  }
+
+  isImage(mimeType) {
+    return Object.prototype.hasOwnProperty.call(IMAGE_SIGNATURES, mimeType);
+  }
+
+  matchesSignature(buffer, mimeType) {
+    return IMAGE_SIGNATURES[mimeType].every(({ offset, bytes }) =>
+      buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte)
+    );
+  }
+
+  /**
+   * Decode base64 file contents, with or without a data: URL prefix
+   * @param {string} data
+   * @returns {Buffer|null} - null when the input is not base64
+   */
+  decodeBase64(data) {
+    if (typeof data !== 'string') {
+      return null;
+    }
+
+    const encoded = data.replace(/^data:[^,]*;base64,/, '').replace(/\s/g, '');
+    if (encoded.length % 4 !== 0 || !BASE64_PATTERN.test(encoded)) {
+      return null;
+    }
+    return Buffer.from(encoded, 'base64');
+  }
+
+  /**
+   * Read the size of an image and render its JPEG preview
+   * @param {Buffer} buffer - Image contents, signature already checked
+   * @returns {Promise<Object>} - { thumbnail, width, height }
+   */
+  async createThumbnail(buffer) {
+    const { thumbnailSize } = config.attachments;
+
+    try {
+      const { width, height, orientation } = await sharp(buffer).metadata();
+      const thumbnail = await sharp(buffer)
+        .rotate()
+        .resize(thumbnailSize, thumbnailSize, { fit: 'inside', withoutEnlargement: true })
+        .flatten({ background: THUMBNAIL_BACKGROUND })
+        .jpeg({ quality: 80 })
+        .toBuffer();
+
+      // EXIF orientations 5-8 turn the picture on its side
+      const sideways = orientation >= 5;
+      return { thumbnail, width: sideways ? height : width, height: sideways ? width : height };
+    } catch (error) {
+      this.logger.warn('Failed to read uploaded image:', error.message);
+      throw new Error('File is not a valid image');
+    }
+  }
+
+  generateStorageKey() {
+    const now = new Date();
+    const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+    return `${now.getUTCFullYear()}/${month}/${crypto.randomUUID()}`;
+  }
+
+  /**
+   * Validate and store an uploaded file, images get a JPEG thumbnail
+   * @param {Object} uploader - Uploading user ({ _id, nickname, role })
+   * @param {string} channelId - Channel the file is uploaded to
+   * @param {Object} file - { filename, mimeType, data }, data in base64
+   * @returns {Promise<Object>} - Attachment document
+   */
+  async createAttachment(uploader, channelId, file) {
+    try {
+      const channel = await Channel.findOne({ id: channelId });
+      const isMember = channel?.type === 'dm' && channel.members.includes(uploader.nickname);
+      if (!channel || (channel.type !== 'text' && !isMember)) {
+        throw new Error('Channel not found');
+      }
+
+      const restricted = channel.permissions?.read === 'admin' || channel.permissions?.write === 'admin';
+      if (restricted && uploader.role !== 'admin') {
+        throw new Error('You cannot upload files to this channel');
+      }
+
+      const { maxFileSize, allowedMimeTypes } = config.attachments;
+      if (!allowedMimeTypes.includes(file.mimeType)) {
+        throw new Error('File type not allowed');
+      }
+
+      const buffer = this.decodeBase64(file.data);
+      if (!buffer || buffer.length === 0) {
+        throw new Error('File is empty or not base64 encoded');
+      }
+
+      if (buffer.length > maxFileSize) {
+        throw new Error(`File is too large (max ${maxFileSize} bytes)`);
+      }
+
+      const isImage = this.isImage(file.mimeType);
+      if (isImage && !this.matchesSignature(buffer, file.mimeType)) {
+        throw new Error('File contents do not match its type');
+      }
+
+      const { thumbnail = null, width = null, height = null } = isImage ? await this.createThumbnail(buffer) : {};
+
+      const storageKey = this.generateStorageKey();
+      const thumbnailKey = thumbnail ? `${storageKey}-thumb` : null;
+
+      await this.storage.save(storageKey, buffer, { contentType: file.mimeType });
+      try {
+        if (thumbnail) {
+          await this.storage.save(thumbnailKey, thumbnail, { contentType: 'image/jpeg' });
+        }
+
+        const attachment = await Attachment.create({
+          uploader: uploader._id,
+          channel: channelId,
+          filename: file.filename,
+          mimeType: file.mimeType,
+          size: buffer.length,
+          width,
+          height,
+          storageKey,
+          thumbnailKey
+        });
+
+        this.logger.info(`Attachment ${attachment._id} uploaded by ${uploader.nickname} to ${channelId}`, {
+          mimeType: file.mimeType,
+          size: buffer.length
+        });
+
+        return attachment;
+      } catch (error) {
+        await this.removeStoredFiles({ storageKey, thumbnailKey });
+        throw error;
+      }
+    } catch (error) {
+      this.logger.error('Error creating attachment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Bind uploaded attachments to a new message.
+   * Only unattached uploads of the same user and channel can be claimed, each exactly once.
+   * @param {Array} attachmentIds - Attachment IDs sent with the message
+   * @param {Object} owner - { uploaderId, channelId, messageId }
+   * @returns {Promise<Array>} - Entries for Message.attachments, in the given order
+   */
+  async claimAttachments(attachmentIds, { uploaderId, channelId, messageId }) {
+    try {
+      const ids = Array.isArray(attachmentIds) ? [...new Set(attachmentIds.map(String))] : null;
+      if (!ids || ids.length > config.attachments.maxPerMessage || !ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        throw new Error('Invalid attachments');
+      }
+
+      if (ids.length === 0) {
+        return [];
+      }
+
+      const result = await Attachment.updateMany(
+        { _id: { $in: ids }, uploader: uploaderId, channel: channelId, message: null },
+        { $set: { message: messageId } }
+      );
+
+      if (result.modifiedCount !== ids.length) {
+        await this.releaseAttachments(messageId);
+        throw new Error('Invalid attachments');
+      }
+
+      const attachments = await Attachment.find({ _id: { $in: ids } });
+      const byId = new Map(attachments.map(attachment => [attachment._id.toString(), attachment]));
+
+      return ids.map(id => {
+        const attachment = byId.get(id);
+        return {
+          attachment: attachment._id,
+          filename: attachment.filename,
+          mimeType: attachment.mimeType,
+          size: attachment.size,
+          width: attachment.width,
+          height: attachment.height,
+          hasThumbnail: Boolean(attachment.thumbnailKey)
+        };
+      });
+    } catch (error) {
+      this.logger.error('Error claiming attachments:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Return claimed attachments to the unattached state, e.g. when saving the message failed
+   * @param {ObjectId} messageId
+   */
+  async releaseAttachments(messageId) {
+    await Attachment.updateMany({ message: messageId }, { $set: { message: null } });
+  }
+
+  async removeStoredFiles({ storageKey, thumbnailKey }) {
+    const keys = [storageKey, thumbnailKey].filter(Boolean);
+    await Promise.all(keys.map(key =>
+      this.storage.remove(key).catch(error =>
+        this.logger.warn(`Failed to remove stored file ${key}:`, error.message)
+      )
+    ));
+  }
+
+  /**
+   * Delete the files of a message, used when the message is deleted
+   * @param {ObjectId} messageId
+   * @returns {Promise<number>} - Number of removed attachments
+   */
+  async removeMessageAttachments(messageId) {
+    try {
+      const attachments = await Attachment.find({ message: messageId });
+      for (const attachment of attachments) {
+        await this.removeStoredFiles(attachment);
+      }
+      await Attachment.deleteMany({ message: messageId });
+      return attachments.length;
+    } catch (error) {
+      this.logger.error('Error removing message attachments:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete uploads that no message claimed in time, with their files
+   * @param {Date} now - Uploads older than the configured TTL before this time are removed
+   * @returns {Promise<number>} - Number of removed attachments
+   */
+  async removeUnclaimed(now = new Date()) {
+    if (this.processing) {
+      return 0;
+    }
+
+    this.processing = true;
+    let total = 0;
+    try {
+      const { unclaimedTtl, cleanupBatchSize } = config.attachments;
+      const cutoff = new Date(now.getTime() - unclaimedTtl);
+
+      for (;;) {
+        const unclaimed = await Attachment.find({ message: null, createdAt: { $lt: cutoff } })
+          .limit(cleanupBatchSize)
+          .lean();
+
+        for (const attachment of unclaimed) {
+          // A message may claim the upload right now, then it stays
+          const { deletedCount } = await Attachment.deleteOne({ _id: attachment._id, message: null });
+          if (deletedCount > 0) {
+            await this.removeStoredFiles(attachment);
+            total += 1;
+          }
+        }
+
+        if (unclaimed.length < cleanupBatchSize) {
+          break;
+        }
+      }
+
+      if (total > 0) {
+        this.logger.info(`Removed ${total} unclaimed attachments`);
+      }
+      return total;
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Start removing unclaimed uploads. Safe to run on every instance, each upload
+   * is deleted by whichever instance gets to it first.
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.removeUnclaimed().catch(error =>
+        this.logger.error('Attachment cleanup job failed:', error)
+      );
+    }, config.attachments.cleanupInterval);
+    // The job alone should not keep the process alive
+    this.timer.unref();
+
+    this.logger.info('Attachment cleanup job started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Load an attachment the viewer is allowed to download.
+   * Unattached uploads are visible to the uploader only; otherwise the message decides.
+   * @param {string} attachmentId
+   * @param {Object} viewer - { userId, nickname, role }
+   * @returns {Promise<Object>} - Attachment document
+   */
+  async getAttachmentForViewer(attachmentId, viewer) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(attachmentId)) {
+        throw new Error('Attachment not found');
+      }
+
+      const attachment = await Attachment.findById(attachmentId);
+      if (!attachment) {
+        throw new Error('Attachment not found');
+      }
+
+      if (!attachment.message) {
+        if (attachment.uploader.toString() !== viewer.userId.toString()) {
+          throw new Error('Attachment not found');
+        }
+        return attachment;
+      }
+
+      const message = await Message.findById(attachment.message).select('type author target channel deletedAt');
+      const canView = message && !message.deletedAt &&
+        (message.type !== 'private' || message.author === viewer.nickname || message.target === viewer.nickname);
+      if (!canView) {
+        throw new Error('Attachment not found');
+      }
+
+      if (viewer.role !== 'admin' || directMessageService.isDirectChannelId(message.channel)) {
+        const channel = await Channel.findOne({ id: message.channel }).select('type members permissions');
+        const readable = channel?.type === 'dm'
+          ? channel.members.includes(viewer.nickname)
+          : channel?.permissions?.read !== 'admin';
+        if (!readable) {
+          throw new Error('Attachment not found');
+        }
+      }
+
+      return attachment;
+    } catch (error) {
+      this.logger.error('Error loading attachment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Open the stored file or its thumbnail
+   * @param {Object} attachment - Attachment document
+   * @param {boolean} thumbnail - Whether to open the thumbnail
+   * @returns {Promise<Object>} - { stream, mimeType }
+   */
+  async openAttachment(attachment, thumbnail = false) {
+    if (thumbnail && !attachment.thumbnailKey) {
+      throw new Error('Attachment not found');
+    }
+
+    const stream = await this.storage.createReadStream(thumbnail ? attachment.thumbnailKey : attachment.storageKey);
+    return { stream, mimeType: thumbnail ? 'image/jpeg' : attachment.mimeType };
+  }
+
+  /**
+   * Client-facing attachment data
+   * @param {Object} item - Attachment document or Message.attachments entry
+   * @returns {Object}
+   */
+  formatAttachment(item) {
+    const id = (item.attachment || item._id).toString();
+    const hasThumbnail = item.hasThumbnail ?? Boolean(item.thumbnailKey);
+
+    return {
+      id,
+      filename: item.filename,
+      mimeType: item.mimeType,
+      size: item.size,
+      width: item.width || null,
+      height: item.height || null,
+      url: `/api/attachments/${id}`,
+      thumbnailUrl: hasThumbnail ? `/api/attachments/${id}/thumbnail` : null
+    };
+  }
+}
+
+module.exports = new AttachmentService();
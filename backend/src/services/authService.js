@@ -297,6 +297,11 @@ class AuthService {
         throw new Error('Invalid credentials');
       }
 
+      if (user.importedFrom) {
+        this.logger.warn('Login attempt with imported placeholder user', { nickname: user.nickname });
+        throw new Error('Invalid credentials');
+      }
+
       // Check if account is locked
       if (user.isAccountLocked()) {
         const lockTimeRemaining = Math.ceil((user.accountLockedUntil - new Date()) / 1000 / 60);
@@ -629,6 +629,25 @@ class CacheService {
     }
   }
 
+  /**
+   * Drop all cached history pages for a channel after a message changes
+   * @param {string} channelId - Channel ID
+   * @returns {Promise<boolean>} - Success status
+   */
+  async invalidateChannelMessagesCache(channelId) {
+    try {
+      await redisManager.clearCache(`${config.redis.keyPrefix}channel:${channelId}:messages:*`);
+
+      this.cacheStats.deletes++;
+      this.logger.debug(`Channel messages cache invalidated: ${channelId}`);
+      return true;
+    } catch (error) {
+      this.cacheStats.errors++;
+      this.logger.error('Error invalidating channel messages cache:', error);
+      return false;
+    }
+  }
+
   /**
    * Get memory usage information from Redis
    * @returns {Promise<Object>} - Memory usage data
@@ -682,6 +701,7 @@ module.exports = {
   // Channel messages caching exports
   cacheChannelMessages: (channelId, messages, page, limit) => cacheService.cacheChannelMessages(channelId, messages, page, limit),
   getCachedChannelMessages: (channelId, page, limit) => cacheService.getCachedChannelMessages(channelId, page, limit),
+  invalidateChannelMessagesCache: (channelId) => cacheService.invalidateChannelMessagesCache(channelId),
   // Connection monitoring exports
   getConnectionMetrics: () => cacheService.getConnectionMetrics()
 };
\ No newline at end of file
@@ -22,8 +22,9 @@ class ChannelService {
         return cachedChannels;
       }
 
-      const channels = await Channel.find({})
-        .select('-_id id name type description createdBy position')
+      // Direct conversations are listed per user, see directMessageService
+      const channels = await Channel.find({ type: { $ne: 'dm' } })
+        .select('-_id id name type description createdBy position permissions messageExpiry')
         .sort({ position: 1 });
 
       // Cache the result asynchronously (don't wait)
@@ -132,6 +133,28 @@ class ChannelService {
     }
   }
 
+  /**
+   * Check that a user may post to a channel or direct conversation right now
+   * @param {Object} user - User document
+   * @param {string} channelId
+   */
+  async assertCanPost(user, channelId) {
+    const channel = await Channel.findOne({ id: channelId }).select('type members permissions');
+    const isMember = channel?.type === 'dm' && channel.members.includes(user.nickname);
+    if (!channel || (channel.type !== 'text' && !isMember)) {
+      throw new Error('Channel not found');
+    }
+
+    const restricted = channel.permissions?.read === 'admin' || channel.permissions?.write === 'admin';
+    if (restricted && user.role !== 'admin') {
+      throw new Error('You cannot post to this channel');
+    }
+
+    if (user.isBanned()) {
+      throw new Error('You are banned and cannot send messages');
+    }
+  }
+
   async createDefaultChannels() {
     try {
       const defaultChannels = [
@@ -1,11 +1,19 @@
+const mongoose = require('mongoose');
 const Message = require('../models/Message');
 const Channel = require('../models/Channel');
 const User = require('../models/User');
 const { logger } = require('../middleware/auth');
+const mentionService = require('./mentionService');
+const attachmentService = require('./attachmentService');
+const directMessageService = require('./directMessageService');
+const pollService = require('./pollService');
+const messageExpiryService = require('./messageExpiryService');
+const contentFilterService = require('./contentFilterService');
 const {
   getCachedChannelMessages,
   cacheChannelMessages,
-  getConnectionMetrics
+  getConnectionMetrics,
+  invalidateChannelMessagesCache
 } = require('./cacheService');
 const { trackQueryPerformance } = require('../../db/connection');
 
@@ -28,7 +36,7 @@ class ChatService {
     try {
       const channels = await Channel.find({
         id: { $in: channelIds }
-      }).select('id name type description');
+      }).select('id name type description members');
 
       // Convert to Map for easy lookup
       const channelMap = new Map();
@@ -56,13 +64,13 @@ class ChatService {
     try {
       const users = await User.find({
         nickname: { $in: userIds }
-      }).select('nickname isBanned isMuted');
+      }).select('nickname banned banExpires muteExpires');
 
       const userMap = new Map();
       for (const user of users) {
         userMap.set(user.nickname, {
-          isBanned: user.isBanned,
-          isMuted: user.isMuted,
+          isBanned: user.isBanned(),
+          isMuted: Boolean(user.isMuted()),
           exists: true
         });
       }
@@ -85,20 +93,149 @@ class ChatService {
     }
   }
 
+  /**
+   * Shape a stored message into the payload sent to clients
+   * @param {Object} message - Message document or plain object
+   * @param {string} viewer - Nickname of the user the message is sent to, adds their own poll votes
+   * @returns {Object} - Client-facing message data
+   */
+  formatMessage(message, viewer = null) {
+    return {
+      id: message._id ? message._id.toString() : undefined,
+      author: message.author,
+      room: message.channel,
+      text: message.text,
+      type: message.type,
+      target: message.target,
+      action: Boolean(message.action),
+      timestamp: message.timestamp,
+      editedAt: message.editedAt || null,
+      deleted: Boolean(message.deletedAt),
+      deletedAt: message.deletedAt || null,
+      deletedBy: message.deletedBy || null,
+      reactions: this.formatReactions(message.reactions),
+      replyTo: message.replyTo ? message.replyTo.toString() : null,
+      replyCount: message.replyCount || 0,
+      lastReplyAt: message.lastReplyAt || null,
+      mentions: (message.mentions || []).map(mention => mention.nickname),
+      attachments: (message.attachments || []).map(attachment => attachmentService.formatAttachment(attachment)),
+      clientId: message.clientId || null,
+      poll: message.poll ? pollService.formatPoll(message.poll, viewer) : null,
+      forwardedFrom: message.forwardedFrom ? {
+        messageId: message.forwardedFrom.message.toString(),
+        author: message.forwardedFrom.author,
+        room: message.forwardedFrom.channel,
+        timestamp: message.forwardedFrom.timestamp
+      } : null,
+      expiresAt: message.expiresAt || null
+    };
+  }
+
+  /**
+   * Aggregate stored reactions into per-emoji counts
+   * @param {Map|Object} reactions - Emoji mapped to reacting nicknames
+   * @returns {Array} - [{ emoji, count, users }]
+   */
+  formatReactions(reactions) {
+    if (!reactions) {
+      return [];
+    }
+
+    const entries = reactions instanceof Map ? Array.from(reactions.entries()) : Object.entries(reactions);
+    return entries
+      .filter(([, users]) => users && users.length > 0)
+      .map(([emoji, users]) => ({ emoji, count: users.length, users: [...users] }));
+  }
+
+  /**
+   * Personal Socket.IO room joined by every connection of a user
+   * @param {string} nickname - User nickname
+   * @returns {string} - Room name
+   */
+  getUserRoom(nickname) {
+    return `user:${nickname}`;
+  }
+
+  /**
+   * Subscribe every connection of the members to a direct conversation and tell them about it
+   * @param {Object} io - Socket.IO server instance
+   * @param {Object} channel - Channel document of type 'dm'
+   */
+  announceConversation(io, channel) {
+    const userRooms = channel.members.map(nickname => this.getUserRoom(nickname));
+    io.in(userRooms).socketsJoin(channel.id);
+    io.to(userRooms).emit('conversation_updated', directMessageService.formatConversation(channel));
+  }
+
+  /**
+   * Unsubscribe every connection of a former member from a direct conversation
+   * @param {Object} io - Socket.IO server instance
+   * @param {string} channelId - Channel ID
+   * @param {string} nickname - Former member
+   */
+  async removeFromConversation(io, channelId, nickname) {
+    const sockets = await io.in(this.getUserRoom(nickname)).fetchSockets();
+    sockets.forEach(memberSocket => {
+      memberSocket.leave(channelId);
+      if (memberSocket.room === channelId) {
+        memberSocket.room = null;
+      }
+    });
+    io.to(this.getUserRoom(nickname)).emit('conversation_removed', { id: channelId });
+  }
+
+  /**
+   * Delete every message of a channel with its attachments, used when a conversation is removed
+   * @param {string} channelId - Channel ID
+   * @returns {Promise<number>} - Number of deleted messages
+   */
+  async removeChannelMessages(channelId) {
+    try {
+      const withAttachments = await Message.find({ channel: channelId, 'attachments.0': { $exists: true } }).select('_id');
+      for (const message of withAttachments) {
+        await attachmentService.removeMessageAttachments(message._id);
+      }
+
+      const { deletedCount } = await Message.deleteMany({ channel: channelId });
+      invalidateChannelMessagesCache(channelId).catch(error =>
+        this.logger.warn('Failed to invalidate channel messages cache:', error.message)
+      );
+      return deletedCount;
+    } catch (error) {
+      this.logger.error('Error removing channel messages:', error);
+      throw error;
+    }
+  }
+
   async saveMessage(messageData) {
     try {
-      const { author, channel, text, type, target } = messageData;
+      const { _id, author, channel, text, type, target, action, replyTo, mentions, attachments, clientId, poll, forwardedFrom, expiresAt } = messageData;
 
       const message = new Message({
+        _id,
         author,
         channel,
         text,
         type: type || 'public',
-        target
+        target,
+        action: Boolean(action),
+        replyTo: replyTo || null,
+        mentions: mentions || [],
+        attachments: attachments || [],
+        clientId: clientId || undefined,
+        poll: poll || undefined,
+        forwardedFrom: forwardedFrom || null,
+        expiresAt: expiresAt || null
       });
 
       await message.save();
 
+      if (directMessageService.isDirectChannelId(channel)) {
+        directMessageService.touch(channel, message.timestamp).catch(error =>
+          this.logger.warn('Failed to update direct conversation activity:', error.message)
+        );
+      }
+
       this.logger.debug(`Message saved from ${author} in ${channel}`);
       return message;
     } catch (error) {
@@ -107,13 +244,49 @@ class ChatService {
     }
   }
 
-  async getChannelHistory(channelId, limit = 100, page = 1) {
+  /**
+   * Parse a history cursor pointing at the oldest message a client already has.
+   * Timestamps are not unique, so the message id breaks ties.
+   * @param {Object} before - { timestamp, id }
+   * @returns {Object|null} - Mongo filter selecting older messages
+   */
+  buildHistoryCursorFilter(before) {
+    if (!before) {
+      return null;
+    }
+
+    const timestamp = new Date(before.timestamp);
+    if (Number.isNaN(timestamp.getTime()) || !mongoose.Types.ObjectId.isValid(before.id)) {
+      throw new Error('Invalid history cursor');
+    }
+
+    const id = new mongoose.Types.ObjectId(before.id);
+    return {
+      $or: [
+        { timestamp: { $lt: timestamp } },
+        { timestamp, _id: { $lt: id } }
+      ]
+    };
+  }
+
+  /**
+   * Get a page of public channel history, newest page first
+   * @param {string} channelId - Channel ID
+   * @param {number} limit - Page size
+   * @param {Object} before - Cursor of the oldest message already loaded ({ timestamp, id })
+   * @returns {Promise<Object>} - { messages, hasMore } with messages oldest first
+   */
+  async getChannelHistory(channelId, limit = 100, before = null) {
     try {
-      // Check cache first
-      const cachedMessages = await getCachedChannelMessages(channelId, page, limit);
-      if (cachedMessages) {
-        this.logger.debug(`Channel history cache hit for ${channelId}`);
-        return cachedMessages;
+      const cursorFilter = this.buildHistoryCursorFilter(before);
+
+      // Only the newest page is cached, older pages are rarely read twice
+      if (!cursorFilter) {
+        const cachedMessages = await getCachedChannelMessages(channelId, 1, limit);
+        if (cachedMessages) {
+          this.logger.debug(`Channel history cache hit for ${channelId}`);
+          return { messages: cachedMessages, hasMore: cachedMessages.length === limit };
+        }
       }
 
       // Verify channel exists (batch operation)
@@ -129,80 +302,103 @@ class ChatService {
         {
           $match: {
             channel: channelId,
-            type: { $in: ['public', 'system'] }
+            type: { $in: ['public', 'system', 'poll'] },
+            // Thread replies live in the thread, not the main timeline
+            replyTo: null,
+            $and: [messageExpiryService.buildUnexpiredFilter()],
+            ...cursorFilter
           }
         },
         {
-          $sort: { timestamp: -1 }
-        },
-        {
-          $limit: limit * page
-        },
-        {
-          $sort: { timestamp: 1 }
+          $sort: { timestamp: -1, _id: -1 }
         },
         {
-          $skip: (page - 1) * limit
+          // One extra message tells whether an older page exists
+          $limit: limit + 1
         },
         {
+          // Everything formatMessage reads
           $project: {
-            _id: 0, // Exclude MongoDB _id
             author: 1,
             channel: 1,
             text: 1,
             type: 1,
             target: 1,
-            timestamp: 1
+            action: 1,
+            timestamp: 1,
+            editedAt: 1,
+            deletedAt: 1,
+            deletedBy: 1,
+            reactions: 1,
+            replyTo: 1,
+            replyCount: 1,
+            lastReplyAt: 1,
+            mentions: 1,
+            attachments: 1,
+            clientId: 1,
+            poll: 1,
+            forwardedFrom: 1,
+            expiresAt: 1
           }
         }
       ]);
 
-      // Format messages for response
-      const formattedHistory = history.map(msg => ({
-        author: msg.author,
-        room: msg.channel,
-        text: msg.text,
-        type: msg.type,
-        target: msg.target,
-        timestamp: msg.timestamp
-      }));
-
-      // Cache the result asynchronously (don't wait)
-      cacheChannelMessages(channelId, formattedHistory, page, limit).catch(error =>
-        this.logger.warn('Failed to cache channel messages:', error.message)
-      );
+      const hasMore = history.length > limit;
+
+      // Format messages for response, oldest first
+      const formattedHistory = history.slice(0, limit).reverse().map(msg => this.formatMessage(msg));
+
+      if (!cursorFilter) {
+        // Cache the result asynchronously (don't wait)
+        cacheChannelMessages(channelId, formattedHistory, 1, limit).catch(error =>
+          this.logger.warn('Failed to cache channel messages:', error.message)
+        );
+      }
 
       this.logger.debug(`Retrieved ${formattedHistory.length} messages for channel ${channelId}`);
-      return formattedHistory;
+      return { messages: formattedHistory, hasMore };
     } catch (error) {
       this.logger.error('Error getting channel history:', error);
       throw error;
     }
   }
 
-  async getUserChannelHistory(channelId, userNickname, limit = 100) {
+  /**
+   * Get a page of channel history as seen by a user, including their private messages
+   * @param {string} channelId - Channel ID
+   * @param {string} userNickname - Viewing user
+   * @param {number} limit - Page size
+   * @param {Object} before - Cursor of the oldest message already loaded ({ timestamp, id })
+   * @returns {Promise<Object>} - { messages, hasMore } with messages oldest first
+   */
+  async getUserChannelHistory(channelId, userNickname, limit = 100, before = null) {
     try {
-      const history = await Message.find({
-        channel: channelId,
+      const cursorFilter = this.buildHistoryCursorFilter(before);
+      const visibility = {
         $or: [
           { type: 'public' },
           { type: 'system' },
+          { type: 'poll' },
           { author: userNickname },
           { target: userNickname }
         ]
+      };
+
+      const conditions = [visibility, messageExpiryService.buildUnexpiredFilter()];
+      const history = await Message.find({
+        channel: channelId,
+        replyTo: null,
+        $and: cursorFilter ? [...conditions, cursorFilter] : conditions
       })
-        .sort({ timestamp: -1 })
-        .limit(limit)
-        .sort({ timestamp: 1 });
-
-      return history.map(msg => ({
-        author: msg.author,
-        room: msg.channel,
-        text: msg.text,
-        type: msg.type,
-        target: msg.target,
-        timestamp: msg.timestamp
-      }));
+        .sort({ timestamp: -1, _id: -1 })
+        .limit(limit + 1);
+
+      const hasMore = history.length > limit;
+
+      return {
+        messages: history.slice(0, limit).reverse().map(msg => this.formatMessage(msg, userNickname)),
+        hasMore
+      };
     } catch (error) {
       this.logger.error('Error getting user channel history:', error);
       throw error;
@@ -215,12 +411,13 @@ class ChatService {
       const channels = await this.getChannelsBatch([channelId]);
       const channel = channels.get(channelId);
 
-      if (!channel) {
+      const isDirect = channel?.type === 'dm';
+      if (!channel || (isDirect && !channel.members.includes(socket.nickname))) {
         throw new Error('Channel not found');
       }
 
-      // Leave previous room
-      if (socket.room) {
+      // Leave previous room, connections stay subscribed to their direct conversations
+      if (socket.room && !directMessageService.isDirectChannelId(socket.room)) {
         socket.leave(socket.room);
       }
 
@@ -232,6 +429,11 @@ class ChatService {
         connectionMetrics: getConnectionMetrics()
       });
 
+      if (isDirect) {
+        const { messages: history, hasMore } = await this.getUserChannelHistory(channelId, socket.nickname);
+        return { channel, history, hasMore };
+      }
+
       // Send system message about joining
       const joinMessage = new Message({
         author: 'System',
@@ -250,10 +452,10 @@ class ChatService {
         timestamp: joinMessage.timestamp
       });
 
-      // Send message history
-      const history = await this.getUserChannelHistory(channelId, socket.nickname);
+      // Send the newest page of message history
+      const { messages: history, hasMore } = await this.getUserChannelHistory(channelId, socket.nickname);
 
-      return { channel, history };
+      return { channel, history, hasMore };
     } catch (error) {
       this.logger.error('Error joining channel:', error);
       throw error;
@@ -262,7 +464,7 @@ class ChatService {
 
   async leaveChannel(socket, io) {
     try {
-      if (socket.room) {
+      if (socket.room && !directMessageService.isDirectChannelId(socket.room)) {
         // Create leave message
         const leaveMessage = new Message({
           author: 'System',
@@ -287,13 +489,54 @@ class ChatService {
   }
 
   async sendPublicMessage(socket, data, io) {
+    return this.postMessage(socket, socket.room, data, io);
+  }
+
+  /**
+   * Post a message from a socket user to a channel or direct conversation
+   * @param {Object} socket - Author socket
+   * @param {string} channelId - Channel ID
+   * @param {Object} data - { text, attachments, replyTo, action, clientId, expiresIn (minutes) }, or poll instead of text
+   * @param {Object} io - Socket.IO server instance
+   * @returns {Promise<Object>} - Formatted message, with duplicate: true when the client id was already posted,
+   *   or { held: true, id, room, clientId, reason } when a content filter held it for review
+   */
+  async postMessage(socket, channelId, data, io) {
     try {
-      // Validate input first
-      if (!socket.room || !data.text?.trim()) {
+      const attachmentIds = data.attachments || [];
+
+      // A poll's question is its text
+      const poll = data.poll ? pollService.buildPoll(data.poll) : null;
+      if (poll && (attachmentIds.length > 0 || data.replyTo)) {
+        throw new Error('Polls cannot have attachments or be posted in threads');
+      }
+
+      // Validate input first, a message with attachments may have no text
+      if (!channelId || (!poll && !data.text?.trim() && !attachmentIds.length)) {
         throw new Error('Invalid message data');
       }
 
-      const trimmedText = data.text.trim();
+      const trimmedText = poll ? poll.question : (data.text || '').trim();
+
+      // Members who left a group conversation may still have it open
+      if (directMessageService.isDirectChannelId(channelId)
+        && !(await directMessageService.isMember(channelId, socket.nickname))) {
+        throw new Error('Channel not found');
+      }
+
+      if (data.clientId !== undefined && !this.isValidClientId(data.clientId)) {
+        throw new Error('Invalid client message id');
+      }
+
+      // A resend after a lost acknowledgement gets the message that was already posted
+      const posted = data.clientId ? await this.findByClientId(socket.nickname, data.clientId) : null;
+      if (posted) {
+        return posted;
+      }
+      const held = data.clientId ? await contentFilterService.findHeld(socket.nickname, data.clientId) : null;
+      if (held) {
+        return held;
+      }
 
       // Optimized: Check user status in batch (removes N+1 query)
       const userStatuses = await this.getUsersStatusBatch([socket.nickname]);
@@ -314,32 +557,110 @@ class ChatService {
       // Use connection monitoring for performance tracking
       const connectionMetrics = getConnectionMetrics();
 
-      const message = await this.saveMessage({
+      const threadRoot = data.replyTo ? await this.getThreadRoot(data.replyTo, channelId) : null;
+      const expiresAt = await messageExpiryService.resolveExpiry(channelId, data.expiresIn);
+
+      // Poll options are filtered along with the question
+      const verdict = await contentFilterService.filterMessage({
+        text: poll ? pollService.toText(poll) : trimmedText,
         author: socket.nickname,
-        channel: socket.room,
-        text: trimmedText,
-        type: 'public'
+        channelId
+      });
+      if (verdict.action === 'reject') {
+        throw contentFilterService.createRejection(verdict);
+      }
+      const filteredPoll = poll ? pollService.fromText(poll, verdict.text) : null;
+      const text = filteredPoll ? filteredPoll.question : verdict.text;
+
+      const messageId = new mongoose.Types.ObjectId();
+      const attachments = await attachmentService.claimAttachments(attachmentIds, {
+        uploaderId: socket.userId,
+        channelId,
+        messageId
       });
 
+      if (verdict.action === 'hold') {
+        try {
+          // Mentions, expiry and thread summary are applied when the message is approved
+          return await contentFilterService.holdMessage({
+            messageId,
+            author: socket.nickname,
+            channel: channelId,
+            text,
+            type: poll ? 'poll' : 'public',
+            action: !poll && Boolean(data.action),
+            replyTo: threadRoot ? threadRoot._id : null,
+            attachments,
+            poll: filteredPoll?.poll,
+            clientId: data.clientId,
+            expiresIn: data.expiresIn || null
+          }, verdict);
+        } catch (error) {
+          if (attachments.length > 0) {
+            await attachmentService.releaseAttachments(messageId);
+          }
+          throw error;
+        }
+      }
+
+      const mentions = await mentionService.resolveMentions(text, {
+        channelId,
+        author: socket.nickname,
+        io
+      });
+
+      let message;
+      try {
+        message = await this.saveMessage({
+          _id: messageId,
+          author: socket.nickname,
+          channel: channelId,
+          text,
+          type: poll ? 'poll' : 'public',
+          action: !poll && Boolean(data.action),
+          replyTo: threadRoot ? threadRoot._id : null,
+          mentions,
+          attachments,
+          clientId: data.clientId,
+          poll: filteredPoll?.poll,
+          expiresAt
+        });
+      } catch (error) {
+        if (attachments.length > 0) {
+          await attachmentService.releaseAttachments(messageId);
+        }
+        // The same message was resent while the first send was still being saved
+        if (error.code === 11000 && data.clientId) {
+          const concurrent = await this.findByClientId(socket.nickname, data.clientId);
+          if (concurrent) {
+            return concurrent;
+          }
+        }
+        throw error;
+      }
+
       const messageData = {
-        author: message.author,
-        room: message.channel,
-        text: message.text,
-        timestamp: message.timestamp,
+        ...this.formatMessage(message),
         status: 'delivered',
-        type: message.type,
         connectionStats: {
           activeConnections: connectionMetrics.activeCount,
           availableConnections: connectionMetrics.availableCount
         }
       };
 
-      io.to(socket.room).emit('message', messageData);
+      if (threadRoot) {
+        await this.updateThreadSummary(threadRoot._id, message, io);
+        io.to(channelId).emit('thread_reply', messageData);
+      } else {
+        io.to(channelId).emit('message', messageData);
+      }
+
+      this.notifyMentions(io, messageData);
 
       // Log performance metrics occasionally
       if (Math.random() < 0.1) { // 10% sampling
         this.logger.info('Message sent performance', {
-          channelId: socket.room,
+          channelId,
           author: socket.nickname,
           connectionMetrics
         });
@@ -352,99 +673,128 @@ class ChatService {
     }
   }
 
-  async sendPrivateMessage(socket, data, onlineUsers, io) {
-    try {
-      const trimmedText = data.text.trim();
-      const targetNickname = data.to.trim();
-
-      if (!socket.room || !targetNickname || !trimmedText) {
-        throw new Error('Invalid private message data');
-      }
+  isValidClientId(clientId) {
+    return typeof clientId === 'string' && /^[A-Za-z0-9_-]{1,64}$/.test(clientId);
+  }
 
-      // Optimized: Batch check for both sender and target users
-      const userStatuses = await this.getUsersStatusBatch([socket.nickname, targetNickname]);
-      const senderStatus = userStatuses.get(socket.nickname);
-      const targetStatus = userStatuses.get(targetNickname);
+  /**
+   * Message a user already posted with the given client id
+   * @param {string} author - Author nickname
+   * @param {string} clientId - Client-generated message id
+   * @returns {Promise<Object|null>} - Formatted message marked as a duplicate
+   */
+  async findByClientId(author, clientId) {
+    const message = await Message.findOne({ author, clientId });
+    if (!message) {
+      return null;
+    }
+    return { ...this.formatMessage(message), status: 'delivered', duplicate: true };
+  }
 
-      // Validate sender
-      if (!senderStatus.exists) {
-        throw new Error('Sender not found');
-      }
+  /**
+   * Resolve the root message of the thread a reply belongs to.
+   * Threads are one level deep: replying to a reply continues its thread.
+   * @param {string} replyTo - ID of the message being replied to
+   * @param {string} channelId - Channel the reply is sent in
+   * @returns {Promise<Object>} - Root message document
+   */
+  async getThreadRoot(replyTo, channelId) {
+    if (!mongoose.Types.ObjectId.isValid(replyTo)) {
+      throw new Error('Thread not found');
+    }
 
-      if (senderStatus.isBanned) {
-        throw new Error('You are banned and cannot send messages');
-      }
+    let root = await Message.findById(replyTo);
+    if (root && root.replyTo) {
+      root = await Message.findById(root.replyTo);
+    }
 
-      if (senderStatus.isMuted) {
-        throw new Error('You are muted and cannot send messages');
-      }
+    if (!root || root.deletedAt || !['public', 'poll'].includes(root.type) || root.channel !== channelId) {
+      throw new Error('Thread not found');
+    }
 
-      // Validate target
-      if (!targetStatus || !targetStatus.exists) {
-        throw new Error('Target user not found');
-      }
+    return root;
+  }
 
-      // Validate target nickname format
-      if (targetNickname.length === 0 || targetNickname.length > 50) {
-        throw new Error('Invalid target user nickname');
-      }
+  /**
+   * Bump reply count and last reply time on the thread root and notify the channel
+   * @param {ObjectId} rootId - Thread root message ID
+   * @param {Object} reply - Newly saved reply
+   * @param {Object} io - Socket.IO server instance
+   */
+  async updateThreadSummary(rootId, reply, io) {
+    const root = await Message.findByIdAndUpdate(
+      rootId,
+      {
+        $inc: { replyCount: 1 },
+        $max: { lastReplyAt: reply.timestamp }
+      },
+      { new: true }
+    );
+
+    if (!root) {
+      return;
+    }
 
-      // Prevent self-messaging
-      if (targetNickname === socket.nickname) {
-        throw new Error('Cannot send private message to yourself');
-      }
+    invalidateChannelMessagesCache(root.channel).catch(error =>
+      this.logger.warn('Failed to invalidate channel messages cache:', error.message)
+    );
 
-      // Find target user in same room
-      const targetUser = Array.from(onlineUsers.values()).find(
-        u => u.nickname === targetNickname && u.room === socket.room
-      );
+    io.to(root.channel).emit('thread_updated', {
+      id: root._id.toString(),
+      room: root.channel,
+      replyCount: root.replyCount,
+      lastReplyAt: root.lastReplyAt
+    });
+  }
 
-      if (!targetUser) {
-        throw new Error(`User '${targetNickname}' is not available in this channel`);
-      }
+  /**
+   * Push a 'mention' event to every mentioned user, whichever room they are in
+   * @param {Object} io - Socket.IO server instance
+   * @param {Object} messageData - Formatted message
+   */
+  notifyMentions(io, messageData) {
+    if (!messageData.mentions || messageData.mentions.length === 0) {
+      return;
+    }
 
-      const message = await this.saveMessage({
-        author: socket.nickname,
-        channel: socket.room,
-        text: trimmedText,
-        type: 'private',
-        target: targetNickname
-      });
+    io.to(messageData.mentions.map(nickname => this.getUserRoom(nickname))).emit('mention', {
+      id: messageData.id,
+      room: messageData.room,
+      author: messageData.author,
+      text: messageData.text,
+      replyTo: messageData.replyTo,
+      timestamp: messageData.timestamp
+    });
+  }
 
-      const messageData = {
-        author: message.author,
-        room: message.channel,
-        text: message.text,
-        timestamp: message.timestamp,
-        type: message.type,
-        target: message.target,
-        status: 'delivered'
-      };
+  /**
+   * Whisper to a user. The message goes to the direct conversation with them,
+   * so it reaches the target wherever they are and waits for them while offline.
+   * @param {Object} socket - Sender socket
+   * @param {Object} data - { to, text }
+   * @param {Object} io - Socket.IO server instance
+   * @returns {Promise<Object>} - Formatted message
+   */
+  async sendPrivateMessage(socket, data, io) {
+    try {
+      const text = typeof data?.text === 'string' ? data.text.trim() : '';
+      const targetNickname = typeof data?.to === 'string' ? data.to.trim() : '';
 
-      // Find target socket and send message
-      const targetSocketId = Array.from(onlineUsers.keys()).find(
-        id => onlineUsers.get(id).nickname === targetNickname
-      );
+      if (!targetNickname || !text) {
+        throw new Error('Invalid private message data');
+      }
 
-      if (targetSocketId) {
-        io.to(targetSocketId).emit('private_message', messageData);
+      const { channel, created } = await directMessageService.openConversation(socket.nickname, targetNickname);
+      if (created) {
+        this.announceConversation(io, channel);
       }
 
-      // Send confirmation to sender (without target for privacy)
-      socket.emit('private_message', {
-        author: message.author,
-        room: message.room,
-        text: message.text,
-        timestamp: message.timestamp,
-        type: message.type,
-        target: null, // Hide target from sender's confirmation
-        status: 'sent'
-      });
+      const messageData = await this.postMessage(socket, channel.id, { text }, io);
 
       this.logger.info(`Private message sent successfully`, {
         sender: socket.nickname,
         target: targetNickname,
-        room: socket.room
+        conversation: channel.id
       });
 
       return messageData;
@@ -476,13 +826,8 @@ class ChatService {
         type: 'system'
       });
 
-      io.to(channel).emit('message', {
-        author: systemMessage.author,
-        channel: systemMessage.channel,
-        text: systemMessage.text,
-        type: systemMessage.type,
-        timestamp: systemMessage.timestamp
-      });
+      io.to(channel).emit('message', this.formatMessage(systemMessage));
+      return systemMessage;
     } catch (error) {
       this.logger.error('Error creating system message:', error);
       throw error;
@@ -0,0 +1,217 @@
+const { logger } = require('../middleware/auth');
+const builtinCommands = require('./commands');
+
+// Permission levels a command can require, lowest first
+const ROLE_LEVELS = {
+  member: 0,
+  moderator: 1,
+  admin: 2
+};
+
+const COMMAND_NAME_PATTERN = /^[a-z][a-z0-9_-]{0,31}$/;
+const ARG_TYPES = ['string', 'user', 'number', 'text'];
+
+/**
+ * Registry of slash commands typed into the message input.
+ *
+ * A command is { name, description, permission, args, handler, aliases }:
+ * - permission: minimum role, 'member', 'moderator' or 'admin'
+ * - args: [{ name, type, required, description, min, max }], where type is
+ *   'string' (one word), 'user' (a nickname, leading @ allowed), 'number' (integer)
+ *   or 'text' (the rest of the line, last argument only)
+ * - handler(context, args): may return a reply shown only to the caller
+ */
+class CommandService {
+  constructor() {
+    this.logger = logger;
+    this.commands = new Map();
+    this.aliases = new Map();
+
+    builtinCommands.forEach(command => this.register(command));
+  }
+
+  /**
+   * Add a command to the registry
+   * @param {Object} command - Command definition
+   */
+  register(command) {
+    if (!COMMAND_NAME_PATTERN.test(command.name || '')) {
+      throw new Error(`Invalid command name: ${command.name}`);
+    }
+    if (typeof command.handler !== 'function') {
+      throw new Error(`Command /${command.name} has no handler`);
+    }
+    if (this.commands.has(command.name) || this.aliases.has(command.name)) {
+      throw new Error(`Command /${command.name} is already registered`);
+    }
+
+    const permission = command.permission || 'member';
+    if (!(permission in ROLE_LEVELS)) {
+      throw new Error(`Command /${command.name} has an unknown permission: ${permission}`);
+    }
+
+    const args = command.args || [];
+    args.forEach((arg, index) => {
+      if (!ARG_TYPES.includes(arg.type)) {
+        throw new Error(`Command /${command.name} has an argument of unknown type: ${arg.type}`);
+      }
+      if (arg.type === 'text' && index !== args.length - 1) {
+        throw new Error(`Command /${command.name} can only take text as its last argument`);
+      }
+    });
+
+    const definition = { ...command, permission, args, aliases: command.aliases || [] };
+    this.commands.set(command.name, definition);
+    definition.aliases.forEach(alias => this.aliases.set(alias, command.name));
+  }
+
+  getCommand(name) {
+    const key = name.toLowerCase();
+    return this.commands.get(key) || this.commands.get(this.aliases.get(key));
+  }
+
+  canUse(command, role) {
+    return (ROLE_LEVELS[role] || 0) >= ROLE_LEVELS[command.permission];
+  }
+
+  formatUsage(command) {
+    const args = command.args.map(arg => (arg.required ? `<${arg.name}>` : `[${arg.name}]`));
+    return [`/${command.name}`, ...args].join(' ');
+  }
+
+  /**
+   * Commands available to a role, as offered for autocomplete
+   * @param {string} role - Caller role
+   * @returns {Array} - [{ name, aliases, description, usage, permission, args }]
+   */
+  listCommands(role) {
+    return Array.from(this.commands.values())
+      .filter(command => this.canUse(command, role))
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(command => ({
+        name: command.name,
+        aliases: command.aliases,
+        description: command.description,
+        usage: this.formatUsage(command),
+        permission: command.permission,
+        args: command.args.map(arg => ({
+          name: arg.name,
+          type: arg.type,
+          required: Boolean(arg.required),
+          description: arg.description || null
+        }))
+      }));
+  }
+
+  /**
+   * Split command input into the command name and the rest of the line
+   * @param {string} input - e.g. "/mute bob 10"
+   * @returns {Object|null} - { name, rest }, null when the input is not a command
+   */
+  parseInput(input) {
+    const match = /^\/(\S+)(?:\s+([\s\S]*))?$/.exec((input || '').trim());
+    if (!match) {
+      return null;
+    }
+    return { name: match[1], rest: (match[2] || '').trim() };
+  }
+
+  /**
+   * Turn the text after the command name into named arguments
+   * @param {Object} command - Command definition
+   * @param {string} rest - Argument text
+   * @returns {Object} - Argument values by name
+   */
+  parseArgs(command, rest) {
+    const values = {};
+    let remaining = rest;
+
+    for (const arg of command.args) {
+      let raw;
+      if (arg.type === 'text') {
+        raw = remaining;
+        remaining = '';
+      } else {
+        const match = /^(\S+)\s*([\s\S]*)$/.exec(remaining);
+        raw = match ? match[1] : '';
+        remaining = match ? match[2] : '';
+      }
+
+      if (!raw) {
+        if (arg.required) {
+          throw new Error(`Usage: ${this.formatUsage(command)}`);
+        }
+        continue;
+      }
+
+      values[arg.name] = this.convertArg(command, arg, raw);
+    }
+
+    if (remaining) {
+      throw new Error(`Usage: ${this.formatUsage(command)}`);
+    }
+
+    return values;
+  }
+
+  convertArg(command, arg, raw) {
+    if (arg.type === 'user') {
+      return raw.replace(/^@/, '');
+    }
+
+    if (arg.type === 'number') {
+      const value = Number(raw);
+      if (!Number.isInteger(value)) {
+        throw new Error(`${arg.name} must be a whole number. Usage: ${this.formatUsage(command)}`);
+      }
+      if ((arg.min !== undefined && value < arg.min) || (arg.max !== undefined && value > arg.max)) {
+        throw new Error(`${arg.name} must be between ${arg.min} and ${arg.max}`);
+      }
+      return value;
+    }
+
+    return raw;
+  }
+
+  /**
+   * Run a command typed by a socket user
+   * @param {Object} socket - Caller socket
+   * @param {string} input - Full command line, starting with "/"
+   * @param {Object} services - { io, onlineUsers }
+   * @returns {Promise<Object>} - { command, reply }, reply is shown only to the caller
+   */
+  async execute(socket, input, { io, onlineUsers }) {
+    const parsed = this.parseInput(input);
+    if (!parsed) {
+      throw new Error('Type /help for a list of commands');
+    }
+
+    const command = this.getCommand(parsed.name);
+    if (!command) {
+      throw new Error(`Unknown command /${parsed.name}. Type /help for a list of commands`);
+    }
+
+    if (!this.canUse(command, socket.role)) {
+      throw new Error(`You do not have permission to use /${command.name}`);
+    }
+
+    const args = this.parseArgs(command, parsed.rest);
+    const context = {
+      socket,
+      io,
+      onlineUsers,
+      nickname: socket.nickname,
+      role: socket.role,
+      room: socket.room,
+      isModerator: socket.role === 'admin' || socket.role === 'moderator',
+      registry: this
+    };
+
+    this.logger.debug(`Command /${command.name} run by ${socket.nickname} in ${socket.room}`);
+    const reply = await command.handler(context, args);
+
+    return { command: command.name, reply: reply || null };
+  }
+}
+
+module.exports = new CommandService();
@@ -0,0 +1,24 @@
+module.exports = {
+  name: 'help',
+  description: 'List commands or show how to use one',
+  permission: 'member',
+  args: [
+    { name: 'command', type: 'string', description: 'Command to explain' }
+  ],
+  handler: async (context, { command: name }) => {
+    const { registry } = context;
+
+    if (name) {
+      const command = registry.getCommand(name.replace(/^\//, ''));
+      if (!command || !registry.canUse(command, context.role)) {
+        throw new Error(`Unknown command /${name.replace(/^\//, '')}`);
+      }
+      const aliases = command.aliases.length > 0 ? ` (also ${command.aliases.map(alias => `/${alias}`).join(', ')})` : '';
+      return `${registry.formatUsage(command)}${aliases}: ${command.description}`;
+    }
+
+    // Markdown list, rendered like any other message text
+    const lines = registry.listCommands(context.role).map(command => `- \`${command.usage}\`: ${command.description}`);
+    return ['Available commands:', ...lines].join('\n');
+  }
+};
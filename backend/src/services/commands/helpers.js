@@ -0,0 +1,67 @@
+const User = require('../../models/User');
+const chatService = require('../chatService');
+const directMessageService = require('../directMessageService');
+
+/**
+ * Commands that act on a channel need the caller to be in one
+ * @param {Object} context - Command context
+ * @returns {string} - Current channel ID
+ */
+const requireRoom = (context) => {
+  if (!context.room) {
+    throw new Error('Join a channel first');
+  }
+  return context.room;
+};
+
+/**
+ * Like requireRoom, for commands that make no sense in a direct conversation
+ * @param {Object} context - Command context
+ * @returns {string} - Current channel ID
+ */
+const requireChannel = (context) => {
+  const room = requireRoom(context);
+  if (directMessageService.isDirectChannelId(room)) {
+    throw new Error('This command only works in channels');
+  }
+  return room;
+};
+
+/**
+ * Load the user a moderation command targets. Moderators cannot act on
+ * other moderators or admins, and nobody can act on themselves.
+ * @param {Object} context - Command context
+ * @param {string} nickname - Target nickname
+ * @returns {Promise<Object>} - User document
+ */
+const findModerationTarget = async (context, nickname) => {
+  const target = await User.findOne({ nickname });
+  if (!target) {
+    throw new Error(`User ${nickname} not found`);
+  }
+
+  if (target.nickname === context.nickname) {
+    throw new Error('You cannot use this command on yourself');
+  }
+
+  if (target.hasAdminPrivileges() || (target.hasModeratorPrivileges() && context.role !== 'admin')) {
+    throw new Error(`You cannot moderate ${target.nickname}`);
+  }
+
+  return target;
+};
+
+/**
+ * Connected sockets of a user, across all channels
+ * @param {Object} io - Socket.IO server instance
+ * @param {string} nickname
+ * @returns {Promise<Array>}
+ */
+const getUserSockets = (io, nickname) => io.in(chatService.getUserRoom(nickname)).fetchSockets();
+
+module.exports = {
+  requireRoom,
+  requireChannel,
+  findModerationTarget,
+  getUserSockets
+};
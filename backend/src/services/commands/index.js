@@ -0,0 +1,11 @@
+// Built-in slash commands, registered by commandService on startup
+module.exports = [
+  require('./help'),
+  require('./me'),
+  require('./poll'),
+  require('./whisper'),
+  require('./topic'),
+  require('./nick'),
+  require('./mute'),
+  require('./kick')
+];
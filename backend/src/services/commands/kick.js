@@ -0,0 +1,42 @@
+const chatService = require('../chatService');
+const typingService = require('../typingService');
+const { requireChannel, findModerationTarget } = require('./helpers');
+
+module.exports = {
+  name: 'kick',
+  description: 'Remove a user from the current channel, they can join again',
+  permission: 'moderator',
+  args: [
+    { name: 'nickname', type: 'user', required: true, description: 'User to kick' },
+    { name: 'reason', type: 'text', description: 'Shown to the user and the channel' }
+  ],
+  handler: async (context, { nickname, reason }) => {
+    const { io, onlineUsers } = context;
+    const room = requireChannel(context);
+    const target = await findModerationTarget(context, nickname);
+
+    const sockets = (await io.in(room).fetchSockets()).filter(socket => socket.nickname === target.nickname);
+    if (sockets.length === 0) {
+      throw new Error(`${target.nickname} is not in this channel`);
+    }
+
+    for (const socket of sockets) {
+      socket.leave(room);
+      socket.room = null;
+
+      const tracked = onlineUsers.get(socket.id);
+      if (tracked) {
+        tracked.room = null;
+      }
+
+      socket.emit('kicked', { room, by: context.nickname, reason: reason || null });
+    }
+    typingService.stopTyping(io, room, target.nickname);
+
+    await chatService.createSystemMessage(
+      room,
+      `${target.nickname} was kicked by ${context.nickname}${reason ? `: ${reason}` : ''}`,
+      io
+    );
+  }
+};
@@ -0,0 +1,15 @@
+const chatService = require('../chatService');
+const { requireRoom } = require('./helpers');
+
+module.exports = {
+  name: 'me',
+  description: 'Describe what you are doing, e.g. /me waves',
+  permission: 'member',
+  args: [
+    { name: 'action', type: 'text', required: true, description: 'What you are doing' }
+  ],
+  handler: async (context, { action }) => {
+    requireRoom(context);
+    await chatService.sendPublicMessage(context.socket, { text: action, action: true }, context.io);
+  }
+};
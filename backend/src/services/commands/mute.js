@@ -0,0 +1,26 @@
+const userService = require('../userService');
+const chatService = require('../chatService');
+const { requireRoom, findModerationTarget } = require('./helpers');
+
+const DEFAULT_MUTE_MINUTES = 10;
+
+module.exports = {
+  name: 'mute',
+  description: 'Stop a user from sending messages for a while',
+  permission: 'moderator',
+  args: [
+    { name: 'nickname', type: 'user', required: true, description: 'User to mute' },
+    { name: 'minutes', type: 'number', min: 1, max: 7 * 24 * 60, description: `Duration, ${DEFAULT_MUTE_MINUTES} minutes by default` }
+  ],
+  handler: async (context, { nickname, minutes = DEFAULT_MUTE_MINUTES }) => {
+    const room = requireRoom(context);
+    const target = await findModerationTarget(context, nickname);
+
+    await userService.muteUser(context.socket.userId, target._id, minutes * 60 * 1000);
+    await chatService.createSystemMessage(
+      room,
+      `${target.nickname} was muted by ${context.nickname} for ${minutes} minute${minutes === 1 ? '' : 's'}`,
+      context.io
+    );
+  }
+};
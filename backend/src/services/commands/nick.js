@@ -0,0 +1,58 @@
+const userService = require('../userService');
+const chatService = require('../chatService');
+const typingService = require('../typingService');
+const directMessageService = require('../directMessageService');
+const { logger } = require('../../middleware/auth');
+const { getUserSockets } = require('./helpers');
+
+module.exports = {
+  name: 'nick',
+  description: 'Change your nickname',
+  permission: 'member',
+  args: [
+    { name: 'nickname', type: 'string', required: true, description: 'New nickname' }
+  ],
+  handler: async (context, { nickname }) => {
+    const { io, onlineUsers } = context;
+    const { previousNickname } = await userService.changeNickname(context.socket.userId, nickname);
+
+    // Every connection of the user switches over, not only the one that ran the command
+    const sockets = await getUserSockets(io, previousNickname);
+    const rooms = new Set();
+    for (const socket of sockets) {
+      if (socket.room) {
+        rooms.add(socket.room);
+        typingService.stopTyping(io, socket.room, previousNickname);
+      }
+
+      socket.nickname = nickname;
+      socket.leave(chatService.getUserRoom(previousNickname));
+      socket.join(chatService.getUserRoom(nickname));
+
+      const tracked = onlineUsers.get(socket.id);
+      if (tracked) {
+        tracked.nickname = nickname;
+      }
+
+      // Reconnects take the nickname from the session
+      const session = socket.request?.session;
+      if (session) {
+        session.nickname = nickname;
+        session.save?.(error => error && logger.warn('Failed to save session after nickname change:', error.message));
+      }
+
+      socket.emit('nickname_changed', { nickname, previousNickname });
+    }
+
+    // Conversation partners see the new name in their sidebar
+    for (const conversation of await directMessageService.listConversations(nickname)) {
+      chatService.announceConversation(io, conversation);
+    }
+
+    for (const room of rooms) {
+      await chatService.createSystemMessage(room, `${previousNickname} is now known as ${nickname}`, io);
+    }
+
+    return rooms.size === 0 ? `You are now known as ${nickname}` : null;
+  }
+};
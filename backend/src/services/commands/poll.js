@@ -0,0 +1,16 @@
+const chatService = require('../chatService');
+const pollService = require('../pollService');
+const { requireRoom } = require('./helpers');
+
+module.exports = {
+  name: 'poll',
+  description: 'Start a poll, e.g. /poll "Lunch?" pizza "thai food" --multiple --anonymous --closes 1h',
+  permission: 'member',
+  args: [
+    { name: 'poll', type: 'text', required: true, description: '"Question" option1 option2 ... [--multiple] [--anonymous] [--closes 30m|2h|1d]' }
+  ],
+  handler: async (context, { poll }) => {
+    requireRoom(context);
+    await chatService.sendPublicMessage(context.socket, { poll: pollService.parseCommand(poll) }, context.io);
+  }
+};
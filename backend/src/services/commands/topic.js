@@ -0,0 +1,45 @@
+const channelService = require('../channelService');
+const chatService = require('../chatService');
+const { requireChannel } = require('./helpers');
+
+const MAX_TOPIC_LENGTH = 500;
+
+module.exports = {
+  name: 'topic',
+  description: 'Show the channel topic, moderators can also change it',
+  permission: 'member',
+  args: [
+    { name: 'topic', type: 'text', description: 'New topic, "-" clears it' }
+  ],
+  handler: async (context, { topic }) => {
+    const room = requireChannel(context);
+
+    if (!topic) {
+      const channel = await channelService.getChannelById(room);
+      return channel?.description ? `Topic of #${room}: ${channel.description}` : `#${room} has no topic`;
+    }
+
+    if (!context.isModerator) {
+      throw new Error('You do not have permission to change the topic');
+    }
+
+    if (topic.length > MAX_TOPIC_LENGTH) {
+      throw new Error(`A topic can have at most ${MAX_TOPIC_LENGTH} characters`);
+    }
+
+    const description = topic === '-' ? '' : topic;
+    const channel = await channelService.updateChannel(room, { description, updatedAt: new Date() });
+
+    context.io.emit('channel_updated', {
+      id: channel.id,
+      name: channel.name,
+      type: channel.type,
+      description: channel.description
+    });
+    await chatService.createSystemMessage(
+      room,
+      description ? `${context.nickname} changed the topic to: ${description}` : `${context.nickname} cleared the topic`,
+      context.io
+    );
+  }
+};
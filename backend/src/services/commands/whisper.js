@@ -0,0 +1,20 @@
+const chatService = require('../chatService');
+
+module.exports = {
+  name: 'w',
+  aliases: ['msg', 'whisper'],
+  description: 'Send a private message',
+  permission: 'member',
+  args: [
+    { name: 'nickname', type: 'user', required: true, description: 'Recipient' },
+    { name: 'message', type: 'text', required: true, description: 'Message text' }
+  ],
+  handler: async (context, { nickname, message }) => {
+    const sent = await chatService.sendPrivateMessage(context.socket, { to: nickname, text: message }, context.io);
+    // The message lands in the direct conversation, which may not be the open one
+    if (sent.room !== context.room) {
+      return `Sent to your direct messages with ${nickname}`;
+    }
+    return null;
+  }
+};
@@ -0,0 +1,261 @@
+const config = require('../config');
+const Channel = require('../models/Channel');
+const HeldMessage = require('../models/HeldMessage');
+const directMessageService = require('./directMessageService');
+const { logger } = require('../middleware/auth');
+const builtinFilters = require('./contentFilters');
+
+const FILTER_NAME_PATTERN = /^[a-z][a-z0-9-]{0,31}$/;
+const FILTER_ACTIONS = ['redact', 'hold', 'reject'];
+
+/**
+ * Registry of content filters that new messages run through before they are saved.
+ *
+ * A filter is { name, description, actions, code, message, normalizeOptions, check, redact }:
+ * - actions: what an admin may make the filter do on a match, 'redact', 'hold' or 'reject'
+ * - code, message: error code and text the author gets when the message is rejected
+ * - normalizeOptions(options): validates the options stored with a channel and fills in defaults
+ * - check(message, options): whether the message matches, may be async.
+ *   message is { text, author, channelId, now }
+ * - redact(text, options): the text with the matching parts removed, needed for 'redact'
+ * - skipEdits: the filter looks at how messages are posted, not at their text, and edits skip it
+ *
+ * Channels keep an ordered chain of { name, action, options }. Redactions pass the changed
+ * text on to the next filter, the first hold or rejection ends the chain.
+ */
+class ContentFilterService {
+  constructor() {
+    this.logger = logger;
+    this.filters = new Map();
+
+    builtinFilters.forEach(filter => this.register(filter));
+  }
+
+  /**
+   * Add a filter to the registry
+   * @param {Object} filter - Filter definition
+   */
+  register(filter) {
+    if (!FILTER_NAME_PATTERN.test(filter.name || '')) {
+      throw new Error(`Invalid content filter name: ${filter.name}`);
+    }
+    if (typeof filter.check !== 'function' || typeof filter.normalizeOptions !== 'function') {
+      throw new Error(`Content filter ${filter.name} needs check and normalizeOptions`);
+    }
+    if (this.filters.has(filter.name)) {
+      throw new Error(`Content filter ${filter.name} is already registered`);
+    }
+
+    const actions = filter.actions || [];
+    if (actions.length === 0 || actions.some(action => !FILTER_ACTIONS.includes(action))) {
+      throw new Error(`Content filter ${filter.name} has invalid actions`);
+    }
+    if (actions.includes('redact') && typeof filter.redact !== 'function') {
+      throw new Error(`Content filter ${filter.name} can redact but has no redact function`);
+    }
+    if (!filter.code || !filter.message) {
+      throw new Error(`Content filter ${filter.name} needs an error code and message`);
+    }
+
+    this.filters.set(filter.name, { ...filter, actions });
+  }
+
+  // Filters admins can choose from
+  listFilters() {
+    return Array.from(this.filters.values()).map(filter => ({
+      name: filter.name,
+      description: filter.description || '',
+      actions: filter.actions,
+      defaults: filter.normalizeOptions({})
+    }));
+  }
+
+  /**
+   * Validate the filter chain of a channel
+   * @param {Array} filters - [{ name, action, options }]
+   * @returns {Array} - Chain with normalized options
+   */
+  normalizeChain(filters) {
+    if (!Array.isArray(filters)) {
+      throw new Error('Content filter settings must be a list');
+    }
+    if (filters.length > config.contentFilters.maxFiltersPerChannel) {
+      throw new Error(`Content filter settings can have at most ${config.contentFilters.maxFiltersPerChannel} filters`);
+    }
+
+    return filters.map(entry => {
+      const filter = entry && this.filters.get(entry.name);
+      if (!filter) {
+        throw new Error(`Content filter ${entry?.name} does not exist`);
+      }
+      if (!filter.actions.includes(entry.action)) {
+        throw new Error(`Content filter ${filter.name} can only ${filter.actions.join(', ')}`);
+      }
+
+      const options = entry.options === undefined ? {} : entry.options;
+      if (!options || typeof options !== 'object' || Array.isArray(options)) {
+        throw new Error(`Content filter ${filter.name} options must be an object`);
+      }
+      return { name: filter.name, action: entry.action, options: filter.normalizeOptions(options) };
+    });
+  }
+
+  async getFilterChannel(channelId) {
+    const channel = await Channel.findOne({ id: channelId, type: { $ne: 'dm' } });
+    if (!channel) {
+      throw new Error('Channel not found');
+    }
+    return channel;
+  }
+
+  formatSettings(channel) {
+    return {
+      channel: channel.id,
+      filters: (channel.contentFilters || []).map(({ name, action, options }) => ({ name, action, options }))
+    };
+  }
+
+  /**
+   * Filter chain of a channel, with the filters available to add
+   * @param {string} channelId - Channel ID
+   * @returns {Promise<Object>} - { channel, filters, available }
+   */
+  async getSettings(channelId) {
+    const channel = await this.getFilterChannel(channelId);
+    return { ...this.formatSettings(channel), available: this.listFilters() };
+  }
+
+  /**
+   * Replace the filter chain of a channel
+   * @param {string} channelId - Channel ID
+   * @param {Array} filters - [{ name, action, options }], an empty list turns filtering off
+   * @param {string} nickname - Admin changing the settings
+   * @returns {Promise<Object>} - { channel, filters }
+   */
+  async setSettings(channelId, filters, nickname) {
+    try {
+      const chain = this.normalizeChain(filters);
+      await this.getFilterChannel(channelId);
+
+      const channel = await Channel.findOneAndUpdate(
+        { id: channelId },
+        { $set: { contentFilters: chain, updatedAt: new Date() } },
+        { new: true }
+      );
+
+      this.logger.info(`Content filters of #${channelId} set by ${nickname}`, {
+        filters: chain.map(entry => `${entry.name}:${entry.action}`)
+      });
+      return this.formatSettings(channel);
+    } catch (error) {
+      this.logger.error('Error setting content filters:', error);
+      throw error;
+    }
+  }
+
+  async getChain(channelId) {
+    if (directMessageService.isDirectChannelId(channelId)) {
+      return config.contentFilters.directMessages;
+    }
+
+    const channel = await Channel.findOne({ id: channelId }).select('contentFilters');
+    return channel?.contentFilters || [];
+  }
+
+  /**
+   * Run a new message through the filter chain of its channel
+   * @param {Object} message - { text, author, channelId }
+   * @param {Object} options - { canHold, edit }, messages nobody is waiting on can't be held and are rejected instead,
+   *   edit is set for the new text of an existing message
+   * @returns {Promise<Object>} - { action: 'allow' | 'hold' | 'reject', text, filter, code, reason }
+   */
+  async filterMessage(message, { canHold = true, edit = false } = {}) {
+    const chain = await this.getChain(message.channelId);
+    const now = new Date();
+    let text = message.text || '';
+
+    for (const entry of chain) {
+      const filter = this.filters.get(entry.name);
+      if (!filter) {
+        this.logger.warn(`Unknown content filter ${entry.name} configured for ${message.channelId}`);
+        continue;
+      }
+      if (edit && filter.skipEdits) {
+        continue;
+      }
+
+      const options = filter.normalizeOptions(entry.options || {});
+      if (!(await filter.check({ ...message, text, now }, options))) {
+        continue;
+      }
+
+      if (entry.action === 'redact') {
+        text = filter.redact(text, options);
+        continue;
+      }
+
+      // Nobody reviews direct conversations
+      const held = entry.action === 'hold' && canHold && !directMessageService.isDirectChannelId(message.channelId);
+      this.logger.info(`Message by ${message.author} in ${message.channelId} ${held ? 'held' : 'rejected'} by content filter ${filter.name}`);
+      return { action: held ? 'hold' : 'reject', text, filter: filter.name, code: filter.code, reason: filter.message };
+    }
+
+    return { action: 'allow', text };
+  }
+
+  /**
+   * Error for a rejected message, its code tells clients which filter matched
+   * @param {Object} verdict - Result of filterMessage
+   * @returns {Error}
+   */
+  createRejection(verdict) {
+    const error = new Error(verdict.reason);
+    error.code = verdict.code;
+    return error;
+  }
+
+  formatHeldReceipt(held) {
+    return {
+      held: true,
+      id: held._id.toString(),
+      room: held.channel,
+      clientId: held.clientId || null,
+      reason: held.reason
+    };
+  }
+
+  /**
+   * A message of the author that is already waiting for review
+   * @param {string} author - Author nickname
+   * @param {string} clientId - Client message ID
+   * @returns {Promise<Object|null>} - Same as holdMessage
+   */
+  async findHeld(author, clientId) {
+    const held = await HeldMessage.findOne({ author, clientId });
+    return held ? this.formatHeldReceipt(held) : null;
+  }
+
+  /**
+   * Keep a message for review instead of posting it
+   * @param {Object} message - { messageId, author, channel, text, type, action, replyTo, attachments, poll, clientId, expiresIn }
+   * @param {Object} verdict - Result of filterMessage
+   * @returns {Promise<Object>} - { held: true, id, room, clientId, reason }
+   */
+  async holdMessage(message, verdict) {
+    try {
+      const held = await HeldMessage.create({ ...message, filter: verdict.filter, reason: verdict.reason });
+      return this.formatHeldReceipt(held);
+    } catch (error) {
+      // The same message was resent while the first one was being held
+      const existing = error.code === 11000 && message.clientId
+        ? await this.findHeld(message.author, message.clientId)
+        : null;
+      if (!existing) {
+        throw error;
+      }
+      return existing;
+    }
+  }
+}
+
+module.exports = new ContentFilterService();
@@ -0,0 +1,19 @@
+const { escapeRegExp, normalizeList } = require('./helpers');
+
+// Whole words only, "class" does not match "classic"
+const buildPattern = (words) => new RegExp(
+  `(?<![\\p{L}\\p{N}_])(?:${[...words].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}_])`,
+  'giu'
+);
+
+module.exports = {
+  name: 'banned-words',
+  description: 'Words that may not be used, matched as whole words in any case',
+  actions: ['redact', 'hold', 'reject'],
+  code: 'CONTENT_BANNED_WORD',
+  message: 'Your message contains a word that is not allowed here',
+  normalizeOptions: (options) => ({ words: normalizeList(options.words, 'words') }),
+  // An empty pattern would match every message
+  check: ({ text }, { words }) => words.length > 0 && buildPattern(words).test(text),
+  redact: (text, { words }) => text.replace(buildPattern(words), word => '*'.repeat(word.length))
+};
@@ -0,0 +1,23 @@
+const { normalizeNumber } = require('./helpers');
+
+module.exports = {
+  name: 'caps',
+  description: 'Messages written mostly in capital letters',
+  actions: ['redact', 'hold', 'reject'],
+  code: 'CONTENT_TOO_MANY_CAPS',
+  message: 'Please don\'t write in capital letters',
+  normalizeOptions: (options) => ({
+    // Short shouts like "OK" or "LGTM" are fine
+    minLetters: normalizeNumber(options.minLetters, { name: 'minLetters', min: 1, max: 2000, fallback: 10 }),
+    ratio: normalizeNumber(options.ratio, { name: 'ratio', min: 0.5, max: 1, fallback: 0.7, integer: false })
+  }),
+  check: ({ text }, { minLetters, ratio }) => {
+    const letters = text.match(/\p{L}/gu) || [];
+    if (letters.length < minLetters) {
+      return false;
+    }
+    const capitals = text.match(/\p{Lu}/gu) || [];
+    return capitals.length / letters.length >= ratio;
+  },
+  redact: (text) => text.toLowerCase()
+};
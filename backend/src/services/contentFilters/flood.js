@@ -0,0 +1,43 @@
+const Message = require('../../models/Message');
+const { normalizeNumber } = require('./helpers');
+
+const SECOND = 1000;
+
+module.exports = {
+  name: 'flood',
+  description: 'Too many messages in a short time, or the same text over and over',
+  // There is nothing to cut out of a flood
+  actions: ['hold', 'reject'],
+  code: 'CONTENT_FLOOD',
+  // Editing a message doesn't post a new one
+  skipEdits: true,
+  message: 'You are sending messages too fast',
+  normalizeOptions: (options) => ({
+    maxMessages: normalizeNumber(options.maxMessages, { name: 'maxMessages', min: 1, max: 100, fallback: 5 }),
+    windowSeconds: normalizeNumber(options.windowSeconds, { name: 'windowSeconds', min: 1, max: 3600, fallback: 10 }),
+    maxRepeats: normalizeNumber(options.maxRepeats, { name: 'maxRepeats', min: 1, max: 100, fallback: 3 }),
+    repeatWindowSeconds: normalizeNumber(options.repeatWindowSeconds, { name: 'repeatWindowSeconds', min: 1, max: 86400, fallback: 300 })
+  }),
+  // Counts what the author already posted, the message being checked would be one too many
+  check: async ({ text, author, channelId, now }, options) => {
+    const recent = await Message.countDocuments({
+      channel: channelId,
+      author,
+      timestamp: { $gte: new Date(now.getTime() - options.windowSeconds * SECOND) }
+    });
+    if (recent >= options.maxMessages) {
+      return true;
+    }
+
+    if (!text) {
+      return false;
+    }
+    const repeats = await Message.countDocuments({
+      channel: channelId,
+      author,
+      text,
+      timestamp: { $gte: new Date(now.getTime() - options.repeatWindowSeconds * SECOND) }
+    });
+    return repeats >= options.maxRepeats;
+  }
+};
@@ -0,0 +1,85 @@
+const config = require('../../config');
+
+// Links written with a scheme or starting with www.
+const LINK_PATTERN = /\bhttps?:\/\/[^\s<>]+|\bwww\.[^\s<>]+/gi;
+// Punctuation right after a link usually ends the sentence, not the link
+const TRAILING_PUNCTUATION = /[.,!?;:'")\]]+$/;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Links in a message text
+ * @param {string} text - Message text
+ * @returns {Array} - [{ url, host }], host is null for links that don't parse
+ */
+const findLinks = (text) => Array.from(text.matchAll(LINK_PATTERN), match => {
+  const url = match[0].replace(TRAILING_PUNCTUATION, '');
+  try {
+    return { url, host: new URL(/^www\./i.test(url) ? `http://${url}` : url).hostname.toLowerCase() };
+  } catch {
+    return { url, host: null };
+  }
+});
+
+// A listed domain covers its subdomains
+const matchesDomain = (host, domain) => host === domain || host.endsWith(`.${domain}`);
+
+/**
+ * Replace some of the links in a text
+ * @param {string} text - Message text
+ * @param {Function} shouldReplace - link => boolean
+ * @param {string} replacement - Text put in place of a link
+ * @returns {string}
+ */
+const replaceLinks = (text, shouldReplace, replacement) => {
+  const urls = [...new Set(findLinks(text).filter(shouldReplace).map(link => link.url))]
+    // Longer links first, so a link that starts another one doesn't cut it
+    .sort((a, b) => b.length - a.length);
+  return urls.reduce((result, url) => result.split(url).join(replacement), text);
+};
+
+/**
+ * Validate a list option: trimmed lowercase strings without duplicates
+ * @param {*} value - Option value
+ * @param {string} name - Option name, for error messages
+ * @returns {string[]}
+ */
+const normalizeList = (value, name) => {
+  if (value === undefined) {
+    return [];
+  }
+  if (!Array.isArray(value) || value.some(entry => typeof entry !== 'string')) {
+    throw new Error(`Content filter option ${name} must be a list of strings`);
+  }
+
+  const list = [...new Set(value.map(entry => entry.trim().toLowerCase()).filter(Boolean))];
+  if (list.length > config.contentFilters.maxListEntries) {
+    throw new Error(`Content filter option ${name} can have at most ${config.contentFilters.maxListEntries} entries`);
+  }
+  return list;
+};
+
+/**
+ * Validate a numeric option, falling back to a default when it is left out
+ * @param {*} value - Option value
+ * @param {Object} limits - { name, min, max, fallback, integer }
+ * @returns {number}
+ */
+const normalizeNumber = (value, { name, min, max, fallback, integer = true }) => {
+  if (value === undefined) {
+    return fallback;
+  }
+  if (typeof value !== 'number' || (integer && !Number.isInteger(value)) || value < min || value > max) {
+    throw new Error(`Content filter option ${name} must be ${integer ? 'an integer ' : 'a number '}between ${min} and ${max}`);
+  }
+  return value;
+};
+
+module.exports = {
+  escapeRegExp,
+  findLinks,
+  matchesDomain,
+  replaceLinks,
+  normalizeList,
+  normalizeNumber
+};
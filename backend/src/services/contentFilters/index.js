@@ -0,0 +1,8 @@
+// Built-in content filters, registered by contentFilterService on startup
+module.exports = [
+  require('./bannedWords'),
+  require('./links'),
+  require('./invites'),
+  require('./caps'),
+  require('./flood')
+];
@@ -0,0 +1,26 @@
+const { findLinks, replaceLinks } = require('./helpers');
+
+// Invitations to other chat servers and groups, matched without the scheme
+const INVITE_PATTERNS = [
+  /^(?:www\.)?discord\.gg\//i,
+  /^(?:www\.)?discord(?:app)?\.com\/invite\//i,
+  /^(?:www\.)?(?:t|telegram)\.me\/(?:joinchat\/|\+)/i,
+  /^chat\.whatsapp\.com\//i,
+  /^join\.slack\.com\//i
+];
+
+const isInvite = (link) => {
+  const target = link.url.replace(/^https?:\/\//i, '');
+  return INVITE_PATTERNS.some(pattern => pattern.test(target));
+};
+
+module.exports = {
+  name: 'invites',
+  description: 'Invite links to Discord servers, Telegram and WhatsApp groups and Slack workspaces',
+  actions: ['redact', 'hold', 'reject'],
+  code: 'CONTENT_INVITE_BLOCKED',
+  message: 'Invite links are not allowed here',
+  normalizeOptions: () => ({}),
+  check: ({ text }) => findLinks(text).some(isInvite),
+  redact: (text) => replaceLinks(text, isInvite, '[invite removed]')
+};
@@ -0,0 +1,26 @@
+const { findLinks, matchesDomain, replaceLinks, normalizeList } = require('./helpers');
+
+const MODES = ['allow', 'deny'];
+
+// In allow mode only the listed domains may be linked, in deny mode any but them
+const isBlocked = (link, { mode, domains }) => {
+  const listed = Boolean(link.host) && domains.some(domain => matchesDomain(link.host, domain));
+  return mode === 'allow' ? !listed : listed;
+};
+
+module.exports = {
+  name: 'links',
+  description: 'Links only to allowed domains, or to any domain but denied ones',
+  actions: ['redact', 'hold', 'reject'],
+  code: 'CONTENT_LINK_BLOCKED',
+  message: 'Links to this site are not allowed here',
+  normalizeOptions: (options) => {
+    const mode = options.mode === undefined ? 'deny' : options.mode;
+    if (!MODES.includes(mode)) {
+      throw new Error('Content filter option mode must be allow or deny');
+    }
+    return { mode, domains: normalizeList(options.domains, 'domains') };
+  },
+  check: ({ text }, options) => findLinks(text).some(link => isBlocked(link, options)),
+  redact: (text, options) => replaceLinks(text, link => isBlocked(link, options), '[link removed]')
+};
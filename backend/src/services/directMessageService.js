@@ -0,0 +1,357 @@
+const mongoose = require('mongoose');
+const Channel = require('../models/Channel');
+const User = require('../models/User');
+const { logger } = require('../middleware/auth');
+
+// Channel IDs generated from names only contain [a-z0-9-], so the prefix can't collide with them
+const DIRECT_CHANNEL_PREFIX = 'dm:';
+const MIN_GROUP_MEMBERS = 3;
+const MAX_GROUP_MEMBERS = 10;
+const MAX_GROUP_NAME_LENGTH = 100;
+
+const createConversationId = () => `${DIRECT_CHANNEL_PREFIX}${new mongoose.Types.ObjectId().toString()}`;
+
+class DirectMessageService {
+  constructor() {
+    this.logger = logger;
+  }
+
+  isDirectChannelId(channelId) {
+    return typeof channelId === 'string' && channelId.startsWith(DIRECT_CHANNEL_PREFIX);
+  }
+
+  /**
+   * Key of a one-to-one conversation, the same whoever opens it
+   * @param {Array} members - Nicknames of both users
+   * @returns {string}
+   */
+  buildMemberKey(members) {
+    return JSON.stringify([...members].sort());
+  }
+
+  /**
+   * Shape a direct conversation for clients
+   * @param {Object} channel - Channel document of type 'dm'
+   * @param {Object} counts - { unreadCount, mentionCount } of the viewing user
+   * @returns {Object}
+   */
+  formatConversation(channel, counts = { unreadCount: 0, mentionCount: 0 }) {
+    return {
+      id: channel.id,
+      type: 'dm',
+      group: Boolean(channel.group),
+      name: channel.group ? channel.name || null : null,
+      members: [...channel.members],
+      createdBy: channel.createdBy,
+      createdAt: channel.createdAt,
+      lastMessageAt: channel.lastMessageAt || null,
+      unreadCount: counts.unreadCount,
+      mentionCount: counts.mentionCount
+    };
+  }
+
+  /**
+   * Check whether a user takes part in a direct conversation
+   * @param {string} channelId - Channel ID
+   * @param {string} nickname - User nickname
+   * @returns {Promise<boolean>}
+   */
+  async isMember(channelId, nickname) {
+    if (!this.isDirectChannelId(channelId)) {
+      return false;
+    }
+    return Boolean(await Channel.exists({ id: channelId, type: 'dm', members: nickname }));
+  }
+
+  async getMembers(channelId) {
+    const channel = await Channel.findOne({ id: channelId, type: 'dm' }).select('members');
+    return channel ? channel.members : [];
+  }
+
+  /**
+   * IDs of all direct conversations of a user, joined by each of their connections
+   * @param {string} nickname - User nickname
+   * @returns {Promise<Array>}
+   */
+  async getConversationIds(nickname) {
+    const channels = await Channel.find({ type: 'dm', members: nickname }).select('id');
+    return channels.map(channel => channel.id);
+  }
+
+  /**
+   * Direct conversations of a user, most recently active first
+   * @param {string} nickname - User nickname
+   * @returns {Promise<Array>} - Channel documents
+   */
+  async listConversations(nickname) {
+    try {
+      return await Channel.find({ type: 'dm', members: nickname })
+        .sort({ lastMessageAt: -1, createdAt: -1 });
+    } catch (error) {
+      this.logger.error('Error listing direct conversations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the one-to-one conversation between two users, creating it on first use
+   * @param {string} nickname - User opening the conversation
+   * @param {string} targetNickname - The other user
+   * @returns {Promise<Object>} - { channel, created }
+   */
+  async openConversation(nickname, targetNickname) {
+    try {
+      const target = typeof targetNickname === 'string' ? targetNickname.trim() : '';
+      if (!target) {
+        throw new Error('Nickname is required');
+      }
+
+      if (target === nickname) {
+        throw new Error('You cannot message yourself');
+      }
+
+      const targetUser = await User.findOne({ nickname: target }).select('nickname');
+      if (!targetUser) {
+        throw new Error('User not found');
+      }
+
+      const members = [nickname, target];
+      const filter = { type: 'dm', memberKey: this.buildMemberKey(members) };
+      const upsert = () => Channel.findOneAndUpdate(filter, {
+        $setOnInsert: {
+          id: createConversationId(),
+          members,
+          createdBy: nickname
+        }
+      }, { upsert: true, new: true, setDefaultsOnInsert: true, includeResultMetadata: true });
+
+      let result;
+      try {
+        result = await upsert();
+      } catch (error) {
+        // The other user opened it at the same time, the unique key let only one of them in
+        if (error.code !== 11000) {
+          throw error;
+        }
+        result = await upsert();
+      }
+
+      const channel = result.value;
+      if (result.lastErrorObject?.updatedExisting) {
+        return { channel, created: false };
+      }
+
+      this.logger.info(`Direct conversation ${channel.id} opened by ${nickname} with ${target}`);
+      return { channel, created: true };
+    } catch (error) {
+      this.logger.error('Error opening direct conversation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check that every nickname belongs to a registered user
+   * @param {Array} nicknames
+   */
+  async assertUsersExist(nicknames) {
+    const users = await User.find({ nickname: { $in: nicknames } }).select('nickname');
+    const found = new Set(users.map(user => user.nickname));
+    const missing = nicknames.find(nickname => !found.has(nickname));
+    if (missing) {
+      throw new Error(`User ${missing} not found`);
+    }
+  }
+
+  normalizeNicknames(nicknames) {
+    if (!Array.isArray(nicknames)) {
+      return [];
+    }
+    const trimmed = nicknames.map(nickname => (typeof nickname === 'string' ? nickname.trim() : '')).filter(Boolean);
+    return Array.from(new Set(trimmed));
+  }
+
+  normalizeGroupName(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (trimmed.length > MAX_GROUP_NAME_LENGTH) {
+      throw new Error(`Group name cannot exceed ${MAX_GROUP_NAME_LENGTH} characters`);
+    }
+    return trimmed || null;
+  }
+
+  /**
+   * Start a conversation between 3 to 10 users, including its creator
+   * @param {string} nickname - Creator
+   * @param {Array} nicknames - Other members
+   * @param {string} name - Optional group name
+   * @returns {Promise<Object>} - Channel document
+   */
+  async createGroupConversation(nickname, nicknames, name) {
+    try {
+      const members = this.normalizeNicknames([nickname, ...this.normalizeNicknames(nicknames)]);
+      if (members.length < MIN_GROUP_MEMBERS) {
+        throw new Error(`A group conversation needs at least ${MIN_GROUP_MEMBERS} members`);
+      }
+      if (members.length > MAX_GROUP_MEMBERS) {
+        throw new Error(`A group conversation can have at most ${MAX_GROUP_MEMBERS} members`);
+      }
+
+      const groupName = this.normalizeGroupName(name);
+      await this.assertUsersExist(members.filter(member => member !== nickname));
+
+      const channel = await Channel.create({
+        id: createConversationId(),
+        ...(groupName && { name: groupName }),
+        type: 'dm',
+        group: true,
+        members,
+        createdBy: nickname
+      });
+
+      this.logger.info(`Group conversation ${channel.id} started by ${nickname}`, { members: members.length });
+      return channel;
+    } catch (error) {
+      this.logger.error('Error creating group conversation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load a group conversation the user belongs to
+   * @param {string} channelId - Channel ID
+   * @param {string} nickname - Member nickname
+   * @returns {Promise<Object>} - Channel document
+   */
+  async getGroupConversation(channelId, nickname) {
+    const channel = this.isDirectChannelId(channelId)
+      ? await Channel.findOne({ id: channelId, type: 'dm', members: nickname })
+      : null;
+    if (!channel) {
+      throw new Error('Conversation not found');
+    }
+    if (!channel.group) {
+      throw new Error('Only group conversations can be changed');
+    }
+    return channel;
+  }
+
+  /**
+   * Add users to a group conversation. New members can read its earlier history.
+   * @param {string} channelId - Channel ID
+   * @param {string} nickname - Member adding the users
+   * @param {Array} nicknames - Users to add
+   * @returns {Promise<Object>} - { channel, added }
+   */
+  async addMembers(channelId, nickname, nicknames) {
+    try {
+      const channel = await this.getGroupConversation(channelId, nickname);
+      const added = this.normalizeNicknames(nicknames).filter(member => !channel.members.includes(member));
+      if (added.length === 0) {
+        throw new Error('Everyone is already in this conversation');
+      }
+
+      const limitError = `A group conversation can have at most ${MAX_GROUP_MEMBERS} members`;
+      if (channel.members.length + added.length > MAX_GROUP_MEMBERS) {
+        throw new Error(limitError);
+      }
+
+      await this.assertUsersExist(added);
+
+      // The size condition keeps concurrent additions from going over the limit
+      const updated = await Channel.findOneAndUpdate(
+        {
+          id: channelId,
+          type: 'dm',
+          members: nickname,
+          [`members.${MAX_GROUP_MEMBERS - added.length}`]: { $exists: false }
+        },
+        { $addToSet: { members: { $each: added } }, $set: { updatedAt: new Date() } },
+        { new: true }
+      );
+      if (!updated) {
+        throw new Error(limitError);
+      }
+
+      this.logger.info(`${nickname} added ${added.join(', ')} to ${channelId}`);
+      return { channel: updated, added };
+    } catch (error) {
+      this.logger.error('Error adding conversation members:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Leave a group conversation, losing access to its history.
+   * The conversation is removed once its last member has left.
+   * @param {string} channelId - Channel ID
+   * @param {string} nickname - Leaving member
+   * @returns {Promise<Object>} - Channel document without the member
+   */
+  async leaveConversation(channelId, nickname) {
+    try {
+      await this.getGroupConversation(channelId, nickname);
+
+      const updated = await Channel.findOneAndUpdate(
+        { id: channelId, type: 'dm', members: nickname },
+        { $pull: { members: nickname }, $set: { updatedAt: new Date() } },
+        { new: true }
+      );
+      // Left from another tab at the same time
+      if (!updated) {
+        throw new Error('Conversation not found');
+      }
+
+      if (updated.members.length === 0) {
+        await Channel.deleteOne({ id: channelId, type: 'dm', members: { $size: 0 } });
+        this.logger.info(`${nickname} left ${channelId} as its last member, conversation removed`);
+      } else {
+        this.logger.info(`${nickname} left ${channelId}`);
+      }
+      return updated;
+    } catch (error) {
+      this.logger.error('Error leaving conversation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rename a group conversation, an empty name goes back to the member list
+   * @param {string} channelId - Channel ID
+   * @param {string} nickname - Member renaming it
+   * @param {string} name - New name
+   * @returns {Promise<Object>} - Updated channel document
+   */
+  async renameConversation(channelId, nickname, name) {
+    try {
+      await this.getGroupConversation(channelId, nickname);
+      const groupName = this.normalizeGroupName(name);
+
+      const updated = await Channel.findOneAndUpdate(
+        { id: channelId, type: 'dm' },
+        groupName
+          ? { $set: { name: groupName, updatedAt: new Date() } }
+          : { $unset: { name: '' }, $set: { updatedAt: new Date() } },
+        { new: true }
+      );
+
+      this.logger.info(`${nickname} renamed ${channelId}`);
+      return updated;
+    } catch (error) {
+      this.logger.error('Error renaming conversation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remember when a conversation was last active, for ordering the sidebar
+   * @param {string} channelId - Channel ID
+   * @param {Date} timestamp - Time of the newest message
+   */
+  async touch(channelId, timestamp) {
+    await Channel.updateOne(
+      { id: channelId, type: 'dm' },
+      { $max: { lastMessageAt: timestamp } }
+    );
+  }
+}
+
+module.exports = new DirectMessageService();
@@ -0,0 +1,340 @@
+const { once } = require('events');
+const { PassThrough } = require('stream');
+const { finished } = require('stream/promises');
+const archiver = require('archiver');
+const Attachment = require('../models/Attachment');
+const Channel = require('../models/Channel');
+const Message = require('../models/Message');
+const attachmentService = require('./attachmentService');
+const pollService = require('./pollService');
+const { logger } = require('../middleware/auth');
+
+const EXPORT_FORMATS = {
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+  md: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' }
+};
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+
+const escapeHtml = value => String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+// 2024-01-01 10:00:00 UTC
+const formatTime = date => `${new Date(date).toISOString().slice(0, 19).replace('T', ' ')} UTC`;
+
+// "pizza: 2 (alice, bob)", anonymous polls only have counts
+const describePollOption = option => `${option.text}: ${option.count}${option.voters?.length ? ` (${option.voters.join(', ')})` : ''}`;
+
+// Rejects when the stream closes first, e.g. the client disconnected
+const waitForDrain = stream => new Promise((resolve, reject) => {
+  const cleanup = () => {
+    stream.off('drain', onDrain);
+    stream.off('close', onClose);
+  };
+  const onDrain = () => {
+    cleanup();
+    resolve();
+  };
+  const onClose = () => {
+    cleanup();
+    reject(new Error('Export aborted'));
+  };
+  stream.on('drain', onDrain);
+  stream.on('close', onClose);
+});
+
+class ExportService {
+  constructor() {
+    this.logger = logger;
+  }
+
+  /**
+   * Check access and options before anything is sent, so errors still get a proper status
+   * @param {string} channelId - Channel ID
+   * @param {Object} viewer - { nickname, role }
+   * @param {Object} options - { format, from, to, attachments }
+   * @returns {Promise<Object>} - Export description passed to writeExport
+   */
+  async prepareExport(channelId, viewer, { format = 'json', from, to, attachments = false } = {}) {
+    try {
+      if (!EXPORT_FORMATS[format]) {
+        throw new Error('Export format must be json, md or html');
+      }
+
+      const range = this.parseRange(from, to);
+
+      const channel = await Channel.findOne({ id: channelId }).select('id name type members permissions');
+      const hidden = channel?.type === 'dm'
+        ? !channel.members.includes(viewer.nickname)
+        : channel?.permissions?.read === 'admin' && viewer.role !== 'admin';
+      if (!channel || hidden) {
+        throw new Error('Channel not found');
+      }
+
+      const basename = `${channel.id.replace(/[^A-Za-z0-9_-]/g, '-')}-export`;
+      const { extension, contentType } = EXPORT_FORMATS[format];
+
+      return {
+        channel: { id: channel.id, name: channel.name, type: channel.type },
+        viewer,
+        format,
+        range,
+        attachments: Boolean(attachments),
+        transcriptName: `${basename}.${extension}`,
+        filename: attachments ? `${basename}.zip` : `${basename}.${extension}`,
+        contentType: attachments ? 'application/zip' : contentType
+      };
+    } catch (error) {
+      this.logger.error('Error preparing channel export:', error);
+      throw error;
+    }
+  }
+
+  parseRange(from, to) {
+    const range = {
+      from: from ? new Date(from) : null,
+      to: to ? new Date(to) : null
+    };
+
+    const invalid = [range.from, range.to].some(date => date && Number.isNaN(date.getTime()));
+    if (invalid || (range.from && range.to && range.from > range.to)) {
+      throw new Error('Invalid date range');
+    }
+    return range;
+  }
+
+  /**
+   * Stream the export, either the bare transcript or a zip with the attached files, and end the output
+   * @param {Object} exportInfo - Result of prepareExport
+   * @param {Object} output - Writable stream, e.g. the response
+   */
+  async writeExport(exportInfo, output) {
+    if (!exportInfo.attachments) {
+      await this.writeTranscript(exportInfo, output);
+      output.end();
+      return;
+    }
+
+    const archive = archiver('zip');
+    let archiveError = null;
+    const failed = new Promise((resolve, reject) => archive.on('error', error => {
+      archiveError = error;
+      reject(error);
+    }));
+    failed.catch(() => {});
+
+    const transcript = new PassThrough();
+    // A client that goes away stops the export instead of leaving it waiting for drain
+    output.on('close', () => {
+      if (!output.writableFinished) {
+        transcript.destroy();
+        archive.abort();
+      }
+    });
+    archive.pipe(output);
+    archive.append(transcript, { name: exportInfo.transcriptName });
+
+    const files = await Promise.race([this.writeTranscript(exportInfo, transcript), failed]);
+    transcript.end();
+    await Promise.race([once(archive, 'entry'), failed]);
+
+    // One file at a time, appending them all at once would open every stored file together
+    for (const file of files) {
+      try {
+        const attachment = await Attachment.findById(file.id).select('storageKey mimeType');
+        if (!attachment) {
+          continue;
+        }
+        const { stream } = await attachmentService.openAttachment(attachment);
+        archive.append(stream, { name: file.path });
+        await Promise.race([once(archive, 'entry'), failed]);
+      } catch (error) {
+        if (archiveError) {
+          throw archiveError;
+        }
+        this.logger.warn(`Skipping attachment ${file.id} of the #${exportInfo.channel.id} export:`, error.message);
+      }
+    }
+
+    await Promise.race([archive.finalize(), failed]);
+    // The archive ends the output once everything is flushed
+    await finished(output);
+  }
+
+  /**
+   * Messages of the channel in the requested range, oldest first. Private messages
+   * are exported only to their author and target.
+   */
+  createCursor({ channel, viewer, range }) {
+    const query = {
+      channel: channel.id,
+      $or: [{ type: { $ne: 'private' } }, { author: viewer.nickname }, { target: viewer.nickname }],
+      // Self-destructing messages must not outlive their expiry in a file
+      expiresAt: null
+    };
+    if (range.from || range.to) {
+      query.timestamp = {
+        ...(range.from && { $gte: range.from }),
+        ...(range.to && { $lte: range.to })
+      };
+    }
+
+    return Message.find(query).sort({ timestamp: 1, _id: 1 }).lean().cursor();
+  }
+
+  /**
+   * Write the transcript in the requested format
+   * @param {Object} exportInfo - Result of prepareExport
+   * @param {Object} output - Writable stream
+   * @returns {Promise<Array>} - Attached files [{ id, path }] referenced by the transcript
+   */
+  async writeTranscript(exportInfo, output) {
+    const write = async chunk => {
+      if (!output.write(chunk)) {
+        await waitForDrain(output);
+      }
+    };
+
+    const files = [];
+    let first = true;
+    await write(this.renderHeader(exportInfo));
+
+    for await (const doc of this.createCursor(exportInfo)) {
+      const message = this.formatExportMessage(doc);
+      if (exportInfo.attachments) {
+        message.attachments.forEach(attachment => {
+          attachment.path = `attachments/${attachment.id}-${attachment.filename.replace(/[\\/]/g, '_')}`;
+          files.push({ id: attachment.id, path: attachment.path });
+        });
+      }
+
+      await write(this.renderMessage(exportInfo.format, message, first));
+      first = false;
+    }
+
+    await write(this.renderFooter(exportInfo.format));
+    return files;
+  }
+
+  formatExportMessage(message) {
+    const deleted = Boolean(message.deletedAt);
+    return {
+      id: message._id.toString(),
+      timestamp: new Date(message.timestamp).toISOString(),
+      type: message.type || 'public',
+      author: message.author,
+      target: message.target || null,
+      action: Boolean(message.action),
+      text: deleted ? null : message.text || '',
+      replyTo: message.replyTo ? message.replyTo.toString() : null,
+      editedAt: message.editedAt ? new Date(message.editedAt).toISOString() : null,
+      deletedAt: deleted ? new Date(message.deletedAt).toISOString() : null,
+      attachments: deleted ? [] : (message.attachments || []).map(attachment => ({
+        id: attachment.attachment.toString(),
+        filename: attachment.filename,
+        mimeType: attachment.mimeType,
+        size: attachment.size
+      })),
+      reactions: Object.fromEntries(
+        Object.entries(message.reactions || {}).filter(([, nicknames]) => nicknames.length > 0)
+      ),
+      poll: !deleted && message.poll ? pollService.formatPoll(message.poll) : null
+    };
+  }
+
+  renderHeader({ format, channel, range }) {
+    const exportedAt = new Date().toISOString();
+
+    if (format === 'json') {
+      const meta = JSON.stringify({
+        channel,
+        exportedAt,
+        from: range.from ? range.from.toISOString() : null,
+        to: range.to ? range.to.toISOString() : null
+      });
+      return `${meta.slice(0, -1)},"messages":[\n`;
+    }
+
+    const period = [
+      range.from && `from ${formatTime(range.from)}`,
+      range.to && `to ${formatTime(range.to)}`
+    ].filter(Boolean).join(' ');
+    const subtitle = `Exported ${formatTime(exportedAt)}${period ? `, messages ${period}` : ''}`;
+
+    if (format === 'md') {
+      return `# #${channel.name}\n\n_${subtitle}_\n\n`;
+    }
+
+    return '<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n'
+      + `<title>#${escapeHtml(channel.name)}</title>\n`
+      + '<style>body{font-family:sans-serif;max-width:900px;margin:auto}'
+      + '.message{margin:6px 0}.time{color:#888}.system,.deleted{color:#888;font-style:italic}'
+      + '.private{background:#f4f0ff}.meta{color:#888;font-size:90%}</style>\n'
+      + `</head>\n<body>\n<h1>#${escapeHtml(channel.name)}</h1>\n<p class="meta">${escapeHtml(subtitle)}</p>\n`;
+  }
+
+  renderFooter(format) {
+    if (format === 'json') {
+      return ']}\n';
+    }
+    return format === 'html' ? '</body>\n</html>\n' : '';
+  }
+
+  renderMessage(format, message, first) {
+    if (format === 'json') {
+      return `${first ? '' : ',\n'}${JSON.stringify(message)}`;
+    }
+    return format === 'md' ? this.renderMarkdown(message) : this.renderHtml(message);
+  }
+
+  renderMarkdown(message) {
+    const time = `\`${formatTime(message.timestamp)}\``;
+    const reply = message.replyTo ? ' ↳' : '';
+
+    if (message.type === 'system') {
+      return `${time} _${message.text}_\n\n`;
+    }
+    if (message.deletedAt) {
+      return `${time}${reply} **${message.author}**: _message deleted_\n\n`;
+    }
+
+    const author = message.type === 'private' ? `${message.author} → ${message.target}` : message.author;
+    const text = message.action ? `_* ${message.author} ${message.text}_` : message.text;
+    const lines = [`${time}${reply} **${author}**${message.action ? '' : ':'} ${text}${message.editedAt ? ' _(edited)_' : ''}`];
+
+    message.poll?.options.forEach(option => lines.push(`- ${describePollOption(option)}`));
+    message.attachments.forEach(attachment => {
+      lines.push(attachment.path
+        ? `- [${attachment.filename}](${encodeURI(attachment.path)})`
+        : `- ${attachment.filename}`);
+    });
+    return `${lines.join('\n')}\n\n`;
+  }
+
+  renderHtml(message) {
+    const time = `<span class="time">${escapeHtml(formatTime(message.timestamp))}</span>`;
+
+    if (message.type === 'system') {
+      return `<div class="message system">${time} ${escapeHtml(message.text)}</div>\n`;
+    }
+    if (message.deletedAt) {
+      return `<div class="message deleted">${time} <b>${escapeHtml(message.author)}</b>: message deleted</div>\n`;
+    }
+
+    const classes = ['message', message.type === 'private' && 'private', message.replyTo && 'reply'].filter(Boolean);
+    const author = message.type === 'private'
+      ? `${escapeHtml(message.author)} → ${escapeHtml(message.target)}`
+      : escapeHtml(message.author);
+    const text = escapeHtml(message.text).replace(/\n/g, '<br>');
+    const body = message.action ? `<i>* ${author} ${text}</i>` : `<b>${author}</b>: ${text}`;
+    const pollOptions = (message.poll?.options || []).map(option => `<li>${escapeHtml(describePollOption(option))}</li>`);
+    const attachments = pollOptions.concat(message.attachments.map(attachment => (attachment.path
+      ? `<li><a href="${escapeHtml(encodeURI(attachment.path))}">${escapeHtml(attachment.filename)}</a></li>`
+      : `<li>${escapeHtml(attachment.filename)}</li>`))).join('');
+
+    return `<div class="${classes.join(' ')}">${time} ${body}${message.editedAt ? ' <span class="meta">(edited)</span>' : ''}`
+      + `${attachments ? `<ul>${attachments}</ul>` : ''}</div>\n`;
+  }
+}
+
+module.exports = new ExportService();
@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+const Channel = require('../models/Channel');
+const HeldMessage = require('../models/HeldMessage');
+const chatService = require('./chatService');
+const attachmentService = require('./attachmentService');
+const mentionService = require('./mentionService');
+const messageExpiryService = require('./messageExpiryService');
+const { logger } = require('../middleware/auth');
+
+/**
+ * Review queue of messages held by content filters. Moderators approve a message,
+ * which posts it as if it was sent then, or reject it, which drops it with its attachments.
+ */
+class HeldMessageService {
+  constructor() {
+    this.logger = logger;
+  }
+
+  formatHeld(held) {
+    return {
+      id: held._id.toString(),
+      messageId: held.messageId.toString(),
+      author: held.author,
+      room: held.channel,
+      text: held.text,
+      type: held.type,
+      action: Boolean(held.action),
+      replyTo: held.replyTo ? held.replyTo.toString() : null,
+      attachments: (held.attachments || []).map(attachment => attachmentService.formatAttachment(attachment)),
+      filter: held.filter,
+      reason: held.reason,
+      createdAt: held.createdAt
+    };
+  }
+
+  // Moderators only review channels they can read
+  async assertChannel(channelId, reviewer) {
+    const query = { id: channelId, type: { $ne: 'dm' } };
+    if (reviewer.role !== 'admin') {
+      query['permissions.read'] = { $ne: 'admin' };
+    }
+    const exists = await Channel.exists(query);
+    if (!exists) {
+      throw new Error('Channel not found');
+    }
+  }
+
+  /**
+   * Messages of a channel waiting for review, oldest first
+   * @param {string} channelId - Channel ID
+   * @param {Object} reviewer - { nickname, role }
+   * @returns {Promise<Array>}
+   */
+  async listHeld(channelId, reviewer) {
+    try {
+      await this.assertChannel(channelId, reviewer);
+      const held = await HeldMessage.find({ channel: channelId }).sort({ createdAt: 1 });
+      return held.map(entry => this.formatHeld(entry));
+    } catch (error) {
+      this.logger.error('Error listing held messages:', error);
+      throw error;
+    }
+  }
+
+  async getHeld(channelId, id) {
+    const held = mongoose.Types.ObjectId.isValid(id)
+      ? await HeldMessage.findOne({ _id: id, channel: channelId })
+      : null;
+    if (!held) {
+      throw new Error('Held message not found');
+    }
+    return held;
+  }
+
+  /**
+   * Post a held message. A thread that is gone by now gets the reply as a new message.
+   * @param {string} channelId - Channel ID
+   * @param {string} id - Held message ID
+   * @param {Object} reviewer - Reviewing moderator: { nickname, role }
+   * @param {Object} io - Socket.IO server instance
+   * @returns {Promise<Object>} - Formatted posted message
+   */
+  async approve(channelId, id, reviewer, io) {
+    try {
+      await this.assertChannel(channelId, reviewer);
+      const held = await this.getHeld(channelId, id);
+
+      let threadRoot = null;
+      if (held.replyTo) {
+        threadRoot = await chatService.getThreadRoot(held.replyTo.toString(), channelId).catch(() => null);
+      }
+
+      const mentions = await mentionService.resolveMentions(held.text, { channelId, author: held.author, io });
+
+      let message;
+      try {
+        message = await chatService.saveMessage({
+          _id: held.messageId,
+          author: held.author,
+          channel: channelId,
+          text: held.text,
+          type: held.type,
+          action: held.action,
+          replyTo: threadRoot ? threadRoot._id : null,
+          mentions,
+          attachments: held.attachments,
+          clientId: held.clientId,
+          poll: held.poll,
+          // Counted from approval, like a message sent at that moment
+          expiresAt: await messageExpiryService.resolveExpiry(channelId, held.expiresIn)
+        });
+      } catch (error) {
+        // Another moderator approved it at the same time
+        if (error.code === 11000) {
+          await HeldMessage.deleteOne({ _id: held._id });
+          throw new Error('Held message not found');
+        }
+        throw error;
+      }
+      await HeldMessage.deleteOne({ _id: held._id });
+
+      const messageData = { ...chatService.formatMessage(message), status: 'delivered' };
+      if (io) {
+        if (threadRoot) {
+          await chatService.updateThreadSummary(threadRoot._id, message, io);
+          io.to(channelId).emit('thread_reply', messageData);
+        } else {
+          io.to(channelId).emit('message', messageData);
+        }
+        chatService.notifyMentions(io, messageData);
+        this.notifyAuthor(io, held, 'approved');
+      }
+
+      this.logger.info(`Held message ${held._id} in #${channelId} approved by ${reviewer.nickname}`);
+      return messageData;
+    } catch (error) {
+      this.logger.error('Error approving held message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Drop a held message and its attachments
+   * @param {string} channelId - Channel ID
+   * @param {string} id - Held message ID
+   * @param {Object} reviewer - Reviewing moderator: { nickname, role }
+   * @param {Object} io - Socket.IO server instance
+   * @returns {Promise<Object>} - { id }
+   */
+  async reject(channelId, id, reviewer, io) {
+    try {
+      await this.assertChannel(channelId, reviewer);
+      const held = await this.getHeld(channelId, id);
+      const { deletedCount } = await HeldMessage.deleteOne({ _id: held._id });
+      if (deletedCount === 0) {
+        throw new Error('Held message not found');
+      }
+
+      if (held.attachments.length > 0) {
+        await attachmentService.removeMessageAttachments(held.messageId);
+      }
+      if (io) {
+        this.notifyAuthor(io, held, 'rejected');
+      }
+
+      this.logger.info(`Held message ${held._id} in #${channelId} rejected by ${reviewer.nickname}`);
+      return { id: held._id.toString() };
+    } catch (error) {
+      this.logger.error('Error rejecting held message:', error);
+      throw error;
+    }
+  }
+
+  notifyAuthor(io, held, status) {
+    io.to(chatService.getUserRoom(held.author)).emit('held_message_reviewed', {
+      id: held._id.toString(),
+      room: held.channel,
+      messageId: status === 'approved' ? held.messageId.toString() : null,
+      status
+    });
+  }
+}
+
+module.exports = new HeldMessageService();
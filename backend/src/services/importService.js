@@ -0,0 +1,436 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Channel = require('../models/Channel');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const { invalidateChannelMessagesCache } = require('./cacheService');
+const { logger } = require('../middleware/auth');
+
+const IMPORT_SOURCES = ['slack', 'discord'];
+const MAX_TEXT_LENGTH = 2000;
+const BATCH_SIZE = 500;
+const SYSTEM_AUTHOR = 'System';
+
+// Slack message subtypes that describe channel events rather than something a user wrote
+const SLACK_SYSTEM_SUBTYPES = [
+  'channel_join', 'channel_leave', 'channel_topic', 'channel_purpose',
+  'channel_name', 'channel_archive', 'channel_unarchive', 'pinned_item'
+];
+const SLACK_SKIPPED_SUBTYPES = ['tombstone', 'joiner_notification_for_inviter'];
+const SLACK_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>' };
+
+const DISCORD_USER_TYPES = ['Default', 'Reply'];
+const DISCORD_SYSTEM_TEXT = {
+  GuildMemberJoin: author => `${author} joined the server`,
+  ChannelPinnedMessage: author => `${author} pinned a message`,
+  ChannelNameChange: (author, content) => `${author} renamed the channel to ${content}`,
+  ChannelTopicChange: (author, content) => `${author} changed the topic: ${content}`,
+  RecipientAdd: author => `${author} added someone to the conversation`,
+  RecipientRemove: author => `${author} removed someone from the conversation`,
+  ThreadCreated: (author, content) => `${author} started a thread: ${content}`
+};
+
+/**
+ * Message ID derived from the original one: reimporting the same export
+ * produces the same IDs, and they still sort by the original time.
+ */
+const createImportedId = (importKey, timestamp) => {
+  const seconds = Math.max(0, Math.floor(timestamp.getTime() / 1000));
+  const hash = crypto.createHash('sha1').update(importKey).digest();
+  const bytes = Buffer.alloc(12);
+  bytes.writeUInt32BE(seconds, 0);
+  hash.copy(bytes, 4, 0, 8);
+  return new mongoose.Types.ObjectId(bytes);
+};
+
+const splitText = (text) => {
+  if (text.length <= MAX_TEXT_LENGTH) {
+    return [text];
+  }
+
+  const parts = [];
+  let rest = text;
+  while (rest.length > MAX_TEXT_LENGTH) {
+    // Prefer cutting at a line break or space so words stay whole
+    const window = rest.slice(0, MAX_TEXT_LENGTH);
+    const cut = Math.max(window.lastIndexOf('\n'), window.lastIndexOf(' '));
+    const end = cut > MAX_TEXT_LENGTH / 2 ? cut : MAX_TEXT_LENGTH;
+    parts.push(rest.slice(0, end));
+    rest = rest.slice(end).replace(/^\s+/, '');
+  }
+  if (rest) {
+    parts.push(rest);
+  }
+  return parts;
+};
+
+const describeFiles = files => files
+  .filter(file => file.name)
+  .map(file => `📎 ${file.name}${file.url ? ` ${file.url}` : ''}`);
+
+class ImportService {
+  constructor() {
+    this.logger = logger;
+  }
+
+  /**
+   * Read a Slack export: { users, channels, messages: { [channelName]: [...] } },
+   * where users.json and channels.json are the files of the export and the messages
+   * of each channel are the contents of its daily files.
+   * @param {Object} data - Slack export
+   * @returns {Object} - { users, channels } in the shape used by importHistory
+   */
+  parseSlackExport(data) {
+    if (!data || !Array.isArray(data.channels) || !data.messages || typeof data.messages !== 'object') {
+      throw new Error('Invalid Slack export: channels and messages are required');
+    }
+
+    const users = new Map();
+    (data.users || []).forEach(user => {
+      users.set(user.id, {
+        externalId: user.id,
+        email: user.profile?.email || null,
+        names: [user.name, user.profile?.display_name, user.real_name || user.profile?.real_name].filter(Boolean)
+      });
+    });
+
+    // Only authors and mentioned users get accounts, not everyone in the workspace
+    const referenced = new Set();
+    const channels = data.channels.map(channel => {
+      const messages = [];
+
+      (data.messages[channel.name] || []).forEach(message => {
+        if (message.type !== 'message' || !message.ts || SLACK_SKIPPED_SUBTYPES.includes(message.subtype)) {
+          return;
+        }
+
+        let authorId = message.user || message.bot_id || null;
+        if (authorId && !users.has(authorId)) {
+          const name = message.user_profile?.name || message.username || message.bot_profile?.name;
+          users.set(authorId, { externalId: authorId, email: null, names: [name].filter(Boolean) });
+        }
+
+        if (authorId) {
+          referenced.add(authorId);
+        }
+        for (const [, id] of (message.text || '').matchAll(/<@([A-Z0-9]+)/g)) {
+          referenced.add(id);
+        }
+
+        const system = SLACK_SYSTEM_SUBTYPES.includes(message.subtype) || !authorId;
+        if (system) {
+          authorId = null;
+        }
+
+        const files = (message.files || []).map(file => ({ name: file.name || file.title, url: file.permalink || null }));
+        messages.push({
+          externalId: message.ts,
+          authorId,
+          system,
+          text: message.text || '',
+          files,
+          timestamp: new Date(Number(message.ts) * 1000),
+          editedAt: message.edited?.ts ? new Date(Number(message.edited.ts) * 1000) : null,
+          threadId: message.thread_ts && message.thread_ts !== message.ts ? message.thread_ts : null
+        });
+      });
+
+      return {
+        externalId: channel.id,
+        name: channel.name,
+        description: channel.purpose?.value || channel.topic?.value || '',
+        createdAt: channel.created ? new Date(channel.created * 1000) : null,
+        messages
+      };
+    });
+
+    [...users.keys()].filter(id => !referenced.has(id)).forEach(id => users.delete(id));
+    return { users, channels, renderText: this.renderSlackText };
+  }
+
+  /**
+   * Slack stores mentions and links as <@U123>, <#C123|name> and <url|label>
+   * @param {string} text
+   * @param {Function} nicknameOf - External user ID to nickname
+   * @returns {string}
+   */
+  renderSlackText(text, nicknameOf) {
+    return text
+      .replace(/<@([A-Z0-9]+)(?:\|[^>]*)?>/g, (match, id) => `@${nicknameOf(id) || id}`)
+      .replace(/<#[A-Z0-9]+\|([^>]*)>/g, '#$1')
+      .replace(/<!(here|channel|everyone)(?:\|[^>]*)?>/g, '@$1')
+      .replace(/<(https?:[^|>]+)\|([^>]+)>/g, '$2 ($1)')
+      .replace(/<(https?:[^>]+)>/g, '$1')
+      .replace(/&(amp|lt|gt);/g, entity => SLACK_ENTITIES[entity]);
+  }
+
+  /**
+   * Read DiscordChatExporter JSON, one exported channel or an array of them
+   * @param {Object|Array} data - Discord export
+   * @returns {Object} - { users, channels } in the shape used by importHistory
+   */
+  parseDiscordExport(data) {
+    const exports = Array.isArray(data) ? data : [data];
+    if (exports.length === 0 || exports.some(item => !item?.channel?.name || !Array.isArray(item.messages))) {
+      throw new Error('Invalid Discord export: channel and messages are required');
+    }
+
+    const users = new Map();
+    const channels = exports.map(({ channel, messages }) => ({
+      externalId: channel.id,
+      name: channel.name,
+      description: channel.topic || '',
+      createdAt: null,
+      messages: messages.reduce((imported, message) => {
+        const author = message.author || {};
+        const authorName = author.nickname || author.name || 'unknown';
+        if (author.id) {
+          // Server nicknames change over time, any of them may match a user
+          const user = users.get(author.id) || { externalId: author.id, email: null, names: [] };
+          [author.name, author.nickname]
+            .filter(name => name && !user.names.includes(name))
+            .forEach(name => user.names.push(name));
+          users.set(author.id, user);
+        }
+
+        const timestamp = new Date(message.timestamp);
+        const base = {
+          externalId: message.id,
+          timestamp,
+          editedAt: message.timestampEdited ? new Date(message.timestampEdited) : null,
+          threadId: null,
+          files: []
+        };
+
+        if (DISCORD_USER_TYPES.includes(message.type || 'Default')) {
+          imported.push({
+            ...base,
+            authorId: author.id || null,
+            system: !author.id,
+            text: message.content || '',
+            files: (message.attachments || []).map(file => ({ name: file.fileName, url: file.url || null }))
+          });
+        } else if (DISCORD_SYSTEM_TEXT[message.type] || message.content) {
+          const describe = DISCORD_SYSTEM_TEXT[message.type];
+          imported.push({
+            ...base,
+            authorId: null,
+            system: true,
+            text: describe ? describe(authorName, message.content || '') : message.content
+          });
+        }
+        return imported;
+      }, [])
+    }));
+
+    return { users, channels, renderText: text => text };
+  }
+
+  /**
+   * Import the history of a Slack or Discord workspace. Channels are matched by name and
+   * created when missing, messages keep their original authors and timestamps. Running
+   * the same import again adds only what is new.
+   * @param {string} source - 'slack' or 'discord'
+   * @param {Object} data - Export contents, see parseSlackExport and parseDiscordExport
+   * @param {Object} options - { importedBy, userMap: { externalName: nickname } }
+   * @returns {Promise<Object>} - { source, channels: [{ id, name, created, imported, skipped }], users }
+   */
+  async importHistory(source, data, { importedBy, userMap = {} } = {}) {
+    try {
+      if (!IMPORT_SOURCES.includes(source)) {
+        throw new Error('Import source must be slack or discord');
+      }
+
+      const parsed = source === 'slack' ? this.parseSlackExport(data) : this.parseDiscordExport(data);
+      const { nicknames, matched, placeholders } = await this.resolveUsers(source, parsed.users, userMap);
+      const nicknameOf = externalId => nicknames.get(externalId);
+
+      const channels = [];
+      for (const channelData of parsed.channels) {
+        const { channel, created } = await this.findOrCreateChannel(channelData, importedBy);
+        const docs = this.buildMessages(source, channel.id, channelData, nicknameOf, parsed.renderText);
+        const { imported, skipped } = await this.insertMessages(docs);
+        await this.updateThreads(docs);
+
+        if (imported > 0) {
+          invalidateChannelMessagesCache(channel.id).catch(error =>
+            this.logger.warn('Failed to invalidate channel messages cache:', error.message)
+          );
+        }
+        channels.push({ id: channel.id, name: channel.name, created, imported, skipped });
+      }
+
+      const summary = { source, channels, users: { matched, placeholders } };
+      this.logger.info(`${source} history imported by ${importedBy}`, summary);
+      return summary;
+    } catch (error) {
+      this.logger.error('Error importing history:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Map export authors to users: an explicit entry of userMap first, then the email address,
+   * then a nickname equal to one of their names. Everyone else gets a placeholder account.
+   * @returns {Promise<Object>} - { nicknames: Map<externalId, nickname>, matched, placeholders }
+   */
+  async resolveUsers(source, users, userMap) {
+    const nicknames = new Map();
+    const placeholders = [];
+    let matched = 0;
+
+    for (const user of users.values()) {
+      const mapped = [user.externalId, ...user.names].map(name => userMap[name]).find(Boolean);
+      const conditions = [];
+      if (mapped) {
+        conditions.push({ nickname: mapped });
+      } else {
+        if (user.email) {
+          conditions.push({ email: user.email.toLowerCase() });
+        }
+        conditions.push({ importedFrom: `${source}:${user.externalId}` });
+        conditions.push(...user.names.map(name => ({ nickname: name })));
+      }
+
+      const existing = await User.findOne({ $or: conditions }).select('nickname importedFrom');
+      if (existing) {
+        nicknames.set(user.externalId, existing.nickname);
+        if (!existing.importedFrom) {
+          matched++;
+        }
+        continue;
+      }
+      if (mapped) {
+        throw new Error(`User ${mapped} not found`);
+      }
+
+      const placeholder = await this.createPlaceholder(source, user);
+      nicknames.set(user.externalId, placeholder.nickname);
+      placeholders.push(placeholder.nickname);
+    }
+
+    return { nicknames, matched, placeholders };
+  }
+
+  async createPlaceholder(source, user) {
+    let base = (user.names[0] || `${source}-${user.externalId}`)
+      .trim()
+      .replace(/\s+/g, '_')
+      .slice(0, 40);
+    if (base.length < 3) {
+      base = `${base}-${source}`;
+    }
+
+    let nickname = base;
+    for (let counter = 2; await User.exists({ nickname }); counter++) {
+      nickname = `${base}-${counter}`;
+    }
+
+    return User.create({
+      nickname,
+      email: `${crypto.randomBytes(8).toString('hex')}@imported.invalid`,
+      password: crypto.randomBytes(32).toString('hex'),
+      importedFrom: `${source}:${user.externalId}`
+    });
+  }
+
+  async findOrCreateChannel({ name, description, createdAt }, importedBy) {
+    // Slack names are lowercase slugs, so #general lands in the default General channel
+    const existing = await Channel.findOne({ type: 'text', $or: [{ id: name.toLowerCase() }, { name }] });
+    if (existing) {
+      return { channel: existing, created: false };
+    }
+
+    const channel = new Channel({
+      name,
+      type: 'text',
+      description: description.slice(0, 500),
+      createdBy: importedBy,
+      ...(createdAt && { createdAt })
+    });
+    await channel.save();
+    return { channel, created: true };
+  }
+
+  /**
+   * Message documents of one channel, oldest first. Long texts are split in several
+   * messages, thread replies point at the first part of their root.
+   */
+  buildMessages(source, channelId, channelData, nicknameOf, renderText) {
+    const sorted = [...channelData.messages]
+      .filter(message => !Number.isNaN(message.timestamp.getTime()))
+      .sort((a, b) => a.timestamp - b.timestamp);
+    const rootIds = new Map();
+    const docs = [];
+
+    sorted.forEach(message => {
+      const text = [renderText(message.text, nicknameOf), ...describeFiles(message.files)]
+        .filter(Boolean)
+        .join('\n');
+      if (!text.trim()) {
+        return;
+      }
+
+      const importKey = `${source}:${channelData.externalId}:${message.externalId}`;
+      const replyTo = message.threadId ? rootIds.get(message.threadId) || null : null;
+
+      splitText(text).forEach((part, index) => {
+        const doc = {
+          _id: createImportedId(index === 0 ? importKey : `${importKey}:${index}`, message.timestamp),
+          author: message.system ? SYSTEM_AUTHOR : nicknameOf(message.authorId) || SYSTEM_AUTHOR,
+          channel: channelId,
+          type: message.system ? 'system' : 'public',
+          text: part,
+          timestamp: message.timestamp,
+          editedAt: message.editedAt,
+          replyTo
+        };
+        if (index === 0 && !message.threadId) {
+          rootIds.set(message.externalId, doc._id);
+        }
+        docs.push(doc);
+      });
+    });
+
+    return docs;
+  }
+
+  /**
+   * Insert messages that aren't there yet from an earlier run
+   * @returns {Promise<Object>} - { imported, skipped }
+   */
+  async insertMessages(docs) {
+    let imported = 0;
+
+    for (let start = 0; start < docs.length; start += BATCH_SIZE) {
+      const batch = docs.slice(start, start + BATCH_SIZE);
+      const existing = await Message.find({ _id: { $in: batch.map(doc => doc._id) } }).select('_id').lean();
+      const existingIds = new Set(existing.map(doc => doc._id.toString()));
+      const fresh = batch.filter(doc => !existingIds.has(doc._id.toString()));
+
+      if (fresh.length > 0) {
+        await Message.insertMany(fresh, { ordered: false });
+        imported += fresh.length;
+      }
+    }
+
+    return { imported, skipped: docs.length - imported };
+  }
+
+  async updateThreads(docs) {
+    const threads = new Map();
+    docs.filter(doc => doc.replyTo).forEach(doc => {
+      const key = doc.replyTo.toString();
+      const thread = threads.get(key) || { root: doc.replyTo, count: 0, lastReplyAt: null };
+      thread.count++;
+      thread.lastReplyAt = doc.timestamp;
+      threads.set(key, thread);
+    });
+
+    for (const { root, count, lastReplyAt } of threads.values()) {
+      await Message.updateOne({ _id: root }, { $set: { replyCount: count, lastReplyAt } });
+    }
+  }
+}
+
+module.exports = new ImportService();
@@ -0,0 +1,161 @@
+const User = require('../models/User');
+const Channel = require('../models/Channel');
+const ReadMarker = require('../models/ReadMarker');
+const directMessageService = require('./directMessageService');
+const { logger } = require('../middleware/auth');
+
+// "@name" at the start of the text or after a non-word character, so e-mail addresses don't match
+const MENTION_PATTERN = /(^|[^\p{L}\p{N}_@])@([\p{L}\p{N}_.-]+)/gu;
+const MAX_NICKNAME_MENTIONS = 20;
+// @channel notifies the most recent readers of a channel, not every account on the server
+const MAX_CHANNEL_MENTIONS = 200;
+
+class MentionService {
+  constructor() {
+    this.logger = logger;
+  }
+
+  /**
+   * Extract mention tokens from message text
+   * @param {string} text - Message text
+   * @returns {Object} - { nicknames, here, channel }
+   */
+  parseMentions(text) {
+    const nicknames = new Set();
+    let here = false;
+    let channel = false;
+
+    for (const match of (text || '').matchAll(MENTION_PATTERN)) {
+      // Trailing punctuation belongs to the sentence, not the nickname
+      const token = match[2].replace(/[.-]+$/, '');
+
+      if (token === 'here') {
+        here = true;
+      } else if (token === 'channel') {
+        channel = true;
+      } else if (token && nicknames.size < MAX_NICKNAME_MENTIONS) {
+        nicknames.add(token);
+      }
+    }
+
+    return { nicknames: Array.from(nicknames), here, channel };
+  }
+
+  /**
+   * Nicknames of users currently connected to a channel
+   * @param {Object} io - Socket.IO server instance
+   * @param {string} channelId - Channel ID
+   * @returns {Promise<Array>}
+   */
+  async getChannelOnlineNicknames(io, channelId) {
+    const sockets = await io.in(channelId).fetchSockets();
+    return sockets.map(socket => socket.nickname).filter(Boolean);
+  }
+
+  /**
+   * Resolve mention tokens into users.
+   * @here reaches users online in the channel, @channel its members: users online in it
+   * and the latest readers. Every mention is limited to users who can read the channel,
+   * so in a direct conversation only its members can be mentioned.
+   * @param {string} text - Message text
+   * @param {Object} context - { channelId, author, io }
+   * @returns {Promise<Array>} - [{ user, nickname }] without the author
+   */
+  async resolveMentions(text, { channelId, author, io }) {
+    try {
+      const { nicknames, here, channel } = this.parseMentions(text);
+      if (!channel && !here && nicknames.length === 0) {
+        return [];
+      }
+
+      let query = null;
+
+      if (directMessageService.isDirectChannelId(channelId)) {
+        const members = await directMessageService.getMembers(channelId);
+        const candidates = channel ? members : await this.getCandidates(nicknames, here, io, channelId);
+        const allowed = candidates.filter(nickname => nickname !== author && members.includes(nickname));
+        if (allowed.length === 0) {
+          return [];
+        }
+        query = { nickname: { $in: allowed } };
+      } else {
+        if (channel) {
+          query = await this.getChannelMembersQuery(io, channelId, nicknames);
+        } else {
+          const allowed = (await this.getCandidates(nicknames, here, io, channelId)).filter(nickname => nickname !== author);
+          if (allowed.length === 0) {
+            return [];
+          }
+          query = { nickname: { $in: allowed } };
+        }
+        Object.assign(query, await this.getReadFilter(channelId));
+      }
+
+      const users = await User.find(query).select('_id nickname');
+
+      return users
+        .filter(user => user.nickname !== author)
+        .map(user => ({ user: user._id, nickname: user.nickname }));
+    } catch (error) {
+      this.logger.error('Error resolving mentions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Nicknames named explicitly, plus the users online in the channel for @here
+   * @param {Array} nicknames - Explicitly mentioned nicknames
+   * @param {boolean} here - Whether @here was used
+   * @param {Object} io - Socket.IO server instance (optional)
+   * @param {string} channelId - Channel ID
+   * @returns {Promise<Array>}
+   */
+  async getCandidates(nicknames, here, io, channelId) {
+    const candidates = new Set(nicknames);
+    if (here && io) {
+      for (const nickname of await this.getChannelOnlineNicknames(io, channelId)) {
+        candidates.add(nickname);
+      }
+    }
+    return Array.from(candidates);
+  }
+
+  /**
+   * User filter for who may read a public channel
+   * @param {string} channelId - Channel ID
+   * @returns {Promise<Object>}
+   */
+  async getReadFilter(channelId) {
+    const channelDoc = await Channel.findOne({ id: channelId }).select('permissions');
+    return channelDoc?.permissions?.read === 'admin' ? { role: 'admin' } : {};
+  }
+
+  /**
+   * User query for @channel in a public channel, including explicitly named users
+   * @param {Object} io - Socket.IO server instance (optional)
+   * @param {string} channelId - Channel ID
+   * @param {Array} nicknames - Explicitly mentioned nicknames
+   * @returns {Promise<Object>}
+   */
+  async getChannelMembersQuery(io, channelId, nicknames = []) {
+    const readers = await ReadMarker.find({ channel: channelId })
+      .sort({ updatedAt: -1 })
+      .limit(MAX_CHANNEL_MENTIONS)
+      .select('user')
+      .lean();
+    const online = io ? await this.getChannelOnlineNicknames(io, channelId) : [];
+
+    const query = {
+      $or: [
+        { _id: { $in: readers.map(reader => reader.user) } },
+        { nickname: { $in: online } }
+      ]
+    };
+    if (nicknames.length > 0) {
+      query.$or.push({ nickname: { $in: nicknames } });
+    }
+    return query;
+  }
+}
+
+module.exports = new MentionService();
@@ -0,0 +1,218 @@
+const config = require('../config');
+const Channel = require('../models/Channel');
+const Message = require('../models/Message');
+const attachmentService = require('./attachmentService');
+const channelService = require('./channelService');
+const { invalidateChannelMessagesCache } = require('./cacheService');
+const { logger } = require('../middleware/auth');
+
+const MINUTE = 60 * 1000;
+
+class MessageExpiryService {
+  constructor() {
+    this.logger = logger;
+    this.timer = null;
+    this.io = null;
+    this.processing = false;
+  }
+
+  validateMinutes(minutes) {
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > config.messageExpiry.maxMinutes) {
+      throw new Error(`Message expiry must be between 1 and ${config.messageExpiry.maxMinutes} minutes`);
+    }
+  }
+
+  /**
+   * When a new message disappears. The channel default applies to messages without an
+   * expiry of their own and caps longer ones.
+   * @param {string} channelId - Channel ID
+   * @param {number} minutes - Expiry chosen by the author (optional)
+   * @param {Date} now - Send time
+   * @returns {Promise<Date|null>} - Expiry time, null when the message is kept
+   */
+  async resolveExpiry(channelId, minutes, now = new Date()) {
+    if (minutes !== undefined && minutes !== null) {
+      this.validateMinutes(minutes);
+    }
+
+    const channel = await Channel.findOne({ id: channelId }).select('messageExpiry');
+    const channelDefault = channel?.messageExpiry || null;
+    const effective = channelDefault && (!minutes || minutes > channelDefault) ? channelDefault : minutes;
+
+    return effective ? new Date(now.getTime() + effective * MINUTE) : null;
+  }
+
+  /**
+   * Filter for messages that have not expired. The job removes expired messages every few
+   * seconds, reads leave out the ones it has not reached yet.
+   * @param {Date} now - Current time
+   * @returns {Object} - Mongo filter, to be combined with $and
+   */
+  buildUnexpiredFilter(now = new Date()) {
+    return { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] };
+  }
+
+  isExpired(message, now = new Date()) {
+    return Boolean(message.expiresAt) && new Date(message.expiresAt) <= now;
+  }
+
+  /**
+   * Make every new message of a channel disappear after the given time
+   * @param {string} channelId - Channel ID
+   * @param {number|null} minutes - null turns the default off
+   * @param {string} nickname - Admin changing the setting
+   * @param {Object} io - Socket.IO server instance
+   * @returns {Promise<Object>} - { channel, minutes }
+   */
+  async setChannelExpiry(channelId, minutes, nickname, io) {
+    try {
+      if (minutes !== null) {
+        this.validateMinutes(minutes);
+      }
+
+      const existing = await Channel.findOne({ id: channelId, type: { $ne: 'dm' } });
+      if (!existing) {
+        throw new Error('Channel not found');
+      }
+
+      const channel = await channelService.updateChannel(channelId, { messageExpiry: minutes, updatedAt: new Date() });
+      if (io) {
+        io.emit('channel_updated', { id: channel.id, messageExpiry: channel.messageExpiry || null });
+      }
+
+      this.logger.info(`Message expiry of #${channelId} set to ${minutes || 'off'} by ${nickname}`);
+      return { channel: channel.id, minutes: channel.messageExpiry || null };
+    } catch (error) {
+      this.logger.error('Error setting message expiry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start removing expired messages. Safe to run on every instance, a message
+   * removed by another instance is simply not found again.
+   * @param {Object} io - Socket.IO server instance
+   */
+  start(io) {
+    if (this.timer) {
+      return;
+    }
+
+    this.io = io;
+    this.timer = setInterval(() => {
+      this.removeExpired().catch(error =>
+        this.logger.error('Message expiry job failed:', error)
+      );
+    }, config.messageExpiry.interval);
+    // The job alone should not keep the process alive
+    this.timer.unref();
+
+    this.logger.info('Message expiry job started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Delete messages whose time is up, with the replies of expired thread roots,
+   * and remove them from every client in their rooms
+   * @param {Date} now - Messages expiring before this time are removed
+   * @returns {Promise<number>} - Number of removed messages
+   */
+  async removeExpired(now = new Date()) {
+    if (this.processing) {
+      return 0;
+    }
+
+    this.processing = true;
+    let total = 0;
+    try {
+      for (;;) {
+        const expired = await Message.find({ expiresAt: { $lte: now } })
+          .sort({ expiresAt: 1 })
+          .limit(config.messageExpiry.batchSize)
+          .lean();
+        if (expired.length === 0) {
+          break;
+        }
+
+        const expiredIds = expired.map(message => message._id);
+        const replies = await Message.find({ replyTo: { $in: expiredIds } }).lean();
+        const messages = [...expired, ...replies];
+
+        for (const message of messages) {
+          if (message.attachments?.length > 0) {
+            await attachmentService.removeMessageAttachments(message._id);
+          }
+        }
+
+        const { deletedCount } = await Message.deleteMany({ _id: { $in: messages.map(message => message._id) } });
+        total += deletedCount;
+        await this.notifyRemoved(messages);
+
+        if (expired.length < config.messageExpiry.batchSize) {
+          break;
+        }
+      }
+
+      if (total > 0) {
+        this.logger.info(`Removed ${total} expired messages`);
+      }
+      return total;
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  async notifyRemoved(messages) {
+    const removedIds = new Set(messages.map(message => message._id.toString()));
+    const byChannel = new Map();
+    messages.forEach(message => {
+      byChannel.set(message.channel, [...(byChannel.get(message.channel) || []), message]);
+    });
+
+    for (const [channelId, channelMessages] of byChannel) {
+      const ids = channelMessages.map(message => message._id);
+
+      invalidateChannelMessagesCache(channelId).catch(error =>
+        this.logger.warn('Failed to invalidate channel messages cache:', error.message)
+      );
+
+      const unpinned = await Channel.updateOne(
+        { id: channelId, 'pins.message': { $in: ids } },
+        { $pull: { pins: { message: { $in: ids } } } }
+      );
+
+      // Threads that lost a reply but stay themselves
+      const roots = [...new Set(channelMessages
+        .filter(message => message.replyTo && !removedIds.has(message.replyTo.toString()))
+        .map(message => message.replyTo.toString()))];
+      const threads = await Promise.all(roots.map(rootId => this.recountThread(rootId)));
+
+      if (this.io) {
+        this.io.to(channelId).emit('messages_expired', { room: channelId, ids: ids.map(id => id.toString()) });
+        if (unpinned.modifiedCount > 0) {
+          this.io.to(channelId).emit('pins_updated', { room: channelId });
+        }
+        threads.filter(Boolean).forEach(thread => this.io.to(channelId).emit('thread_updated', thread));
+      }
+    }
+  }
+
+  async recountThread(rootId) {
+    const [replyCount, lastReply] = await Promise.all([
+      Message.countDocuments({ replyTo: rootId }),
+      Message.findOne({ replyTo: rootId }).sort({ timestamp: -1 }).select('timestamp').lean()
+    ]);
+    const lastReplyAt = lastReply ? lastReply.timestamp : null;
+
+    const root = await Message.findByIdAndUpdate(rootId, { $set: { replyCount, lastReplyAt } }, { new: true });
+    return root && { id: rootId, room: root.channel, replyCount, lastReplyAt };
+  }
+}
+
+module.exports = new MessageExpiryService();
@@ -0,0 +1,565 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Channel = require('../models/Channel');
+const chatService = require('./chatService');
+const attachmentService = require('./attachmentService');
+const pinService = require('./pinService');
+const directMessageService = require('./directMessageService');
+const channelService = require('./channelService');
+const messageExpiryService = require('./messageExpiryService');
+const contentFilterService = require('./contentFilterService');
+const { logger } = require('../middleware/auth');
+const { invalidateChannelMessagesCache } = require('./cacheService');
+
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_DISTINCT_REACTIONS = 20;
+const MAX_THREAD_REPLIES = 200;
+const SEARCH_PAGE_SIZE = 20;
+const MAX_SEARCH_PAGE_SIZE = 50;
+const CONTEXT_SIZE = 25;
+// One emoji, optionally with skin tone modifiers, variation selectors or ZWJ sequences
+const EMOJI_PATTERN = /^(?:\p{Extended_Pictographic}|\p{Emoji_Modifier}|\p{Regional_Indicator}|\u200d|\ufe0f|[#*0-9]\ufe0f?\u20e3)+$/u;
+
+class MessageService {
+  constructor() {
+    this.logger = logger;
+  }
+
+  async getMessageById(messageId) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(messageId)) {
+        return null;
+      }
+
+      return await Message.findById(messageId);
+    } catch (error) {
+      this.logger.error('Error fetching message by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Private messages are only visible to their author and target, messages of direct
+   * conversations to the conversation members and of admin-only channels to admins
+   * @param {Object} message - Message document
+   * @param {Object} viewer - Viewing user ({ nickname, role })
+   * @param {Array} unreadableChannels - Result of getUnreadableChannelIds, saves a lookup per message (optional)
+   * @returns {Promise<boolean>}
+   */
+  async canView(message, viewer, unreadableChannels = null) {
+    if (message.type === 'private') {
+      return message.author === viewer.nickname || message.target === viewer.nickname;
+    }
+    if (directMessageService.isDirectChannelId(message.channel)) {
+      return directMessageService.isMember(message.channel, viewer.nickname);
+    }
+    if (viewer.role === 'admin') {
+      return true;
+    }
+    if (unreadableChannels) {
+      return !unreadableChannels.includes(message.channel);
+    }
+
+    const channel = await Channel.findOne({ id: message.channel }).select('permissions');
+    return channel?.permissions?.read !== 'admin';
+  }
+
+  /**
+   * Emit a message-level event to everyone who can see the message
+   * @param {Object} io - Socket.IO server instance (optional)
+   * @param {Object} message - Message document
+   * @param {string} event - Event name
+   * @param {Object} payload - Event payload
+   */
+  broadcastMessageEvent(io, message, event, payload) {
+    if (!io) {
+      return;
+    }
+
+    if (message.type === 'private') {
+      io.to(chatService.getUserRoom(message.author))
+        .to(chatService.getUserRoom(message.target))
+        .emit(event, payload);
+    } else {
+      io.to(message.channel).emit(event, payload);
+    }
+  }
+
+  async editMessage(messageId, nickname, text, io) {
+    try {
+      const trimmedText = typeof text === 'string' ? text.trim() : '';
+
+      if (!trimmedText) {
+        throw new Error('Message text is required');
+      }
+
+      if (trimmedText.length > MAX_MESSAGE_LENGTH) {
+        throw new Error(`Message text cannot exceed ${MAX_MESSAGE_LENGTH} characters`);
+      }
+
+      const message = await this.getMessageById(messageId);
+      if (!message || message.deletedAt) {
+        throw new Error('Message not found');
+      }
+
+      if (message.type === 'system' || message.author !== nickname) {
+        throw new Error('You can only edit your own messages');
+      }
+
+      if (message.type === 'poll') {
+        throw new Error('Polls cannot be edited');
+      }
+
+      // The text belongs to the original author
+      if (message.forwardedFrom) {
+        throw new Error('Forwarded messages cannot be edited');
+      }
+
+      // Nothing changed, don't create an empty revision
+      if (message.text === trimmedText) {
+        return message;
+      }
+
+      // An edit can't wait for a review, a hold rejects it
+      const verdict = await contentFilterService.filterMessage({
+        text: trimmedText,
+        author: nickname,
+        channelId: message.channel
+      }, { canHold: false, edit: true });
+      if (verdict.action === 'reject') {
+        throw contentFilterService.createRejection(verdict);
+      }
+      if (message.text === verdict.text) {
+        return message;
+      }
+
+      await message.applyEdit(verdict.text);
+
+      invalidateChannelMessagesCache(message.channel).catch(error =>
+        this.logger.warn('Failed to invalidate channel messages cache:', error.message)
+      );
+
+      this.broadcastMessageEvent(io, message, 'message_edited', chatService.formatMessage(message));
+
+      this.logger.info(`Message ${messageId} edited by ${nickname}`, {
+        channelId: message.channel,
+        revisions: message.revisions.length
+      });
+
+      return message;
+    } catch (error) {
+      this.logger.error('Error editing message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Soft-delete a message. Authors may delete their own messages,
+   * moderators may delete any message they can see.
+   * @param {string} messageId - Message ID
+   * @param {Object} actor - Acting user ({ nickname, role, isModerator })
+   * @param {Object} io - Socket.IO server instance (optional)
+   * @returns {Promise<Object>} - Tombstoned message document
+   */
+  async deleteMessage(messageId, actor, io) {
+    try {
+      const message = await this.getMessageById(messageId);
+      if (!message || message.deletedAt || !(await this.canView(message, actor))) {
+        throw new Error('Message not found');
+      }
+
+      if (message.author !== actor.nickname && !actor.isModerator) {
+        throw new Error('You can only delete your own messages');
+      }
+
+      const hadAttachments = message.attachments?.length > 0;
+      await message.softDelete(actor.nickname);
+
+      if (hadAttachments) {
+        attachmentService.removeMessageAttachments(message._id).catch(error =>
+          this.logger.warn('Failed to remove attachments of deleted message:', error.message)
+        );
+      }
+
+      pinService.removeDeletedMessage(message, io).catch(error =>
+        this.logger.warn('Failed to unpin deleted message:', error.message)
+      );
+
+      invalidateChannelMessagesCache(message.channel).catch(error =>
+        this.logger.warn('Failed to invalidate channel messages cache:', error.message)
+      );
+
+      this.broadcastMessageEvent(io, message, 'message_deleted', {
+        id: message._id.toString(),
+        room: message.channel,
+        deletedAt: message.deletedAt,
+        deletedBy: message.deletedBy
+      });
+
+      this.logger.info(`Message ${messageId} deleted by ${actor.nickname}`, {
+        channelId: message.channel,
+        author: message.author,
+        moderation: message.author !== actor.nickname
+      });
+
+      return message;
+    } catch (error) {
+      this.logger.error('Error deleting message:', error);
+      throw error;
+    }
+  }
+
+  validateEmoji(emoji) {
+    if (typeof emoji !== 'string' || emoji.length === 0 || emoji.length > 16 || !EMOJI_PATTERN.test(emoji)) {
+      throw new Error('Invalid reaction emoji');
+    }
+    return emoji;
+  }
+
+  async getReactableMessage(messageId, viewer) {
+    const message = await this.getMessageById(messageId);
+    if (!message || message.deletedAt || message.type === 'system' || !(await this.canView(message, viewer))) {
+      throw new Error('Message not found');
+    }
+    return message;
+  }
+
+  broadcastReactions(io, message) {
+    this.broadcastMessageEvent(io, message, 'reactions_updated', {
+      id: message._id.toString(),
+      room: message.channel,
+      reactions: chatService.formatReactions(message.reactions)
+    });
+  }
+
+  async addReaction(messageId, user, emoji, io) {
+    try {
+      this.validateEmoji(emoji);
+      const message = await this.getReactableMessage(messageId, user);
+
+      if (!message.reactions.has(emoji) && message.reactions.size >= MAX_DISTINCT_REACTIONS) {
+        throw new Error(`A message cannot have more than ${MAX_DISTINCT_REACTIONS} different reactions`);
+      }
+
+      // Atomic update so concurrent reactions don't overwrite each other
+      const updated = await Message.findByIdAndUpdate(
+        message._id,
+        { $addToSet: { [`reactions.${emoji}`]: user.nickname, reactedBy: user.nickname } },
+        { new: true }
+      );
+
+      invalidateChannelMessagesCache(updated.channel).catch(error =>
+        this.logger.warn('Failed to invalidate channel messages cache:', error.message)
+      );
+
+      this.broadcastReactions(io, updated);
+      return updated;
+    } catch (error) {
+      this.logger.error('Error adding reaction:', error);
+      throw error;
+    }
+  }
+
+  async removeReaction(messageId, user, emoji, io) {
+    try {
+      this.validateEmoji(emoji);
+      const message = await this.getReactableMessage(messageId, user);
+
+      let updated = await Message.findByIdAndUpdate(
+        message._id,
+        { $pull: { [`reactions.${emoji}`]: user.nickname } },
+        { new: true }
+      );
+
+      // Drop the emoji entirely once nobody uses it
+      updated = await Message.findOneAndUpdate(
+        { _id: message._id, [`reactions.${emoji}`]: { $size: 0 } },
+        { $unset: { [`reactions.${emoji}`]: '' } },
+        { new: true }
+      ) || updated;
+
+      invalidateChannelMessagesCache(updated.channel).catch(error =>
+        this.logger.warn('Failed to invalidate channel messages cache:', error.message)
+      );
+
+      this.broadcastReactions(io, updated);
+      return updated;
+    } catch (error) {
+      this.logger.error('Error removing reaction:', error);
+      throw error;
+    }
+  }
+
+  async getRevisions(messageId, viewer) {
+    try {
+      const message = await this.getMessageById(messageId);
+      if (!message || message.deletedAt || !(await this.canView(message, viewer))) {
+        throw new Error('Message not found');
+      }
+
+      return {
+        ...chatService.formatMessage(message),
+        revisions: message.revisions.map(revision => ({
+          text: revision.text,
+          timestamp: revision.timestamp
+        }))
+      };
+    } catch (error) {
+      this.logger.error('Error fetching message revisions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch a thread: its root message and replies, oldest first.
+   * Passing the ID of a reply returns the thread it belongs to.
+   * @param {string} messageId - Root or reply message ID
+   * @param {Object} viewer - Viewing user ({ nickname, role })
+   * @returns {Promise<Object>} - { parent, replies }
+   */
+  async getThread(messageId, viewer) {
+    try {
+      let parent = await this.getMessageById(messageId);
+      if (parent && parent.replyTo) {
+        parent = await Message.findById(parent.replyTo);
+      }
+
+      if (!parent || messageExpiryService.isExpired(parent) || !(await this.canView(parent, viewer))) {
+        throw new Error('Message not found');
+      }
+
+      const replies = await Message.find({ replyTo: parent._id, ...messageExpiryService.buildUnexpiredFilter() })
+        .sort({ timestamp: 1 })
+        .limit(MAX_THREAD_REPLIES);
+
+      return {
+        parent: chatService.formatMessage(parent, viewer.nickname),
+        replies: replies.map(reply => chatService.formatMessage(reply))
+      };
+    } catch (error) {
+      this.logger.error('Error fetching thread:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Messages a user may see: everything public plus their own private conversations
+   * @param {string} nickname - Viewing user
+   * @returns {Object} - Mongo filter
+   */
+  buildVisibilityFilter(nickname) {
+    return {
+      $or: [
+        { type: { $in: ['public', 'system', 'poll'] } },
+        { author: nickname },
+        { target: nickname }
+      ]
+    };
+  }
+
+  /**
+   * Channels whose content the user cannot read: admin-only channels
+   * and direct conversations of other users
+   * @param {Object} viewer - Viewing user ({ nickname, role })
+   * @returns {Promise<Array>} - Channel IDs hidden from the user
+   */
+  async getUnreadableChannelIds(viewer) {
+    const conditions = [{ type: 'dm', members: { $ne: viewer.nickname } }];
+    if (viewer.role !== 'admin') {
+      conditions.push({ 'permissions.read': 'admin' });
+    }
+
+    const channels = await Channel.find({ $or: conditions }).select('id');
+    return channels.map(channel => channel.id);
+  }
+
+  /**
+   * Full-text search over messages visible to the viewer, newest first
+   * @param {Object} viewer - Searching user ({ nickname, role })
+   * @param {Object} options - { q, channel, author, type, from, to, page, limit }
+   * @returns {Promise<Object>} - { results, total, page, limit, hasMore }
+   */
+  async searchMessages(viewer, options) {
+    try {
+      const { q, channel, author, type, from, to } = options;
+      const page = Math.max(parseInt(options.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(options.limit, 10) || SEARCH_PAGE_SIZE, 1), MAX_SEARCH_PAGE_SIZE);
+
+      const unreadableChannels = await this.getUnreadableChannelIds(viewer);
+
+      const filter = {
+        $text: { $search: q },
+        deletedAt: null,
+        channel: channel ? { $eq: channel, $nin: unreadableChannels } : { $nin: unreadableChannels },
+        ...this.buildVisibilityFilter(viewer.nickname),
+        $and: [messageExpiryService.buildUnexpiredFilter()]
+      };
+
+      if (author) {
+        filter.author = author;
+      }
+
+      if (type) {
+        filter.type = type;
+      }
+
+      if (from || to) {
+        filter.timestamp = {};
+        if (from) filter.timestamp.$gte = new Date(from);
+        if (to) filter.timestamp.$lte = new Date(to);
+      }
+
+      const [messages, total] = await Promise.all([
+        Message.find(filter)
+          .sort({ timestamp: -1, _id: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Message.countDocuments(filter)
+      ]);
+
+      this.logger.debug(`Search by ${viewer.nickname} matched ${total} messages`, { channel, page });
+
+      return {
+        results: messages.map(message => chatService.formatMessage(message)),
+        total,
+        page,
+        limit,
+        hasMore: page * limit < total
+      };
+    } catch (error) {
+      this.logger.error('Error searching messages:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Messages surrounding a message in its channel timeline, used to jump to a search hit.
+   * Thread replies are shown in the context of their thread's root message.
+   * @param {string} messageId - Message ID
+   * @param {Object} viewer - Viewing user ({ nickname, role })
+   * @returns {Promise<Object>} - { room, anchorId, threadId, messages, hasMore }
+   */
+  async getMessageContext(messageId, viewer) {
+    try {
+      const message = await this.getMessageById(messageId);
+      if (!message || messageExpiryService.isExpired(message) || !(await this.canView(message, viewer))) {
+        throw new Error('Message not found');
+      }
+
+      const anchor = message.replyTo ? await Message.findById(message.replyTo) : message;
+      if (!anchor || messageExpiryService.isExpired(anchor)) {
+        throw new Error('Message not found');
+      }
+
+      const older = await chatService.getUserChannelHistory(anchor.channel, viewer.nickname, CONTEXT_SIZE, {
+        timestamp: anchor.timestamp,
+        id: anchor._id.toString()
+      });
+
+      const newer = await Message.find({
+        channel: anchor.channel,
+        replyTo: null,
+        $and: [
+          this.buildVisibilityFilter(viewer.nickname),
+          messageExpiryService.buildUnexpiredFilter(),
+          {
+            $or: [
+              { timestamp: { $gt: anchor.timestamp } },
+              { timestamp: anchor.timestamp, _id: { $gt: anchor._id } }
+            ]
+          }
+        ]
+      })
+        .sort({ timestamp: 1, _id: 1 })
+        .limit(CONTEXT_SIZE);
+
+      return {
+        room: anchor.channel,
+        anchorId: anchor._id.toString(),
+        threadId: message.replyTo ? anchor._id.toString() : null,
+        messages: [
+          ...older.messages,
+          chatService.formatMessage(anchor, viewer.nickname),
+          ...newer.map(msg => chatService.formatMessage(msg, viewer.nickname))
+        ],
+        hasMore: older.hasMore
+      };
+    } catch (error) {
+      this.logger.error('Error fetching message context:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Repost a message into another channel or direct conversation, attributed to its
+   * original author. The copy links back to the original and does not follow its edits.
+   * @param {string} messageId - Message to forward
+   * @param {Object} user - Forwarding user (User document)
+   * @param {string} channelId - Target channel ID
+   * @param {Object} io - Socket.IO server instance (optional)
+   * @returns {Promise<Object>} - Formatted forwarded message
+   */
+  async forwardMessage(messageId, user, channelId, io) {
+    try {
+      const source = await this.getMessageById(messageId);
+      if (!source || source.deletedAt || !(await this.canView(source, user))) {
+        throw new Error('Message not found');
+      }
+
+      if (!['public', 'private'].includes(source.type) || !source.text || source.attachments?.length > 0) {
+        throw new Error('Only text messages can be forwarded');
+      }
+
+      // A copy would outlive the time the author chose
+      if (source.expiresAt) {
+        throw new Error('Disappearing messages cannot be forwarded');
+      }
+
+      await channelService.assertCanPost(user, channelId);
+      if (user.isMuted()) {
+        throw new Error('You are muted and cannot send messages');
+      }
+
+      // The target's filters apply as if the text was typed there
+      const verdict = await contentFilterService.filterMessage({
+        text: source.text,
+        author: user.nickname,
+        channelId
+      }, { canHold: false });
+      if (verdict.action === 'reject') {
+        throw contentFilterService.createRejection(verdict);
+      }
+
+      const message = await chatService.saveMessage({
+        author: user.nickname,
+        channel: channelId,
+        text: verdict.text,
+        type: 'public',
+        forwardedFrom: source.forwardedFrom || {
+          message: source._id,
+          author: source.author,
+          channel: source.channel,
+          timestamp: source.timestamp
+        },
+        expiresAt: await messageExpiryService.resolveExpiry(channelId)
+      });
+
+      invalidateChannelMessagesCache(channelId).catch(error =>
+        this.logger.warn('Failed to invalidate channel messages cache:', error.message)
+      );
+
+      const messageData = { ...chatService.formatMessage(message), status: 'delivered' };
+      if (io) {
+        io.to(channelId).emit('message', messageData);
+      }
+
+      this.logger.info(`Message ${messageId} forwarded to ${channelId} by ${user.nickname}`);
+      return messageData;
+    } catch (error) {
+      this.logger.error('Error forwarding message:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new MessageService();
@@ -0,0 +1,203 @@
+const mongoose = require('mongoose');
+const Channel = require('../models/Channel');
+const Message = require('../models/Message');
+const chatService = require('./chatService');
+const directMessageService = require('./directMessageService');
+const { logger } = require('../middleware/auth');
+
+const MAX_PINS_PER_CHANNEL = 50;
+const PIN_PREVIEW_LENGTH = 80;
+
+class PinService {
+  constructor() {
+    this.logger = logger;
+  }
+
+  /**
+   * Load a message that can be pinned: visible to the whole channel and not deleted
+   * @param {string} messageId
+   * @param {Object} actor - { nickname, role }
+   * @returns {Promise<Object>} - Message document
+   */
+  async getPinnableMessage(messageId, actor) {
+    const message = await this.getReadableMessage(messageId, actor);
+    if (message.deletedAt) {
+      throw new Error('Message not found');
+    }
+
+    if (!['public', 'poll'].includes(message.type) || directMessageService.isDirectChannelId(message.channel)) {
+      throw new Error('Only channel messages can be pinned');
+    }
+
+    return message;
+  }
+
+  async getReadableMessage(messageId, actor) {
+    // Required here, messageService loads this service
+    const messageService = require('./messageService');
+    const message = mongoose.Types.ObjectId.isValid(messageId) ? await Message.findById(messageId) : null;
+    if (!message || !(await messageService.canView(message, actor))) {
+      throw new Error('Message not found');
+    }
+    return message;
+  }
+
+  describeMessage(message) {
+    const text = message.text || '';
+    if (!text) {
+      return 'a message';
+    }
+    const preview = text.length > PIN_PREVIEW_LENGTH ? `${text.slice(0, PIN_PREVIEW_LENGTH)}…` : text;
+    return `a message from ${message.author}: "${preview}"`;
+  }
+
+  /**
+   * Pin a message to its channel
+   * @param {string} messageId
+   * @param {Object} actor - { nickname, role, isModerator }
+   * @param {Object} io - Socket.IO server instance
+   * @returns {Promise<Array>} - Updated pins of the channel
+   */
+  async pinMessage(messageId, actor, io) {
+    try {
+      if (!actor.isModerator) {
+        throw new Error('You do not have permission to pin messages');
+      }
+
+      const message = await this.getPinnableMessage(messageId, actor);
+
+      // Not pinned yet and below the limit, checked atomically with the push
+      const channel = await Channel.findOneAndUpdate(
+        {
+          id: message.channel,
+          'pins.message': { $ne: message._id },
+          [`pins.${MAX_PINS_PER_CHANNEL - 1}`]: { $exists: false }
+        },
+        { $push: { pins: { message: message._id, pinnedBy: actor.nickname, pinnedAt: new Date() } } },
+        { new: true }
+      );
+
+      if (!channel) {
+        const existing = await Channel.findOne({ id: message.channel }).select('pins');
+        if (!existing) {
+          throw new Error('Channel not found');
+        }
+        if (existing.pins.some(pin => pin.message.equals(message._id))) {
+          throw new Error('Message is already pinned');
+        }
+        throw new Error(`A channel can have at most ${MAX_PINS_PER_CHANNEL} pinned messages`);
+      }
+
+      this.logger.info(`Message ${messageId} pinned in ${message.channel} by ${actor.nickname}`);
+      await this.broadcastPinChange(io, message.channel, `${actor.nickname} pinned ${this.describeMessage(message)}`);
+
+      return channel.pins;
+    } catch (error) {
+      this.logger.error('Error pinning message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Unpin a message from its channel
+   * @param {string} messageId
+   * @param {Object} actor - { nickname, role, isModerator }
+   * @param {Object} io - Socket.IO server instance
+   * @returns {Promise<Array>} - Updated pins of the channel
+   */
+  async unpinMessage(messageId, actor, io) {
+    try {
+      if (!actor.isModerator) {
+        throw new Error('You do not have permission to pin messages');
+      }
+
+      const message = await this.getReadableMessage(messageId, actor);
+
+      const channel = await Channel.findOneAndUpdate(
+        { id: message.channel, 'pins.message': message._id },
+        { $pull: { pins: { message: message._id } } },
+        { new: true }
+      );
+
+      if (!channel) {
+        throw new Error('Message is not pinned');
+      }
+
+      this.logger.info(`Message ${messageId} unpinned in ${message.channel} by ${actor.nickname}`);
+      await this.broadcastPinChange(io, message.channel, `${actor.nickname} unpinned ${this.describeMessage(message)}`);
+
+      return channel.pins;
+    } catch (error) {
+      this.logger.error('Error unpinning message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Drop a deleted message from the pins without announcing it
+   * @param {Object} message - Deleted message document
+   * @param {Object} io - Socket.IO server instance (optional)
+   */
+  async removeDeletedMessage(message, io) {
+    const result = await Channel.updateOne(
+      { id: message.channel, 'pins.message': message._id },
+      { $pull: { pins: { message: message._id } } }
+    );
+
+    if (result.modifiedCount > 0 && io) {
+      io.to(message.channel).emit('pins_updated', { room: message.channel });
+    }
+  }
+
+  async broadcastPinChange(io, channelId, text) {
+    if (!io) {
+      return;
+    }
+
+    await chatService.createSystemMessage(channelId, text, io);
+    io.to(channelId).emit('pins_updated', { room: channelId });
+  }
+
+  /**
+   * Pinned messages of a channel, most recently pinned first
+   * @param {string} channelId
+   * @param {Object} viewer - { nickname, role }
+   * @returns {Promise<Array>} - [{ message, pinnedBy, pinnedAt }]
+   */
+  async getPins(channelId, viewer) {
+    try {
+      const channel = await Channel.findOne({ id: channelId }).select('type members pins permissions');
+      const hidden = channel?.type === 'dm'
+        ? !channel.members.includes(viewer.nickname)
+        : channel?.permissions?.read === 'admin' && viewer.role !== 'admin';
+      if (!channel || hidden) {
+        throw new Error('Channel not found');
+      }
+
+      const pins = channel.pins || [];
+      if (pins.length === 0) {
+        return [];
+      }
+
+      const messages = await Message.find({
+        _id: { $in: pins.map(pin => pin.message) },
+        deletedAt: null
+      });
+      const byId = new Map(messages.map(message => [message._id.toString(), message]));
+
+      return pins
+        .filter(pin => byId.has(pin.message.toString()))
+        .reverse()
+        .map(pin => ({
+          message: chatService.formatMessage(byId.get(pin.message.toString()), viewer.nickname),
+          pinnedBy: pin.pinnedBy,
+          pinnedAt: pin.pinnedAt
+        }));
+    } catch (error) {
+      this.logger.error('Error getting pins:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new PinService();
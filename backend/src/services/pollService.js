@@ -0,0 +1,287 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const { logger } = require('../middleware/auth');
+const { invalidateChannelMessagesCache } = require('./cacheService');
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 10;
+const MAX_QUESTION_LENGTH = 300;
+const MAX_OPTION_LENGTH = 100;
+const MIN_DURATION = 60 * 1000;
+const MAX_DURATION = 30 * 24 * 60 * 60 * 1000;
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+class PollService {
+  constructor() {
+    this.logger = logger;
+  }
+
+  /**
+   * Split /poll arguments: a quoted or single-word question, then the options,
+   * plus the flags --multiple, --anonymous and --closes <30m|2h|1d>
+   * @param {string} input - e.g. '"Lunch?" pizza "thai food" --closes 1h'
+   * @returns {Object} - { question, options, multiple, anonymous, duration }
+   */
+  parseCommand(input) {
+    const tokens = [];
+    const pattern = /"([^"]*)"|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(input || '')) !== null) {
+      tokens.push({ value: match[1] !== undefined ? match[1] : match[2], quoted: match[1] !== undefined });
+    }
+
+    const poll = { options: [], multiple: false, anonymous: false, duration: null };
+    for (let i = 0; i < tokens.length; i++) {
+      const { value, quoted } = tokens[i];
+      if (!quoted && value === '--multiple') {
+        poll.multiple = true;
+      } else if (!quoted && value === '--anonymous') {
+        poll.anonymous = true;
+      } else if (!quoted && value === '--closes') {
+        poll.duration = this.parseDuration(tokens[++i]?.value);
+      } else if (poll.question === undefined) {
+        poll.question = value;
+      } else {
+        poll.options.push(value);
+      }
+    }
+
+    return poll;
+  }
+
+  parseDuration(value) {
+    const match = /^(\d+)([mhd])$/.exec(value || '');
+    if (!match) {
+      throw new Error('Poll duration must look like 30m, 2h or 1d');
+    }
+    return Number(match[1]) * DURATION_UNITS[match[2]];
+  }
+
+  /**
+   * Validate a new poll and turn it into the stored form
+   * @param {Object} data - { question, options, multiple, anonymous, duration } or closesAt instead of duration
+   * @param {Date} now - Creation time
+   * @returns {Object} - { question, poll } where poll is Message.poll
+   */
+  buildPoll(data, now = new Date()) {
+    const question = (data.question || '').trim();
+    if (!question) {
+      throw new Error('A poll needs a question');
+    }
+    if (question.length > MAX_QUESTION_LENGTH) {
+      throw new Error(`A poll question can have at most ${MAX_QUESTION_LENGTH} characters`);
+    }
+
+    // Options are single lines, see toText
+    const options = (Array.isArray(data.options) ? data.options : [])
+      .map(option => (typeof option === 'string' ? option.replace(/\s+/g, ' ').trim() : ''))
+      .filter(Boolean);
+    if (options.length < MIN_OPTIONS || options.length > MAX_OPTIONS) {
+      throw new Error(`A poll needs between ${MIN_OPTIONS} and ${MAX_OPTIONS} options`);
+    }
+    if (options.some(option => option.length > MAX_OPTION_LENGTH)) {
+      throw new Error(`A poll option can have at most ${MAX_OPTION_LENGTH} characters`);
+    }
+    if (new Set(options.map(option => option.toLowerCase())).size !== options.length) {
+      throw new Error('Poll options must be different');
+    }
+
+    let closesAt = null;
+    if (data.duration || data.closesAt) {
+      closesAt = data.duration ? new Date(now.getTime() + data.duration) : new Date(data.closesAt);
+      const duration = closesAt.getTime() - now.getTime();
+      if (Number.isNaN(duration) || duration < MIN_DURATION || duration > MAX_DURATION) {
+        throw new Error('A poll can stay open between 1 minute and 30 days');
+      }
+    }
+
+    return {
+      question,
+      poll: {
+        options: options.map(text => ({ text })),
+        multiple: Boolean(data.multiple),
+        anonymous: Boolean(data.anonymous),
+        closesAt,
+        closedAt: null,
+        votes: {}
+      }
+    };
+  }
+
+  /**
+   * Question and options of a new poll as one text, each option on its own line,
+   * for checks that look at everything a poll shows
+   * @param {Object} built - Result of buildPoll
+   * @returns {string}
+   */
+  toText(built) {
+    return [built.question, ...built.poll.options.map(option => option.text)].join('\n');
+  }
+
+  /**
+   * The poll with question and options taken back from a changed toText text
+   * @param {Object} built - Result of buildPoll
+   * @param {string} text - Text from toText with parts of it replaced
+   * @returns {Object} - Same shape as buildPoll
+   */
+  fromText(built, text) {
+    const lines = text.split('\n');
+    const count = built.poll.options.length;
+    return {
+      question: lines.slice(0, lines.length - count).join('\n'),
+      poll: { ...built.poll, options: lines.slice(lines.length - count).map(option => ({ text: option })) }
+    };
+  }
+
+  isClosed(poll, now = new Date()) {
+    return Boolean(poll.closedAt) || Boolean(poll.closesAt && new Date(poll.closesAt) <= now);
+  }
+
+  /**
+   * Client-facing poll with live tallies. Voter names are left out of anonymous polls.
+   * @param {Object} poll - Message.poll
+   * @param {string} viewer - Nickname whose own choices are returned as myVotes (optional)
+   * @returns {Object}
+   */
+  formatPoll(poll, viewer = null) {
+    const votes = poll.votes instanceof Map ? Array.from(poll.votes.values()) : Object.values(poll.votes || {});
+    const options = poll.options.map(option => ({ text: option.text, count: 0, voters: poll.anonymous ? undefined : [] }));
+
+    votes.forEach(vote => {
+      vote.options.forEach(index => {
+        const option = options[index];
+        if (option) {
+          option.count++;
+          option.voters?.push(vote.nickname);
+        }
+      });
+    });
+
+    const formatted = {
+      options,
+      multiple: Boolean(poll.multiple),
+      anonymous: Boolean(poll.anonymous),
+      closesAt: poll.closesAt || null,
+      closed: this.isClosed(poll),
+      totalVoters: votes.length
+    };
+
+    if (viewer) {
+      formatted.myVotes = votes.find(vote => vote.nickname === viewer)?.options || [];
+    }
+    return formatted;
+  }
+
+  /**
+   * Cast, change or withdraw (no options) a vote
+   * @param {string} messageId - Poll message ID
+   * @param {Object} voter - { userId, nickname, role }
+   * @param {Array} options - Indexes of the chosen options
+   * @param {Object} io - Socket.IO server instance
+   * @returns {Promise<Object>} - Formatted poll with the voter's myVotes
+   */
+  async vote(messageId, voter, options, io) {
+    try {
+      const message = await this.getPollMessage(messageId, voter);
+      const { poll } = message;
+
+      const choices = Array.isArray(options) ? [...new Set(options)] : null;
+      if (!choices || choices.some(index => !Number.isInteger(index) || index < 0 || index >= poll.options.length)) {
+        throw new Error('Invalid poll option');
+      }
+      if (!poll.multiple && choices.length > 1) {
+        throw new Error('This poll allows only one choice');
+      }
+
+      // The filter repeats the open check, a vote cannot slip in after the poll closes
+      const now = new Date();
+      const key = `poll.votes.${voter.userId}`;
+      const updated = await Message.findOneAndUpdate(
+        {
+          _id: message._id,
+          deletedAt: null,
+          'poll.closedAt': null,
+          $or: [{ 'poll.closesAt': null }, { 'poll.closesAt': { $gt: now } }]
+        },
+        choices.length > 0
+          ? { $set: { [key]: { nickname: voter.nickname, options: choices.sort((a, b) => a - b), votedAt: now } } }
+          : { $unset: { [key]: '' } },
+        { new: true }
+      );
+      if (!updated) {
+        throw new Error('This poll is closed');
+      }
+
+      this.broadcastPoll(io, updated);
+      return this.formatPoll(updated.poll, voter.nickname);
+    } catch (error) {
+      this.logger.error('Error voting in poll:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close a poll before its close time, allowed to its author and moderators
+   * @param {string} messageId - Poll message ID
+   * @param {Object} actor - { nickname, role, isModerator }
+   * @param {Object} io - Socket.IO server instance
+   * @returns {Promise<Object>} - Formatted poll
+   */
+  async closePoll(messageId, actor, io) {
+    try {
+      const message = await this.getPollMessage(messageId, actor);
+      if (message.author !== actor.nickname && !actor.isModerator) {
+        throw new Error('Only the author or a moderator can close this poll');
+      }
+      if (this.isClosed(message.poll)) {
+        throw new Error('This poll is closed');
+      }
+
+      const updated = await Message.findOneAndUpdate(
+        { _id: message._id, 'poll.closedAt': null },
+        { $set: { 'poll.closedAt': new Date() } },
+        { new: true }
+      );
+      if (!updated) {
+        throw new Error('This poll is closed');
+      }
+
+      this.broadcastPoll(io, updated);
+      this.logger.info(`Poll ${messageId} closed by ${actor.nickname}`);
+      return this.formatPoll(updated.poll, actor.nickname);
+    } catch (error) {
+      this.logger.error('Error closing poll:', error);
+      throw error;
+    }
+  }
+
+  async getPollMessage(messageId, viewer) {
+    // Required here, messageService loads chatService which loads this service
+    const messageService = require('./messageService');
+    const message = mongoose.Types.ObjectId.isValid(messageId) ? await Message.findById(messageId) : null;
+    if (!message || message.type !== 'poll' || message.deletedAt || !message.poll) {
+      throw new Error('Poll not found');
+    }
+    if (!(await messageService.canView(message, viewer))) {
+      throw new Error('Poll not found');
+    }
+    return message;
+  }
+
+  // Polls are never private, everyone in the channel sees the same tallies
+  broadcastPoll(io, message) {
+    invalidateChannelMessagesCache(message.channel).catch(error =>
+      this.logger.warn('Failed to invalidate channel messages cache:', error.message)
+    );
+
+    if (io) {
+      io.to(message.channel).emit('poll_updated', {
+        id: message._id.toString(),
+        room: message.channel,
+        poll: this.formatPoll(message.poll)
+      });
+    }
+  }
+}
+
+module.exports = new PollService();
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const ReadMarker = require('../models/ReadMarker');
+const messageService = require('./messageService');
+const { logger } = require('../middleware/auth');
+
+class ReadMarkerService {
+  constructor() {
+    this.logger = logger;
+  }
+
+  /**
+   * Move the user's read marker in a channel forward to a message.
+   * Markers never move backwards, so late or out-of-order events are harmless.
+   * @param {Object} reader - { userId, nickname, role }
+   * @param {string} messageId - Last message the user has seen
+   * @returns {Promise<Object>} - { marker, updated }
+   */
+  async markRead(reader, messageId) {
+    try {
+      const message = await messageService.getMessageById(messageId);
+      if (!message || message.replyTo || !(await messageService.canView(message, reader))) {
+        throw new Error('Message not found');
+      }
+
+      const existing = await ReadMarker.findOne({ user: reader.userId, channel: message.channel });
+      if (existing && existing.lastReadAt >= message.timestamp) {
+        return { marker: existing, updated: false };
+      }
+
+      const marker = await ReadMarker.findOneAndUpdate(
+        { user: reader.userId, channel: message.channel },
+        {
+          $set: {
+            lastReadMessage: message._id,
+            lastReadAt: message.timestamp,
+            updatedAt: new Date()
+          }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+
+      this.logger.debug(`Read marker of ${reader.nickname} in ${message.channel} moved to ${messageId}`);
+      return { marker, updated: true };
+    } catch (error) {
+      this.logger.error('Error marking messages as read:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count unread messages and unread mentions per channel.
+   * Without a marker everything since the user registered counts as unread.
+   * @param {Object} reader - { userId, nickname, since }
+   * @param {Array} channelIds - Channels to count
+   * @returns {Promise<Map>} - Channel ID mapped to { unreadCount, mentionCount }
+   */
+  async getUnreadCounts(reader, channelIds) {
+    const counts = new Map(channelIds.map(id => [id, { unreadCount: 0, mentionCount: 0 }]));
+    if (channelIds.length === 0) {
+      return counts;
+    }
+
+    try {
+      const markers = await ReadMarker.find({ user: reader.userId, channel: { $in: channelIds } });
+      const lastReadAt = new Map(markers.map(marker => [marker.channel, marker.lastReadAt]));
+      const userId = new mongoose.Types.ObjectId(String(reader.userId));
+
+      const results = await Message.aggregate([
+        {
+          $match: {
+            $or: channelIds.map(channel => ({
+              channel,
+              timestamp: { $gt: lastReadAt.get(channel) || reader.since || new Date(0) }
+            })),
+            replyTo: null,
+            deletedAt: null,
+            author: { $ne: reader.nickname },
+            // Join/leave notices are not worth a badge; private messages only count for their target
+            $and: [{ $or: [{ type: { $in: ['public', 'poll'] } }, { type: 'private', target: reader.nickname }] }]
+          }
+        },
+        {
+          $group: {
+            _id: '$channel',
+            unreadCount: { $sum: 1 },
+            mentionCount: {
+              $sum: { $cond: [{ $in: [userId, { $ifNull: ['$mentions.user', []] }] }, 1, 0] }
+            }
+          }
+        }
+      ]);
+
+      for (const result of results) {
+        counts.set(result._id, { unreadCount: result.unreadCount, mentionCount: result.mentionCount });
+      }
+
+      return counts;
+    } catch (error) {
+      this.logger.error('Error counting unread messages:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ReadMarkerService();
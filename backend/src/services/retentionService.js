@@ -0,0 +1,257 @@
+const config = require('../config');
+const Channel = require('../models/Channel');
+const Message = require('../models/Message');
+const ArchivedMessage = require('../models/ArchivedMessage');
+const attachmentService = require('./attachmentService');
+const { invalidateChannelMessagesCache } = require('./cacheService');
+const { logger } = require('../middleware/auth');
+
+const DAY = 24 * 60 * 60 * 1000;
+const RETENTION_ACTIONS = ['archive', 'delete'];
+
+class RetentionService {
+  constructor() {
+    this.logger = logger;
+    this.timer = null;
+    this.io = null;
+    this.processing = false;
+  }
+
+  formatPolicy(channel) {
+    const retention = channel.retention || {};
+    return {
+      channel: channel.id,
+      days: retention.days || null,
+      action: retention.days ? retention.action || 'archive' : null,
+      updatedBy: retention.updatedBy || null,
+      lastRunAt: retention.lastRunAt || null
+    };
+  }
+
+  async getRetentionChannel(channelId) {
+    const channel = await Channel.findOne({ id: channelId, type: { $ne: 'dm' } });
+    if (!channel) {
+      throw new Error('Channel not found');
+    }
+    return channel;
+  }
+
+  async getPolicy(channelId) {
+    return this.formatPolicy(await this.getRetentionChannel(channelId));
+  }
+
+  /**
+   * Set how long a channel keeps its messages
+   * @param {string} channelId - Channel ID
+   * @param {Object} policy - { days, action }, days null keeps messages forever
+   * @param {string} nickname - Admin changing the policy
+   * @returns {Promise<Object>} - Formatted policy
+   */
+  async setPolicy(channelId, { days, action }, nickname) {
+    try {
+      await this.getRetentionChannel(channelId);
+
+      let update;
+      if (days === null || days === undefined) {
+        update = { $set: { 'retention.days': null, 'retention.updatedBy': nickname } };
+      } else {
+        if (!Number.isInteger(days) || days < 1 || days > config.retention.maxDays) {
+          throw new Error(`Retention must be between 1 and ${config.retention.maxDays} days`);
+        }
+        const retentionAction = action || 'archive';
+        if (!RETENTION_ACTIONS.includes(retentionAction)) {
+          throw new Error('Retention action must be archive or delete');
+        }
+        update = {
+          $set: {
+            'retention.days': days,
+            'retention.action': retentionAction,
+            'retention.updatedBy': nickname
+          }
+        };
+      }
+
+      const channel = await Channel.findOneAndUpdate({ id: channelId }, update, { new: true });
+      this.logger.info(`Retention of #${channelId} set by ${nickname}`, this.formatPolicy(channel));
+      return this.formatPolicy(channel);
+    } catch (error) {
+      this.logger.error('Error setting retention policy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start enforcing retention policies. Safe to run on every instance:
+   * archiving is keyed by message ID and deleting twice removes nothing.
+   * @param {Object} io - Socket.IO server instance
+   */
+  start(io) {
+    if (this.timer) {
+      return;
+    }
+
+    this.io = io;
+    this.timer = setInterval(() => {
+      this.enforcePolicies().catch(error =>
+        this.logger.error('Retention job failed:', error)
+      );
+    }, config.retention.interval);
+    // The job alone should not keep the process alive
+    this.timer.unref();
+
+    this.logger.info('Retention job started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Apply the policy of every channel that has one
+   * @returns {Promise<Array>} - [{ channel, action, count }] for channels where messages expired
+   */
+  async enforcePolicies() {
+    if (this.processing) {
+      return [];
+    }
+
+    this.processing = true;
+    try {
+      const channels = await Channel.find({ 'retention.days': { $gte: 1 } });
+      const results = [];
+
+      for (const channel of channels) {
+        const cutoff = new Date(Date.now() - channel.retention.days * DAY);
+        try {
+          const count = await this.expireMessages(channel.id, cutoff, channel.retention.action);
+          await Channel.updateOne({ id: channel.id }, { $set: { 'retention.lastRunAt': new Date() } });
+          if (count > 0) {
+            results.push({ channel: channel.id, action: channel.retention.action, count });
+          }
+        } catch (error) {
+          this.logger.error(`Retention of #${channel.id} failed:`, error);
+        }
+      }
+
+      this.logger.info('Retention job finished', { channels: channels.length, expired: results });
+      return results;
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Move every message of a channel into the archive, e.g. before deleting the channel
+   * @param {string} channelId - Channel ID
+   * @param {string} nickname - Admin archiving the channel
+   * @returns {Promise<number>} - Number of archived messages
+   */
+  async archiveChannel(channelId, nickname) {
+    try {
+      await this.getRetentionChannel(channelId);
+      const count = await this.expireMessages(channelId, new Date(), 'archive');
+      this.logger.info(`${nickname} archived ${count} messages of #${channelId}`);
+      return count;
+    } catch (error) {
+      this.logger.error('Error archiving channel:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Archive or delete the messages of a channel sent before the cutoff, oldest first
+   * @param {string} channelId - Channel ID
+   * @param {Date} cutoff - Messages before this time expire
+   * @param {string} action - 'archive' or 'delete'
+   * @returns {Promise<number>} - Number of expired messages
+   */
+  async expireMessages(channelId, cutoff, action) {
+    let total = 0;
+
+    for (;;) {
+      const messages = await Message.find({ channel: channelId, timestamp: { $lt: cutoff } })
+        .sort({ timestamp: 1 })
+        .limit(config.retention.batchSize)
+        .lean();
+      if (messages.length === 0) {
+        break;
+      }
+
+      const ids = messages.map(message => message._id);
+      if (action === 'archive') {
+        await this.archiveMessages(channelId, messages);
+        await this.removeAttachments(messages.filter(message => message.expiresAt));
+      } else {
+        await this.removeAttachments(messages);
+      }
+
+      const { deletedCount } = await Message.deleteMany({ _id: { $in: ids } });
+      total += deletedCount;
+      await this.unpinMessages(channelId, ids);
+
+      if (messages.length < config.retention.batchSize) {
+        break;
+      }
+    }
+
+    if (total > 0) {
+      invalidateChannelMessagesCache(channelId).catch(error =>
+        this.logger.warn('Failed to invalidate channel messages cache:', error.message)
+      );
+      this.logger.info(`Retention ${action === 'archive' ? 'archived' : 'deleted'} ${total} messages of #${channelId}`, {
+        cutoff: cutoff.toISOString()
+      });
+    }
+
+    return total;
+  }
+
+  async archiveMessages(channelId, messages) {
+    const archivedAt = new Date();
+    // Self-destructing messages are deleted, never kept in the archive
+    const archivable = messages.filter(message => !message.expiresAt);
+    if (archivable.length === 0) {
+      return;
+    }
+    try {
+      await ArchivedMessage.insertMany(archivable.map(message => ({
+        _id: message._id,
+        channel: channelId,
+        timestamp: message.timestamp,
+        archivedAt,
+        message
+      })), { ordered: false });
+    } catch (error) {
+      // Messages archived by an earlier, interrupted run are already there
+      const duplicatesOnly = error.code === 11000
+        || (error.writeErrors && error.writeErrors.every(writeError => writeError.code === 11000));
+      if (!duplicatesOnly) {
+        throw error;
+      }
+    }
+  }
+
+  async removeAttachments(messages) {
+    for (const message of messages) {
+      if (message.attachments?.length > 0) {
+        await attachmentService.removeMessageAttachments(message._id);
+      }
+    }
+  }
+
+  async unpinMessages(channelId, ids) {
+    const result = await Channel.updateOne(
+      { id: channelId, 'pins.message': { $in: ids } },
+      { $pull: { pins: { message: { $in: ids } } } }
+    );
+
+    if (result.modifiedCount > 0 && this.io) {
+      this.io.to(channelId).emit('pins_updated', { room: channelId });
+    }
+  }
+}
+
+module.exports = new RetentionService();
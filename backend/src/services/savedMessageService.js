@@ -0,0 +1,286 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const SavedMessage = require('../models/SavedMessage');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const chatService = require('./chatService');
+const messageService = require('./messageService');
+const { logger } = require('../middleware/auth');
+
+const MAX_NOTE_LENGTH = 500;
+// Reminders sent per tick, the rest wait for the next one
+const BATCH_SIZE = 50;
+
+class SavedMessageService {
+  constructor() {
+    this.logger = logger;
+    this.timer = null;
+    this.io = null;
+    this.processing = false;
+  }
+
+  /**
+   * Shape a saved item for its owner. `room` and `messageId` link back to the message
+   * in its channel, see GET /api/messages/{messageId}/context.
+   * @param {Object} saved - SavedMessage document
+   * @param {Object} message - Message document, null once it is gone or no longer visible
+   * @param {string} nickname - Owner, for their own poll choices
+   * @returns {Object}
+   */
+  formatSaved(saved, message, nickname) {
+    return {
+      id: saved._id.toString(),
+      messageId: saved.message.toString(),
+      room: saved.channel,
+      note: saved.note || '',
+      remindAt: saved.remindAt || null,
+      remindedAt: saved.remindedAt || null,
+      createdAt: saved.createdAt,
+      updatedAt: saved.updatedAt,
+      message: message ? chatService.formatMessage(message, nickname) : null
+    };
+  }
+
+  validateNote(note) {
+    const trimmed = typeof note === 'string' ? note.trim() : '';
+    if (trimmed.length > MAX_NOTE_LENGTH) {
+      throw new Error(`Note must be at most ${MAX_NOTE_LENGTH} characters`);
+    }
+    return trimmed;
+  }
+
+  validateRemindAt(remindAt) {
+    if (remindAt === null || remindAt === undefined || remindAt === '') {
+      return null;
+    }
+
+    const date = new Date(remindAt);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error('Invalid reminder time');
+    }
+
+    const now = Date.now();
+    if (date.getTime() <= now) {
+      throw new Error('Reminder time must be in the future');
+    }
+    if (date.getTime() > now + config.savedMessages.maxReminderDelay) {
+      throw new Error('Reminder time is too far in the future');
+    }
+    return date;
+  }
+
+  /**
+   * Whether a user can see messages right now: private messages and direct conversations
+   * are checked per message, admin-only channels once per call
+   * @param {Object} user - User document
+   * @returns {Promise<Function>} - message => boolean
+   */
+  async createVisibilityCheck(user) {
+    const unreadableChannels = await messageService.getUnreadableChannelIds(user);
+    return async message => messageService.canView(message, user, unreadableChannels);
+  }
+
+  /**
+   * Save a message the user can see into their list
+   * @param {Object} user - Owner (User document)
+   * @param {Object} data - { messageId, note, remindAt }
+   * @returns {Promise<Object>} - Formatted saved item
+   */
+  async saveMessage(user, data) {
+    try {
+      const note = this.validateNote(data.note);
+      const remindAt = this.validateRemindAt(data.remindAt);
+
+      const message = await messageService.getMessageById(data.messageId);
+      const isVisible = await this.createVisibilityCheck(user);
+      if (!message || message.deletedAt || !(await isVisible(message))) {
+        throw new Error('Message not found');
+      }
+
+      const count = await SavedMessage.countDocuments({ user: user._id });
+      if (count >= config.savedMessages.maxPerUser) {
+        throw new Error(`You can save at most ${config.savedMessages.maxPerUser} messages`);
+      }
+
+      let saved;
+      try {
+        saved = await SavedMessage.create({
+          user: user._id,
+          message: message._id,
+          channel: message.channel,
+          note,
+          remindAt
+        });
+      } catch (error) {
+        if (error.code === 11000) {
+          throw new Error('Message already saved');
+        }
+        throw error;
+      }
+
+      this.logger.info(`${user.nickname} saved message ${message._id}`);
+      return this.formatSaved(saved, message, user.nickname);
+    } catch (error) {
+      this.logger.error('Error saving message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Saved items of a user, newest first
+   * @param {Object} user - Owner (User document)
+   * @returns {Promise<Array>}
+   */
+  async listSaved(user) {
+    try {
+      const savedItems = await SavedMessage.find({ user: user._id }).sort({ createdAt: -1 });
+      const messages = await Message.find({ _id: { $in: savedItems.map(saved => saved.message) } });
+
+      const isVisible = await this.createVisibilityCheck(user);
+      const visible = new Map();
+      for (const message of messages) {
+        if (await isVisible(message)) {
+          visible.set(message._id.toString(), message);
+        }
+      }
+
+      return savedItems.map(saved => this.formatSaved(saved, visible.get(saved.message.toString()) || null, user.nickname));
+    } catch (error) {
+      this.logger.error('Error listing saved messages:', error);
+      throw error;
+    }
+  }
+
+  async getOwnSaved(user, id) {
+    const saved = mongoose.Types.ObjectId.isValid(id)
+      ? await SavedMessage.findOne({ _id: id, user: user._id })
+      : null;
+    if (!saved) {
+      throw new Error('Saved message not found');
+    }
+    return saved;
+  }
+
+  /**
+   * Change the note or reminder of a saved item. A new reminder time fires again.
+   * @param {Object} user - Owner (User document)
+   * @param {string} id - Saved item ID
+   * @param {Object} data - { note, remindAt }, remindAt null removes the reminder
+   * @returns {Promise<Object>} - Formatted saved item
+   */
+  async updateSaved(user, id, data) {
+    try {
+      const saved = await this.getOwnSaved(user, id);
+
+      if (data.note !== undefined) {
+        saved.note = this.validateNote(data.note);
+      }
+      if (data.remindAt !== undefined) {
+        saved.remindAt = this.validateRemindAt(data.remindAt);
+        saved.remindedAt = null;
+      }
+      saved.updatedAt = new Date();
+      await saved.save();
+
+      const message = await Message.findById(saved.message);
+      const isVisible = await this.createVisibilityCheck(user);
+      return this.formatSaved(saved, message && (await isVisible(message)) ? message : null, user.nickname);
+    } catch (error) {
+      this.logger.error('Error updating saved message:', error);
+      throw error;
+    }
+  }
+
+  async removeSaved(user, id) {
+    try {
+      const saved = await this.getOwnSaved(user, id);
+      await SavedMessage.deleteOne({ _id: saved._id });
+      return { id: saved._id.toString() };
+    } catch (error) {
+      this.logger.error('Error removing saved message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start sending due reminders. Safe to run on every instance, each reminder
+   * is claimed atomically before it is sent.
+   * @param {Object} io - Socket.IO server instance
+   */
+  start(io) {
+    if (this.timer) {
+      return;
+    }
+
+    this.io = io;
+    this.timer = setInterval(() => {
+      this.sendDueReminders().catch(error =>
+        this.logger.error('Saved message reminders failed:', error)
+      );
+    }, config.savedMessages.reminderInterval);
+    // The job alone should not keep the process alive
+    this.timer.unref();
+
+    this.logger.info('Saved message reminders started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Notify owners whose reminders are due, in their personal rooms
+   * @param {Date} now - Reminders due before this time are sent
+   * @returns {Promise<number>} - Number of reminders sent
+   */
+  async sendDueReminders(now = new Date()) {
+    if (this.processing) {
+      return 0;
+    }
+
+    this.processing = true;
+    let sent = 0;
+    try {
+      for (let claimed = 0; claimed < BATCH_SIZE; claimed++) {
+        const saved = await SavedMessage.findOneAndUpdate(
+          { remindedAt: null, remindAt: { $ne: null, $lte: now } },
+          { $set: { remindedAt: now } },
+          { new: true, sort: { remindAt: 1 } }
+        );
+        if (!saved) {
+          break;
+        }
+
+        try {
+          await this.sendReminder(saved);
+          sent++;
+        } catch (error) {
+          this.logger.error(`Reminder of saved message ${saved._id} failed:`, error);
+        }
+      }
+      return sent;
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  async sendReminder(saved) {
+    // The nickname may have changed since the message was saved
+    const user = await User.findById(saved.user).select('nickname role');
+    if (!user || !this.io) {
+      return;
+    }
+
+    const message = await Message.findById(saved.message);
+    const isVisible = await this.createVisibilityCheck(user);
+    this.io.to(chatService.getUserRoom(user.nickname)).emit(
+      'saved_reminder',
+      this.formatSaved(saved, message && (await isVisible(message)) ? message : null, user.nickname)
+    );
+  }
+}
+
+module.exports = new SavedMessageService();
@@ -0,0 +1,384 @@
+const crypto = require('crypto');
+const os = require('os');
+const mongoose = require('mongoose');
+const config = require('../config');
+const ScheduledMessage = require('../models/ScheduledMessage');
+const User = require('../models/User');
+const chatService = require('./chatService');
+const channelService = require('./channelService');
+const mentionService = require('./mentionService');
+const messageExpiryService = require('./messageExpiryService');
+const contentFilterService = require('./contentFilterService');
+const { logger } = require('../middleware/auth');
+
+const MAX_TEXT_LENGTH = 2000;
+// Messages delivered per scheduler tick, the rest wait for the next one
+const BATCH_SIZE = 50;
+// Deliveries lost with a crashed instance are retried this many times in total
+const MAX_ATTEMPTS = 3;
+const ACTIVE_STATUSES = ['pending', 'sending', 'failed'];
+
+class ScheduledMessageService {
+  constructor() {
+    this.logger = logger;
+    this.timer = null;
+    this.io = null;
+    this.processing = false;
+    // Identifies the claims of this process when several instances share the database
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+  }
+
+  /**
+   * Shape a scheduled message into the payload sent to its author
+   * @param {Object} scheduled - ScheduledMessage document
+   * @returns {Object}
+   */
+  formatScheduledMessage(scheduled) {
+    return {
+      id: scheduled._id.toString(),
+      channel: scheduled.channel,
+      text: scheduled.text,
+      sendAt: scheduled.sendAt,
+      status: scheduled.status,
+      error: scheduled.error || null,
+      messageId: scheduled.status === 'sent' ? scheduled.messageId.toString() : null,
+      sentAt: scheduled.sentAt || null,
+      createdAt: scheduled.createdAt,
+      updatedAt: scheduled.updatedAt
+    };
+  }
+
+  validateText(text) {
+    const trimmed = typeof text === 'string' ? text.trim() : '';
+    if (!trimmed) {
+      throw new Error('Message text is required');
+    }
+    if (trimmed.length > MAX_TEXT_LENGTH) {
+      throw new Error(`Message text must be at most ${MAX_TEXT_LENGTH} characters`);
+    }
+    return trimmed;
+  }
+
+  validateSendAt(sendAt) {
+    const date = new Date(sendAt);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error('Invalid send time');
+    }
+
+    const now = Date.now();
+    if (date.getTime() <= now) {
+      throw new Error('Send time must be in the future');
+    }
+    if (date.getTime() > now + config.scheduledMessages.maxDelay) {
+      throw new Error('Send time is too far in the future');
+    }
+    return date;
+  }
+
+  /**
+   * Schedule a channel message
+   * @param {Object} user - Author (User document)
+   * @param {Object} data - { channel, text, sendAt }
+   * @returns {Promise<Object>} - Formatted scheduled message
+   */
+  async createScheduledMessage(user, data) {
+    try {
+      const text = this.validateText(data.text);
+      const sendAt = this.validateSendAt(data.sendAt);
+      await channelService.assertCanPost(user, data.channel);
+
+      const pendingCount = await ScheduledMessage.countDocuments({ user: user._id, status: 'pending' });
+      if (pendingCount >= config.scheduledMessages.maxPendingPerUser) {
+        throw new Error(`You can have at most ${config.scheduledMessages.maxPendingPerUser} scheduled messages`);
+      }
+
+      const scheduled = await ScheduledMessage.create({
+        user: user._id,
+        author: user.nickname,
+        channel: data.channel,
+        text,
+        sendAt
+      });
+
+      this.logger.info(`Message scheduled by ${user.nickname} in ${data.channel} for ${sendAt.toISOString()}`);
+      return this.formatScheduledMessage(scheduled);
+    } catch (error) {
+      this.logger.error('Error scheduling message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Scheduled messages of a user, soonest first
+   * @param {Object} user - User document
+   * @param {string} status - Only messages in this status (optional)
+   * @returns {Promise<Array>}
+   */
+  async listScheduledMessages(user, status = null) {
+    try {
+      const scheduled = await ScheduledMessage.find({
+        user: user._id,
+        status: status || { $in: ACTIVE_STATUSES }
+      }).sort({ sendAt: 1 });
+
+      return scheduled.map(entry => this.formatScheduledMessage(entry));
+    } catch (error) {
+      this.logger.error('Error listing scheduled messages:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply a change to a message of a user that has not been sent yet,
+   * atomically so it cannot race the scheduler
+   * @param {Object} user - User document
+   * @param {string} id - Scheduled message ID
+   * @param {Object} update - MongoDB update
+   * @param {Array} statuses - Statuses the message may be in
+   * @returns {Promise<Object>} - Updated document
+   */
+  async updatePending(user, id, update, statuses = ['pending']) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error('Scheduled message not found');
+    }
+
+    const scheduled = await ScheduledMessage.findOneAndUpdate(
+      { _id: id, user: user._id, status: { $in: statuses } },
+      update,
+      { new: true }
+    );
+
+    if (!scheduled) {
+      const existing = await ScheduledMessage.findOne({ _id: id, user: user._id }).select('status');
+      if (!existing) {
+        throw new Error('Scheduled message not found');
+      }
+      throw new Error('Only pending messages can be changed');
+    }
+
+    return scheduled;
+  }
+
+  /**
+   * Edit the text, channel or send time of a pending message
+   * @param {Object} user - User document
+   * @param {string} id - Scheduled message ID
+   * @param {Object} data - { text, sendAt, channel }, all optional
+   * @returns {Promise<Object>} - Formatted scheduled message
+   */
+  async updateScheduledMessage(user, id, data) {
+    try {
+      const changes = { updatedAt: new Date() };
+      if (data.text !== undefined) {
+        changes.text = this.validateText(data.text);
+      }
+      if (data.sendAt !== undefined) {
+        changes.sendAt = this.validateSendAt(data.sendAt);
+      }
+      if (data.channel !== undefined) {
+        await channelService.assertCanPost(user, data.channel);
+        changes.channel = data.channel;
+      }
+
+      const scheduled = await this.updatePending(user, id, { $set: changes });
+      return this.formatScheduledMessage(scheduled);
+    } catch (error) {
+      this.logger.error('Error updating scheduled message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a pending message, or dismiss one that failed
+   * @param {Object} user - User document
+   * @param {string} id - Scheduled message ID
+   * @returns {Promise<Object>} - Formatted scheduled message
+   */
+  async cancelScheduledMessage(user, id) {
+    try {
+      const scheduled = await this.updatePending(user, id, {
+        $set: { status: 'cancelled', updatedAt: new Date() }
+      }, ['pending', 'failed']);
+      return this.formatScheduledMessage(scheduled);
+    } catch (error) {
+      this.logger.error('Error cancelling scheduled message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start delivering due messages. Safe to run on every instance.
+   * @param {Object} io - Socket.IO server instance
+   */
+  start(io) {
+    if (this.timer) {
+      return;
+    }
+
+    this.io = io;
+    this.timer = setInterval(() => {
+      this.processDueMessages().catch(error =>
+        this.logger.error('Scheduled message delivery failed:', error)
+      );
+    }, config.scheduledMessages.pollInterval);
+    // The scheduler alone should not keep the process alive
+    this.timer.unref();
+
+    this.logger.info(`Message scheduler started (${this.instanceId})`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Claim the next due message. The status switch is a single atomic update, so only one
+   * instance gets each message. Claims older than the lock timeout belong to an instance
+   * that died mid-delivery and are taken over.
+   * @returns {Promise<Object|null>} - Claimed document
+   */
+  async claimNextDue() {
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - config.scheduledMessages.lockTimeout);
+
+    return ScheduledMessage.findOneAndUpdate(
+      {
+        sendAt: { $lte: now },
+        $or: [
+          { status: 'pending' },
+          { status: 'sending', lockedAt: { $lte: staleBefore } }
+        ]
+      },
+      {
+        $set: { status: 'sending', lockedAt: now, lockedBy: this.instanceId },
+        $inc: { attempts: 1 }
+      },
+      { sort: { sendAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Deliver every message that is due, one claim at a time
+   * @returns {Promise<number>} - Number of messages handled
+   */
+  async processDueMessages() {
+    if (this.processing) {
+      return 0;
+    }
+
+    this.processing = true;
+    let handled = 0;
+    try {
+      while (handled < BATCH_SIZE) {
+        const scheduled = await this.claimNextDue();
+        if (!scheduled) {
+          break;
+        }
+        handled++;
+        await this.deliver(scheduled);
+      }
+      return handled;
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Post a claimed message to its channel and record the outcome
+   * @param {Object} scheduled - Claimed ScheduledMessage document
+   */
+  async deliver(scheduled) {
+    let outcome;
+    try {
+      if (scheduled.attempts > MAX_ATTEMPTS) {
+        throw new Error('Delivery was interrupted too many times');
+      }
+
+      await this.postMessage(scheduled);
+      outcome = { status: 'sent', sentAt: new Date(), error: null };
+    } catch (error) {
+      this.logger.warn(`Scheduled message ${scheduled._id} could not be sent: ${error.message}`);
+      outcome = { status: 'failed', error: error.message };
+    }
+
+    // Only record the outcome while the claim is still ours
+    const result = await ScheduledMessage.updateOne(
+      { _id: scheduled._id, status: 'sending', lockedBy: this.instanceId, lockedAt: scheduled.lockedAt },
+      { $set: { ...outcome, lockedAt: null, lockedBy: null, updatedAt: new Date() } }
+    );
+
+    if (result.modifiedCount > 0 && this.io) {
+      this.io.to(chatService.getUserRoom(scheduled.author)).emit('scheduled_messages_updated', {
+        id: scheduled._id.toString(),
+        status: outcome.status
+      });
+    }
+  }
+
+  /**
+   * Save and broadcast the channel message. The message ID is fixed when the message is
+   * scheduled, so a retried delivery finds the earlier insert instead of posting twice.
+   * @param {Object} scheduled - Claimed ScheduledMessage document
+   */
+  async postMessage(scheduled) {
+    const user = await User.findById(scheduled.user).select('nickname role banned banExpires muteExpires');
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    // Access may have changed since the message was scheduled
+    await channelService.assertCanPost(user, scheduled.channel);
+    if (user.isMuted()) {
+      throw new Error('You are muted and cannot send messages');
+    }
+
+    // Nobody is there to wait for a review, a hold fails the delivery
+    const verdict = await contentFilterService.filterMessage({
+      text: scheduled.text,
+      author: user.nickname,
+      channelId: scheduled.channel
+    }, { canHold: false });
+    if (verdict.action === 'reject') {
+      throw contentFilterService.createRejection(verdict);
+    }
+
+    const mentions = await mentionService.resolveMentions(verdict.text, {
+      channelId: scheduled.channel,
+      author: user.nickname,
+      io: this.io
+    });
+
+    let message;
+    try {
+      message = await chatService.saveMessage({
+        _id: scheduled.messageId,
+        author: user.nickname,
+        channel: scheduled.channel,
+        text: verdict.text,
+        type: 'public',
+        mentions,
+        // Counted from delivery, like a message sent at that moment
+        expiresAt: await messageExpiryService.resolveExpiry(scheduled.channel)
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        this.logger.info(`Scheduled message ${scheduled._id} was already posted`);
+        return;
+      }
+      throw error;
+    }
+
+    if (this.io) {
+      const messageData = { ...chatService.formatMessage(message), status: 'delivered' };
+      this.io.to(scheduled.channel).emit('message', messageData);
+      chatService.notifyMentions(this.io, messageData);
+    }
+
+    this.logger.info(`Scheduled message ${scheduled._id} posted by ${user.nickname} in ${scheduled.channel}`);
+  }
+}
+
+module.exports = new ScheduledMessageService();
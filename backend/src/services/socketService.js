@@ -1,8 +1,19 @@
 const User = require('../models/User');
 const chatService = require('./chatService');
 const channelService = require('./channelService');
+const messageService = require('./messageService');
+const readMarkerService = require('./readMarkerService');
+const typingService = require('./typingService');
+const pinService = require('./pinService');
+const pollService = require('./pollService');
+const commandService = require('./commandService');
+const directMessageService = require('./directMessageService');
 const { logger } = require('../middleware/auth');
 
+// Older history pages requested while scrolling up
+const HISTORY_PAGE_SIZE = 50;
+const MAX_HISTORY_PAGE_SIZE = 100;
+
 class SocketService {
   constructor(io) {
     this.io = io;
@@ -29,6 +40,19 @@ class SocketService {
         lastHeartbeat: Date.now()
       });
 
+      // Personal room lets message updates reach the user in any channel
+      socket.join(chatService.getUserRoom(socket.nickname));
+
+      // The nickname changed in another session since this client last connected
+      if (socket.previousNickname) {
+        socket.emit('nickname_changed', { nickname: socket.nickname, previousNickname: socket.previousNickname });
+      }
+
+      // Direct messages reach every connection of a member, whichever room is open
+      directMessageService.getConversationIds(socket.nickname)
+        .then(conversationIds => socket.join(conversationIds))
+        .catch(error => logger.error('Error joining direct conversations:', error));
+
       // Log current active connections count
       console.log(`📊 Active socket connections: ${this.onlineUsers.size} - auth success for ${socket.nickname}`);
 
@@ -38,8 +62,17 @@ class SocketService {
       // Register event handlers
       this.registerPublicMessageHandler(socket);
       this.registerPrivateMessageHandler(socket);
+      this.registerCommandHandler(socket);
       this.registerJoinRoomHandler(socket);
       this.registerGetHistoryHandler(socket);
+      this.registerEditMessageHandler(socket);
+      this.registerDeleteMessageHandler(socket);
+      this.registerReactionHandlers(socket);
+      this.registerPinHandlers(socket);
+      this.registerPollHandlers(socket);
+      this.registerThreadHandler(socket);
+      this.registerReadMarkerHandler(socket);
+      this.registerTypingHandlers(socket);
       this.registerVoiceChannelHandlers(socket);
       this.registerSpeakinHandler(socket);
       this.registerDisconnectHandler(socket);
@@ -79,19 +112,48 @@ class SocketService {
     });
   }
 
+  // Error codes clients can act on, other errors only carry a message
+  getClientErrorCode(error) {
+    return typeof error.code === 'string' && error.code.startsWith('CONTENT_') ? error.code : undefined;
+  }
+
+  // Clients sending with an acknowledgement get { ok, message }, { ok, held } or { ok: false, error, code }
+  // instead of 'error' events. Messages rejected by a content filter come with the filter's code.
   registerPublicMessageHandler(socket) {
-    socket.on('message', async (data) => {
+    socket.on('message', async (data, ack) => {
       this.updateHeartbeat(socket);
-      if (!socket.room || !data.text?.trim()) return;
+      const hasAck = typeof ack === 'function';
+
+      if (!data || !socket.room || (!data.text?.trim() && !data.attachments?.length)) {
+        if (hasAck) ack({ ok: false, error: socket.room ? 'Invalid message data' : 'Join a channel first' });
+        return;
+      }
+
+      // Outbox messages name the room they were written in, never post them elsewhere
+      if (data.room && data.room !== socket.room) {
+        if (hasAck) ack({ ok: false, error: 'You are no longer in this channel' });
+        return;
+      }
 
       try {
         const messageData = await chatService.sendPublicMessage(socket, data, this.io);
-        if (messageData) {
-          logger.debug(`Message sent from ${socket.nickname} in ${socket.room}`);
+        if (messageData && !messageData.duplicate) {
+          typingService.stopTyping(this.io, socket.room, socket.nickname);
+          logger.debug(`Message ${messageData.held ? 'held' : 'sent'} from ${socket.nickname} in ${socket.room}`);
+        }
+        if (hasAck) {
+          ack(messageData?.held ? { ok: true, held: messageData } : { ok: true, message: messageData });
+        } else if (messageData?.held) {
+          socket.emit('message_held', messageData);
         }
       } catch (error) {
         logger.error('Error in public message handler:', error);
-        socket.emit('error', { message: error.message });
+        const code = this.getClientErrorCode(error);
+        if (hasAck) {
+          ack({ ok: false, error: error.message, code });
+        } else {
+          socket.emit('error', { message: error.message, code });
+        }
       }
     });
   }
@@ -101,17 +163,57 @@ class SocketService {
       this.updateHeartbeat(socket);
 
       try {
-        const messageData = await chatService.sendPrivateMessage(socket, data, this.onlineUsers, this.io);
+        const messageData = await chatService.sendPrivateMessage(socket, data, this.io);
         if (messageData) {
           logger.debug(`Private message sent by ${socket.nickname}`);
         }
       } catch (error) {
         logger.error('Error in private message handler:', error);
-        socket.emit('error', { message: error.message });
+        socket.emit('error', { message: error.message, code: this.getClientErrorCode(error) });
+      }
+    });
+  }
+
+  registerCommandHandler(socket) {
+    socket.on('command', async (data) => {
+      this.updateHeartbeat(socket);
+      const { text } = data || {};
+
+      if (typeof text !== 'string' || !text.trim().startsWith('/')) {
+        socket.emit('error', {
+          message: 'Command text is required',
+          code: 'MISSING_COMMAND',
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+
+      try {
+        const { command, reply } = await commandService.execute(socket, text, {
+          io: this.io,
+          onlineUsers: this.onlineUsers
+        });
+        if (reply) {
+          this.sendCommandReply(socket, command, reply, false);
+        }
+      } catch (error) {
+        logger.warn(`Command failed for ${socket.nickname}: ${error.message}`);
+        this.sendCommandReply(socket, commandService.parseInput(text)?.name || null, error.message, true);
       }
     });
   }
 
+  // Command output only the sender sees, it is not stored
+  sendCommandReply(socket, command, text, isError) {
+    socket.emit('command_reply', {
+      command,
+      text,
+      error: isError,
+      room: socket.room || null,
+      timestamp: new Date().toISOString()
+    });
+  }
+
   registerJoinRoomHandler(socket) {
     socket.on('join_room', async (data) => {
       this.updateHeartbeat(socket);
@@ -136,7 +238,12 @@ class SocketService {
       }
 
       try {
-        const { channel, history } = await chatService.joinChannel(socket, room, this.io);
+        const previousRoom = socket.room;
+        const { channel, history, hasMore } = await chatService.joinChannel(socket, room, this.io);
+
+        if (previousRoom && previousRoom !== room) {
+          typingService.stopTyping(this.io, previousRoom, socket.nickname);
+        }
 
         // Update tracking
         const user = this.onlineUsers.get(socket.id);
@@ -144,14 +251,7 @@ class SocketService {
           user.room = room;
         }
 
-        socket.emit('history', history.map(msg => ({
-          author: msg.author,
-          room: msg.channel,
-          text: msg.text,
-          type: msg.type,
-          target: msg.target,
-          timestamp: msg.timestamp
-        })));
+        socket.emit('history', history, { room, hasMore });
 
         socket.emit('online_users', await chatService.getOnlineUsers(this.onlineUsers, socket.room));
         logger.info(`User ${socket.nickname} joined room ${room}`);
@@ -168,19 +268,285 @@ class SocketService {
   }
 
   registerGetHistoryHandler(socket) {
-    socket.on('get_history', async () => {
+    // Without a cursor the newest page is sent as 'history', the messages followed by { room, hasMore };
+    // with a `before` cursor an older page is sent as 'history_page'
+    socket.on('get_history', async (data) => {
+      const { before, limit } = data || {};
+
       if (!socket.room) {
-        socket.emit('history', []);
+        socket.emit('history', [], { room: null, hasMore: false });
         return;
       }
 
       try {
-        const history = await chatService.getUserChannelHistory(socket.room, socket.nickname);
-        socket.emit('history', history);
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || HISTORY_PAGE_SIZE, 1), MAX_HISTORY_PAGE_SIZE);
+
+        if (!before) {
+          const { messages, hasMore } = await chatService.getUserChannelHistory(socket.room, socket.nickname);
+          socket.emit('history', messages, { room: socket.room, hasMore });
+          return;
+        }
+
+        const { messages, hasMore } = await chatService.getUserChannelHistory(socket.room, socket.nickname, pageSize, before);
+        socket.emit('history_page', { room: socket.room, messages, hasMore });
       } catch (error) {
         logger.error('Error getting history:', error);
-        socket.emit('error', { message: 'Failed to load message history' });
+        socket.emit('error', {
+          message: error.message === 'Invalid history cursor' ? error.message : 'Failed to load message history',
+          code: 'GET_HISTORY_FAILED',
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+  }
+
+  registerEditMessageHandler(socket) {
+    socket.on('edit_message', async (data) => {
+      this.updateHeartbeat(socket);
+      const { messageId, text } = data || {};
+
+      if (!messageId) {
+        socket.emit('error', {
+          message: 'Message ID is required',
+          code: 'MISSING_MESSAGE_ID',
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+
+      try {
+        await messageService.editMessage(messageId, socket.nickname, text, this.io);
+        logger.debug(`Message ${messageId} edited by ${socket.nickname}`);
+      } catch (error) {
+        logger.error('Error in edit message handler:', error);
+        socket.emit('error', {
+          message: error.message,
+          code: this.getClientErrorCode(error) || 'EDIT_MESSAGE_FAILED',
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+  }
+
+  registerDeleteMessageHandler(socket) {
+    socket.on('delete_message', async (data) => {
+      this.updateHeartbeat(socket);
+      const { messageId } = data || {};
+
+      if (!messageId) {
+        socket.emit('error', {
+          message: 'Message ID is required',
+          code: 'MISSING_MESSAGE_ID',
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+
+      try {
+        await messageService.deleteMessage(messageId, {
+          nickname: socket.nickname,
+          role: socket.role,
+          isModerator: socket.role === 'admin' || socket.role === 'moderator'
+        }, this.io);
+        logger.debug(`Message ${messageId} deleted by ${socket.nickname}`);
+      } catch (error) {
+        logger.error('Error in delete message handler:', error);
+        socket.emit('error', {
+          message: error.message,
+          code: 'DELETE_MESSAGE_FAILED',
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+  }
+
+  registerReactionHandlers(socket) {
+    const handleReaction = (event, action) => {
+      socket.on(event, async (data) => {
+        this.updateHeartbeat(socket);
+        const { messageId, emoji } = data || {};
+
+        if (!messageId || !emoji) {
+          socket.emit('error', {
+            message: 'Message ID and emoji are required',
+            code: 'INVALID_REACTION',
+            timestamp: new Date().toISOString()
+          });
+          return;
+        }
+
+        try {
+          await action(messageId, { nickname: socket.nickname, role: socket.role }, emoji, this.io);
+        } catch (error) {
+          logger.error(`Error in ${event} handler:`, error);
+          socket.emit('error', {
+            message: error.message,
+            code: 'REACTION_FAILED',
+            timestamp: new Date().toISOString()
+          });
+        }
+      });
+    };
+
+    handleReaction('add_reaction', (...args) => messageService.addReaction(...args));
+    handleReaction('remove_reaction', (...args) => messageService.removeReaction(...args));
+  }
+
+  registerPinHandlers(socket) {
+    const handlePin = (event, code, action) => {
+      socket.on(event, async (data) => {
+        this.updateHeartbeat(socket);
+        const { messageId } = data || {};
+
+        if (!messageId) {
+          socket.emit('error', {
+            message: 'Message ID is required',
+            code: 'MISSING_MESSAGE_ID',
+            timestamp: new Date().toISOString()
+          });
+          return;
+        }
+
+        try {
+          await action(messageId, {
+            nickname: socket.nickname,
+            role: socket.role,
+            isModerator: socket.role === 'admin' || socket.role === 'moderator'
+          }, this.io);
+        } catch (error) {
+          logger.error(`Error in ${event} handler:`, error);
+          socket.emit('error', {
+            message: error.message,
+            code,
+            timestamp: new Date().toISOString()
+          });
+        }
+      });
+    };
+
+    handlePin('pin_message', 'PIN_MESSAGE_FAILED', (...args) => pinService.pinMessage(...args));
+    handlePin('unpin_message', 'UNPIN_MESSAGE_FAILED', (...args) => pinService.unpinMessage(...args));
+  }
+
+  // Both events answer through the acknowledgement when there is one: { ok, poll } or { ok: false, error }
+  registerPollHandlers(socket) {
+    const handlePoll = (event, code, action) => {
+      socket.on(event, async (data, ack) => {
+        this.updateHeartbeat(socket);
+        const hasAck = typeof ack === 'function';
+        const { messageId } = data || {};
+
+        try {
+          if (!messageId) {
+            throw new Error('Message ID is required');
+          }
+          const poll = await action(messageId, data);
+          if (hasAck) ack({ ok: true, poll });
+        } catch (error) {
+          logger.error(`Error in ${event} handler:`, error);
+          if (hasAck) {
+            ack({ ok: false, error: error.message });
+          } else {
+            socket.emit('error', {
+              message: error.message,
+              code,
+              timestamp: new Date().toISOString()
+            });
+          }
+        }
+      });
+    };
+
+    handlePoll('poll_vote', 'POLL_VOTE_FAILED', (messageId, { options }) => pollService.vote(
+      messageId,
+      { userId: socket.userId, nickname: socket.nickname, role: socket.role },
+      options,
+      this.io
+    ));
+    handlePoll('poll_close', 'POLL_CLOSE_FAILED', messageId => pollService.closePoll(
+      messageId,
+      { nickname: socket.nickname, role: socket.role, isModerator: socket.role === 'admin' || socket.role === 'moderator' },
+      this.io
+    ));
+  }
+
+  registerThreadHandler(socket) {
+    socket.on('get_thread', async (data) => {
+      this.updateHeartbeat(socket);
+      const { messageId } = data || {};
+
+      if (!messageId) {
+        socket.emit('error', {
+          message: 'Message ID is required',
+          code: 'MISSING_MESSAGE_ID',
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+
+      try {
+        const thread = await messageService.getThread(messageId, { nickname: socket.nickname, role: socket.role });
+        socket.emit('thread', thread);
+      } catch (error) {
+        logger.error('Error in get_thread handler:', error);
+        socket.emit('error', {
+          message: error.message,
+          code: 'GET_THREAD_FAILED',
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+  }
+
+  registerReadMarkerHandler(socket) {
+    socket.on('mark_read', async (data) => {
+      this.updateHeartbeat(socket);
+      const { messageId } = data || {};
+
+      if (!messageId) {
+        socket.emit('error', {
+          message: 'Message ID is required',
+          code: 'MISSING_MESSAGE_ID',
+          timestamp: new Date().toISOString()
+        });
+        return;
       }
+
+      try {
+        const { marker, updated } = await readMarkerService.markRead({
+          userId: socket.userId,
+          nickname: socket.nickname,
+          role: socket.role
+        }, messageId);
+
+        // Keep the user's other tabs and devices in sync
+        if (updated) {
+          this.io.to(chatService.getUserRoom(socket.nickname)).emit('read_marker', {
+            room: marker.channel,
+            messageId: marker.lastReadMessage.toString(),
+            lastReadAt: marker.lastReadAt
+          });
+        }
+      } catch (error) {
+        logger.error('Error in mark_read handler:', error);
+        socket.emit('error', {
+          message: error.message,
+          code: 'MARK_READ_FAILED',
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+  }
+
+  registerTypingHandlers(socket) {
+    socket.on('typing_start', () => {
+      if (!socket.room) return;
+      typingService.startTyping(this.io, socket.room, socket.nickname);
+    });
+
+    socket.on('typing_stop', () => {
+      if (!socket.room) return;
+      typingService.stopTyping(this.io, socket.room, socket.nickname);
     });
   }
 
@@ -311,6 +677,7 @@ class SocketService {
         }
 
         // Leave room
+        typingService.stopTyping(this.io, socket.room, socket.nickname);
         await chatService.leaveChannel(socket, this.io);
 
         // Remove from tracking
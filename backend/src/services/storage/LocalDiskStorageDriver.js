@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+const StorageDriver = require('./StorageDriver');
+
+/**
+ * Stores attachments as plain files under a root directory
+ */
+class LocalDiskStorageDriver extends StorageDriver {
+  constructor(rootDir) {
+    super();
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  resolvePath(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  }
+
+  async save(key, buffer) {
+    const filePath = this.resolvePath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+  }
+
+  async createReadStream(key) {
+    const filePath = this.resolvePath(key);
+    try {
+      await fs.promises.access(filePath, fs.constants.R_OK);
+    } catch {
+      throw new Error('Stored file not found');
+    }
+    return fs.createReadStream(filePath);
+  }
+
+  async remove(key) {
+    try {
+      await fs.promises.unlink(this.resolvePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = LocalDiskStorageDriver;
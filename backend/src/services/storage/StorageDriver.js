@@ -0,0 +1,36 @@
+/**
+ * Interface for attachment storage backends.
+ * Keys are opaque, slash-separated paths generated by attachmentService.
+ */
+class StorageDriver {
+  /**
+   * Store a file
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - File contents
+   * @param {Object} options - { contentType }
+   * @returns {Promise<void>}
+   */
+  async save(_key, _buffer, _options = {}) {
+    throw new Error(`${this.constructor.name} does not implement save()`);
+  }
+
+  /**
+   * Open a stored file for reading
+   * @param {string} key - Storage key
+   * @returns {Promise<Readable>} - Rejects with 'Stored file not found' for unknown keys
+   */
+  async createReadStream(_key) {
+    throw new Error(`${this.constructor.name} does not implement createReadStream()`);
+  }
+
+  /**
+   * Remove a stored file, missing files are ignored
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async remove(_key) {
+    throw new Error(`${this.constructor.name} does not implement remove()`);
+  }
+}
+
+module.exports = StorageDriver;
@@ -0,0 +1,17 @@
+const config = require('../../config');
+const LocalDiskStorageDriver = require('./LocalDiskStorageDriver');
+
+// Register other backends (e.g. S3) here, each implementing StorageDriver
+const drivers = {
+  local: (options) => new LocalDiskStorageDriver(options.localDir)
+};
+
+const createStorageDriver = (options = config.attachments.storage) => {
+  const factory = drivers[options.driver];
+  if (!factory) {
+    throw new Error(`Unknown attachment storage driver: ${options.driver}`);
+  }
+  return factory(options);
+};
+
+module.exports = { createStorageDriver };
@@ -0,0 +1,80 @@
+const { logger } = require('../middleware/auth');
+
+// A typing entry lives this long without a new typing_start from the client
+const TYPING_TIMEOUT = 6000;
+// Bursts of start/stop events in a room are coalesced into one broadcast
+const BROADCAST_DELAY = 300;
+
+class TypingService {
+  constructor() {
+    this.logger = logger;
+    this.rooms = new Map(); // room -> Map(nickname -> expiry timer)
+    this.broadcastTimers = new Map(); // room -> pending broadcast timer
+  }
+
+  getTypingUsers(room) {
+    const users = this.rooms.get(room);
+    return users ? Array.from(users.keys()) : [];
+  }
+
+  startTyping(io, room, nickname) {
+    if (!room || !nickname) {
+      return;
+    }
+
+    let users = this.rooms.get(room);
+    if (!users) {
+      users = new Map();
+      this.rooms.set(room, users);
+    }
+
+    const isNew = !users.has(nickname);
+    clearTimeout(users.get(nickname));
+    users.set(nickname, setTimeout(() => this.stopTyping(io, room, nickname), TYPING_TIMEOUT));
+
+    if (isNew) {
+      this.scheduleBroadcast(io, room);
+    }
+  }
+
+  stopTyping(io, room, nickname) {
+    const users = this.rooms.get(room);
+    if (!users || !users.has(nickname)) {
+      return;
+    }
+
+    clearTimeout(users.get(nickname));
+    users.delete(nickname);
+    if (users.size === 0) {
+      this.rooms.delete(room);
+    }
+
+    this.scheduleBroadcast(io, room);
+  }
+
+  scheduleBroadcast(io, room) {
+    if (this.broadcastTimers.has(room)) {
+      return;
+    }
+
+    this.broadcastTimers.set(room, setTimeout(() => {
+      this.broadcastTimers.delete(room);
+      io.to(room).emit('typing', { room, users: this.getTypingUsers(room) });
+    }, BROADCAST_DELAY));
+  }
+
+  /**
+   * Drop all typing state and pending timers
+   */
+  reset() {
+    for (const users of this.rooms.values()) {
+      users.forEach(timer => clearTimeout(timer));
+    }
+    this.broadcastTimers.forEach(timer => clearTimeout(timer));
+    this.rooms.clear();
+    this.broadcastTimers.clear();
+    this.logger.debug('Typing state cleared');
+  }
+}
+
+module.exports = new TypingService();
@@ -1,6 +1,50 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Message = require('../models/Message');
+const Channel = require('../models/Channel');
+const ScheduledMessage = require('../models/ScheduledMessage');
+const HeldMessage = require('../models/HeldMessage');
 const { logger } = require('../middleware/auth');
 const { cacheUser, getCachedUser, invalidateUserCache, cacheUserActivity } = require('./cacheService');
+const directMessageService = require('./directMessageService');
+
+// One word so nicknames work in mentions and command arguments
+const NICKNAME_PATTERN = /^[\p{L}\p{N}_.-]{3,50}$/u;
+const RESERVED_NICKNAMES = ['system'];
+
+// Standalone servers, like the docker-compose setup, reject transactions with IllegalOperation
+const TRANSACTIONS_UNSUPPORTED = 20;
+
+/**
+ * Update pipeline replacing a nickname in every reaction list of a message
+ * @param {string} previousNickname
+ * @param {string} newNickname
+ * @returns {Array}
+ */
+const renameReactions = (previousNickname, newNickname) => {
+  const rename = input => ({
+    $map: {
+      input,
+      as: 'nickname',
+      in: { $cond: [{ $eq: ['$$nickname', previousNickname] }, { $literal: newNickname }, '$$nickname'] }
+    }
+  });
+
+  return [{
+    $set: {
+      reactions: {
+        $arrayToObject: {
+          $map: {
+            input: { $objectToArray: '$reactions' },
+            as: 'reaction',
+            in: { k: '$$reaction.k', v: rename('$$reaction.v') }
+          }
+        }
+      },
+      reactedBy: rename('$reactedBy')
+    }
+  }];
+};
 
 class UserService {
   constructor() {
@@ -235,6 +279,121 @@ class UserService {
     }
   }
 
+  /**
+   * Rename a user. Their earlier messages, reactions, votes and other records that name
+   * them move to the new nickname with them.
+   * @param {string} userId
+   * @param {string} newNickname
+   * @returns {Promise<Object>} - { user, previousNickname }
+   */
+  async changeNickname(userId, newNickname) {
+    try {
+      if (!NICKNAME_PATTERN.test(newNickname) || RESERVED_NICKNAMES.includes(newNickname.toLowerCase())) {
+        throw new Error('Nickname must be 3-50 letters, digits, dots, dashes or underscores');
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const previousNickname = user.nickname;
+      if (previousNickname === newNickname) {
+        throw new Error('That is already your nickname');
+      }
+
+      await this.inTransaction(session => this.renameRecords(user, previousNickname, newNickname, session));
+      user.nickname = newNickname;
+
+      invalidateUserCache(userId).catch(error => {
+        this.logger.error('Error invalidating user cache:', error);
+      });
+
+      this.logger.info(`User ${previousNickname} changed nickname to ${newNickname}`, { userId });
+      return { user, previousNickname };
+    } catch (error) {
+      this.logger.error('Error changing nickname:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Run work in a transaction, or without one where the server has no transactions
+   * @param {Function} work - Receives the session, null without a transaction
+   * @returns {Promise}
+   */
+  async inTransaction(work) {
+    const session = await mongoose.startSession();
+    try {
+      return await session.withTransaction(() => work(session));
+    } catch (error) {
+      if (error.code !== TRANSACTIONS_UNSUPPORTED) {
+        throw error;
+      }
+      this.logger.warn('MongoDB does not support transactions here, writing without one');
+      return work(null);
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Move a user and every record naming them to a new nickname
+   * @param {Object} user - User document
+   * @param {string} previousNickname
+   * @param {string} newNickname
+   * @param {Object} session - MongoDB session, null outside a transaction
+   */
+  async renameRecords(user, previousNickname, newNickname, session) {
+    try {
+      await User.updateOne({ _id: user._id }, { $set: { nickname: newNickname } }, { session });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error('Nickname already taken');
+      }
+      throw error;
+    }
+
+    await Message.updateMany({ author: previousNickname }, { $set: { author: newNickname } }, { session });
+    await Message.updateMany({ type: 'private', target: previousNickname }, { $set: { target: newNickname } }, { session });
+    await Message.updateMany({ deletedBy: previousNickname }, { $set: { deletedBy: newNickname } }, { session });
+    await Message.updateMany(
+      { 'forwardedFrom.author': previousNickname },
+      { $set: { 'forwardedFrom.author': newNickname } },
+      { session }
+    );
+    await Message.updateMany(
+      { 'mentions.user': user._id },
+      { $set: { 'mentions.$[mention].nickname': newNickname } },
+      { arrayFilters: [{ 'mention.user': user._id }], session }
+    );
+    // Votes are keyed by user ID and keep the nickname for voter lists
+    const voteKey = `poll.votes.${user._id}`;
+    await Message.updateMany(
+      { [voteKey]: { $exists: true } },
+      { $set: { [`${voteKey}.nickname`]: newNickname } },
+      { session }
+    );
+    await Message.updateMany({ reactedBy: previousNickname }, renameReactions(previousNickname, newNickname), { session });
+    await ScheduledMessage.updateMany({ user: user._id }, { $set: { author: newNickname } }, { session });
+    await HeldMessage.updateMany({ author: previousNickname }, { $set: { author: newNickname } }, { session });
+    await Channel.updateMany({ type: 'dm', members: previousNickname }, { $set: { 'members.$': newNickname } }, { session });
+    // One-to-one conversations are keyed by the nicknames of their members
+    const pairs = await Channel.find({ type: 'dm', members: newNickname, memberKey: { $type: 'string' } }, 'members', { session });
+    for (const pair of pairs) {
+      await Channel.updateOne(
+        { _id: pair._id },
+        { $set: { memberKey: directMessageService.buildMemberKey(pair.members) } },
+        { session }
+      );
+    }
+    await Channel.updateMany(
+      { 'pins.pinnedBy': previousNickname },
+      { $set: { 'pins.$[pin].pinnedBy': newNickname } },
+      { arrayFilters: [{ 'pin.pinnedBy': previousNickname }], session }
+    );
+  }
+
   async getUsersForAdmin(page = 1, limit = 50) {
     try {
       const skip = (page - 1) * limit;
@@ -0,0 +1,203 @@
+jest.mock('../../src/models/User', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../../src/services/channelService', () => ({}));
+jest.mock('../../src/services/readMarkerService', () => ({}));
+jest.mock('../../src/services/pinService', () => ({}));
+jest.mock('../../src/services/exportService', () => ({}));
+jest.mock('../../src/services/retentionService', () => ({
+  getPolicy: jest.fn(),
+  setPolicy: jest.fn(),
+  archiveChannel: jest.fn()
+}));
+jest.mock('../../src/services/messageExpiryService', () => ({
+  setChannelExpiry: jest.fn()
+}));
+jest.mock('../../src/services/importService', () => ({
+  importHistory: jest.fn()
+}));
+jest.mock('../../src/services/contentFilterService', () => ({
+  getSettings: jest.fn(),
+  setSettings: jest.fn()
+}));
+jest.mock('../../src/services/heldMessageService', () => ({
+  listHeld: jest.fn(),
+  approve: jest.fn(),
+  reject: jest.fn()
+}));
+jest.mock('../../src/controllers/attachmentController', () => ({
+  uploadAttachment: jest.fn()
+}));
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'route-test-secret';
+
+const request = require('supertest');
+const User = require('../../src/models/User');
+const retentionService = require('../../src/services/retentionService');
+const messageExpiryService = require('../../src/services/messageExpiryService');
+const importService = require('../../src/services/importService');
+const contentFilterService = require('../../src/services/contentFilterService');
+const heldMessageService = require('../../src/services/heldMessageService');
+const channelRoutes = require('../../src/routes/channels');
+const { createRouteApp, createUser, authHeader } = require('../shared/testHelpers');
+
+const HELD_ID = '507f1f77bcf86cd799439051';
+
+const adminEndpoints = [
+  ['post', '/api/channels/import'],
+  ['put', '/api/channels/general/retention'],
+  ['put', '/api/channels/general/message-expiry'],
+  ['put', '/api/channels/general/content-filters'],
+  ['post', '/api/channels/general/archive']
+];
+
+const moderatorEndpoints = [
+  ['get', '/api/channels/general/content-filters'],
+  ['get', '/api/channels/general/held-messages'],
+  ['post', `/api/channels/general/held-messages/${HELD_ID}/approve`],
+  ['delete', `/api/channels/general/held-messages/${HELD_ID}`]
+];
+
+describe('Channel admin routes', () => {
+  let app;
+  let user;
+
+  const send = (method, url, role, body) => {
+    user.role = role;
+    return request(app)[method](url).set('Authorization', authHeader(user)).send(body);
+  };
+
+  beforeEach(() => {
+    user = createUser({ nickname: 'root' });
+    User.findById.mockResolvedValue(user);
+    app = createRouteApp('/api/channels', channelRoutes);
+  });
+
+  describe('access', () => {
+    it.each([
+      ...adminEndpoints,
+      ...moderatorEndpoints
+    ])('should require a token for %s %s', async (method, url) => {
+      const response = await request(app)[method](url).expect(401);
+
+      expect(response.body.code).toBe('NO_TOKEN');
+    });
+
+    it.each(adminEndpoints)('should refuse moderators on %s %s', async (method, url) => {
+      const response = await send(method, url, 'moderator', {}).expect(403);
+
+      expect(response.body.code).toBe('ADMIN_REQUIRED');
+    });
+
+    it.each(moderatorEndpoints)('should refuse members on %s %s', async (method, url) => {
+      const response = await send(method, url, 'member', {}).expect(403);
+
+      expect(response.body.code).toBe('MODERATOR_REQUIRED');
+    });
+
+    it('should let moderators review held messages', async () => {
+      heldMessageService.listHeld.mockResolvedValue([]);
+
+      const response = await send('get', '/api/channels/general/held-messages', 'moderator').expect(200);
+
+      expect(response.body).toEqual({ channel: 'general', messages: [] });
+      expect(heldMessageService.listHeld).toHaveBeenCalledWith('general', expect.objectContaining({ role: 'moderator' }));
+    });
+  });
+
+  describe('PUT /:channelId/retention', () => {
+    it.each([
+      ['a fractional number of days', { days: 1.5 }],
+      ['an unknown action', { days: 30, action: 'shred' }]
+    ])('should reject %s', async (name, body) => {
+      const response = await send('put', '/api/channels/general/retention', 'admin', body).expect(400);
+
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+      expect(retentionService.setPolicy).not.toHaveBeenCalled();
+    });
+
+    it('should map policy errors of the service onto 400', async () => {
+      retentionService.setPolicy.mockRejectedValue(new Error('Retention must be between 1 and 3650 days'));
+
+      const response = await send('put', '/api/channels/general/retention', 'admin', { days: 0 }).expect(400);
+
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('should store the policy as the admin', async () => {
+      retentionService.setPolicy.mockResolvedValue({ channel: 'general', days: 30, action: 'archive' });
+
+      await send('put', '/api/channels/general/retention', 'admin', { days: '30', action: 'archive' }).expect(200);
+
+      expect(retentionService.setPolicy).toHaveBeenCalledWith('general', { days: 30, action: 'archive' }, 'root');
+    });
+  });
+
+  describe('PUT /:channelId/message-expiry', () => {
+    it('should reject minutes that are not a whole number', async () => {
+      const response = await send('put', '/api/channels/general/message-expiry', 'admin', { minutes: 'soon' }).expect(400);
+
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+      expect(messageExpiryService.setChannelExpiry).not.toHaveBeenCalled();
+    });
+
+    it('should clear the expiry when minutes are null', async () => {
+      messageExpiryService.setChannelExpiry.mockResolvedValue({ channel: 'general', minutes: null });
+
+      await send('put', '/api/channels/general/message-expiry', 'admin', { minutes: null }).expect(200);
+
+      expect(messageExpiryService.setChannelExpiry).toHaveBeenCalledWith('general', null, 'root', expect.anything());
+    });
+
+    it('should report unknown channels', async () => {
+      messageExpiryService.setChannelExpiry.mockRejectedValue(new Error('Channel not found'));
+
+      const response = await send('put', '/api/channels/nope/message-expiry', 'admin', { minutes: 60 }).expect(404);
+
+      expect(response.body.code).toBe('CHANNEL_NOT_FOUND');
+    });
+  });
+
+  describe('PUT /:channelId/content-filters', () => {
+    it('should require a list of filters', async () => {
+      const response = await send('put', '/api/channels/general/content-filters', 'admin', { filters: 'invites' }).expect(400);
+
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+      expect(contentFilterService.setSettings).not.toHaveBeenCalled();
+    });
+
+    it('should map invalid filter settings onto 400', async () => {
+      contentFilterService.setSettings.mockRejectedValue(new Error('Content filter nope does not exist'));
+
+      const response = await send('put', '/api/channels/general/content-filters', 'admin', {
+        filters: [{ name: 'nope', action: 'reject' }]
+      }).expect(400);
+
+      expect(response.body).toEqual({ error: 'Content filter nope does not exist', code: 'VALIDATION_ERROR' });
+    });
+  });
+
+  describe('POST /import', () => {
+    it.each([
+      ['an unknown source', { source: 'irc', data: {} }],
+      ['missing data', { source: 'slack' }],
+      ['a user map that is not an object', { source: 'slack', data: {}, userMap: 'alice' }]
+    ])('should reject %s', async (name, body) => {
+      const response = await send('post', '/api/channels/import', 'admin', body).expect(400);
+
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+      expect(importService.importHistory).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('held messages', () => {
+    it('should report held messages that are already reviewed', async () => {
+      heldMessageService.approve.mockRejectedValue(new Error('Held message not found'));
+
+      const response = await send('post', `/api/channels/general/held-messages/${HELD_ID}/approve`, 'moderator').expect(404);
+
+      expect(response.body.code).toBe('HELD_MESSAGE_NOT_FOUND');
+      expect(heldMessageService.approve).toHaveBeenCalledWith('general', HELD_ID, { nickname: 'root', role: 'moderator' }, expect.anything());
+    });
+  });
+});
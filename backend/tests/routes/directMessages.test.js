@@ -0,0 +1,148 @@
+jest.mock('../../src/models/User', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../../src/services/directMessageService', () => ({
+  listConversations: jest.fn(),
+  openConversation: jest.fn(),
+  createGroupConversation: jest.fn(),
+  renameConversation: jest.fn(),
+  addMembers: jest.fn(),
+  leaveConversation: jest.fn(),
+  formatConversation: jest.fn()
+}));
+jest.mock('../../src/services/readMarkerService', () => ({
+  getUnreadCounts: jest.fn()
+}));
+jest.mock('../../src/services/chatService', () => ({
+  announceConversation: jest.fn(),
+  createSystemMessage: jest.fn(),
+  removeFromConversation: jest.fn(),
+  removeChannelMessages: jest.fn()
+}));
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'route-test-secret';
+
+const request = require('supertest');
+const User = require('../../src/models/User');
+const directMessageService = require('../../src/services/directMessageService');
+const chatService = require('../../src/services/chatService');
+const directMessageRoutes = require('../../src/routes/directMessages');
+const { createRouteApp, createUser, authHeader } = require('../shared/testHelpers');
+
+const GROUP_ID = 'dm:group:1';
+
+describe('Direct message routes', () => {
+  let app;
+  let user;
+
+  beforeEach(() => {
+    user = createUser();
+    User.findById.mockResolvedValue(user);
+    app = createRouteApp('/api/dms', directMessageRoutes);
+  });
+
+  it.each([
+    ['get', '/api/dms'],
+    ['post', '/api/dms'],
+    ['post', '/api/dms/groups'],
+    ['patch', `/api/dms/${GROUP_ID}`],
+    ['post', `/api/dms/${GROUP_ID}/members`],
+    ['delete', `/api/dms/${GROUP_ID}/members/me`]
+  ])('should require a token for %s %s', async (method, url) => {
+    const response = await request(app)[method](url).expect(401);
+
+    expect(response.body.code).toBe('NO_TOKEN');
+  });
+
+  describe('POST /', () => {
+    it.each([
+      ['a missing nickname', {}],
+      ['a nickname over 50 characters', { nickname: 'b'.repeat(51) }],
+      ['a nickname that is not a string', { nickname: ['bob'] }]
+    ])('should reject %s', async (name, body) => {
+      const response = await request(app).post('/api/dms').set('Authorization', authHeader(user)).send(body).expect(400);
+
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+      expect(directMessageService.openConversation).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a conversation with yourself', async () => {
+      directMessageService.openConversation.mockRejectedValue(new Error('You cannot message yourself'));
+
+      const response = await request(app)
+        .post('/api/dms')
+        .set('Authorization', authHeader(user))
+        .send({ nickname: 'alice' })
+        .expect(400);
+
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('should answer 200 when the conversation already exists', async () => {
+      directMessageService.openConversation.mockResolvedValue({
+        channel: { id: 'dm:1', members: ['alice', 'bob'] },
+        created: false
+      });
+
+      await request(app).post('/api/dms').set('Authorization', authHeader(user)).send({ nickname: 'bob' }).expect(200);
+
+      expect(directMessageService.openConversation).toHaveBeenCalledWith('alice', 'bob');
+      expect(chatService.announceConversation).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /groups', () => {
+    it.each([
+      ['no members', { nicknames: [] }],
+      ['more than 20 members', { nicknames: Array.from({ length: 21 }, (_, i) => `user${i}`) }],
+      ['a member that is not a string', { nicknames: ['bob', 42] }],
+      ['a name over 100 characters', { nicknames: ['bob'], name: 'n'.repeat(101) }]
+    ])('should reject %s', async (name, body) => {
+      const response = await request(app)
+        .post('/api/dms/groups')
+        .set('Authorization', authHeader(user))
+        .send(body)
+        .expect(400);
+
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+      expect(directMessageService.createGroupConversation).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /:conversationId/members', () => {
+    it('should reject more than 10 new members at once', async () => {
+      const response = await request(app)
+        .post(`/api/dms/${GROUP_ID}/members`)
+        .set('Authorization', authHeader(user))
+        .send({ nicknames: Array.from({ length: 11 }, (_, i) => `user${i}`) })
+        .expect(400);
+
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+      expect(directMessageService.addMembers).not.toHaveBeenCalled();
+    });
+
+    it('should hide conversations the user is not in', async () => {
+      directMessageService.addMembers.mockRejectedValue(new Error('Conversation not found'));
+
+      const response = await request(app)
+        .post(`/api/dms/${GROUP_ID}/members`)
+        .set('Authorization', authHeader(user))
+        .send({ nicknames: ['carol'] })
+        .expect(404);
+
+      expect(response.body.code).toBe('NOT_FOUND');
+    });
+  });
+
+  describe('DELETE /:conversationId/members/me', () => {
+    it('should remove the history once the last member leaves', async () => {
+      directMessageService.leaveConversation.mockResolvedValue({ id: GROUP_ID, members: [] });
+
+      await request(app).delete(`/api/dms/${GROUP_ID}/members/me`).set('Authorization', authHeader(user)).expect(200);
+
+      expect(directMessageService.leaveConversation).toHaveBeenCalledWith(GROUP_ID, 'alice');
+      expect(chatService.removeChannelMessages).toHaveBeenCalledWith(GROUP_ID);
+      expect(chatService.createSystemMessage).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,168 @@
+jest.mock('../../src/models/User', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../../src/services/messageService', () => ({
+  searchMessages: jest.fn(),
+  getMessageContext: jest.fn(),
+  editMessage: jest.fn(),
+  deleteMessage: jest.fn(),
+  forwardMessage: jest.fn(),
+  getRevisions: jest.fn()
+}));
+jest.mock('../../src/services/chatService', () => ({
+  formatMessage: jest.fn()
+}));
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'route-test-secret';
+
+const request = require('supertest');
+const User = require('../../src/models/User');
+const messageService = require('../../src/services/messageService');
+const messageRoutes = require('../../src/routes/messages');
+const { TEST_MESSAGE_ID, createRouteApp, createUser, authHeader } = require('../shared/testHelpers');
+
+describe('Message routes', () => {
+  let app;
+  let user;
+
+  beforeEach(() => {
+    user = createUser();
+    User.findById.mockResolvedValue(user);
+    app = createRouteApp('/api/messages', messageRoutes);
+  });
+
+  describe('authentication', () => {
+    it.each([
+      ['get', '/api/messages/search?q=deploy'],
+      ['get', `/api/messages/${TEST_MESSAGE_ID}/context`],
+      ['patch', `/api/messages/${TEST_MESSAGE_ID}`],
+      ['delete', `/api/messages/${TEST_MESSAGE_ID}`],
+      ['post', `/api/messages/${TEST_MESSAGE_ID}/forward`],
+      ['get', `/api/messages/${TEST_MESSAGE_ID}/revisions`]
+    ])('should require a token for %s %s', async (method, url) => {
+      const response = await request(app)[method](url).expect(401);
+
+      expect(response.body.code).toBe('NO_TOKEN');
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+
+    it('should reject tokens of deleted users', async () => {
+      const token = authHeader(user);
+      User.findById.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get(`/api/messages/${TEST_MESSAGE_ID}/revisions`)
+        .set('Authorization', token)
+        .expect(401);
+
+      expect(response.body.code).toBe('USER_NOT_FOUND');
+      expect(messageService.getRevisions).not.toHaveBeenCalled();
+    });
+
+    it('should reject malformed tokens', async () => {
+      const response = await request(app)
+        .get(`/api/messages/${TEST_MESSAGE_ID}/revisions`)
+        .set('Authorization', 'Bearer not-a-token')
+        .expect(401);
+
+      expect(response.body.code).toBe('INVALID_TOKEN_FORMAT');
+    });
+  });
+
+  describe('GET /search', () => {
+    it.each([
+      ['a missing query', ''],
+      ['an unknown type', '?q=deploy&type=secret'],
+      ['a malformed date', '?q=deploy&from=yesterday'],
+      ['an oversized page', '?q=deploy&limit=500']
+    ])('should reject %s', async (name, search) => {
+      const response = await request(app)
+        .get(`/api/messages/search${search}`)
+        .set('Authorization', authHeader(user))
+        .expect(400);
+
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+      expect(messageService.searchMessages).not.toHaveBeenCalled();
+    });
+
+    it('should search as the current user', async () => {
+      messageService.searchMessages.mockResolvedValue({ results: [], total: 0 });
+
+      await request(app).get('/api/messages/search?q=deploy&limit=10').set('Authorization', authHeader(user)).expect(200);
+
+      expect(messageService.searchMessages).toHaveBeenCalledWith(
+        { nickname: 'alice', role: 'member' },
+        expect.objectContaining({ q: 'deploy', limit: '10' })
+      );
+    });
+  });
+
+  describe('PATCH /:messageId', () => {
+    it.each([
+      ['empty text', { text: '   ' }],
+      ['text over 2000 characters', { text: 'a'.repeat(2001) }],
+      ['a missing text', {}]
+    ])('should reject %s', async (name, body) => {
+      const response = await request(app)
+        .patch(`/api/messages/${TEST_MESSAGE_ID}`)
+        .set('Authorization', authHeader(user))
+        .send(body)
+        .expect(400);
+
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+      expect(messageService.editMessage).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to edit messages of other users', async () => {
+      messageService.editMessage.mockRejectedValue(new Error('You can only edit your own messages'));
+
+      const response = await request(app)
+        .patch(`/api/messages/${TEST_MESSAGE_ID}`)
+        .set('Authorization', authHeader(user))
+        .send({ text: 'hello' })
+        .expect(403);
+
+      expect(response.body.code).toBe('INSUFFICIENT_PERMISSIONS');
+    });
+  });
+
+  describe('DELETE /:messageId', () => {
+    it('should pass the role of the user on', async () => {
+      user.role = 'moderator';
+      messageService.deleteMessage.mockResolvedValue({ _id: TEST_MESSAGE_ID, deletedAt: null, deletedBy: 'alice' });
+
+      await request(app).delete(`/api/messages/${TEST_MESSAGE_ID}`).set('Authorization', authHeader(user)).expect(200);
+
+      expect(messageService.deleteMessage).toHaveBeenCalledWith(
+        TEST_MESSAGE_ID,
+        { nickname: 'alice', role: 'moderator', isModerator: true },
+        expect.anything()
+      );
+    });
+  });
+
+  describe('POST /:messageId/forward', () => {
+    it('should require a target channel', async () => {
+      const response = await request(app)
+        .post(`/api/messages/${TEST_MESSAGE_ID}/forward`)
+        .set('Authorization', authHeader(user))
+        .send({ channel: '' })
+        .expect(400);
+
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+      expect(messageService.forwardMessage).not.toHaveBeenCalled();
+    });
+
+    it('should report messages the user cannot see as missing', async () => {
+      messageService.forwardMessage.mockRejectedValue(new Error('Message not found'));
+
+      const response = await request(app)
+        .post(`/api/messages/${TEST_MESSAGE_ID}/forward`)
+        .set('Authorization', authHeader(user))
+        .send({ channel: 'random' })
+        .expect(404);
+
+      expect(response.body.code).toBe('MESSAGE_NOT_FOUND');
+    });
+  });
+});
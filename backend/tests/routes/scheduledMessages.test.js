@@ -0,0 +1,143 @@
+jest.mock('../../src/models/User', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../../src/services/scheduledMessageService', () => ({
+  listScheduledMessages: jest.fn(),
+  createScheduledMessage: jest.fn(),
+  updateScheduledMessage: jest.fn(),
+  cancelScheduledMessage: jest.fn()
+}));
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'route-test-secret';
+
+const request = require('supertest');
+const User = require('../../src/models/User');
+const scheduledMessageService = require('../../src/services/scheduledMessageService');
+const scheduledMessageRoutes = require('../../src/routes/scheduledMessages');
+const { createRouteApp, createUser, authHeader } = require('../shared/testHelpers');
+
+const SCHEDULED_ID = '507f1f77bcf86cd799439041';
+const SEND_AT = '2030-01-01T10:00:00.000Z';
+
+describe('Scheduled message routes', () => {
+  let app;
+  let user;
+
+  beforeEach(() => {
+    user = createUser();
+    User.findById.mockResolvedValue(user);
+    app = createRouteApp('/api/scheduled-messages', scheduledMessageRoutes);
+  });
+
+  it.each([
+    ['get', '/api/scheduled-messages'],
+    ['post', '/api/scheduled-messages'],
+    ['patch', `/api/scheduled-messages/${SCHEDULED_ID}`],
+    ['delete', `/api/scheduled-messages/${SCHEDULED_ID}`]
+  ])('should require a token for %s %s', async (method, url) => {
+    const response = await request(app)[method](url).expect(401);
+
+    expect(response.body.code).toBe('NO_TOKEN');
+  });
+
+  describe('GET /', () => {
+    it('should reject an unknown status', async () => {
+      const response = await request(app)
+        .get('/api/scheduled-messages?status=lost')
+        .set('Authorization', authHeader(user))
+        .expect(400);
+
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+      expect(scheduledMessageService.listScheduledMessages).not.toHaveBeenCalled();
+    });
+
+    it('should list the messages of the current user', async () => {
+      scheduledMessageService.listScheduledMessages.mockResolvedValue([]);
+
+      await request(app).get('/api/scheduled-messages?status=pending').set('Authorization', authHeader(user)).expect(200);
+
+      expect(scheduledMessageService.listScheduledMessages).toHaveBeenCalledWith(user, 'pending');
+    });
+  });
+
+  describe('POST /', () => {
+    it.each([
+      ['a missing channel', { text: 'standup', sendAt: SEND_AT }],
+      ['empty text', { channel: 'general', text: '', sendAt: SEND_AT }],
+      ['text over 2000 characters', { channel: 'general', text: 'a'.repeat(2001), sendAt: SEND_AT }],
+      ['a malformed send time', { channel: 'general', text: 'standup', sendAt: 'tomorrow' }]
+    ])('should reject %s', async (name, body) => {
+      const response = await request(app)
+        .post('/api/scheduled-messages')
+        .set('Authorization', authHeader(user))
+        .send(body)
+        .expect(400);
+
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+      expect(scheduledMessageService.createScheduledMessage).not.toHaveBeenCalled();
+    });
+
+    it('should refuse channels the user cannot post to', async () => {
+      scheduledMessageService.createScheduledMessage.mockRejectedValue(new Error('You cannot post to this channel'));
+
+      const response = await request(app)
+        .post('/api/scheduled-messages')
+        .set('Authorization', authHeader(user))
+        .send({ channel: 'announcements', text: 'standup', sendAt: SEND_AT })
+        .expect(403);
+
+      expect(response.body.code).toBe('INSUFFICIENT_PERMISSIONS');
+    });
+
+    it('should report a full schedule', async () => {
+      scheduledMessageService.createScheduledMessage.mockRejectedValue(new Error('You can have at most 25 scheduled messages'));
+
+      const response = await request(app)
+        .post('/api/scheduled-messages')
+        .set('Authorization', authHeader(user))
+        .send({ channel: 'general', text: 'standup', sendAt: SEND_AT })
+        .expect(429);
+
+      expect(response.body.code).toBe('SCHEDULE_LIMIT_REACHED');
+    });
+  });
+
+  describe('PATCH /:id', () => {
+    it('should reject a malformed send time', async () => {
+      const response = await request(app)
+        .patch(`/api/scheduled-messages/${SCHEDULED_ID}`)
+        .set('Authorization', authHeader(user))
+        .send({ sendAt: 'later' })
+        .expect(400);
+
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+      expect(scheduledMessageService.updateScheduledMessage).not.toHaveBeenCalled();
+    });
+
+    it('should refuse messages that are already on their way', async () => {
+      scheduledMessageService.updateScheduledMessage.mockRejectedValue(new Error('Only pending messages can be changed'));
+
+      const response = await request(app)
+        .patch(`/api/scheduled-messages/${SCHEDULED_ID}`)
+        .set('Authorization', authHeader(user))
+        .send({ text: 'updated' })
+        .expect(409);
+
+      expect(response.body.code).toBe('NOT_PENDING');
+    });
+  });
+
+  describe('DELETE /:id', () => {
+    it('should hide messages of other users', async () => {
+      scheduledMessageService.cancelScheduledMessage.mockRejectedValue(new Error('Scheduled message not found'));
+
+      const response = await request(app)
+        .delete(`/api/scheduled-messages/${SCHEDULED_ID}`)
+        .set('Authorization', authHeader(user))
+        .expect(404);
+
+      expect(response.body.code).toBe('NOT_FOUND');
+      expect(scheduledMessageService.cancelScheduledMessage).toHaveBeenCalledWith(user, SCHEDULED_ID);
+    });
+  });
+});
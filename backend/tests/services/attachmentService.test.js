@@ -0,0 +1,281 @@
+jest.mock('../../src/models/Attachment', () => ({
+  create: jest.fn(),
+  find: jest.fn(),
+  findById: jest.fn(),
+  updateMany: jest.fn(),
+  deleteOne: jest.fn(),
+  deleteMany: jest.fn()
+}));
+jest.mock('../../src/models/Channel', () => ({
+  findOne: jest.fn()
+}));
+jest.mock('../../src/models/Message', () => ({
+  findById: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const Attachment = require('../../src/models/Attachment');
+const Channel = require('../../src/models/Channel');
+const Message = require('../../src/models/Message');
+const attachmentService = require('../../src/services/attachmentService');
+const LocalDiskStorageDriver = require('../../src/services/storage/LocalDiskStorageDriver');
+const { mockSelect } = require('../shared/testHelpers');
+
+const USER_ID = '507f1f77bcf86cd799439099';
+const ATTACHMENT_ID = '507f1f77bcf86cd799439011';
+const MESSAGE_ID = '507f1f77bcf86cd799439022';
+const uploader = { _id: USER_ID, nickname: 'alice', role: 'user' };
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+describe('AttachmentService', () => {
+  let storage;
+  let png;
+
+  beforeAll(async () => {
+    png = await sharp({
+      create: { width: 1280, height: 720, channels: 4, background: { r: 0, g: 128, b: 255, alpha: 0.5 } }
+    }).png().toBuffer();
+  });
+
+  beforeEach(() => {
+    storage = {
+      save: jest.fn().mockResolvedValue(),
+      remove: jest.fn().mockResolvedValue(),
+      createReadStream: jest.fn()
+    };
+    attachmentService.storage = storage;
+    Channel.findOne.mockResolvedValue({ id: 'general', type: 'text', permissions: { read: 'everyone', write: 'everyone' } });
+    Attachment.create.mockImplementation(async (data) => ({ _id: ATTACHMENT_ID, ...data }));
+  });
+
+  describe('createAttachment', () => {
+    it('should store an image with a thumbnail rendered on the server', async () => {
+      const attachment = await attachmentService.createAttachment(uploader, 'general', {
+        filename: 'shot.png',
+        mimeType: 'image/png',
+        data: `data:image/png;base64,${png.toString('base64')}`,
+        // Ignored, the server decides what the preview looks like
+        thumbnail: Buffer.from('not a jpeg').toString('base64'),
+        width: 1
+      });
+
+      expect(storage.save).toHaveBeenCalledTimes(2);
+      expect(storage.save).toHaveBeenCalledWith(attachment.storageKey, png, { contentType: 'image/png' });
+      const [thumbnailKey, thumbnail, options] = storage.save.mock.calls[1];
+      expect(thumbnailKey).toBe(`${attachment.storageKey}-thumb`);
+      expect(options).toEqual({ contentType: 'image/jpeg' });
+      await expect(sharp(thumbnail).metadata()).resolves.toMatchObject({ format: 'jpeg', width: 320, height: 180 });
+      expect(attachment).toMatchObject({
+        uploader: USER_ID,
+        channel: 'general',
+        size: png.length,
+        width: 1280,
+        height: 720
+      });
+      expect(attachmentService.formatAttachment(attachment)).toMatchObject({
+        id: ATTACHMENT_ID,
+        url: `/api/attachments/${ATTACHMENT_ID}`,
+        thumbnailUrl: `/api/attachments/${ATTACHMENT_ID}/thumbnail`
+      });
+    });
+
+    it('should reject disallowed MIME types', async () => {
+      await expect(attachmentService.createAttachment(uploader, 'general', {
+        filename: 'page.html',
+        mimeType: 'text/html',
+        data: Buffer.from('<script></script>').toString('base64')
+      })).rejects.toThrow('File type not allowed');
+      expect(storage.save).not.toHaveBeenCalled();
+    });
+
+    it('should reject images whose contents do not match the type', async () => {
+      await expect(attachmentService.createAttachment(uploader, 'general', {
+        filename: 'fake.png',
+        mimeType: 'image/png',
+        data: Buffer.from('not a png').toString('base64')
+      })).rejects.toThrow('File contents do not match its type');
+    });
+
+    it('should reject images that cannot be decoded', async () => {
+      await expect(attachmentService.createAttachment(uploader, 'general', {
+        filename: 'broken.png',
+        mimeType: 'image/png',
+        data: Buffer.concat([PNG_SIGNATURE, Buffer.alloc(16)]).toString('base64')
+      })).rejects.toThrow('File is not a valid image');
+      expect(storage.save).not.toHaveBeenCalled();
+    });
+
+    it('should store other files without a thumbnail', async () => {
+      const attachment = await attachmentService.createAttachment(uploader, 'general', {
+        filename: 'notes.txt',
+        mimeType: 'text/plain',
+        data: Buffer.from('hello').toString('base64')
+      });
+
+      expect(storage.save).toHaveBeenCalledTimes(1);
+      expect(attachment).toMatchObject({ thumbnailKey: null, width: null, height: null });
+    });
+
+    it('should reject files over the size limit', async () => {
+      const config = require('../../src/config');
+      const original = config.attachments.maxFileSize;
+      config.attachments.maxFileSize = 4;
+
+      try {
+        await expect(attachmentService.createAttachment(uploader, 'general', {
+          filename: 'notes.txt',
+          mimeType: 'text/plain',
+          data: Buffer.from('hello').toString('base64')
+        })).rejects.toThrow('File is too large');
+      } finally {
+        config.attachments.maxFileSize = original;
+      }
+    });
+
+    it('should reject uploads to restricted channels for non-admins', async () => {
+      Channel.findOne.mockResolvedValue({ id: 'staff', type: 'text', permissions: { read: 'admin', write: 'admin' } });
+
+      await expect(attachmentService.createAttachment(uploader, 'staff', {
+        filename: 'notes.txt',
+        mimeType: 'text/plain',
+        data: Buffer.from('hello').toString('base64')
+      })).rejects.toThrow('You cannot upload files to this channel');
+    });
+
+    it('should remove stored files when the record cannot be saved', async () => {
+      Attachment.create.mockRejectedValue(new Error('db down'));
+
+      await expect(attachmentService.createAttachment(uploader, 'general', {
+        filename: 'notes.txt',
+        mimeType: 'text/plain',
+        data: Buffer.from('hello').toString('base64')
+      })).rejects.toThrow('db down');
+      expect(storage.remove).toHaveBeenCalledWith(storage.save.mock.calls[0][0]);
+    });
+  });
+
+  describe('claimAttachments', () => {
+    it('should bind unattached uploads to the message', async () => {
+      Attachment.updateMany.mockResolvedValue({ modifiedCount: 1 });
+      Attachment.find.mockResolvedValue([{
+        _id: ATTACHMENT_ID, filename: 'notes.txt', mimeType: 'text/plain', size: 5, width: null, height: null, thumbnailKey: null
+      }]);
+
+      const result = await attachmentService.claimAttachments([ATTACHMENT_ID], {
+        uploaderId: USER_ID, channelId: 'general', messageId: MESSAGE_ID
+      });
+
+      expect(Attachment.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: [ATTACHMENT_ID] }, uploader: USER_ID, channel: 'general', message: null },
+        { $set: { message: MESSAGE_ID } }
+      );
+      expect(result).toEqual([{
+        attachment: ATTACHMENT_ID, filename: 'notes.txt', mimeType: 'text/plain', size: 5, width: null, height: null, hasThumbnail: false
+      }]);
+    });
+
+    it('should release partial claims and fail when an upload is not claimable', async () => {
+      Attachment.updateMany.mockResolvedValueOnce({ modifiedCount: 0 }).mockResolvedValueOnce({ modifiedCount: 0 });
+
+      await expect(attachmentService.claimAttachments([ATTACHMENT_ID], {
+        uploaderId: USER_ID, channelId: 'general', messageId: MESSAGE_ID
+      })).rejects.toThrow('Invalid attachments');
+      expect(Attachment.updateMany).toHaveBeenLastCalledWith({ message: MESSAGE_ID }, { $set: { message: null } });
+    });
+
+    it('should reject malformed ids', async () => {
+      await expect(attachmentService.claimAttachments(['../etc/passwd'], {
+        uploaderId: USER_ID, channelId: 'general', messageId: MESSAGE_ID
+      })).rejects.toThrow('Invalid attachments');
+      expect(Attachment.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('removeUnclaimed', () => {
+    const now = new Date('2024-01-02T12:00:00Z');
+    const unclaimed = { _id: ATTACHMENT_ID, storageKey: '2024/01/a', thumbnailKey: '2024/01/a-thumb' };
+
+    beforeEach(() => {
+      Attachment.find.mockReturnValue({ limit: jest.fn(() => ({ lean: jest.fn().mockResolvedValue([unclaimed]) })) });
+    });
+
+    it('should delete uploads past the TTL that no message claimed', async () => {
+      Attachment.deleteOne.mockResolvedValue({ deletedCount: 1 });
+
+      await expect(attachmentService.removeUnclaimed(now)).resolves.toBe(1);
+      expect(Attachment.find).toHaveBeenCalledWith({ message: null, createdAt: { $lt: new Date('2024-01-01T12:00:00Z') } });
+      expect(Attachment.deleteOne).toHaveBeenCalledWith({ _id: ATTACHMENT_ID, message: null });
+      expect(storage.remove).toHaveBeenCalledWith('2024/01/a');
+      expect(storage.remove).toHaveBeenCalledWith('2024/01/a-thumb');
+    });
+
+    it('should keep the files of an upload claimed in the meantime', async () => {
+      Attachment.deleteOne.mockResolvedValue({ deletedCount: 0 });
+
+      await expect(attachmentService.removeUnclaimed(now)).resolves.toBe(0);
+      expect(storage.remove).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getAttachmentForViewer', () => {
+    const viewer = { userId: USER_ID, nickname: 'bob', role: 'user' };
+
+    it('should hide unattached uploads from other users', async () => {
+      Attachment.findById.mockResolvedValue({ _id: ATTACHMENT_ID, uploader: 'someone-else', message: null });
+
+      await expect(attachmentService.getAttachmentForViewer(ATTACHMENT_ID, viewer)).rejects.toThrow('Attachment not found');
+    });
+
+    it('should hide attachments of private messages between other users', async () => {
+      Attachment.findById.mockResolvedValue({ _id: ATTACHMENT_ID, uploader: 'x', message: MESSAGE_ID });
+      Message.findById.mockReturnValue(mockSelect({ type: 'private', author: 'alice', target: 'carol', channel: 'general' }));
+
+      await expect(attachmentService.getAttachmentForViewer(ATTACHMENT_ID, viewer)).rejects.toThrow('Attachment not found');
+    });
+
+    it('should return attachments of readable public messages', async () => {
+      const attachment = { _id: ATTACHMENT_ID, uploader: 'x', message: MESSAGE_ID };
+      Attachment.findById.mockResolvedValue(attachment);
+      Message.findById.mockReturnValue(mockSelect({ type: 'public', author: 'alice', channel: 'general' }));
+      Channel.findOne.mockReturnValue(mockSelect({ permissions: { read: 'everyone' } }));
+
+      await expect(attachmentService.getAttachmentForViewer(ATTACHMENT_ID, viewer)).resolves.toBe(attachment);
+    });
+  });
+});
+
+describe('LocalDiskStorageDriver', () => {
+  let rootDir;
+  let driver;
+
+  beforeEach(async () => {
+    rootDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'attachments-'));
+    driver = new LocalDiskStorageDriver(rootDir);
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(rootDir, { recursive: true, force: true });
+  });
+
+  it('should save, read and remove files', async () => {
+    await driver.save('2024/01/file', Buffer.from('hello'));
+
+    const stream = await driver.createReadStream('2024/01/file');
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    expect(Buffer.concat(chunks).toString()).toBe('hello');
+
+    await driver.remove('2024/01/file');
+    await expect(driver.createReadStream('2024/01/file')).rejects.toThrow('Stored file not found');
+  });
+
+  it('should refuse keys outside the root directory', async () => {
+    await expect(driver.save('../escape', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+  });
+});
@@ -0,0 +1,427 @@
+jest.mock('../../src/models/Message', () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  aggregate: jest.fn(),
+  findById: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+  deleteMany: jest.fn()
+}));
+jest.mock('../../src/models/Channel', () => ({
+  find: jest.fn(),
+  findOne: jest.fn()
+}));
+jest.mock('../../src/models/User', () => ({
+  find: jest.fn()
+}));
+jest.mock('../../src/models/HeldMessage', () => ({
+  findOne: jest.fn(),
+  create: jest.fn()
+}));
+jest.mock('../../src/services/cacheService', () => ({
+  getCachedChannelMessages: jest.fn(),
+  cacheChannelMessages: jest.fn(),
+  getConnectionMetrics: jest.fn(),
+  invalidateChannelMessagesCache: jest.fn()
+}));
+
+const Message = require('../../src/models/Message');
+const Channel = require('../../src/models/Channel');
+const User = require('../../src/models/User');
+const HeldMessage = require('../../src/models/HeldMessage');
+const {
+  getConnectionMetrics,
+  invalidateChannelMessagesCache,
+  getCachedChannelMessages,
+  cacheChannelMessages
+} = require('../../src/services/cacheService');
+const chatService = require('../../src/services/chatService');
+const attachmentService = require('../../src/services/attachmentService');
+const { createIo, createMessage: createBaseMessage, createUser } = require('../shared/testHelpers');
+
+const ROOT_ID = '507f1f77bcf86cd799439011';
+const REPLY_ID = '507f1f77bcf86cd799439012';
+
+const createMessage = (overrides = {}) => createBaseMessage({
+  _id: ROOT_ID,
+  author: 'bob',
+  text: 'root',
+  replyCount: 0,
+  lastReplyAt: null,
+  ...overrides
+});
+
+const mockUsers = (users) => {
+  User.find.mockReturnValue({ select: jest.fn().mockResolvedValue(users) });
+};
+
+const mockChannelExpiry = (messageExpiry) => {
+  Channel.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue({ messageExpiry }) });
+};
+
+describe('ChatService', () => {
+  beforeEach(() => {
+    getConnectionMetrics.mockReturnValue({ activeCount: 1, availableCount: 9 });
+    invalidateChannelMessagesCache.mockResolvedValue(true);
+  });
+
+  describe('getUsersStatusBatch', () => {
+    it('should evaluate ban and mute state instead of reading the methods', async () => {
+      mockUsers([
+        createUser(),
+        createUser({ nickname: 'muted', isMuted: jest.fn().mockReturnValue(true) }),
+        createUser({ nickname: 'banned', isBanned: jest.fn().mockReturnValue(true) })
+      ]);
+
+      const statuses = await chatService.getUsersStatusBatch(['alice', 'muted', 'banned', 'ghost']);
+
+      expect(statuses.get('alice')).toEqual({ isBanned: false, isMuted: false, exists: true });
+      expect(statuses.get('muted').isMuted).toBe(true);
+      expect(statuses.get('banned').isBanned).toBe(true);
+      expect(statuses.get('ghost').exists).toBe(false);
+    });
+  });
+
+  describe('removeChannelMessages', () => {
+    it('should delete the messages of a channel with their attachments', async () => {
+      Message.find.mockReturnValue({ select: jest.fn().mockResolvedValue([{ _id: ROOT_ID }]) });
+      Message.deleteMany.mockResolvedValue({ deletedCount: 3 });
+      jest.spyOn(attachmentService, 'removeMessageAttachments').mockResolvedValue(1);
+
+      await expect(chatService.removeChannelMessages('dm:2')).resolves.toBe(3);
+
+      expect(Message.find).toHaveBeenCalledWith({ channel: 'dm:2', 'attachments.0': { $exists: true } });
+      expect(attachmentService.removeMessageAttachments).toHaveBeenCalledWith(ROOT_ID);
+      expect(Message.deleteMany).toHaveBeenCalledWith({ channel: 'dm:2' });
+      expect(invalidateChannelMessagesCache).toHaveBeenCalledWith('dm:2');
+    });
+  });
+
+  describe('history pagination', () => {
+    const CURSOR = { timestamp: '2024-01-01T10:00:00.000Z', id: ROOT_ID };
+
+    // Newest first, as returned by the descending query
+    const createPage = (count) => Array.from({ length: count }, (_, i) => createMessage({
+      _id: `507f1f77bcf86cd7994390${String(50 - i).padStart(2, '0')}`,
+      text: `message ${count - i}`,
+      timestamp: new Date(Date.UTC(2024, 0, 1, 9, 59 - i))
+    }));
+
+    const mockFind = (messages) => {
+      const query = { sort: jest.fn(), limit: jest.fn().mockResolvedValue(messages) };
+      query.sort.mockReturnValue(query);
+      Message.find.mockReturnValue(query);
+      return query;
+    };
+
+    it('should return the newest page oldest first with a hasMore flag', async () => {
+      const query = mockFind(createPage(3));
+
+      const page = await chatService.getUserChannelHistory('general', 'alice', 2);
+
+      expect(query.sort).toHaveBeenCalledWith({ timestamp: -1, _id: -1 });
+      expect(query.limit).toHaveBeenCalledWith(3);
+      expect(page.hasMore).toBe(true);
+      expect(page.messages.map(m => m.text)).toEqual(['message 2', 'message 3']);
+    });
+
+    it('should only select messages older than the cursor', async () => {
+      mockFind(createPage(1));
+
+      const page = await chatService.getUserChannelHistory('general', 'alice', 50, CURSOR);
+
+      const filter = Message.find.mock.calls[0][0];
+      expect(filter.replyTo).toBeNull();
+      expect(filter.$and[2].$or).toEqual([
+        { timestamp: { $lt: new Date(CURSOR.timestamp) } },
+        { timestamp: new Date(CURSOR.timestamp), _id: { $lt: expect.anything() } }
+      ]);
+      expect(filter.$and[2].$or[1]._id.$lt.toString()).toBe(ROOT_ID);
+      expect(page.hasMore).toBe(false);
+    });
+
+    it('should leave out messages that expired but are not removed yet', async () => {
+      mockFind([]);
+
+      await chatService.getUserChannelHistory('general', 'alice');
+
+      expect(Message.find.mock.calls[0][0].$and[1]).toEqual({
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: expect.any(Date) } }]
+      });
+    });
+
+    it('should reject malformed cursors', async () => {
+      await expect(chatService.getUserChannelHistory('general', 'alice', 50, { timestamp: 'never', id: ROOT_ID }))
+        .rejects.toThrow('Invalid history cursor');
+      await expect(chatService.getUserChannelHistory('general', 'alice', 50, { timestamp: CURSOR.timestamp, id: 'nope' }))
+        .rejects.toThrow('Invalid history cursor');
+      expect(Message.find).not.toHaveBeenCalled();
+    });
+
+    it('should cache only the newest public page', async () => {
+      getCachedChannelMessages.mockResolvedValue(null);
+      cacheChannelMessages.mockResolvedValue(true);
+      Channel.find.mockReturnValue({ select: jest.fn().mockResolvedValue([{ id: 'general' }]) });
+      Message.aggregate.mockResolvedValue(createPage(2));
+
+      const newest = await chatService.getChannelHistory('general', 2);
+      expect(newest.hasMore).toBe(false);
+      expect(Message.aggregate.mock.calls[0][0][3].$project).toEqual(expect.objectContaining({
+        action: 1,
+        attachments: 1,
+        clientId: 1
+      }));
+      expect(cacheChannelMessages).toHaveBeenCalledWith('general', newest.messages, 1, 2);
+
+      cacheChannelMessages.mockClear();
+      await chatService.getChannelHistory('general', 2, CURSOR);
+      expect(getCachedChannelMessages).toHaveBeenCalledTimes(1);
+      expect(cacheChannelMessages).not.toHaveBeenCalled();
+      expect(Message.aggregate.mock.calls[1][0][0].$match.$or).toHaveLength(2);
+      expect(Message.aggregate.mock.calls[1][0][0].$match.$and).toEqual([
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: expect.any(Date) } }] }
+      ]);
+    });
+  });
+
+  describe('sendPublicMessage', () => {
+    const socket = { nickname: 'alice', room: 'general' };
+
+    beforeEach(() => {
+      mockUsers([createUser()]);
+      mockChannelExpiry(null);
+      jest.spyOn(chatService, 'saveMessage').mockImplementation(async (data) => createMessage({
+        ...data,
+        _id: REPLY_ID,
+        timestamp: new Date('2024-01-01T10:05:00Z')
+      }));
+    });
+
+    it('should broadcast top-level messages to the channel timeline', async () => {
+      const io = createIo();
+
+      await chatService.sendPublicMessage(socket, { text: 'hello' }, io);
+
+      expect(chatService.saveMessage).toHaveBeenCalledWith(expect.objectContaining({ replyTo: null }));
+      expect(io.emit).toHaveBeenCalledWith('message', expect.objectContaining({ text: 'hello' }));
+    });
+
+    it('should store mentions and notify mentioned users in their personal rooms', async () => {
+      mockUsers([createUser(), createUser({ nickname: 'bob', _id: 'bob-id' })]);
+      const io = createIo();
+
+      await chatService.sendPublicMessage(socket, { text: 'ping @bob' }, io);
+
+      expect(chatService.saveMessage).toHaveBeenCalledWith(expect.objectContaining({
+        mentions: [{ user: 'bob-id', nickname: 'bob' }]
+      }));
+      expect(io.to).toHaveBeenCalledWith(['user:bob']);
+      expect(io.emit).toHaveBeenCalledWith('mention', expect.objectContaining({
+        room: 'general',
+        author: 'alice',
+        text: 'ping @bob'
+      }));
+    });
+
+    it('should store the client id and send it back with the message', async () => {
+      Message.findOne.mockResolvedValue(null);
+      const io = createIo();
+
+      await chatService.sendPublicMessage(socket, { text: 'hello', clientId: 'c-1' }, io);
+
+      expect(Message.findOne).toHaveBeenCalledWith({ author: 'alice', clientId: 'c-1' });
+      expect(chatService.saveMessage).toHaveBeenCalledWith(expect.objectContaining({ clientId: 'c-1' }));
+      expect(io.emit).toHaveBeenCalledWith('message', expect.objectContaining({ clientId: 'c-1' }));
+    });
+
+    it('should return the posted message when a client id is resent', async () => {
+      Message.findOne.mockResolvedValue(createMessage({ _id: REPLY_ID, author: 'alice', text: 'hello', clientId: 'c-1' }));
+      const io = createIo();
+
+      const result = await chatService.sendPublicMessage(socket, { text: 'hello', clientId: 'c-1' }, io);
+
+      expect(result).toEqual(expect.objectContaining({ id: REPLY_ID, clientId: 'c-1', duplicate: true }));
+      expect(chatService.saveMessage).not.toHaveBeenCalled();
+      expect(io.emit).not.toHaveBeenCalled();
+    });
+
+    it('should resolve a concurrent resend that hit the unique index', async () => {
+      const posted = createMessage({ _id: REPLY_ID, author: 'alice', text: 'hello', clientId: 'c-1' });
+      Message.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(posted);
+      chatService.saveMessage.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+      const result = await chatService.sendPublicMessage(socket, { text: 'hello', clientId: 'c-1' }, createIo());
+
+      expect(result).toEqual(expect.objectContaining({ id: REPLY_ID, duplicate: true }));
+    });
+
+    it('should post polls with their question as text', async () => {
+      const io = createIo();
+
+      const result = await chatService.sendPublicMessage(socket, {
+        poll: { question: 'Lunch?', options: ['pizza', 'thai'], anonymous: true }
+      }, io);
+
+      expect(chatService.saveMessage).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'poll',
+        text: 'Lunch?',
+        poll: expect.objectContaining({ options: [{ text: 'pizza' }, { text: 'thai' }], anonymous: true })
+      }));
+      expect(result.poll).toEqual(expect.objectContaining({ anonymous: true, totalVoters: 0 }));
+      expect(io.emit).toHaveBeenCalledWith('message', expect.objectContaining({ type: 'poll' }));
+    });
+
+    it('should store when a self-destructing message expires', async () => {
+      const before = Date.now();
+
+      const result = await chatService.sendPublicMessage(socket, { text: 'token 1234', expiresIn: 5 }, createIo());
+
+      const { expiresAt } = chatService.saveMessage.mock.calls[0][0];
+      expect(expiresAt.getTime()).toBeGreaterThanOrEqual(before + 5 * 60 * 1000);
+      expect(expiresAt.getTime()).toBeLessThanOrEqual(Date.now() + 5 * 60 * 1000);
+      expect(result.expiresAt).toEqual(expiresAt);
+    });
+
+    it('should apply the channel expiry to messages without a shorter one', async () => {
+      mockChannelExpiry(60);
+
+      await chatService.sendPublicMessage(socket, { text: 'kept for a day?', expiresIn: 24 * 60 }, createIo());
+      await chatService.sendPublicMessage(socket, { text: 'no expiry chosen' }, createIo());
+      await chatService.sendPublicMessage(socket, { text: 'gone soon', expiresIn: 1 }, createIo());
+
+      const lifetimes = chatService.saveMessage.mock.calls.map(([data]) => Math.round((data.expiresAt - Date.now()) / 60000));
+      expect(lifetimes).toEqual([60, 60, 1]);
+    });
+
+    it('should reject invalid expiry times', async () => {
+      await expect(chatService.sendPublicMessage(socket, { text: 'hi', expiresIn: 0 }, createIo()))
+        .rejects.toThrow('Message expiry must be between 1 and 10080 minutes');
+      await expect(chatService.sendPublicMessage(socket, { text: 'hi', expiresIn: '5' }, createIo()))
+        .rejects.toThrow('Message expiry must be between 1 and 10080 minutes');
+      expect(chatService.saveMessage).not.toHaveBeenCalled();
+    });
+
+    it('should save the text left after content filters redact it', async () => {
+      Channel.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue({
+        contentFilters: [{ name: 'banned-words', action: 'redact', options: { words: ['darn'] } }]
+      }) });
+      const io = createIo();
+
+      await chatService.sendPublicMessage(socket, { text: 'darn it' }, io);
+
+      expect(chatService.saveMessage).toHaveBeenCalledWith(expect.objectContaining({ text: '**** it' }));
+      expect(io.emit).toHaveBeenCalledWith('message', expect.objectContaining({ text: '**** it' }));
+    });
+
+    it('should filter poll options along with the question', async () => {
+      Channel.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue({
+        contentFilters: [{ name: 'banned-words', action: 'redact', options: { words: ['darn'] } }]
+      }) });
+
+      await chatService.sendPublicMessage(socket, {
+        poll: { question: 'Darn lunch?', options: ['pizza', 'darn  thai'] }
+      }, createIo());
+
+      expect(chatService.saveMessage).toHaveBeenCalledWith(expect.objectContaining({
+        text: '**** lunch?',
+        poll: expect.objectContaining({ options: [{ text: 'pizza' }, { text: '**** thai' }] })
+      }));
+    });
+
+    it('should reject polls whose options a content filter blocks', async () => {
+      Channel.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue({
+        contentFilters: [{ name: 'invites', action: 'reject', options: {} }]
+      }) });
+
+      await expect(chatService.sendPublicMessage(socket, {
+        poll: { question: 'Where?', options: ['here', 'https://discord.gg/abc'] }
+      }, createIo())).rejects.toMatchObject({ code: 'CONTENT_INVITE_BLOCKED' });
+      expect(chatService.saveMessage).not.toHaveBeenCalled();
+    });
+
+    it('should reject messages a content filter blocks with its error code', async () => {
+      Channel.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue({
+        contentFilters: [{ name: 'invites', action: 'reject', options: {} }]
+      }) });
+
+      await expect(chatService.sendPublicMessage(socket, { text: 'join https://discord.gg/abc' }, createIo()))
+        .rejects.toMatchObject({ code: 'CONTENT_INVITE_BLOCKED' });
+      expect(chatService.saveMessage).not.toHaveBeenCalled();
+    });
+
+    it('should hold messages for review instead of posting them', async () => {
+      Channel.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue({
+        contentFilters: [{ name: 'invites', action: 'hold', options: {} }]
+      }) });
+      HeldMessage.findOne.mockResolvedValue(null);
+      HeldMessage.create.mockImplementation(async (data) => ({ ...data, _id: ROOT_ID }));
+      const io = createIo();
+
+      const result = await chatService.sendPublicMessage(socket, { text: 'join https://discord.gg/abc', clientId: 'c-1' }, io);
+
+      expect(result).toEqual({ held: true, id: ROOT_ID, room: 'general', clientId: 'c-1', reason: 'Invite links are not allowed here' });
+      expect(HeldMessage.create).toHaveBeenCalledWith(expect.objectContaining({
+        author: 'alice',
+        channel: 'general',
+        filter: 'invites'
+      }));
+      expect(chatService.saveMessage).not.toHaveBeenCalled();
+      expect(io.emit).not.toHaveBeenCalled();
+    });
+
+    it('should reject malformed client ids', async () => {
+      await expect(chatService.sendPublicMessage(socket, { text: 'hello', clientId: 'a b' }, createIo()))
+        .rejects.toThrow('Invalid client message id');
+    });
+
+    it('should store replies in the thread and update the parent summary', async () => {
+      Message.findById.mockResolvedValue(createMessage());
+      Message.findByIdAndUpdate.mockResolvedValue(createMessage({
+        replyCount: 1,
+        lastReplyAt: new Date('2024-01-01T10:05:00Z')
+      }));
+      const io = createIo();
+
+      await chatService.sendPublicMessage(socket, { text: 'reply', replyTo: ROOT_ID }, io);
+
+      expect(chatService.saveMessage).toHaveBeenCalledWith(expect.objectContaining({ replyTo: ROOT_ID }));
+      expect(Message.findByIdAndUpdate).toHaveBeenCalledWith(
+        ROOT_ID,
+        { $inc: { replyCount: 1 }, $max: { lastReplyAt: new Date('2024-01-01T10:05:00Z') } },
+        { new: true }
+      );
+      expect(io.emit).toHaveBeenCalledWith('thread_reply', expect.objectContaining({ text: 'reply', replyTo: ROOT_ID }));
+      expect(io.emit).toHaveBeenCalledWith('thread_updated', {
+        id: ROOT_ID,
+        room: 'general',
+        replyCount: 1,
+        lastReplyAt: new Date('2024-01-01T10:05:00Z')
+      });
+      expect(io.emit).not.toHaveBeenCalledWith('message', expect.anything());
+    });
+
+    it('should attach replies to a reply to the root of its thread', async () => {
+      Message.findById
+        .mockResolvedValueOnce(createMessage({ _id: 'other', replyTo: ROOT_ID }))
+        .mockResolvedValueOnce(createMessage());
+      Message.findByIdAndUpdate.mockResolvedValue(createMessage({ replyCount: 2 }));
+
+      await chatService.sendPublicMessage(socket, { text: 'nested', replyTo: '507f1f77bcf86cd799439013' }, createIo());
+
+      expect(chatService.saveMessage).toHaveBeenCalledWith(expect.objectContaining({ replyTo: ROOT_ID }));
+    });
+
+    it('should reject replies to messages in other channels or deleted messages', async () => {
+      Message.findById.mockResolvedValue(createMessage({ channel: 'random' }));
+      await expect(chatService.sendPublicMessage(socket, { text: 'reply', replyTo: ROOT_ID }, createIo()))
+        .rejects.toThrow('Thread not found');
+
+      Message.findById.mockResolvedValue(createMessage({ deletedAt: new Date() }));
+      await expect(chatService.sendPublicMessage(socket, { text: 'reply', replyTo: ROOT_ID }, createIo()))
+        .rejects.toThrow('Thread not found');
+
+      await expect(chatService.sendPublicMessage(socket, { text: 'reply', replyTo: 'bogus' }, createIo()))
+        .rejects.toThrow('Thread not found');
+      expect(chatService.saveMessage).not.toHaveBeenCalled();
+    });
+  });
+});
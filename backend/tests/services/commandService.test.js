@@ -0,0 +1,197 @@
+jest.mock('../../src/models/User', () => ({
+  findOne: jest.fn()
+}));
+jest.mock('../../src/services/chatService', () => ({
+  sendPublicMessage: jest.fn(),
+  sendPrivateMessage: jest.fn(),
+  createSystemMessage: jest.fn(),
+  getUserRoom: jest.fn()
+}));
+jest.mock('../../src/services/channelService', () => ({
+  getChannelById: jest.fn(),
+  updateChannel: jest.fn()
+}));
+jest.mock('../../src/services/userService', () => ({
+  muteUser: jest.fn(),
+  changeNickname: jest.fn()
+}));
+jest.mock('../../src/services/typingService', () => ({
+  stopTyping: jest.fn()
+}));
+
+const User = require('../../src/models/User');
+const chatService = require('../../src/services/chatService');
+const channelService = require('../../src/services/channelService');
+const userService = require('../../src/services/userService');
+const commandService = require('../../src/services/commandService');
+const { createIo } = require('../shared/testHelpers');
+
+const createSocket = (overrides = {}) => ({
+  id: 'socket-1',
+  userId: 'user-1',
+  nickname: 'alice',
+  role: 'member',
+  room: 'general',
+  ...overrides
+});
+
+const createTarget = (overrides = {}) => ({
+  _id: 'user-2',
+  nickname: 'bob',
+  hasAdminPrivileges: () => false,
+  hasModeratorPrivileges: () => false,
+  ...overrides
+});
+
+const run = (socket, text, io = createIo()) => commandService.execute(socket, text, { io, onlineUsers: new Map() });
+
+describe('CommandService', () => {
+  beforeEach(() => {
+    chatService.getUserRoom.mockImplementation(nickname => `user:${nickname}`);
+    chatService.createSystemMessage.mockResolvedValue({});
+  });
+
+  describe('listCommands', () => {
+    it('should hide moderator commands from members', () => {
+      const names = commandService.listCommands('member').map(command => command.name);
+
+      expect(names).toEqual(expect.arrayContaining(['help', 'me', 'nick', 'topic', 'w']));
+      expect(names).not.toContain('mute');
+      expect(names).not.toContain('kick');
+    });
+
+    it('should describe usage from the declared arguments', () => {
+      const mute = commandService.listCommands('moderator').find(command => command.name === 'mute');
+
+      expect(mute.usage).toBe('/mute <nickname> [minutes]');
+      expect(mute.args[0]).toEqual({ name: 'nickname', type: 'user', required: true, description: 'User to mute' });
+    });
+  });
+
+  describe('register', () => {
+    it('should reject text arguments that are not last', () => {
+      expect(() => commandService.register({
+        name: 'broken',
+        handler: jest.fn(),
+        args: [{ name: 'text', type: 'text' }, { name: 'count', type: 'number' }]
+      })).toThrow('Command /broken can only take text as its last argument');
+    });
+  });
+
+  describe('execute', () => {
+    it('should reject unknown commands', async () => {
+      await expect(run(createSocket(), '/dance')).rejects.toThrow('Unknown command /dance');
+    });
+
+    it('should check the permission level before running the handler', async () => {
+      await expect(run(createSocket(), '/mute bob')).rejects.toThrow('You do not have permission to use /mute');
+      expect(userService.muteUser).not.toHaveBeenCalled();
+    });
+
+    it('should report usage when required arguments are missing', async () => {
+      await expect(run(createSocket({ role: 'moderator' }), '/mute')).rejects.toThrow('Usage: /mute <nickname> [minutes]');
+    });
+
+    it('should validate number arguments', async () => {
+      await expect(run(createSocket({ role: 'moderator' }), '/mute bob soon'))
+        .rejects.toThrow('minutes must be a whole number');
+    });
+
+    it('should post /me as an action message in the current channel', async () => {
+      const socket = createSocket();
+      const io = createIo();
+
+      const result = await run(socket, '/me waves at everyone', io);
+
+      expect(chatService.sendPublicMessage).toHaveBeenCalledWith(socket, { text: 'waves at everyone', action: true }, io);
+      expect(result).toEqual({ command: 'me', reply: null });
+    });
+
+    it('should route /w and its aliases to private messages', async () => {
+      const socket = createSocket();
+      chatService.sendPrivateMessage.mockResolvedValue({ room: 'dm:1' });
+
+      const { reply } = await run(socket, '/msg @bob see you at 5');
+
+      expect(chatService.sendPrivateMessage).toHaveBeenCalledWith(
+        socket,
+        { to: 'bob', text: 'see you at 5' },
+        expect.any(Object)
+      );
+      expect(reply).toBe('Sent to your direct messages with bob');
+    });
+
+    it('should answer /help only to the caller', async () => {
+      const { reply } = await run(createSocket(), '/help topic');
+
+      expect(reply).toBe('/topic [topic]: Show the channel topic, moderators can also change it');
+    });
+  });
+
+  describe('/topic', () => {
+    it('should show the current topic to anyone', async () => {
+      channelService.getChannelById.mockResolvedValue({ id: 'general', description: 'Release on Friday' });
+
+      const { reply } = await run(createSocket(), '/topic');
+
+      expect(reply).toBe('Topic of #general: Release on Friday');
+      expect(channelService.updateChannel).not.toHaveBeenCalled();
+    });
+
+    it('should let only moderators change it', async () => {
+      await expect(run(createSocket(), '/topic New topic')).rejects.toThrow('You do not have permission to change the topic');
+    });
+
+    it('should update the channel and announce the change', async () => {
+      const io = createIo();
+      channelService.updateChannel.mockResolvedValue({ id: 'general', name: 'general', type: 'text', description: 'New topic' });
+
+      await run(createSocket({ nickname: 'mod', role: 'moderator' }), '/topic New topic', io);
+
+      expect(channelService.updateChannel).toHaveBeenCalledWith('general', { description: 'New topic', updatedAt: expect.any(Date) });
+      expect(io.emit).toHaveBeenCalledWith('channel_updated', expect.objectContaining({ id: 'general', description: 'New topic' }));
+      expect(chatService.createSystemMessage).toHaveBeenCalledWith('general', 'mod changed the topic to: New topic', io);
+    });
+  });
+
+  describe('/mute', () => {
+    it('should mute the target for the given minutes', async () => {
+      const io = createIo();
+      User.findOne.mockResolvedValue(createTarget());
+
+      await run(createSocket({ userId: 'mod-1', nickname: 'mod', role: 'moderator' }), '/mute @bob 5', io);
+
+      expect(userService.muteUser).toHaveBeenCalledWith('mod-1', 'user-2', 5 * 60 * 1000);
+      expect(chatService.createSystemMessage).toHaveBeenCalledWith('general', 'bob was muted by mod for 5 minutes', io);
+    });
+
+    it('should not let moderators mute each other', async () => {
+      User.findOne.mockResolvedValue(createTarget({ hasModeratorPrivileges: () => true }));
+
+      await expect(run(createSocket({ nickname: 'mod', role: 'moderator' }), '/mute bob'))
+        .rejects.toThrow('You cannot moderate bob');
+    });
+  });
+
+  describe('/kick', () => {
+    it('should remove the target sockets from the channel', async () => {
+      const target = { id: 'socket-2', nickname: 'bob', room: 'general', leave: jest.fn(), emit: jest.fn() };
+      const io = createIo([target, { id: 'socket-3', nickname: 'carol', room: 'general', leave: jest.fn() }]);
+      User.findOne.mockResolvedValue(createTarget());
+
+      await run(createSocket({ nickname: 'mod', role: 'moderator' }), '/kick bob spamming links', io);
+
+      expect(target.leave).toHaveBeenCalledWith('general');
+      expect(target.room).toBeNull();
+      expect(target.emit).toHaveBeenCalledWith('kicked', { room: 'general', by: 'mod', reason: 'spamming links' });
+      expect(chatService.createSystemMessage).toHaveBeenCalledWith('general', 'bob was kicked by mod: spamming links', io);
+    });
+
+    it('should fail when the target is not in the channel', async () => {
+      User.findOne.mockResolvedValue(createTarget());
+
+      await expect(run(createSocket({ nickname: 'mod', role: 'moderator' }), '/kick bob', createIo([])))
+        .rejects.toThrow('bob is not in this channel');
+    });
+  });
+});
@@ -0,0 +1,204 @@
+jest.mock('../../src/models/Channel', () => ({
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+jest.mock('../../src/models/Message', () => ({
+  countDocuments: jest.fn()
+}));
+jest.mock('../../src/models/HeldMessage', () => ({
+  findOne: jest.fn(),
+  create: jest.fn()
+}));
+
+const Channel = require('../../src/models/Channel');
+const Message = require('../../src/models/Message');
+const HeldMessage = require('../../src/models/HeldMessage');
+const contentFilterService = require('../../src/services/contentFilterService');
+
+const mockChain = (contentFilters) => {
+  Channel.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue({ contentFilters }) });
+};
+
+const filter = (text, channelId = 'general', options) =>
+  contentFilterService.filterMessage({ text, author: 'alice', channelId }, options);
+
+describe('ContentFilterService', () => {
+  describe('filterMessage', () => {
+    it('should allow messages in channels without filters', async () => {
+      mockChain([]);
+
+      await expect(filter('anything goes')).resolves.toEqual({ action: 'allow', text: 'anything goes' });
+    });
+
+    it('should mask banned words as whole words in any case', async () => {
+      mockChain([{ name: 'banned-words', action: 'redact', options: { words: ['heck'] } }]);
+
+      const verdict = await filter('What the HECK, heckler');
+
+      expect(verdict).toEqual({ action: 'allow', text: 'What the ****, heckler' });
+    });
+
+    it('should block links outside the allowed domains, subdomains included', async () => {
+      mockChain([{ name: 'links', action: 'redact', options: { mode: 'allow', domains: ['example.com'] } }]);
+
+      const verdict = await filter('See https://docs.example.com/a, www.evil.test and https://example.com.');
+
+      expect(verdict.text).toBe('See https://docs.example.com/a, [link removed] and https://example.com.');
+    });
+
+    it('should block only the denied domains in deny mode', async () => {
+      mockChain([{ name: 'links', action: 'reject', options: { mode: 'deny', domains: ['evil.test'] } }]);
+
+      await expect(filter('https://example.com')).resolves.toEqual(expect.objectContaining({ action: 'allow' }));
+      await expect(filter('https://www.evil.test/x')).resolves.toEqual(expect.objectContaining({
+        action: 'reject',
+        code: 'CONTENT_LINK_BLOCKED'
+      }));
+    });
+
+    it('should catch invite links with or without a scheme', async () => {
+      mockChain([{ name: 'invites', action: 'redact', options: {} }]);
+
+      const verdict = await filter('join https://discord.gg/abc or www.discord.com/invite/xyz, docs at https://discord.com/developers');
+
+      expect(verdict.text).toBe('join [invite removed] or [invite removed], docs at https://discord.com/developers');
+    });
+
+    it('should leave short shouts alone and lowercase long ones', async () => {
+      mockChain([{ name: 'caps', action: 'redact', options: {} }]);
+
+      await expect(filter('LGTM')).resolves.toEqual({ action: 'allow', text: 'LGTM' });
+      await expect(filter('WHY IS THE BUILD RED')).resolves.toEqual({ action: 'allow', text: 'why is the build red' });
+    });
+
+    it('should flag authors posting faster than the channel allows', async () => {
+      mockChain([{ name: 'flood', action: 'reject', options: { maxMessages: 3, windowSeconds: 10 } }]);
+      Message.countDocuments.mockResolvedValueOnce(3);
+
+      const verdict = await filter('again');
+
+      expect(verdict).toEqual(expect.objectContaining({ action: 'reject', filter: 'flood', code: 'CONTENT_FLOOD' }));
+      expect(Message.countDocuments).toHaveBeenCalledWith(expect.objectContaining({ channel: 'general', author: 'alice' }));
+    });
+
+    it('should flag the same text repeated too often', async () => {
+      mockChain([{ name: 'flood', action: 'hold', options: { maxRepeats: 2 } }]);
+      Message.countDocuments.mockResolvedValueOnce(1).mockResolvedValueOnce(2);
+
+      const verdict = await filter('buy now');
+
+      expect(verdict.action).toBe('hold');
+      expect(Message.countDocuments).toHaveBeenLastCalledWith(expect.objectContaining({ text: 'buy now' }));
+    });
+
+    it('should pass redacted text on and stop at the first hold', async () => {
+      mockChain([
+        { name: 'banned-words', action: 'redact', options: { words: ['heck'] } },
+        { name: 'invites', action: 'hold', options: {} },
+        { name: 'caps', action: 'reject', options: { minLetters: 1 } }
+      ]);
+
+      const verdict = await filter('HECK discord.gg/abc https://discord.gg/abc');
+
+      expect(verdict).toEqual({
+        action: 'hold',
+        text: '**** discord.gg/abc https://discord.gg/abc',
+        filter: 'invites',
+        code: 'CONTENT_INVITE_BLOCKED',
+        reason: 'Invite links are not allowed here'
+      });
+    });
+
+    it('should reject instead of holding when nobody can wait for a review', async () => {
+      mockChain([{ name: 'invites', action: 'hold', options: {} }]);
+
+      const verdict = await filter('https://discord.gg/abc', 'general', { canHold: false });
+
+      expect(verdict.action).toBe('reject');
+    });
+
+    it('should use the configured chain for direct messages and never hold them', async () => {
+      Message.countDocuments.mockResolvedValue(100);
+
+      const verdict = await filter('hi', 'dm:alice:bob');
+
+      expect(verdict).toEqual(expect.objectContaining({ action: 'reject', code: 'CONTENT_FLOOD' }));
+      expect(Channel.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should skip filters that are no longer registered', async () => {
+      mockChain([{ name: 'retired', action: 'reject', options: {} }]);
+
+      await expect(filter('hello')).resolves.toEqual({ action: 'allow', text: 'hello' });
+    });
+  });
+
+  describe('createRejection', () => {
+    it('should carry the filter error code', () => {
+      const error = contentFilterService.createRejection({ code: 'CONTENT_FLOOD', reason: 'You are sending messages too fast' });
+
+      expect(error.message).toBe('You are sending messages too fast');
+      expect(error.code).toBe('CONTENT_FLOOD');
+    });
+  });
+
+  describe('normalizeChain', () => {
+    it('should fill in default options', () => {
+      expect(contentFilterService.normalizeChain([{ name: 'caps', action: 'hold' }])).toEqual([
+        { name: 'caps', action: 'hold', options: { minLetters: 10, ratio: 0.7 } }
+      ]);
+    });
+
+    it('should lowercase and deduplicate list options', () => {
+      const [entry] = contentFilterService.normalizeChain([
+        { name: 'links', action: 'reject', options: { domains: [' Example.com', 'example.com', ''] } }
+      ]);
+
+      expect(entry.options).toEqual({ mode: 'deny', domains: ['example.com'] });
+    });
+
+    it.each([
+      [[{ name: 'nope', action: 'reject' }], 'Content filter nope does not exist'],
+      [[{ name: 'flood', action: 'redact' }], 'Content filter flood can only hold, reject'],
+      [[{ name: 'caps', action: 'hold', options: { ratio: 2 } }], 'Content filter option ratio must be a number between 0.5 and 1'],
+      [[{ name: 'links', action: 'hold', options: { mode: 'block' } }], 'Content filter option mode must be allow or deny'],
+      [[{ name: 'banned-words', action: 'hold', options: { words: 'spam' } }], 'Content filter option words must be a list of strings'],
+      [[{ name: 'invites', action: 'hold', options: [] }], 'Content filter invites options must be an object'],
+      [{}, 'Content filter settings must be a list']
+    ])('should reject invalid settings %#', (filters, message) => {
+      expect(() => contentFilterService.normalizeChain(filters)).toThrow(message);
+    });
+  });
+
+  describe('setSettings', () => {
+    it('should store the normalized chain of a channel', async () => {
+      Channel.findOne.mockResolvedValue({ id: 'general', type: 'text' });
+      Channel.findOneAndUpdate.mockImplementation(async (filter, update) => ({ id: 'general', contentFilters: update.$set.contentFilters }));
+
+      const settings = await contentFilterService.setSettings('general', [{ name: 'invites', action: 'reject' }], 'admin');
+
+      expect(settings).toEqual({ channel: 'general', filters: [{ name: 'invites', action: 'reject', options: {} }] });
+    });
+
+    it('should not configure direct conversations', async () => {
+      Channel.findOne.mockResolvedValue(null);
+
+      await expect(contentFilterService.setSettings('dm:alice:bob', [], 'admin')).rejects.toThrow('Channel not found');
+      expect(Channel.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('holdMessage', () => {
+    const verdict = { filter: 'invites', reason: 'Invite links are not allowed here' };
+
+    it('should return the receipt of a resend that is already held', async () => {
+      HeldMessage.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+      HeldMessage.findOne.mockResolvedValue({ _id: 'held-1', channel: 'general', clientId: 'c-1', reason: verdict.reason });
+
+      const receipt = await contentFilterService.holdMessage({ author: 'alice', channel: 'general', clientId: 'c-1' }, verdict);
+
+      expect(receipt).toEqual({ held: true, id: 'held-1', room: 'general', clientId: 'c-1', reason: verdict.reason });
+      expect(HeldMessage.findOne).toHaveBeenCalledWith({ author: 'alice', clientId: 'c-1' });
+    });
+  });
+});
@@ -0,0 +1,234 @@
+jest.mock('../../src/models/Channel', () => ({
+  exists: jest.fn(),
+  find: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  create: jest.fn(),
+  updateOne: jest.fn(),
+  deleteOne: jest.fn()
+}));
+jest.mock('../../src/models/User', () => ({
+  find: jest.fn(),
+  findOne: jest.fn()
+}));
+
+const Channel = require('../../src/models/Channel');
+const User = require('../../src/models/User');
+const directMessageService = require('../../src/services/directMessageService');
+const { mockSelect } = require('../shared/testHelpers');
+
+describe('DirectMessageService', () => {
+  beforeEach(() => {
+    User.findOne.mockReturnValue(mockSelect({ nickname: 'bob' }));
+    User.find.mockImplementation(({ nickname }) => mockSelect(
+      nickname.$in.filter(name => name !== 'ghost').map(name => ({ nickname: name }))
+    ));
+    Channel.create.mockImplementation(async (data) => ({ createdAt: new Date(), ...data }));
+  });
+
+  describe('isDirectChannelId', () => {
+    it('should only match the direct conversation prefix', () => {
+      expect(directMessageService.isDirectChannelId('dm:64b7f0c2e4b0a1a2b3c4d5e6')).toBe(true);
+      expect(directMessageService.isDirectChannelId('dm-planning')).toBe(false);
+      expect(directMessageService.isDirectChannelId(null)).toBe(false);
+    });
+  });
+
+  describe('openConversation', () => {
+    it('should reuse the existing conversation of two users', async () => {
+      const existing = { id: 'dm:1', type: 'dm', members: ['bob', 'alice'] };
+      Channel.findOneAndUpdate.mockResolvedValue({ value: existing, lastErrorObject: { updatedExisting: true } });
+
+      const result = await directMessageService.openConversation('alice', 'bob');
+
+      expect(Channel.findOneAndUpdate).toHaveBeenCalledWith(
+        { type: 'dm', memberKey: '["alice","bob"]' },
+        { $setOnInsert: expect.objectContaining({ members: ['alice', 'bob'] }) },
+        expect.objectContaining({ upsert: true, includeResultMetadata: true })
+      );
+      expect(result).toEqual({ channel: existing, created: false });
+    });
+
+    it('should create a conversation on first use, even with offline users', async () => {
+      Channel.findOneAndUpdate.mockImplementation(async (filter, update) => ({
+        value: { ...filter, ...update.$setOnInsert },
+        lastErrorObject: { updatedExisting: false }
+      }));
+
+      const { channel, created } = await directMessageService.openConversation('alice', ' bob ');
+
+      expect(created).toBe(true);
+      expect(channel.id).toMatch(/^dm:[0-9a-f]{24}$/);
+      expect(channel).toEqual(expect.objectContaining({
+        type: 'dm',
+        members: ['alice', 'bob'],
+        memberKey: '["alice","bob"]',
+        createdBy: 'alice'
+      }));
+    });
+
+    it('should return the conversation the other user opened at the same time', async () => {
+      const existing = { id: 'dm:1', type: 'dm', members: ['bob', 'alice'] };
+      Channel.findOneAndUpdate
+        .mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }))
+        .mockResolvedValueOnce({ value: existing, lastErrorObject: { updatedExisting: true } });
+
+      const result = await directMessageService.openConversation('alice', 'bob');
+
+      expect(Channel.findOneAndUpdate).toHaveBeenCalledTimes(2);
+      expect(result).toEqual({ channel: existing, created: false });
+    });
+
+    it('should key a pair of users the same in either order', () => {
+      expect(directMessageService.buildMemberKey(['bob', 'alice'])).toBe(directMessageService.buildMemberKey(['alice', 'bob']));
+    });
+
+    it('should reject unknown users and yourself', async () => {
+      User.findOne.mockReturnValue(mockSelect(null));
+
+      await expect(directMessageService.openConversation('alice', 'ghost')).rejects.toThrow('User not found');
+      await expect(directMessageService.openConversation('alice', 'alice')).rejects.toThrow('You cannot message yourself');
+    });
+  });
+
+  describe('createGroupConversation', () => {
+    it('should include the creator and drop duplicate members', async () => {
+      const channel = await directMessageService.createGroupConversation('alice', ['bob', ' carol', 'bob', 'alice'], ' Launch ');
+
+      expect(channel).toEqual(expect.objectContaining({
+        type: 'dm',
+        group: true,
+        name: 'Launch',
+        members: ['alice', 'bob', 'carol'],
+        createdBy: 'alice'
+      }));
+      expect(channel.id).toMatch(/^dm:[0-9a-f]{24}$/);
+    });
+
+    it('should need 3 to 10 members', async () => {
+      const many = Array.from({ length: 10 }, (_, index) => `user${index}`);
+
+      await expect(directMessageService.createGroupConversation('alice', ['bob']))
+        .rejects.toThrow('A group conversation needs at least 3 members');
+      await expect(directMessageService.createGroupConversation('alice', many))
+        .rejects.toThrow('A group conversation can have at most 10 members');
+      expect(Channel.create).not.toHaveBeenCalled();
+    });
+
+    it('should name the missing user', async () => {
+      await expect(directMessageService.createGroupConversation('alice', ['bob', 'ghost']))
+        .rejects.toThrow('User ghost not found');
+    });
+  });
+
+  describe('group membership', () => {
+    const group = { id: 'dm:2', type: 'dm', group: true, members: ['alice', 'bob', 'carol'] };
+
+    it('should add only new members, guarding the size limit in the update', async () => {
+      Channel.findOne.mockResolvedValue(group);
+      Channel.findOneAndUpdate.mockResolvedValue({ ...group, members: [...group.members, 'dave'] });
+
+      const { added } = await directMessageService.addMembers('dm:2', 'alice', ['bob', 'dave']);
+
+      expect(added).toEqual(['dave']);
+      expect(Channel.findOneAndUpdate).toHaveBeenCalledWith(
+        { id: 'dm:2', type: 'dm', members: 'alice', 'members.9': { $exists: false } },
+        { $addToSet: { members: { $each: ['dave'] } }, $set: { updatedAt: expect.any(Date) } },
+        { new: true }
+      );
+    });
+
+    it('should reject adding people who are all members already', async () => {
+      Channel.findOne.mockResolvedValue(group);
+
+      await expect(directMessageService.addMembers('dm:2', 'alice', ['bob']))
+        .rejects.toThrow('Everyone is already in this conversation');
+    });
+
+    it('should leave a group atomically and keep it while members remain', async () => {
+      Channel.findOne.mockResolvedValue(group);
+      Channel.findOneAndUpdate.mockResolvedValue({ ...group, members: ['bob', 'carol'] });
+
+      const updated = await directMessageService.leaveConversation('dm:2', 'alice');
+
+      expect(Channel.findOneAndUpdate).toHaveBeenCalledWith(
+        { id: 'dm:2', type: 'dm', members: 'alice' },
+        { $pull: { members: 'alice' }, $set: { updatedAt: expect.any(Date) } },
+        { new: true }
+      );
+      expect(updated.members).toEqual(['bob', 'carol']);
+      expect(Channel.deleteOne).not.toHaveBeenCalled();
+    });
+
+    it('should remove the conversation when its last member leaves', async () => {
+      Channel.findOne.mockResolvedValue({ ...group, members: ['alice'] });
+      Channel.findOneAndUpdate.mockResolvedValue({ ...group, members: [] });
+
+      const updated = await directMessageService.leaveConversation('dm:2', 'alice');
+
+      expect(updated.members).toEqual([]);
+      expect(Channel.deleteOne).toHaveBeenCalledWith({ id: 'dm:2', type: 'dm', members: { $size: 0 } });
+    });
+
+    it('should treat a second leave at the same time as not a member', async () => {
+      Channel.findOne.mockResolvedValue(group);
+      Channel.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(directMessageService.leaveConversation('dm:2', 'alice')).rejects.toThrow('Conversation not found');
+      expect(Channel.deleteOne).not.toHaveBeenCalled();
+    });
+
+    it('should not change one-to-one conversations', async () => {
+      Channel.findOne.mockResolvedValue({ id: 'dm:1', type: 'dm', members: ['alice', 'bob'] });
+
+      await expect(directMessageService.leaveConversation('dm:1', 'alice'))
+        .rejects.toThrow('Only group conversations can be changed');
+    });
+
+    it('should hide conversations from non-members', async () => {
+      Channel.findOne.mockResolvedValue(null);
+
+      await expect(directMessageService.renameConversation('dm:2', 'mallory', 'Mine'))
+        .rejects.toThrow('Conversation not found');
+      expect(Channel.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should remove the name when renamed to an empty string', async () => {
+      Channel.findOne.mockResolvedValue(group);
+      Channel.findOneAndUpdate.mockResolvedValue(group);
+
+      await directMessageService.renameConversation('dm:2', 'alice', '  ');
+
+      expect(Channel.findOneAndUpdate).toHaveBeenCalledWith(
+        { id: 'dm:2', type: 'dm' },
+        { $unset: { name: '' }, $set: { updatedAt: expect.any(Date) } },
+        { new: true }
+      );
+    });
+  });
+
+  describe('isMember', () => {
+    it('should not look up regular channels', async () => {
+      await expect(directMessageService.isMember('general', 'alice')).resolves.toBe(false);
+      expect(Channel.exists).not.toHaveBeenCalled();
+    });
+
+    it('should check membership of direct conversations', async () => {
+      Channel.exists.mockResolvedValue(null);
+
+      await expect(directMessageService.isMember('dm:1', 'carol')).resolves.toBe(false);
+      expect(Channel.exists).toHaveBeenCalledWith({ id: 'dm:1', type: 'dm', members: 'carol' });
+    });
+  });
+
+  describe('formatConversation', () => {
+    it('should include the unread counts of the viewer', () => {
+      const conversation = directMessageService.formatConversation(
+        { id: 'dm:1', members: ['alice', 'bob'], createdBy: 'alice', createdAt: new Date('2024-01-01'), lastMessageAt: null },
+        { unreadCount: 3, mentionCount: 1 }
+      );
+
+      expect(conversation).toEqual(expect.objectContaining({ id: 'dm:1', type: 'dm', unreadCount: 3, mentionCount: 1 }));
+    });
+  });
+});
@@ -0,0 +1,154 @@
+const { PassThrough, Readable } = require('stream');
+
+jest.mock('../../src/models/Channel', () => ({
+  findOne: jest.fn()
+}));
+jest.mock('../../src/models/Message', () => ({
+  find: jest.fn()
+}));
+jest.mock('../../src/models/Attachment', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../../src/services/attachmentService', () => ({
+  openAttachment: jest.fn()
+}));
+
+const Channel = require('../../src/models/Channel');
+const Message = require('../../src/models/Message');
+const Attachment = require('../../src/models/Attachment');
+const attachmentService = require('../../src/services/attachmentService');
+const exportService = require('../../src/services/exportService');
+const { createMessage } = require('../shared/testHelpers');
+
+const mockChannel = channel => {
+  Channel.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(channel) });
+};
+
+const mockMessages = messages => {
+  const chain = {
+    sort: jest.fn().mockReturnThis(),
+    lean: jest.fn().mockReturnThis(),
+    cursor: jest.fn().mockReturnValue(messages)
+  };
+  Message.find.mockReturnValue(chain);
+  return chain;
+};
+
+const collect = async (exportInfo) => {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  await exportService.writeExport(exportInfo, output);
+  return Buffer.concat(chunks);
+};
+
+const viewer = { nickname: 'alice', role: 'user' };
+
+describe('ExportService', () => {
+  beforeEach(() => {
+    mockChannel({ id: 'general', name: 'general', type: 'text', permissions: { read: 'all' } });
+  });
+
+  describe('prepareExport', () => {
+    it('should describe the download', async () => {
+      const exportInfo = await exportService.prepareExport('general', viewer, { format: 'md' });
+
+      expect(exportInfo).toEqual(expect.objectContaining({
+        format: 'md',
+        filename: 'general-export.md',
+        contentType: 'text/markdown; charset=utf-8',
+        attachments: false
+      }));
+    });
+
+    it('should send attachments as a zip', async () => {
+      const exportInfo = await exportService.prepareExport('general', viewer, { format: 'html', attachments: true });
+
+      expect(exportInfo.filename).toBe('general-export.zip');
+      expect(exportInfo.transcriptName).toBe('general-export.html');
+      expect(exportInfo.contentType).toBe('application/zip');
+    });
+
+    it('should hide channels the user cannot read', async () => {
+      mockChannel({ id: 'staff', name: 'staff', type: 'text', permissions: { read: 'admin' } });
+      await expect(exportService.prepareExport('staff', viewer)).rejects.toThrow('Channel not found');
+      await expect(exportService.prepareExport('staff', { nickname: 'root', role: 'admin' })).resolves.toBeDefined();
+
+      mockChannel({ id: 'dm:1', name: 'dm:1', type: 'dm', members: ['bob', 'carol'] });
+      await expect(exportService.prepareExport('dm:1', viewer)).rejects.toThrow('Channel not found');
+    });
+
+    it('should reject unknown formats and reversed ranges', async () => {
+      await expect(exportService.prepareExport('general', viewer, { format: 'pdf' }))
+        .rejects.toThrow('Export format must be json, md or html');
+      await expect(exportService.prepareExport('general', viewer, { from: '2024-02-01', to: '2024-01-01' }))
+        .rejects.toThrow('Invalid date range');
+    });
+  });
+
+  describe('writeExport', () => {
+    it('should stream valid JSON with system messages and deleted placeholders', async () => {
+      const chain = mockMessages([
+        createMessage({ _id: 'm1' }),
+        createMessage({ _id: 'm2', type: 'system', author: 'system', text: 'bob joined' }),
+        createMessage({ _id: 'm3', text: '', deletedAt: new Date('2024-01-02T00:00:00Z') })
+      ]);
+      const exportInfo = await exportService.prepareExport('general', viewer, { from: '2024-01-01T00:00:00Z' });
+
+      const result = JSON.parse((await collect(exportInfo)).toString());
+
+      expect(Message.find).toHaveBeenCalledWith({
+        channel: 'general',
+        $or: [{ type: { $ne: 'private' } }, { author: 'alice' }, { target: 'alice' }],
+        expiresAt: null,
+        timestamp: { $gte: new Date('2024-01-01T00:00:00Z') }
+      });
+      expect(chain.sort).toHaveBeenCalledWith({ timestamp: 1, _id: 1 });
+      expect(result.channel).toEqual({ id: 'general', name: 'general', type: 'text' });
+      expect(result.messages.map(message => message.type)).toEqual(['public', 'system', 'public']);
+      expect(result.messages[2]).toEqual(expect.objectContaining({ text: null, deletedAt: '2024-01-02T00:00:00.000Z' }));
+    });
+
+    it('should render Markdown', async () => {
+      mockMessages([
+        createMessage({ _id: 'm1', text: 'hello' }),
+        createMessage({ _id: 'm2', type: 'system', author: 'system', text: 'bob joined' })
+      ]);
+      const exportInfo = await exportService.prepareExport('general', viewer, { format: 'md' });
+
+      const markdown = (await collect(exportInfo)).toString();
+
+      expect(markdown).toContain('# #general');
+      expect(markdown).toContain('`2024-01-01 10:00:00 UTC` **alice**: hello');
+      expect(markdown).toContain('`2024-01-01 10:00:00 UTC` _bob joined_');
+    });
+
+    it('should escape message text in HTML', async () => {
+      mockMessages([createMessage({ _id: 'm1', text: '<script>alert(1)</script>' })]);
+      const exportInfo = await exportService.prepareExport('general', viewer, { format: 'html' });
+
+      const html = (await collect(exportInfo)).toString();
+
+      expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+      expect(html).not.toContain('<script>');
+    });
+
+    it('should pack attached files next to the transcript', async () => {
+      mockMessages([createMessage({
+        _id: 'm1',
+        attachments: [{ attachment: 'a1', filename: 'report.pdf', mimeType: 'application/pdf', size: 4 }]
+      })]);
+      const attachment = { storageKey: 'files/a1' };
+      Attachment.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(attachment) });
+      attachmentService.openAttachment.mockResolvedValue({ stream: Readable.from([Buffer.from('%PDF')]) });
+      const exportInfo = await exportService.prepareExport('general', viewer, { format: 'md', attachments: true });
+
+      const zip = await collect(exportInfo);
+
+      expect(attachmentService.openAttachment).toHaveBeenCalledWith(attachment);
+      expect(zip.subarray(0, 2).toString()).toBe('PK');
+      expect(zip.toString('latin1')).toContain('general-export.md');
+      expect(zip.toString('latin1')).toContain('attachments/a1-report.pdf');
+    });
+  });
+});
@@ -0,0 +1,163 @@
+jest.mock('../../src/models/Channel', () => ({
+  exists: jest.fn(),
+  findOne: jest.fn()
+}));
+jest.mock('../../src/models/HeldMessage', () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  deleteOne: jest.fn()
+}));
+jest.mock('../../src/services/attachmentService', () => ({
+  formatAttachment: jest.fn(attachment => attachment),
+  removeMessageAttachments: jest.fn()
+}));
+jest.mock('../../src/services/mentionService', () => ({
+  resolveMentions: jest.fn()
+}));
+
+const HeldMessage = require('../../src/models/HeldMessage');
+const Channel = require('../../src/models/Channel');
+const attachmentService = require('../../src/services/attachmentService');
+const mentionService = require('../../src/services/mentionService');
+const chatService = require('../../src/services/chatService');
+const heldMessageService = require('../../src/services/heldMessageService');
+const { createIo } = require('../shared/testHelpers');
+
+const HELD_ID = '507f1f77bcf86cd799439021';
+const MESSAGE_ID = '507f1f77bcf86cd799439022';
+
+const createHeld = (overrides = {}) => ({
+  _id: { toString: () => HELD_ID },
+  messageId: { toString: () => MESSAGE_ID },
+  author: 'alice',
+  channel: 'general',
+  text: 'join discord.gg/abc',
+  type: 'public',
+  action: false,
+  replyTo: null,
+  attachments: [],
+  clientId: 'c-1',
+  expiresIn: null,
+  filter: 'invites',
+  reason: 'Invite links are not allowed here',
+  createdAt: new Date('2024-01-01T10:00:00Z'),
+  ...overrides
+});
+
+const moderator = { nickname: 'mod', role: 'moderator' };
+
+describe('HeldMessageService', () => {
+  let io;
+
+  beforeEach(() => {
+    io = createIo();
+    mentionService.resolveMentions.mockResolvedValue([]);
+    HeldMessage.deleteOne.mockResolvedValue({ deletedCount: 1 });
+    Channel.exists.mockResolvedValue(true);
+    Channel.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue({ messageExpiry: null }) });
+    jest.spyOn(chatService, 'saveMessage').mockImplementation(async (data) => ({
+      ...data,
+      timestamp: new Date('2024-01-01T10:30:00Z')
+    }));
+  });
+
+  describe('listHeld', () => {
+    it('should list the review queue of a channel oldest first', async () => {
+      const sort = jest.fn().mockResolvedValue([createHeld()]);
+      HeldMessage.find.mockReturnValue({ sort });
+
+      const held = await heldMessageService.listHeld('general', moderator);
+
+      expect(HeldMessage.find).toHaveBeenCalledWith({ channel: 'general' });
+      expect(sort).toHaveBeenCalledWith({ createdAt: 1 });
+      expect(held).toEqual([expect.objectContaining({ id: HELD_ID, messageId: MESSAGE_ID, filter: 'invites' })]);
+    });
+
+    it('should not list direct conversations', async () => {
+      Channel.exists.mockResolvedValue(null);
+
+      await expect(heldMessageService.listHeld('dm:alice:bob', moderator)).rejects.toThrow('Channel not found');
+    });
+
+    it('should hide admin-only channels from moderators', async () => {
+      Channel.exists.mockResolvedValue(null);
+
+      await expect(heldMessageService.listHeld('staff', moderator)).rejects.toThrow('Channel not found');
+      expect(Channel.exists).toHaveBeenCalledWith({ id: 'staff', type: { $ne: 'dm' }, 'permissions.read': { $ne: 'admin' } });
+      expect(HeldMessage.find).not.toHaveBeenCalled();
+    });
+
+    it('should let admins review admin-only channels', async () => {
+      HeldMessage.find.mockReturnValue({ sort: jest.fn().mockResolvedValue([]) });
+
+      await heldMessageService.listHeld('staff', { nickname: 'root', role: 'admin' });
+
+      expect(Channel.exists).toHaveBeenCalledWith({ id: 'staff', type: { $ne: 'dm' } });
+    });
+  });
+
+  describe('approve', () => {
+    it('should post the message under its reserved id and tell the author', async () => {
+      HeldMessage.findOne.mockResolvedValue(createHeld());
+
+      const message = await heldMessageService.approve('general', HELD_ID, moderator, io);
+
+      expect(chatService.saveMessage).toHaveBeenCalledWith(expect.objectContaining({
+        author: 'alice',
+        channel: 'general',
+        text: 'join discord.gg/abc',
+        clientId: 'c-1'
+      }));
+      expect(HeldMessage.deleteOne).toHaveBeenCalledWith({ _id: expect.anything() });
+      expect(message).toEqual(expect.objectContaining({ author: 'alice', status: 'delivered' }));
+      expect(io.to).toHaveBeenCalledWith('general');
+      expect(io.emit).toHaveBeenCalledWith('message', expect.objectContaining({ text: 'join discord.gg/abc' }));
+      expect(io.to).toHaveBeenCalledWith('user:alice');
+      expect(io.emit).toHaveBeenCalledWith('held_message_reviewed', {
+        id: HELD_ID,
+        room: 'general',
+        messageId: MESSAGE_ID,
+        status: 'approved'
+      });
+    });
+
+    it('should treat a concurrent approval as already handled', async () => {
+      HeldMessage.findOne.mockResolvedValue(createHeld());
+      chatService.saveMessage.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+      await expect(heldMessageService.approve('general', HELD_ID, moderator, io)).rejects.toThrow('Held message not found');
+      expect(io.emit).not.toHaveBeenCalled();
+    });
+
+    it('should not find messages held in another channel', async () => {
+      HeldMessage.findOne.mockResolvedValue(null);
+
+      await expect(heldMessageService.approve('random', HELD_ID, moderator, io)).rejects.toThrow('Held message not found');
+      expect(HeldMessage.findOne).toHaveBeenCalledWith({ _id: HELD_ID, channel: 'random' });
+    });
+
+    it('should not post messages held in channels the moderator cannot read', async () => {
+      Channel.exists.mockResolvedValue(null);
+
+      await expect(heldMessageService.approve('staff', HELD_ID, moderator, io)).rejects.toThrow('Channel not found');
+      expect(HeldMessage.findOne).not.toHaveBeenCalled();
+      expect(chatService.saveMessage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reject', () => {
+    it('should drop the message with its attachments and tell the author', async () => {
+      const held = createHeld({ attachments: [{ filename: 'a.png' }] });
+      HeldMessage.findOne.mockResolvedValue(held);
+
+      const result = await heldMessageService.reject('general', HELD_ID, moderator, io);
+
+      expect(result).toEqual({ id: HELD_ID });
+      expect(attachmentService.removeMessageAttachments).toHaveBeenCalledWith(held.messageId);
+      expect(io.emit).toHaveBeenCalledWith('held_message_reviewed', expect.objectContaining({
+        status: 'rejected',
+        messageId: null
+      }));
+    });
+  });
+});
@@ -0,0 +1,202 @@
+jest.mock('../../src/models/Channel', () => {
+  const Channel = jest.fn();
+  Channel.findOne = jest.fn();
+  return Channel;
+});
+jest.mock('../../src/models/Message', () => ({
+  find: jest.fn(),
+  insertMany: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../../src/models/User', () => ({
+  findOne: jest.fn(),
+  exists: jest.fn(),
+  create: jest.fn()
+}));
+jest.mock('../../src/services/cacheService', () => ({
+  invalidateChannelMessagesCache: jest.fn()
+}));
+
+const Channel = require('../../src/models/Channel');
+const Message = require('../../src/models/Message');
+const User = require('../../src/models/User');
+const { invalidateChannelMessagesCache } = require('../../src/services/cacheService');
+const importService = require('../../src/services/importService');
+
+const slackExport = {
+  users: [
+    { id: 'U1', name: 'alice', profile: { email: 'Alice@example.com', display_name: 'Alice' } },
+    { id: 'U2', name: 'bob', profile: {} },
+    { id: 'U3', name: 'lurker', profile: {} }
+  ],
+  channels: [{ id: 'C1', name: 'general', created: 1600000000, purpose: { value: 'Company-wide' } }],
+  messages: {
+    general: [
+      { type: 'message', subtype: 'channel_join', user: 'U2', text: '<@U2> has joined the channel', ts: '1700000000.000100' },
+      { type: 'message', user: 'U1', text: 'Hi <@U2>, see <https://example.com|the docs> &amp; more', ts: '1700000001.000200', thread_ts: '1700000001.000200' },
+      { type: 'message', user: 'U2', text: 'Thanks!', ts: '1700000002.000300', thread_ts: '1700000001.000200' }
+    ]
+  }
+};
+
+const discordExport = {
+  guild: { id: 'G1', name: 'Old server' },
+  channel: { id: 'D1', name: 'random', topic: 'Anything goes' },
+  messages: [
+    { id: 'm1', type: 'GuildMemberJoin', timestamp: '2023-05-01T10:00:00+00:00', content: '', author: { id: 'A1', name: 'carol' } },
+    {
+      id: 'm2',
+      type: 'Default',
+      timestamp: '2023-05-01T10:01:00+00:00',
+      timestampEdited: '2023-05-01T10:02:00+00:00',
+      content: 'hello',
+      author: { id: 'A1', name: 'carol', nickname: 'Carol' },
+      attachments: [{ fileName: 'cat.png', url: 'https://cdn.example.com/cat.png' }]
+    }
+  ]
+};
+
+const mockExistingUsers = (users) => {
+  User.findOne.mockImplementation(({ $or }) => ({
+    select: jest.fn().mockResolvedValue(users.find(user => $or.some(condition =>
+      Object.entries(condition).every(([key, value]) => user[key] === value)
+    )) || null)
+  }));
+};
+
+describe('ImportService', () => {
+  beforeEach(() => {
+    Channel.findOne.mockResolvedValue(null);
+    Channel.mockImplementation(data => ({ ...data, id: data.name, save: jest.fn().mockResolvedValue() }));
+    Message.find.mockReturnValue({ select: jest.fn().mockReturnThis(), lean: jest.fn().mockResolvedValue([]) });
+    Message.insertMany.mockResolvedValue([]);
+    Message.updateOne.mockResolvedValue({});
+    User.exists.mockResolvedValue(null);
+    User.create.mockImplementation(async data => data);
+    invalidateChannelMessagesCache.mockResolvedValue(true);
+    mockExistingUsers([]);
+  });
+
+  describe('parseSlackExport', () => {
+    it('should keep only users who wrote or were mentioned', () => {
+      const { users } = importService.parseSlackExport(slackExport);
+      expect([...users.keys()]).toEqual(['U1', 'U2']);
+    });
+
+    it('should turn channel events into system messages and link thread replies', () => {
+      const { channels } = importService.parseSlackExport(slackExport);
+      const [join, root, reply] = channels[0].messages;
+
+      expect(join).toEqual(expect.objectContaining({ system: true, authorId: null }));
+      expect(root).toEqual(expect.objectContaining({ authorId: 'U1', threadId: null }));
+      expect(reply).toEqual(expect.objectContaining({ authorId: 'U2', threadId: '1700000001.000200' }));
+      expect(root.timestamp).toEqual(new Date(1700000001000.2));
+    });
+
+    it('should render mentions, links and entities', () => {
+      const nicknames = { U2: 'bob' };
+      expect(importService.renderSlackText(slackExport.messages.general[1].text, id => nicknames[id]))
+        .toBe('Hi @bob, see the docs (https://example.com) & more');
+    });
+
+    it('should reject exports without channels', () => {
+      expect(() => importService.parseSlackExport({ users: [] }))
+        .toThrow('Invalid Slack export: channels and messages are required');
+    });
+  });
+
+  describe('parseDiscordExport', () => {
+    it('should describe events and list attachments', () => {
+      const { channels, users } = importService.parseDiscordExport(discordExport);
+      const [join, message] = channels[0].messages;
+
+      expect(users.get('A1').names).toEqual(['carol', 'Carol']);
+      expect(join).toEqual(expect.objectContaining({ system: true, text: 'carol joined the server' }));
+      expect(message).toEqual(expect.objectContaining({
+        authorId: 'A1',
+        text: 'hello',
+        editedAt: new Date('2023-05-01T10:02:00Z'),
+        files: [{ name: 'cat.png', url: 'https://cdn.example.com/cat.png' }]
+      }));
+    });
+  });
+
+  describe('importHistory', () => {
+    it('should keep original authors and timestamps', async () => {
+      mockExistingUsers([{ nickname: 'alice', email: 'alice@example.com' }]);
+
+      const summary = await importService.importHistory('slack', slackExport, { importedBy: 'admin' });
+
+      expect(summary.users).toEqual({ matched: 1, placeholders: ['bob'] });
+      expect(summary.channels).toEqual([{ id: 'general', name: 'general', created: true, imported: 3, skipped: 0 }]);
+
+      const [[docs]] = Message.insertMany.mock.calls;
+      expect(docs.map(doc => [doc.author, doc.type, doc.text])).toEqual([
+        ['System', 'system', '@bob has joined the channel'],
+        ['alice', 'public', 'Hi @bob, see the docs (https://example.com) & more'],
+        ['bob', 'public', 'Thanks!']
+      ]);
+      expect(docs[1].timestamp).toEqual(new Date(1700000001000.2));
+      expect(docs[2].replyTo).toBe(docs[1]._id);
+      expect(Message.updateOne).toHaveBeenCalledWith(
+        { _id: docs[1]._id },
+        { $set: { replyCount: 1, lastReplyAt: docs[2].timestamp } }
+      );
+      expect(invalidateChannelMessagesCache).toHaveBeenCalledWith('general');
+    });
+
+    it('should create placeholder accounts that remember where they came from', async () => {
+      User.exists.mockImplementation(async ({ nickname }) => nickname === 'carol');
+
+      const summary = await importService.importHistory('discord', discordExport, { importedBy: 'admin' });
+
+      expect(summary.users.placeholders).toEqual(['carol-2']);
+      expect(User.create).toHaveBeenCalledWith(expect.objectContaining({
+        nickname: 'carol-2',
+        importedFrom: 'discord:A1',
+        email: expect.stringMatching(/@imported\.invalid$/)
+      }));
+    });
+
+    it('should reuse placeholders and skip messages from an earlier run', async () => {
+      mockExistingUsers([{ nickname: 'carol', importedFrom: 'discord:A1' }]);
+      await importService.importHistory('discord', discordExport, { importedBy: 'admin' });
+      const [[firstRun]] = Message.insertMany.mock.calls;
+
+      Message.insertMany.mockClear();
+      Message.find.mockReturnValue({ select: jest.fn().mockReturnThis(), lean: jest.fn().mockResolvedValue(firstRun) });
+      const summary = await importService.importHistory('discord', discordExport, { importedBy: 'admin' });
+
+      expect(User.create).not.toHaveBeenCalled();
+      expect(Message.insertMany).not.toHaveBeenCalled();
+      expect(summary.channels[0]).toEqual(expect.objectContaining({ imported: 0, skipped: 2 }));
+    });
+
+    it('should import into an existing channel of the same name', async () => {
+      Channel.findOne.mockResolvedValue({ id: 'general', name: 'General' });
+
+      const summary = await importService.importHistory('slack', slackExport, { importedBy: 'admin' });
+
+      expect(Channel.findOne).toHaveBeenCalledWith({ type: 'text', $or: [{ id: 'general' }, { name: 'general' }] });
+      expect(Channel).not.toHaveBeenCalled();
+      expect(summary.channels[0]).toEqual(expect.objectContaining({ id: 'general', created: false }));
+    });
+
+    it('should split messages longer than the limit', async () => {
+      const long = `${'word '.repeat(500)}end`;
+      const data = { ...discordExport, messages: [{ ...discordExport.messages[1], content: long, attachments: [] }] };
+
+      await importService.importHistory('discord', data, { importedBy: 'admin' });
+
+      const [[docs]] = Message.insertMany.mock.calls;
+      expect(docs).toHaveLength(2);
+      expect(docs.every(doc => doc.text.length <= 2000)).toBe(true);
+      expect(docs[0]._id.toString()).not.toBe(docs[1]._id.toString());
+    });
+
+    it('should fail when the user map names an unknown user', async () => {
+      await expect(importService.importHistory('discord', discordExport, { importedBy: 'admin', userMap: { carol: 'nobody' } }))
+        .rejects.toThrow('User nobody not found');
+    });
+  });
+});
@@ -0,0 +1,158 @@
+jest.mock('../../src/models/User', () => ({
+  find: jest.fn()
+}));
+jest.mock('../../src/models/Channel', () => ({
+  findOne: jest.fn()
+}));
+jest.mock('../../src/models/ReadMarker', () => ({
+  find: jest.fn()
+}));
+
+const User = require('../../src/models/User');
+const Channel = require('../../src/models/Channel');
+const ReadMarker = require('../../src/models/ReadMarker');
+const directMessageService = require('../../src/services/directMessageService');
+const mentionService = require('../../src/services/mentionService');
+const { createIo } = require('../shared/testHelpers');
+
+const mockUsers = (nicknames) => {
+  const select = jest.fn().mockResolvedValue(nicknames.map((nickname, i) => ({ _id: `id-${i}`, nickname })));
+  User.find.mockReturnValue({ select });
+};
+
+const mockReaders = (userIds) => {
+  const query = {
+    sort: jest.fn(() => query),
+    limit: jest.fn(() => query),
+    select: jest.fn(() => query),
+    lean: jest.fn().mockResolvedValue(userIds.map(user => ({ user })))
+  };
+  ReadMarker.find.mockReturnValue(query);
+  return query;
+};
+
+const mockReadPermission = (read) => {
+  Channel.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue({ permissions: { read } }) });
+};
+
+// Users connected to the channel
+const createIoWith = (nicknames) => createIo(nicknames.map(nickname => ({ nickname })));
+
+describe('MentionService', () => {
+  describe('parseMentions', () => {
+    it('should find nickname, @here and @channel tokens', () => {
+      expect(mentionService.parseMentions('hey @bob and @Алиса, ping @here')).toEqual({
+        nicknames: ['bob', 'Алиса'],
+        here: true,
+        channel: false
+      });
+      expect(mentionService.parseMentions('@channel release is out')).toEqual({
+        nicknames: [],
+        here: false,
+        channel: true
+      });
+    });
+
+    it('should ignore e-mail addresses and trailing punctuation', () => {
+      expect(mentionService.parseMentions('mail bob@example.com or ask @carol.').nicknames).toEqual(['carol']);
+    });
+
+    it('should count each nickname once', () => {
+      expect(mentionService.parseMentions('@bob @bob @bob').nicknames).toEqual(['bob']);
+    });
+  });
+
+  describe('resolveMentions', () => {
+    beforeEach(() => {
+      mockReadPermission('everyone');
+    });
+
+    it('should resolve nicknames to existing users without the author', async () => {
+      mockUsers(['bob']);
+
+      const mentions = await mentionService.resolveMentions('@bob @alice @ghost', { channelId: 'general', author: 'alice' });
+
+      expect(User.find).toHaveBeenCalledWith({ nickname: { $in: ['bob', 'ghost'] } });
+      expect(mentions).toEqual([{ user: 'id-0', nickname: 'bob' }]);
+    });
+
+    it('should resolve @here to users online in the channel', async () => {
+      mockUsers(['bob', 'carol']);
+      const io = createIoWith(['alice', 'bob', 'carol']);
+
+      await mentionService.resolveMentions('@here standup', { channelId: 'general', author: 'alice', io });
+
+      expect(io.in).toHaveBeenCalledWith('general');
+      expect(User.find).toHaveBeenCalledWith({ nickname: { $in: ['bob', 'carol'] } });
+    });
+
+    it('should resolve @channel to the readers of the channel and users online in it', async () => {
+      const readers = mockReaders(['user-bob']);
+      mockUsers(['alice', 'bob', 'carol']);
+      const io = createIoWith(['carol']);
+
+      const mentions = await mentionService.resolveMentions('@channel', { channelId: 'general', author: 'alice', io });
+
+      expect(ReadMarker.find).toHaveBeenCalledWith({ channel: 'general' });
+      expect(readers.sort).toHaveBeenCalledWith({ updatedAt: -1 });
+      expect(readers.limit).toHaveBeenCalledWith(200);
+      expect(User.find).toHaveBeenCalledWith({
+        $or: [{ _id: { $in: ['user-bob'] } }, { nickname: { $in: ['carol'] } }]
+      });
+      expect(User.find).not.toHaveBeenCalledWith({});
+      expect(mentions).toEqual([{ user: 'id-1', nickname: 'bob' }, { user: 'id-2', nickname: 'carol' }]);
+    });
+
+    it('should resolve @channel only to admins in an admin-only channel', async () => {
+      mockReadPermission('admin');
+      mockReaders(['user-root', 'user-bob']);
+      mockUsers(['root']);
+
+      await mentionService.resolveMentions('@channel', { channelId: 'staff', author: 'alice' });
+
+      expect(User.find).toHaveBeenCalledWith({
+        $or: [{ _id: { $in: ['user-root', 'user-bob'] } }, { nickname: { $in: [] } }],
+        role: 'admin'
+      });
+    });
+
+    it('should keep explicitly named users next to @channel', async () => {
+      mockReaders(['user-bob']);
+      mockUsers(['bob', 'dave']);
+
+      await mentionService.resolveMentions('@channel and @dave', { channelId: 'general', author: 'alice' });
+
+      expect(User.find).toHaveBeenCalledWith({
+        $or: [{ _id: { $in: ['user-bob'] } }, { nickname: { $in: [] } }, { nickname: { $in: ['dave'] } }]
+      });
+    });
+
+    it('should resolve named users and @here only to admins in an admin-only channel', async () => {
+      mockReadPermission('admin');
+      mockUsers(['root']);
+      const io = createIoWith(['root', 'bob']);
+
+      await mentionService.resolveMentions('@bob @dave @here', { channelId: 'staff', author: 'alice', io });
+
+      expect(Channel.findOne).toHaveBeenCalledWith({ id: 'staff' });
+      expect(User.find).toHaveBeenCalledWith({ nickname: { $in: ['bob', 'dave', 'root'] }, role: 'admin' });
+    });
+
+    it('should resolve mentions in a direct conversation only to its members', async () => {
+      jest.spyOn(directMessageService, 'getMembers').mockResolvedValue(['alice', 'bob']);
+      mockUsers(['bob']);
+
+      await mentionService.resolveMentions('@bob @carol', { channelId: 'dm:1', author: 'alice' });
+
+      expect(User.find).toHaveBeenCalledWith({ nickname: { $in: ['bob'] } });
+      expect(Channel.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should not query users when nobody is mentioned', async () => {
+      const mentions = await mentionService.resolveMentions('just text @alice', { channelId: 'general', author: 'alice' });
+
+      expect(mentions).toEqual([]);
+      expect(User.find).not.toHaveBeenCalled();
+    });
+  });
+});
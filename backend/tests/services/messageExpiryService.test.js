@@ -0,0 +1,151 @@
+jest.mock('../../src/models/Channel', () => ({
+  findOne: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../../src/models/Message', () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  deleteMany: jest.fn(),
+  countDocuments: jest.fn(),
+  findByIdAndUpdate: jest.fn()
+}));
+jest.mock('../../src/services/attachmentService', () => ({
+  removeMessageAttachments: jest.fn()
+}));
+jest.mock('../../src/services/channelService', () => ({
+  updateChannel: jest.fn()
+}));
+jest.mock('../../src/services/cacheService', () => ({
+  invalidateChannelMessagesCache: jest.fn()
+}));
+
+const Channel = require('../../src/models/Channel');
+const Message = require('../../src/models/Message');
+const attachmentService = require('../../src/services/attachmentService');
+const channelService = require('../../src/services/channelService');
+const { invalidateChannelMessagesCache } = require('../../src/services/cacheService');
+const messageExpiryService = require('../../src/services/messageExpiryService');
+const { createIo, createMessage } = require('../shared/testHelpers');
+
+const createSecret = (id, overrides = {}) => createMessage({ _id: id, channel: 'secrets', ...overrides });
+
+// Message.find is called for the expired batch, then for the replies of that batch
+const mockFind = (...batches) => {
+  batches.forEach(batch => {
+    Message.find.mockReturnValueOnce({
+      sort: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockReturnThis(),
+      lean: jest.fn().mockResolvedValue(batch)
+    });
+  });
+};
+
+describe('MessageExpiryService', () => {
+  let io;
+
+  beforeEach(() => {
+    io = createIo();
+    messageExpiryService.io = io;
+    Channel.updateOne.mockResolvedValue({ modifiedCount: 0 });
+    Message.deleteMany.mockImplementation(async ({ _id }) => ({ deletedCount: _id.$in.length }));
+    attachmentService.removeMessageAttachments.mockResolvedValue();
+    invalidateChannelMessagesCache.mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    messageExpiryService.io = null;
+  });
+
+  describe('removeExpired', () => {
+    it('should delete expired messages and remove them from clients live', async () => {
+      const expired = createSecret('m1', { attachments: [{ id: 'a1' }] });
+      mockFind([expired], []);
+
+      const removed = await messageExpiryService.removeExpired(new Date('2024-01-01T10:00:00Z'));
+
+      expect(removed).toBe(1);
+      expect(Message.find).toHaveBeenCalledWith({ expiresAt: { $lte: new Date('2024-01-01T10:00:00Z') } });
+      expect(attachmentService.removeMessageAttachments).toHaveBeenCalledWith(expired._id);
+      expect(io.to).toHaveBeenCalledWith('secrets');
+      expect(io.emit).toHaveBeenCalledWith('messages_expired', { room: 'secrets', ids: ['m1'] });
+      expect(invalidateChannelMessagesCache).toHaveBeenCalledWith('secrets');
+    });
+
+    it('should take the replies of an expired thread root with it', async () => {
+      const root = createSecret('root');
+      const reply = createSecret('reply', { replyTo: { toString: () => 'root' } });
+      mockFind([root], [reply]);
+
+      await messageExpiryService.removeExpired();
+
+      expect(Message.deleteMany).toHaveBeenCalledWith({ _id: { $in: [root._id, reply._id] } });
+      expect(io.emit).toHaveBeenCalledWith('messages_expired', { room: 'secrets', ids: ['root', 'reply'] });
+      expect(Message.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should update the reply count of threads that lost a reply', async () => {
+      const reply = createSecret('reply', { replyTo: { toString: () => 'root' } });
+      mockFind([reply], []);
+      Message.countDocuments.mockResolvedValue(2);
+      Message.findOne.mockReturnValue({
+        sort: jest.fn().mockReturnThis(),
+        select: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue({ timestamp: new Date('2024-01-01T09:00:00Z') })
+      });
+      Message.findByIdAndUpdate.mockResolvedValue({ channel: 'secrets' });
+
+      await messageExpiryService.removeExpired();
+
+      expect(Message.findByIdAndUpdate).toHaveBeenCalledWith(
+        'root',
+        { $set: { replyCount: 2, lastReplyAt: new Date('2024-01-01T09:00:00Z') } },
+        { new: true }
+      );
+      expect(io.emit).toHaveBeenCalledWith('thread_updated', {
+        id: 'root',
+        room: 'secrets',
+        replyCount: 2,
+        lastReplyAt: new Date('2024-01-01T09:00:00Z')
+      });
+    });
+
+    it('should unpin expired messages', async () => {
+      mockFind([createSecret('m1')], []);
+      Channel.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+      await messageExpiryService.removeExpired();
+
+      expect(io.emit).toHaveBeenCalledWith('pins_updated', { room: 'secrets' });
+    });
+
+    it('should do nothing when no message expired', async () => {
+      mockFind([]);
+
+      expect(await messageExpiryService.removeExpired()).toBe(0);
+      expect(Message.deleteMany).not.toHaveBeenCalled();
+      expect(io.emit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('setChannelExpiry', () => {
+    it('should save the default and tell the clients', async () => {
+      Channel.findOne.mockResolvedValue({ id: 'secrets' });
+      channelService.updateChannel.mockResolvedValue({ id: 'secrets', messageExpiry: 60 });
+
+      const setting = await messageExpiryService.setChannelExpiry('secrets', 60, 'admin', io);
+
+      expect(setting).toEqual({ channel: 'secrets', minutes: 60 });
+      expect(channelService.updateChannel).toHaveBeenCalledWith('secrets', expect.objectContaining({ messageExpiry: 60 }));
+      expect(io.emit).toHaveBeenCalledWith('channel_updated', { id: 'secrets', messageExpiry: 60 });
+    });
+
+    it('should reject invalid times and unknown channels', async () => {
+      await expect(messageExpiryService.setChannelExpiry('secrets', 20000, 'admin', io))
+        .rejects.toThrow('Message expiry must be between 1 and 10080 minutes');
+
+      Channel.findOne.mockResolvedValue(null);
+      await expect(messageExpiryService.setChannelExpiry('dm-1', 60, 'admin', io)).rejects.toThrow('Channel not found');
+      expect(channelService.updateChannel).not.toHaveBeenCalled();
+    });
+  });
+});
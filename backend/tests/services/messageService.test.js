@@ -0,0 +1,629 @@
+jest.mock('../../src/models/Message', () => ({
+  find: jest.fn(),
+  findById: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  countDocuments: jest.fn()
+}));
+jest.mock('../../src/models/Channel', () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  exists: jest.fn()
+}));
+jest.mock('../../src/services/cacheService', () => ({
+  getCachedChannelMessages: jest.fn(),
+  cacheChannelMessages: jest.fn(),
+  getConnectionMetrics: jest.fn(),
+  invalidateChannelMessagesCache: jest.fn()
+}));
+
+const Message = require('../../src/models/Message');
+const Channel = require('../../src/models/Channel');
+const { invalidateChannelMessagesCache } = require('../../src/services/cacheService');
+const chatService = require('../../src/services/chatService');
+const messageService = require('../../src/services/messageService');
+const { createIo, createMessage: createBaseMessage } = require('../shared/testHelpers');
+
+const MESSAGE_ID = '507f1f77bcf86cd799439011';
+const bob = { nickname: 'bob', role: 'member' };
+const mallory = { nickname: 'mallory', role: 'member' };
+
+const createMessage = (overrides = {}) => createBaseMessage({
+  text: 'helo world',
+  editedAt: null,
+  revisions: [],
+  reactions: new Map(),
+  applyEdit: jest.fn(function(newText) {
+    this.revisions.push({ text: this.text, timestamp: this.timestamp });
+    this.text = newText;
+    this.editedAt = new Date();
+    return Promise.resolve(this);
+  }),
+  softDelete: jest.fn(function(deletedBy) {
+    this.text = '';
+    this.deletedAt = new Date();
+    this.deletedBy = deletedBy;
+    return Promise.resolve(this);
+  }),
+  ...overrides
+});
+
+const mockChannel = (channel) => {
+  Channel.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(channel) });
+};
+
+describe('MessageService', () => {
+  beforeEach(() => {
+    invalidateChannelMessagesCache.mockResolvedValue(true);
+    mockChannel({ id: 'general', type: 'text', permissions: { read: 'everyone', write: 'everyone' } });
+  });
+
+  describe('canView', () => {
+    const staffMessage = createMessage({ channel: 'staff' });
+
+    beforeEach(() => {
+      mockChannel({ id: 'staff', type: 'text', permissions: { read: 'admin', write: 'admin' } });
+    });
+
+    it('should hide messages of admin-only channels from other roles', async () => {
+      await expect(messageService.canView(staffMessage, bob)).resolves.toBe(false);
+      await expect(messageService.canView(staffMessage, { nickname: 'mod', role: 'moderator' })).resolves.toBe(false);
+      expect(Channel.findOne).toHaveBeenCalledWith({ id: 'staff' });
+    });
+
+    it('should show them to admins without a lookup', async () => {
+      await expect(messageService.canView(staffMessage, { nickname: 'root', role: 'admin' })).resolves.toBe(true);
+      expect(Channel.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should use the unreadable channels when the caller has them', async () => {
+      await expect(messageService.canView(staffMessage, bob, ['staff'])).resolves.toBe(false);
+      await expect(messageService.canView(createMessage(), bob, ['staff'])).resolves.toBe(true);
+      expect(Channel.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should keep threads, revisions and reactions of admin-only channels from other roles', async () => {
+      Message.findById.mockResolvedValue(staffMessage);
+
+      await expect(messageService.getThread(MESSAGE_ID, bob)).rejects.toThrow('Message not found');
+      await expect(messageService.getRevisions(MESSAGE_ID, bob)).rejects.toThrow('Message not found');
+      await expect(messageService.addReaction(MESSAGE_ID, bob, '👍', null)).rejects.toThrow('Message not found');
+      await expect(messageService.removeReaction(MESSAGE_ID, bob, '👍', null)).rejects.toThrow('Message not found');
+      expect(Message.find).not.toHaveBeenCalled();
+      expect(Message.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('editMessage', () => {
+    const mockContentFilters = (contentFilters) => {
+      Channel.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue({ contentFilters }) });
+    };
+
+    beforeEach(() => {
+      mockContentFilters([]);
+    });
+
+    it('should edit own message, keep the old text and broadcast the update', async () => {
+      const message = createMessage();
+      Message.findById.mockResolvedValue(message);
+      const io = createIo();
+
+      await messageService.editMessage(MESSAGE_ID, 'alice', '  hello world  ', io);
+
+      expect(message.applyEdit).toHaveBeenCalledWith('hello world');
+      expect(message.revisions).toHaveLength(1);
+      expect(message.revisions[0].text).toBe('helo world');
+      expect(io.to).toHaveBeenCalledWith('general');
+      expect(io.emit).toHaveBeenCalledWith('message_edited', expect.objectContaining({
+        id: MESSAGE_ID,
+        text: 'hello world',
+        editedAt: expect.any(Date)
+      }));
+      expect(invalidateChannelMessagesCache).toHaveBeenCalledWith('general');
+    });
+
+    it('should reject edits from other users', async () => {
+      Message.findById.mockResolvedValue(createMessage());
+
+      await expect(messageService.editMessage(MESSAGE_ID, 'bob', 'hijacked', null))
+        .rejects.toThrow('You can only edit your own messages');
+    });
+
+    it('should reject edits of system messages', async () => {
+      Message.findById.mockResolvedValue(createMessage({ author: 'System', type: 'system' }));
+
+      await expect(messageService.editMessage(MESSAGE_ID, 'System', 'changed', null))
+        .rejects.toThrow('You can only edit your own messages');
+    });
+
+    it('should reject empty and oversized text', async () => {
+      await expect(messageService.editMessage(MESSAGE_ID, 'alice', '   ', null))
+        .rejects.toThrow('Message text is required');
+      await expect(messageService.editMessage(MESSAGE_ID, 'alice', 'a'.repeat(2001), null))
+        .rejects.toThrow('Message text cannot exceed 2000 characters');
+    });
+
+    it('should not create a revision when the text is unchanged', async () => {
+      const message = createMessage();
+      Message.findById.mockResolvedValue(message);
+
+      await messageService.editMessage(MESSAGE_ID, 'alice', 'helo world', null);
+
+      expect(message.applyEdit).not.toHaveBeenCalled();
+    });
+
+    it('should return not found for malformed ids', async () => {
+      await expect(messageService.editMessage('not-an-id', 'alice', 'text', null))
+        .rejects.toThrow('Message not found');
+      expect(Message.findById).not.toHaveBeenCalled();
+    });
+
+    it('should reject edits of forwarded messages', async () => {
+      Message.findById.mockResolvedValue(createMessage({ forwardedFrom: { author: 'bob' } }));
+
+      await expect(messageService.editMessage(MESSAGE_ID, 'alice', 'not what bob said', null))
+        .rejects.toThrow('Forwarded messages cannot be edited');
+    });
+
+    it('should save the text left after content filters redact it', async () => {
+      mockContentFilters([{ name: 'banned-words', action: 'redact', options: { words: ['darn'] } }]);
+      const message = createMessage();
+      Message.findById.mockResolvedValue(message);
+
+      await messageService.editMessage(MESSAGE_ID, 'alice', 'darn world', null);
+
+      expect(message.applyEdit).toHaveBeenCalledWith('**** world');
+    });
+
+    it('should reject edits a content filter blocks, holds included', async () => {
+      mockContentFilters([{ name: 'invites', action: 'hold', options: {} }]);
+      const message = createMessage();
+      Message.findById.mockResolvedValue(message);
+
+      await expect(messageService.editMessage(MESSAGE_ID, 'alice', 'join https://discord.gg/abc', null))
+        .rejects.toMatchObject({ code: 'CONTENT_INVITE_BLOCKED' });
+      expect(message.applyEdit).not.toHaveBeenCalled();
+    });
+
+    it('should not count edits as flooding', async () => {
+      mockContentFilters([{ name: 'flood', action: 'reject', options: { maxMessages: 1 } }]);
+      const message = createMessage();
+      Message.findById.mockResolvedValue(message);
+
+      await messageService.editMessage(MESSAGE_ID, 'alice', 'hello world', null);
+
+      expect(Message.countDocuments).not.toHaveBeenCalled();
+      expect(message.applyEdit).toHaveBeenCalledWith('hello world');
+    });
+
+    it('should send private message edits only to author and target', async () => {
+      Message.findById.mockResolvedValue(createMessage({ type: 'private', target: 'bob' }));
+      const io = createIo();
+
+      await messageService.editMessage(MESSAGE_ID, 'alice', 'secret', io);
+
+      expect(io.to).toHaveBeenCalledWith('user:alice');
+      expect(io.room.to).toHaveBeenCalledWith('user:bob');
+      expect(io.to).not.toHaveBeenCalledWith('general');
+    });
+  });
+
+  describe('deleteMessage', () => {
+    it('should let authors delete their own messages and broadcast a tombstone', async () => {
+      const message = createMessage();
+      Message.findById.mockResolvedValue(message);
+      const io = createIo();
+
+      await messageService.deleteMessage(MESSAGE_ID, { nickname: 'alice', isModerator: false }, io);
+
+      expect(message.softDelete).toHaveBeenCalledWith('alice');
+      expect(io.to).toHaveBeenCalledWith('general');
+      expect(io.emit).toHaveBeenCalledWith('message_deleted', {
+        id: MESSAGE_ID,
+        room: 'general',
+        deletedAt: expect.any(Date),
+        deletedBy: 'alice'
+      });
+      expect(invalidateChannelMessagesCache).toHaveBeenCalledWith('general');
+    });
+
+    it('should let moderators delete messages of other users', async () => {
+      const message = createMessage();
+      Message.findById.mockResolvedValue(message);
+
+      await messageService.deleteMessage(MESSAGE_ID, { nickname: 'mod', isModerator: true }, null);
+
+      expect(message.softDelete).toHaveBeenCalledWith('mod');
+    });
+
+    it('should reject deletion by other members', async () => {
+      const message = createMessage();
+      Message.findById.mockResolvedValue(message);
+
+      await expect(messageService.deleteMessage(MESSAGE_ID, { nickname: 'bob', isModerator: false }, null))
+        .rejects.toThrow('You can only delete your own messages');
+      expect(message.softDelete).not.toHaveBeenCalled();
+    });
+
+    it('should treat already deleted messages as missing', async () => {
+      Message.findById.mockResolvedValue(createMessage({ deletedAt: new Date(), deletedBy: 'alice' }));
+
+      await expect(messageService.deleteMessage(MESSAGE_ID, { nickname: 'alice', isModerator: false }, null))
+        .rejects.toThrow('Message not found');
+      await expect(messageService.editMessage(MESSAGE_ID, 'alice', 'revived', null))
+        .rejects.toThrow('Message not found');
+    });
+  });
+
+  describe('reactions', () => {
+    it('should add a reaction atomically and broadcast aggregated counts', async () => {
+      Message.findById.mockResolvedValue(createMessage());
+      Message.findByIdAndUpdate.mockResolvedValue(createMessage({
+        reactions: new Map([['👍', ['alice', 'bob']]])
+      }));
+      const io = createIo();
+
+      await messageService.addReaction(MESSAGE_ID, bob, '👍', io);
+
+      expect(Message.findByIdAndUpdate).toHaveBeenCalledWith(
+        MESSAGE_ID,
+        { $addToSet: { 'reactions.👍': 'bob', reactedBy: 'bob' } },
+        { new: true }
+      );
+      expect(io.emit).toHaveBeenCalledWith('reactions_updated', {
+        id: MESSAGE_ID,
+        room: 'general',
+        reactions: [{ emoji: '👍', count: 2, users: ['alice', 'bob'] }]
+      });
+    });
+
+    it('should remove a reaction and drop emojis nobody uses', async () => {
+      Message.findById.mockResolvedValue(createMessage({ reactions: new Map([['🎉', ['bob']]]) }));
+      Message.findByIdAndUpdate.mockResolvedValue(createMessage({ reactions: new Map([['🎉', []]]) }));
+      Message.findOneAndUpdate.mockResolvedValue(createMessage());
+      const io = createIo();
+
+      await messageService.removeReaction(MESSAGE_ID, bob, '🎉', io);
+
+      expect(Message.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: MESSAGE_ID, 'reactions.🎉': { $size: 0 } },
+        { $unset: { 'reactions.🎉': '' } },
+        { new: true }
+      );
+      expect(io.emit).toHaveBeenCalledWith('reactions_updated', expect.objectContaining({ reactions: [] }));
+    });
+
+    it('should reject values that are not emoji', async () => {
+      for (const emoji of ['a', '$set', 'x.y', '', '👍'.repeat(10)]) {
+        await expect(messageService.addReaction(MESSAGE_ID, bob, emoji, null))
+          .rejects.toThrow('Invalid reaction emoji');
+      }
+      expect(Message.findById).not.toHaveBeenCalled();
+    });
+
+    it('should not allow reactions on system or deleted messages', async () => {
+      Message.findById.mockResolvedValue(createMessage({ author: 'System', type: 'system' }));
+      await expect(messageService.addReaction(MESSAGE_ID, bob, '👍', null))
+        .rejects.toThrow('Message not found');
+
+      Message.findById.mockResolvedValue(createMessage({ deletedAt: new Date() }));
+      await expect(messageService.addReaction(MESSAGE_ID, bob, '👍', null))
+        .rejects.toThrow('Message not found');
+    });
+
+    it('should cap the number of different reactions', async () => {
+      const reactions = new Map(Array.from({ length: 20 }, (_, i) => [String.fromCodePoint(0x1F600 + i), ['alice']]));
+      Message.findById.mockResolvedValue(createMessage({ reactions }));
+
+      await expect(messageService.addReaction(MESSAGE_ID, bob, '👍', null))
+        .rejects.toThrow('A message cannot have more than 20 different reactions');
+      expect(Message.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getRevisions', () => {
+    it('should return revision history for visible messages', async () => {
+      Message.findById.mockResolvedValue(createMessage({
+        text: 'hello world',
+        editedAt: new Date('2024-01-01T10:05:00Z'),
+        revisions: [{ text: 'helo world', timestamp: new Date('2024-01-01T10:00:00Z') }]
+      }));
+
+      const result = await messageService.getRevisions(MESSAGE_ID, bob);
+
+      expect(result.text).toBe('hello world');
+      expect(result.revisions).toEqual([
+        { text: 'helo world', timestamp: new Date('2024-01-01T10:00:00Z') }
+      ]);
+    });
+
+    it('should hide private message history from other users', async () => {
+      Message.findById.mockResolvedValue(createMessage({ type: 'private', target: 'bob' }));
+
+      await expect(messageService.getRevisions(MESSAGE_ID, mallory))
+        .rejects.toThrow('Message not found');
+    });
+
+    it('should hide direct messages from non-members', async () => {
+      Message.findById.mockResolvedValue(createMessage({ channel: 'dm:1' }));
+      Channel.exists.mockResolvedValue(null);
+
+      await expect(messageService.getRevisions(MESSAGE_ID, mallory))
+        .rejects.toThrow('Message not found');
+      expect(Channel.exists).toHaveBeenCalledWith({ id: 'dm:1', type: 'dm', members: 'mallory' });
+    });
+  });
+
+  describe('getThread', () => {
+    const REPLY_ID = '507f1f77bcf86cd799439012';
+
+    const mockReplies = (replies) => {
+      const query = { sort: jest.fn(), limit: jest.fn().mockResolvedValue(replies) };
+      query.sort.mockReturnValue(query);
+      Message.find.mockReturnValue(query);
+      return query;
+    };
+
+    it('should return the parent with its replies oldest first', async () => {
+      Message.findById.mockResolvedValue(createMessage({ replyCount: 1, lastReplyAt: new Date('2024-01-01T10:01:00Z') }));
+      const query = mockReplies([
+        createMessage({ _id: REPLY_ID, author: 'bob', text: 'reply', replyTo: MESSAGE_ID })
+      ]);
+
+      const thread = await messageService.getThread(MESSAGE_ID, bob);
+
+      expect(Message.find).toHaveBeenCalledWith({
+        replyTo: MESSAGE_ID,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: expect.any(Date) } }]
+      });
+      expect(query.sort).toHaveBeenCalledWith({ timestamp: 1 });
+      expect(thread.parent).toEqual(expect.objectContaining({ id: MESSAGE_ID, replyCount: 1 }));
+      expect(thread.replies).toEqual([
+        expect.objectContaining({ id: REPLY_ID, text: 'reply', replyTo: MESSAGE_ID })
+      ]);
+    });
+
+    it('should treat threads whose root expired as gone', async () => {
+      Message.findById.mockResolvedValue(createMessage({ expiresAt: new Date(Date.now() - 1000) }));
+
+      await expect(messageService.getThread(MESSAGE_ID, bob)).rejects.toThrow('Message not found');
+      expect(Message.find).not.toHaveBeenCalled();
+    });
+
+    it('should resolve a reply to the thread it belongs to', async () => {
+      Message.findById
+        .mockResolvedValueOnce(createMessage({ _id: REPLY_ID, replyTo: MESSAGE_ID }))
+        .mockResolvedValueOnce(createMessage());
+      mockReplies([]);
+
+      const thread = await messageService.getThread(REPLY_ID, bob);
+
+      expect(Message.findById).toHaveBeenLastCalledWith(MESSAGE_ID);
+      expect(thread.parent.id).toBe(MESSAGE_ID);
+    });
+
+    it('should not expose threads of private messages to other users', async () => {
+      Message.findById.mockResolvedValue(createMessage({ type: 'private', target: 'bob' }));
+
+      await expect(messageService.getThread(MESSAGE_ID, mallory))
+        .rejects.toThrow('Message not found');
+      expect(Message.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('searchMessages', () => {
+    const mockSearch = (messages, total) => {
+      const query = { sort: jest.fn(), skip: jest.fn(), limit: jest.fn().mockResolvedValue(messages) };
+      query.sort.mockReturnValue(query);
+      query.skip.mockReturnValue(query);
+      Message.find.mockReturnValue(query);
+      Message.countDocuments.mockResolvedValue(total);
+      return query;
+    };
+
+    beforeEach(() => {
+      Channel.find.mockReturnValue({ select: jest.fn().mockResolvedValue([{ id: 'staff' }]) });
+    });
+
+    it('should search visible messages with filters and paging', async () => {
+      const query = mockSearch([createMessage()], 45);
+
+      const result = await messageService.searchMessages({ nickname: 'bob', role: 'member' }, {
+        q: 'hello',
+        channel: 'general',
+        author: 'alice',
+        type: 'public',
+        from: '2024-01-01T00:00:00Z',
+        to: '2024-01-31T00:00:00Z',
+        page: '2',
+        limit: '20'
+      });
+
+      expect(Message.find).toHaveBeenCalledWith({
+        $text: { $search: 'hello' },
+        deletedAt: null,
+        channel: { $eq: 'general', $nin: ['staff'] },
+        $or: [
+          { type: { $in: ['public', 'system', 'poll'] } },
+          { author: 'bob' },
+          { target: 'bob' }
+        ],
+        $and: [{ $or: [{ expiresAt: null }, { expiresAt: { $gt: expect.any(Date) } }] }],
+        author: 'alice',
+        type: 'public',
+        timestamp: { $gte: new Date('2024-01-01T00:00:00Z'), $lte: new Date('2024-01-31T00:00:00Z') }
+      });
+      expect(query.skip).toHaveBeenCalledWith(20);
+      expect(result).toEqual(expect.objectContaining({ total: 45, page: 2, limit: 20, hasMore: true }));
+      expect(result.results[0]).toEqual(expect.objectContaining({ id: MESSAGE_ID, text: 'helo world' }));
+    });
+
+    it('should not hide admin-only channels from admins', async () => {
+      Channel.find.mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+      mockSearch([], 0);
+
+      const result = await messageService.searchMessages({ nickname: 'root', role: 'admin' }, { q: 'hello' });
+
+      expect(Channel.find).toHaveBeenCalledWith({ $or: [{ type: 'dm', members: { $ne: 'root' } }] });
+      expect(Message.find).toHaveBeenCalledWith(expect.objectContaining({ channel: { $nin: [] } }));
+      expect(result.hasMore).toBe(false);
+    });
+
+    it('should hide direct conversations of other users', async () => {
+      mockSearch([], 0);
+
+      await messageService.searchMessages({ nickname: 'bob', role: 'member' }, { q: 'hello' });
+
+      expect(Channel.find).toHaveBeenCalledWith({
+        $or: [{ type: 'dm', members: { $ne: 'bob' } }, { 'permissions.read': 'admin' }]
+      });
+    });
+
+    it('should cap the page size', async () => {
+      const query = mockSearch([], 0);
+
+      await messageService.searchMessages({ nickname: 'bob', role: 'member' }, { q: 'hello', limit: '500' });
+
+      expect(query.limit).toHaveBeenCalledWith(50);
+    });
+  });
+
+  describe('getMessageContext', () => {
+    const REPLY_ID = '507f1f77bcf86cd799439012';
+
+    beforeEach(() => {
+      Channel.find.mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+    });
+
+    const mockTimeline = (older, newer) => {
+      // First query pages backwards through older messages, second one reads forwards
+      const createQuery = (messages) => {
+        const query = { sort: jest.fn(), limit: jest.fn().mockResolvedValue(messages) };
+        query.sort.mockReturnValue(query);
+        return query;
+      };
+      Message.find
+        .mockReturnValueOnce(createQuery(older))
+        .mockReturnValueOnce(createQuery(newer));
+    };
+
+    it('should return the timeline around a message', async () => {
+      Message.findById.mockResolvedValue(createMessage());
+      mockTimeline(
+        [createMessage({ _id: '507f1f77bcf86cd799439001', text: 'before' })],
+        [createMessage({ _id: '507f1f77bcf86cd799439021', text: 'after' })]
+      );
+
+      const context = await messageService.getMessageContext(MESSAGE_ID, { nickname: 'bob', role: 'member' });
+
+      expect(context.room).toBe('general');
+      expect(context.anchorId).toBe(MESSAGE_ID);
+      expect(context.threadId).toBeNull();
+      expect(context.messages.map(m => m.text)).toEqual(['before', 'helo world', 'after']);
+      expect(context.hasMore).toBe(false);
+    });
+
+    it('should anchor thread replies on their root message', async () => {
+      Message.findById
+        .mockResolvedValueOnce(createMessage({ _id: REPLY_ID, replyTo: MESSAGE_ID }))
+        .mockResolvedValueOnce(createMessage());
+      mockTimeline([], []);
+
+      const context = await messageService.getMessageContext(REPLY_ID, { nickname: 'bob', role: 'member' });
+
+      expect(context.anchorId).toBe(MESSAGE_ID);
+      expect(context.threadId).toBe(MESSAGE_ID);
+    });
+
+    it('should hide messages from channels the user cannot read', async () => {
+      mockChannel({ id: 'general', type: 'text', permissions: { read: 'admin', write: 'admin' } });
+      Message.findById.mockResolvedValue(createMessage());
+
+      await expect(messageService.getMessageContext(MESSAGE_ID, { nickname: 'bob', role: 'member' }))
+        .rejects.toThrow('Message not found');
+    });
+  });
+
+  describe('forwardMessage', () => {
+    const user = { nickname: 'bob', role: 'member', isBanned: () => false, isMuted: () => false };
+
+    // Channel.findOne is asked for the target's permissions, then for its expiry default
+    const mockTarget = (target) => {
+      Channel.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(target) });
+    };
+
+    beforeEach(() => {
+      mockTarget({ id: 'random', type: 'text', members: [], permissions: { read: 'everyone', write: 'everyone' } });
+      jest.spyOn(chatService, 'saveMessage').mockImplementation(async data => ({
+        ...data,
+        _id: '507f1f77bcf86cd799439031',
+        timestamp: new Date('2024-01-02T10:00:00Z')
+      }));
+    });
+
+    it('should repost the message with its original author and a link back', async () => {
+      Message.findById.mockResolvedValue(createMessage());
+      const io = createIo();
+
+      const forwarded = await messageService.forwardMessage(MESSAGE_ID, user, 'random', io);
+
+      expect(chatService.saveMessage).toHaveBeenCalledWith(expect.objectContaining({
+        author: 'bob',
+        channel: 'random',
+        text: 'helo world',
+        type: 'public'
+      }));
+      expect(forwarded.forwardedFrom).toEqual({
+        messageId: MESSAGE_ID,
+        author: 'alice',
+        room: 'general',
+        timestamp: new Date('2024-01-01T10:00:00Z')
+      });
+      expect(io.to).toHaveBeenCalledWith('random');
+      expect(io.emit).toHaveBeenCalledWith('message', expect.objectContaining({ id: '507f1f77bcf86cd799439031' }));
+    });
+
+    it('should keep the first original when forwarding a forward', async () => {
+      const original = { message: '507f1f77bcf86cd799439001', author: 'carol', channel: 'news', timestamp: new Date('2023-12-31T10:00:00Z') };
+      Message.findById.mockResolvedValue(createMessage({ forwardedFrom: original }));
+
+      const forwarded = await messageService.forwardMessage(MESSAGE_ID, user, 'random', null);
+
+      expect(forwarded.forwardedFrom).toEqual(expect.objectContaining({ messageId: original.message, author: 'carol', room: 'news' }));
+    });
+
+    it('should require read access to the source', async () => {
+      Message.findById.mockResolvedValue(createMessage({ type: 'private', author: 'alice', target: 'carol' }));
+      await expect(messageService.forwardMessage(MESSAGE_ID, user, 'random', null)).rejects.toThrow('Message not found');
+
+      Message.findById.mockResolvedValue(createMessage({ channel: 'staff' }));
+      Channel.findOne.mockReturnValueOnce({ select: jest.fn().mockResolvedValue({ permissions: { read: 'admin' } }) });
+      await expect(messageService.forwardMessage(MESSAGE_ID, user, 'random', null)).rejects.toThrow('Message not found');
+
+      expect(chatService.saveMessage).not.toHaveBeenCalled();
+    });
+
+    it('should require write access to the target', async () => {
+      Message.findById.mockResolvedValue(createMessage());
+
+      mockTarget({ id: 'announcements', type: 'text', members: [], permissions: { read: 'everyone', write: 'admin' } });
+      await expect(messageService.forwardMessage(MESSAGE_ID, user, 'announcements', null))
+        .rejects.toThrow('You cannot post to this channel');
+
+      mockTarget({ id: 'dm:alice:carol', type: 'dm', members: ['alice', 'carol'] });
+      await expect(messageService.forwardMessage(MESSAGE_ID, user, 'dm:alice:carol', null)).rejects.toThrow('Channel not found');
+
+      expect(chatService.saveMessage).not.toHaveBeenCalled();
+    });
+
+    it('should not forward polls or disappearing messages', async () => {
+      Message.findById.mockResolvedValue(createMessage({ type: 'poll' }));
+      await expect(messageService.forwardMessage(MESSAGE_ID, user, 'random', null))
+        .rejects.toThrow('Only text messages can be forwarded');
+
+      Message.findById.mockResolvedValue(createMessage({ expiresAt: new Date(Date.now() + 60000) }));
+      await expect(messageService.forwardMessage(MESSAGE_ID, user, 'random', null))
+        .rejects.toThrow('Disappearing messages cannot be forwarded');
+    });
+  });
+});
@@ -0,0 +1,144 @@
+jest.mock('../../src/models/Channel', () => ({
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../../src/models/Message', () => ({
+  findById: jest.fn(),
+  find: jest.fn()
+}));
+jest.mock('../../src/services/chatService', () => ({
+  formatMessage: jest.fn(),
+  createSystemMessage: jest.fn()
+}));
+jest.mock('../../src/services/messageService', () => ({
+  canView: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Channel = require('../../src/models/Channel');
+const Message = require('../../src/models/Message');
+const chatService = require('../../src/services/chatService');
+const messageService = require('../../src/services/messageService');
+const pinService = require('../../src/services/pinService');
+const { createMessage: createBaseMessage, createIo, mockSelect } = require('../shared/testHelpers');
+
+const MESSAGE_ID = new mongoose.Types.ObjectId();
+const moderator = { nickname: 'mod', role: 'moderator', isModerator: true };
+
+const createMessage = (overrides = {}) => createBaseMessage({
+  _id: MESSAGE_ID,
+  text: 'Runbook: https://wiki.example.com',
+  ...overrides
+});
+
+describe('PinService', () => {
+  beforeEach(() => {
+    chatService.formatMessage.mockImplementation(message => ({ id: message._id.toString(), text: message.text }));
+    chatService.createSystemMessage.mockResolvedValue({});
+    messageService.canView.mockResolvedValue(true);
+  });
+
+  describe('pinMessage', () => {
+    it('should pin the message and announce it to the room', async () => {
+      const io = createIo();
+      Message.findById.mockResolvedValue(createMessage());
+      Channel.findOneAndUpdate.mockResolvedValue({ pins: [{ message: MESSAGE_ID, pinnedBy: 'mod' }] });
+
+      const pins = await pinService.pinMessage(MESSAGE_ID.toString(), moderator, io);
+
+      expect(Channel.findOneAndUpdate).toHaveBeenCalledWith(
+        { id: 'general', 'pins.message': { $ne: MESSAGE_ID }, 'pins.49': { $exists: false } },
+        { $push: { pins: { message: MESSAGE_ID, pinnedBy: 'mod', pinnedAt: expect.any(Date) } } },
+        { new: true }
+      );
+      expect(chatService.createSystemMessage).toHaveBeenCalledWith(
+        'general',
+        'mod pinned a message from alice: "Runbook: https://wiki.example.com"',
+        io
+      );
+      expect(io.emit).toHaveBeenCalledWith('pins_updated', { room: 'general' });
+      expect(pins).toHaveLength(1);
+    });
+
+    it('should reject users without moderator privileges', async () => {
+      await expect(pinService.pinMessage(MESSAGE_ID.toString(), { nickname: 'bob', isModerator: false }, createIo()))
+        .rejects.toThrow('You do not have permission to pin messages');
+      expect(Channel.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should reject private messages', async () => {
+      Message.findById.mockResolvedValue(createMessage({ type: 'private', target: 'bob' }));
+
+      await expect(pinService.pinMessage(MESSAGE_ID.toString(), moderator, createIo()))
+        .rejects.toThrow('Only channel messages can be pinned');
+    });
+
+    it('should hide messages of admin-only channels from moderators', async () => {
+      const message = createMessage({ channel: 'staff' });
+      Message.findById.mockResolvedValue(message);
+      messageService.canView.mockResolvedValue(false);
+
+      await expect(pinService.pinMessage(MESSAGE_ID.toString(), moderator, createIo()))
+        .rejects.toThrow('Message not found');
+      expect(messageService.canView).toHaveBeenCalledWith(message, moderator);
+      expect(Channel.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should report messages that are already pinned', async () => {
+      Message.findById.mockResolvedValue(createMessage());
+      Channel.findOneAndUpdate.mockResolvedValue(null);
+      Channel.findOne.mockReturnValue(mockSelect({ pins: [{ message: MESSAGE_ID }] }));
+
+      await expect(pinService.pinMessage(MESSAGE_ID.toString(), moderator, createIo()))
+        .rejects.toThrow('Message is already pinned');
+      expect(chatService.createSystemMessage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('unpinMessage', () => {
+    it('should fail when the message is not pinned', async () => {
+      Message.findById.mockResolvedValue(createMessage());
+      Channel.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(pinService.unpinMessage(MESSAGE_ID.toString(), moderator, createIo()))
+        .rejects.toThrow('Message is not pinned');
+    });
+
+    it('should hide messages of admin-only channels from moderators', async () => {
+      Message.findById.mockResolvedValue(createMessage({ channel: 'staff' }));
+      messageService.canView.mockResolvedValue(false);
+
+      await expect(pinService.unpinMessage(MESSAGE_ID.toString(), moderator, createIo()))
+        .rejects.toThrow('Message not found');
+      expect(Channel.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getPins', () => {
+    it('should return the most recent pins first and skip deleted messages', async () => {
+      const otherId = new mongoose.Types.ObjectId();
+      const deletedId = new mongoose.Types.ObjectId();
+      Channel.findOne.mockReturnValue(mockSelect({
+        permissions: { read: 'everyone' },
+        pins: [
+          { message: MESSAGE_ID, pinnedBy: 'mod', pinnedAt: new Date('2024-01-01') },
+          { message: deletedId, pinnedBy: 'mod', pinnedAt: new Date('2024-01-02') },
+          { message: otherId, pinnedBy: 'admin', pinnedAt: new Date('2024-01-03') }
+        ]
+      }));
+      Message.find.mockResolvedValue([createMessage(), createMessage({ _id: otherId, text: 'second' })]);
+
+      const pins = await pinService.getPins('general', { nickname: 'bob', role: 'user' });
+
+      expect(pins.map(pin => pin.message.id)).toEqual([otherId.toString(), MESSAGE_ID.toString()]);
+      expect(pins[0].pinnedBy).toBe('admin');
+    });
+
+    it('should hide pins of admin-only channels from other users', async () => {
+      Channel.findOne.mockReturnValue(mockSelect({ permissions: { read: 'admin' }, pins: [] }));
+
+      await expect(pinService.getPins('staff', { nickname: 'bob', role: 'user' })).rejects.toThrow('Channel not found');
+    });
+  });
+});
@@ -0,0 +1,211 @@
+jest.mock('../../src/models/Message', () => ({
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+jest.mock('../../src/services/cacheService', () => ({
+  invalidateChannelMessagesCache: jest.fn()
+}));
+jest.mock('../../src/services/messageService', () => ({
+  canView: jest.fn()
+}));
+
+const Message = require('../../src/models/Message');
+const messageService = require('../../src/services/messageService');
+const { invalidateChannelMessagesCache } = require('../../src/services/cacheService');
+const pollService = require('../../src/services/pollService');
+const { createIo } = require('../shared/testHelpers');
+
+const POLL_ID = '507f1f77bcf86cd799439011';
+
+const createPollMessage = (pollOverrides = {}, overrides = {}) => ({
+  _id: POLL_ID,
+  author: 'alice',
+  channel: 'general',
+  type: 'poll',
+  text: 'Lunch?',
+  deletedAt: null,
+  poll: {
+    options: [{ text: 'pizza' }, { text: 'thai' }, { text: 'salad' }],
+    multiple: false,
+    anonymous: false,
+    closesAt: null,
+    closedAt: null,
+    votes: new Map(),
+    ...pollOverrides
+  },
+  ...overrides
+});
+
+describe('PollService', () => {
+  beforeEach(() => {
+    invalidateChannelMessagesCache.mockResolvedValue(true);
+    messageService.canView.mockResolvedValue(true);
+  });
+
+  describe('parseCommand', () => {
+    it('should read quoted arguments and flags', () => {
+      expect(pollService.parseCommand('"Where to eat?" pizza "thai food" --multiple --closes 2h')).toEqual({
+        question: 'Where to eat?',
+        options: ['pizza', 'thai food'],
+        multiple: true,
+        anonymous: false,
+        duration: 2 * 60 * 60 * 1000
+      });
+    });
+
+    it('should reject malformed durations', () => {
+      expect(() => pollService.parseCommand('"Q" a b --closes soon')).toThrow('Poll duration must look like 30m, 2h or 1d');
+    });
+  });
+
+  describe('buildPoll', () => {
+    const now = new Date('2024-01-01T10:00:00Z');
+
+    it('should store options and the close time', () => {
+      const { question, poll } = pollService.buildPoll({ question: ' Lunch? ', options: ['pizza', ' thai '], duration: 60 * 60 * 1000 }, now);
+
+      expect(question).toBe('Lunch?');
+      expect(poll).toEqual(expect.objectContaining({
+        options: [{ text: 'pizza' }, { text: 'thai' }],
+        multiple: false,
+        anonymous: false,
+        closesAt: new Date('2024-01-01T11:00:00Z')
+      }));
+    });
+
+    it('should validate options and duration', () => {
+      expect(() => pollService.buildPoll({ question: 'Q', options: ['only'] }, now))
+        .toThrow('A poll needs between 2 and 10 options');
+      expect(() => pollService.buildPoll({ question: 'Q', options: ['Yes', 'yes'] }, now))
+        .toThrow('Poll options must be different');
+      expect(() => pollService.buildPoll({ question: 'Q', options: ['a', 'b'], duration: 1000 }, now))
+        .toThrow('A poll can stay open between 1 minute and 30 days');
+      expect(() => pollService.buildPoll({ options: ['a', 'b'] }, now)).toThrow('A poll needs a question');
+    });
+  });
+
+  describe('formatPoll', () => {
+    const votes = new Map([
+      ['u1', { nickname: 'alice', options: [0] }],
+      ['u2', { nickname: 'bob', options: [0, 2] }]
+    ]);
+
+    it('should count votes and list voters', () => {
+      const formatted = pollService.formatPoll(createPollMessage({ votes, multiple: true }).poll, 'bob');
+
+      expect(formatted.options).toEqual([
+        { text: 'pizza', count: 2, voters: ['alice', 'bob'] },
+        { text: 'thai', count: 0, voters: [] },
+        { text: 'salad', count: 1, voters: ['bob'] }
+      ]);
+      expect(formatted).toEqual(expect.objectContaining({ totalVoters: 2, myVotes: [0, 2], closed: false }));
+    });
+
+    it('should not reveal voters of anonymous polls', () => {
+      const formatted = pollService.formatPoll(createPollMessage({ votes, anonymous: true }).poll);
+
+      expect(formatted.options[0]).toEqual({ text: 'pizza', count: 2, voters: undefined });
+      expect(formatted.myVotes).toBeUndefined();
+    });
+
+    it('should treat polls past their close time as closed', () => {
+      const poll = createPollMessage({ closesAt: new Date(Date.now() - 1000) }).poll;
+      expect(pollService.formatPoll(poll).closed).toBe(true);
+    });
+  });
+
+  describe('vote', () => {
+    const voter = { userId: 'u1', nickname: 'alice', role: 'member' };
+
+    it('should replace the voter\'s choice and broadcast the tallies', async () => {
+      Message.findById.mockResolvedValue(createPollMessage());
+      Message.findOneAndUpdate.mockResolvedValue(createPollMessage({
+        votes: new Map([['u1', { nickname: 'alice', options: [1] }]])
+      }));
+      const io = createIo();
+
+      const poll = await pollService.vote(POLL_ID, voter, [1], io);
+
+      expect(Message.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ 'poll.closedAt': null, deletedAt: null }),
+        { $set: { 'poll.votes.u1': { nickname: 'alice', options: [1], votedAt: expect.any(Date) } } },
+        { new: true }
+      );
+      expect(poll.myVotes).toEqual([1]);
+      expect(io.to).toHaveBeenCalledWith('general');
+      expect(io.emit).toHaveBeenCalledWith('poll_updated', expect.objectContaining({
+        id: POLL_ID,
+        room: 'general',
+        poll: expect.not.objectContaining({ myVotes: expect.anything() })
+      }));
+      expect(invalidateChannelMessagesCache).toHaveBeenCalledWith('general');
+    });
+
+    it('should withdraw the vote when no option is chosen', async () => {
+      Message.findById.mockResolvedValue(createPollMessage());
+      Message.findOneAndUpdate.mockResolvedValue(createPollMessage());
+
+      await pollService.vote(POLL_ID, voter, [], createIo());
+
+      expect(Message.findOneAndUpdate).toHaveBeenCalledWith(expect.any(Object), { $unset: { 'poll.votes.u1': '' } }, { new: true });
+    });
+
+    it('should allow one option in single choice polls', async () => {
+      Message.findById.mockResolvedValue(createPollMessage());
+
+      await expect(pollService.vote(POLL_ID, voter, [0, 1], createIo())).rejects.toThrow('This poll allows only one choice');
+      await expect(pollService.vote(POLL_ID, voter, [5], createIo())).rejects.toThrow('Invalid poll option');
+      expect(Message.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should reject votes once the poll is closed', async () => {
+      Message.findById.mockResolvedValue(createPollMessage());
+      Message.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(pollService.vote(POLL_ID, voter, [0], createIo())).rejects.toThrow('This poll is closed');
+    });
+
+    it('should only accept votes on polls', async () => {
+      Message.findById.mockResolvedValue(createPollMessage({}, { type: 'public' }));
+
+      await expect(pollService.vote(POLL_ID, voter, [0], createIo())).rejects.toThrow('Poll not found');
+    });
+
+    it('should hide polls in admin-only channels from members', async () => {
+      const message = createPollMessage({}, { channel: 'staff' });
+      Message.findById.mockResolvedValue(message);
+      messageService.canView.mockResolvedValue(false);
+
+      await expect(pollService.vote(POLL_ID, voter, [0], createIo())).rejects.toThrow('Poll not found');
+      expect(messageService.canView).toHaveBeenCalledWith(message, voter);
+      expect(Message.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('closePoll', () => {
+    it('should let only the author or a moderator close the poll', async () => {
+      Message.findById.mockResolvedValue(createPollMessage());
+      Message.findOneAndUpdate.mockResolvedValue(createPollMessage({ closedAt: new Date() }));
+
+      await expect(pollService.closePoll(POLL_ID, { nickname: 'bob', isModerator: false }, createIo()))
+        .rejects.toThrow('Only the author or a moderator can close this poll');
+
+      const poll = await pollService.closePoll(POLL_ID, { nickname: 'bob', isModerator: true }, createIo());
+      expect(poll.closed).toBe(true);
+      expect(Message.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: POLL_ID, 'poll.closedAt': null },
+        { $set: { 'poll.closedAt': expect.any(Date) } },
+        { new: true }
+      );
+    });
+
+    it('should not let moderators close polls in admin-only channels', async () => {
+      Message.findById.mockResolvedValue(createPollMessage({}, { channel: 'staff' }));
+      messageService.canView.mockResolvedValue(false);
+
+      await expect(pollService.closePoll(POLL_ID, { nickname: 'bob', role: 'moderator', isModerator: true }, createIo()))
+        .rejects.toThrow('Poll not found');
+      expect(Message.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+});
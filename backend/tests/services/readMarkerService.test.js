@@ -0,0 +1,117 @@
+jest.mock('../../src/models/Message', () => ({
+  findById: jest.fn(),
+  aggregate: jest.fn()
+}));
+jest.mock('../../src/models/ReadMarker', () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+jest.mock('../../src/models/Channel', () => ({
+  find: jest.fn(),
+  findOne: jest.fn()
+}));
+jest.mock('../../src/services/cacheService', () => ({
+  getCachedChannelMessages: jest.fn(),
+  cacheChannelMessages: jest.fn(),
+  getConnectionMetrics: jest.fn(),
+  invalidateChannelMessagesCache: jest.fn()
+}));
+
+const Message = require('../../src/models/Message');
+const ReadMarker = require('../../src/models/ReadMarker');
+const Channel = require('../../src/models/Channel');
+const readMarkerService = require('../../src/services/readMarkerService');
+const { createMessage } = require('../shared/testHelpers');
+
+const MESSAGE_ID = '507f1f77bcf86cd799439011';
+const USER_ID = '507f1f77bcf86cd799439099';
+const reader = { userId: USER_ID, nickname: 'bob', role: 'member' };
+
+const mockChannel = (permissions) => {
+  Channel.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue({ permissions }) });
+};
+
+describe('ReadMarkerService', () => {
+  describe('markRead', () => {
+    beforeEach(() => {
+      mockChannel({ read: 'everyone', write: 'everyone' });
+    });
+
+    it('should create or move the marker forward', async () => {
+      Message.findById.mockResolvedValue(createMessage());
+      ReadMarker.findOne.mockResolvedValue({ lastReadAt: new Date('2024-01-01T09:00:00Z') });
+      ReadMarker.findOneAndUpdate.mockResolvedValue({ channel: 'general' });
+
+      const result = await readMarkerService.markRead(reader, MESSAGE_ID);
+
+      expect(ReadMarker.findOneAndUpdate).toHaveBeenCalledWith(
+        { user: USER_ID, channel: 'general' },
+        {
+          $set: {
+            lastReadMessage: MESSAGE_ID,
+            lastReadAt: new Date('2024-01-01T10:00:00Z'),
+            updatedAt: expect.any(Date)
+          }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+      expect(result.updated).toBe(true);
+    });
+
+    it('should never move the marker backwards', async () => {
+      const marker = { lastReadAt: new Date('2024-01-02T00:00:00Z') };
+      Message.findById.mockResolvedValue(createMessage());
+      ReadMarker.findOne.mockResolvedValue(marker);
+
+      const result = await readMarkerService.markRead(reader, MESSAGE_ID);
+
+      expect(result).toEqual({ marker, updated: false });
+      expect(ReadMarker.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should reject thread replies and private messages of others', async () => {
+      Message.findById.mockResolvedValue(createMessage({ replyTo: '507f1f77bcf86cd799439012' }));
+      await expect(readMarkerService.markRead(reader, MESSAGE_ID)).rejects.toThrow('Message not found');
+
+      Message.findById.mockResolvedValue(createMessage({ type: 'private', target: 'carol' }));
+      await expect(readMarkerService.markRead(reader, MESSAGE_ID)).rejects.toThrow('Message not found');
+    });
+
+    it('should reject messages of admin-only channels', async () => {
+      Message.findById.mockResolvedValue(createMessage({ channel: 'staff' }));
+      mockChannel({ read: 'admin', write: 'admin' });
+
+      await expect(readMarkerService.markRead(reader, MESSAGE_ID)).rejects.toThrow('Message not found');
+      expect(ReadMarker.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getUnreadCounts', () => {
+    it('should count messages after each marker and default the rest to zero', async () => {
+      ReadMarker.find.mockResolvedValue([
+        { channel: 'general', lastReadAt: new Date('2024-01-01T10:00:00Z') }
+      ]);
+      Message.aggregate.mockResolvedValue([{ _id: 'general', unreadCount: 4, mentionCount: 1 }]);
+      const since = new Date('2023-12-01T00:00:00Z');
+
+      const counts = await readMarkerService.getUnreadCounts({ ...reader, since }, ['general', 'random']);
+
+      const match = Message.aggregate.mock.calls[0][0][0].$match;
+      expect(match.$or).toEqual([
+        { channel: 'general', timestamp: { $gt: new Date('2024-01-01T10:00:00Z') } },
+        { channel: 'random', timestamp: { $gt: since } }
+      ]);
+      expect(match.author).toEqual({ $ne: 'bob' });
+      expect(counts.get('general')).toEqual({ unreadCount: 4, mentionCount: 1 });
+      expect(counts.get('random')).toEqual({ unreadCount: 0, mentionCount: 0 });
+    });
+
+    it('should skip the query when there are no channels', async () => {
+      const counts = await readMarkerService.getUnreadCounts(reader, []);
+
+      expect(counts.size).toBe(0);
+      expect(ReadMarker.find).not.toHaveBeenCalled();
+    });
+  });
+});
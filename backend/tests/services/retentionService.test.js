@@ -0,0 +1,144 @@
+jest.mock('../../src/models/Channel', () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../../src/models/Message', () => ({
+  find: jest.fn(),
+  deleteMany: jest.fn()
+}));
+jest.mock('../../src/models/ArchivedMessage', () => ({
+  insertMany: jest.fn()
+}));
+jest.mock('../../src/services/attachmentService', () => ({
+  removeMessageAttachments: jest.fn()
+}));
+jest.mock('../../src/services/cacheService', () => ({
+  invalidateChannelMessagesCache: jest.fn()
+}));
+
+const Channel = require('../../src/models/Channel');
+const Message = require('../../src/models/Message');
+const ArchivedMessage = require('../../src/models/ArchivedMessage');
+const attachmentService = require('../../src/services/attachmentService');
+const { invalidateChannelMessagesCache } = require('../../src/services/cacheService');
+const retentionService = require('../../src/services/retentionService');
+const { createMessage } = require('../shared/testHelpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const mockMessages = (...batches) => {
+  batches.forEach(batch => {
+    Message.find.mockReturnValueOnce({
+      sort: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockReturnThis(),
+      lean: jest.fn().mockResolvedValue(batch)
+    });
+  });
+};
+
+describe('RetentionService', () => {
+  beforeEach(() => {
+    Channel.findOne.mockResolvedValue({ id: 'general', type: 'text' });
+    Channel.updateOne.mockResolvedValue({ modifiedCount: 0 });
+    Message.deleteMany.mockImplementation(async ({ _id }) => ({ deletedCount: _id.$in.length }));
+    ArchivedMessage.insertMany.mockResolvedValue([]);
+    invalidateChannelMessagesCache.mockResolvedValue(true);
+  });
+
+  describe('setPolicy', () => {
+    it('should store the window and action', async () => {
+      Channel.findOneAndUpdate.mockResolvedValue({ id: 'general', retention: { days: 30, action: 'delete', updatedBy: 'admin' } });
+
+      const policy = await retentionService.setPolicy('general', { days: 30, action: 'delete' }, 'admin');
+
+      expect(Channel.findOneAndUpdate).toHaveBeenCalledWith(
+        { id: 'general' },
+        { $set: { 'retention.days': 30, 'retention.action': 'delete', 'retention.updatedBy': 'admin' } },
+        { new: true }
+      );
+      expect(policy).toEqual(expect.objectContaining({ channel: 'general', days: 30, action: 'delete' }));
+    });
+
+    it('should reject windows outside the allowed range', async () => {
+      await expect(retentionService.setPolicy('general', { days: 0 }, 'admin'))
+        .rejects.toThrow('Retention must be between 1 and 3650 days');
+      await expect(retentionService.setPolicy('general', { days: 7, action: 'shred' }, 'admin'))
+        .rejects.toThrow('Retention action must be archive or delete');
+      expect(Channel.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should not apply to direct conversations', async () => {
+      Channel.findOne.mockResolvedValue(null);
+
+      await expect(retentionService.setPolicy('dm:1', { days: 7 }, 'admin')).rejects.toThrow('Channel not found');
+      expect(Channel.findOne).toHaveBeenCalledWith({ id: 'dm:1', type: { $ne: 'dm' } });
+    });
+  });
+
+  describe('expireMessages', () => {
+    it('should copy messages into the archive before deleting them', async () => {
+      const messages = [createMessage({ _id: 'm1' }), createMessage({ _id: 'm2' })];
+      mockMessages(messages);
+      const cutoff = new Date('2024-02-01T00:00:00Z');
+
+      const count = await retentionService.expireMessages('general', cutoff, 'archive');
+
+      expect(count).toBe(2);
+      expect(Message.find).toHaveBeenCalledWith({ channel: 'general', timestamp: { $lt: cutoff } });
+      expect(ArchivedMessage.insertMany).toHaveBeenCalledWith([
+        expect.objectContaining({ _id: 'm1', channel: 'general', message: messages[0] }),
+        expect.objectContaining({ _id: 'm2', channel: 'general', message: messages[1] })
+      ], { ordered: false });
+      expect(Message.deleteMany).toHaveBeenCalledWith({ _id: { $in: ['m1', 'm2'] } });
+      expect(invalidateChannelMessagesCache).toHaveBeenCalledWith('general');
+    });
+
+    it('should keep going after messages archived by an interrupted run', async () => {
+      mockMessages([createMessage({ _id: 'm1' })]);
+      ArchivedMessage.insertMany.mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+
+      await expect(retentionService.expireMessages('general', new Date(), 'archive')).resolves.toBe(1);
+      expect(Message.deleteMany).toHaveBeenCalled();
+    });
+
+    it('should delete attachments along with deleted messages', async () => {
+      mockMessages([createMessage({ _id: 'm1', attachments: [{ filename: 'a.png' }] }), createMessage({ _id: 'm2' })]);
+
+      await retentionService.expireMessages('general', new Date(), 'delete');
+
+      expect(ArchivedMessage.insertMany).not.toHaveBeenCalled();
+      expect(attachmentService.removeMessageAttachments).toHaveBeenCalledTimes(1);
+      expect(attachmentService.removeMessageAttachments).toHaveBeenCalledWith('m1');
+    });
+
+    it('should unpin expired messages', async () => {
+      mockMessages([createMessage({ _id: 'm1' })]);
+
+      await retentionService.expireMessages('general', new Date(), 'delete');
+
+      expect(Channel.updateOne).toHaveBeenCalledWith(
+        { id: 'general', 'pins.message': { $in: ['m1'] } },
+        { $pull: { pins: { message: { $in: ['m1'] } } } }
+      );
+    });
+  });
+
+  describe('enforcePolicies', () => {
+    it('should expire messages older than each channel window', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(new Date('2024-03-01T00:00:00Z').getTime());
+      Channel.find.mockResolvedValue([{ id: 'general', retention: { days: 30, action: 'archive' } }]);
+      mockMessages([createMessage({ _id: 'm1' })]);
+
+      const results = await retentionService.enforcePolicies();
+
+      expect(Message.find).toHaveBeenCalledWith({
+        channel: 'general',
+        timestamp: { $lt: new Date(new Date('2024-03-01T00:00:00Z').getTime() - 30 * DAY) }
+      });
+      expect(results).toEqual([{ channel: 'general', action: 'archive', count: 1 }]);
+      expect(Channel.updateOne).toHaveBeenCalledWith({ id: 'general' }, { $set: { 'retention.lastRunAt': expect.any(Date) } });
+    });
+  });
+});
@@ -0,0 +1,191 @@
+jest.mock('../../src/models/SavedMessage', () => ({
+  create: jest.fn(),
+  find: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  countDocuments: jest.fn(),
+  deleteOne: jest.fn()
+}));
+jest.mock('../../src/models/Message', () => ({
+  find: jest.fn(),
+  findById: jest.fn()
+}));
+jest.mock('../../src/models/User', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../../src/services/chatService', () => ({
+  formatMessage: jest.fn(),
+  getUserRoom: jest.fn()
+}));
+jest.mock('../../src/services/messageService', () => ({
+  getMessageById: jest.fn(),
+  canView: jest.fn(),
+  getUnreadableChannelIds: jest.fn()
+}));
+
+const SavedMessage = require('../../src/models/SavedMessage');
+const Message = require('../../src/models/Message');
+const User = require('../../src/models/User');
+const chatService = require('../../src/services/chatService');
+const messageService = require('../../src/services/messageService');
+const savedMessageService = require('../../src/services/savedMessageService');
+const { createMessage: createBaseMessage } = require('../shared/testHelpers');
+
+const USER_ID = '507f1f77bcf86cd799439001';
+const MESSAGE_ID = '507f1f77bcf86cd799439011';
+const SAVED_ID = '507f1f77bcf86cd799439021';
+
+const user = { _id: USER_ID, nickname: 'alice', role: 'user' };
+
+const createMessage = (overrides = {}) => createBaseMessage({ author: 'bob', text: 'release steps', ...overrides });
+
+const createSaved = (overrides = {}) => ({
+  _id: SAVED_ID,
+  user: USER_ID,
+  message: MESSAGE_ID,
+  channel: 'general',
+  note: '',
+  remindAt: null,
+  remindedAt: null,
+  save: jest.fn().mockResolvedValue(),
+  ...overrides
+});
+
+// Stands in for messageService.canView given the unreadable channels
+const canViewReadable = async (message, viewer, unreadableChannels) => !unreadableChannels.includes(message.channel);
+
+describe('SavedMessageService', () => {
+  beforeEach(() => {
+    chatService.formatMessage.mockImplementation(message => ({ id: message._id, text: message.text }));
+    chatService.getUserRoom.mockImplementation(nickname => `user:${nickname}`);
+    messageService.getMessageById.mockResolvedValue(createMessage());
+    messageService.canView.mockImplementation(canViewReadable);
+    messageService.getUnreadableChannelIds.mockResolvedValue(['staff']);
+    SavedMessage.countDocuments.mockResolvedValue(0);
+    SavedMessage.create.mockImplementation(async data => createSaved(data));
+  });
+
+  describe('saveMessage', () => {
+    it('should save a visible message with a note and reminder', async () => {
+      const remindAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+      const saved = await savedMessageService.saveMessage(user, { messageId: MESSAGE_ID, note: ' before Friday ', remindAt });
+
+      expect(SavedMessage.create).toHaveBeenCalledWith({
+        user: USER_ID,
+        message: MESSAGE_ID,
+        channel: 'general',
+        note: 'before Friday',
+        remindAt: new Date(remindAt)
+      });
+      expect(saved).toEqual(expect.objectContaining({
+        id: SAVED_ID,
+        messageId: MESSAGE_ID,
+        room: 'general',
+        note: 'before Friday',
+        message: { id: MESSAGE_ID, text: 'release steps' }
+      }));
+    });
+
+    it('should not save messages the user cannot see', async () => {
+      messageService.canView.mockResolvedValue(false);
+      await expect(savedMessageService.saveMessage(user, { messageId: MESSAGE_ID })).rejects.toThrow('Message not found');
+
+      messageService.canView.mockImplementation(canViewReadable);
+      messageService.getMessageById.mockResolvedValue(createMessage({ channel: 'staff' }));
+      await expect(savedMessageService.saveMessage(user, { messageId: MESSAGE_ID })).rejects.toThrow('Message not found');
+
+      expect(SavedMessage.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject a second save of the same message', async () => {
+      SavedMessage.create.mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+
+      await expect(savedMessageService.saveMessage(user, { messageId: MESSAGE_ID })).rejects.toThrow('Message already saved');
+    });
+
+    it('should reject reminders in the past', async () => {
+      await expect(savedMessageService.saveMessage(user, { messageId: MESSAGE_ID, remindAt: '2020-01-01T00:00:00Z' }))
+        .rejects.toThrow('Reminder time must be in the future');
+    });
+
+    it('should limit the number of saved messages', async () => {
+      SavedMessage.countDocuments.mockResolvedValue(500);
+
+      await expect(savedMessageService.saveMessage(user, { messageId: MESSAGE_ID })).rejects.toThrow('You can save at most 500 messages');
+    });
+  });
+
+  describe('listSaved', () => {
+    it('should keep items whose message is gone or hidden, without the message', async () => {
+      const goneId = '507f1f77bcf86cd799439012';
+      const hiddenId = '507f1f77bcf86cd799439013';
+      SavedMessage.find.mockReturnValue({
+        sort: jest.fn().mockResolvedValue([
+          createSaved(),
+          createSaved({ _id: 'saved-gone', message: goneId }),
+          createSaved({ _id: 'saved-hidden', message: hiddenId, channel: 'staff' })
+        ])
+      });
+      Message.find.mockResolvedValue([createMessage(), createMessage({ _id: hiddenId, channel: 'staff' })]);
+
+      const items = await savedMessageService.listSaved(user);
+
+      expect(SavedMessage.find).toHaveBeenCalledWith({ user: USER_ID });
+      expect(items.map(item => [item.messageId, item.message && item.message.text])).toEqual([
+        [MESSAGE_ID, 'release steps'],
+        [goneId, null],
+        [hiddenId, null]
+      ]);
+    });
+  });
+
+  describe('updateSaved', () => {
+    it('should arm a new reminder even after the old one fired', async () => {
+      const saved = createSaved({ remindedAt: new Date('2024-01-01T00:00:00Z') });
+      SavedMessage.findOne.mockResolvedValue(saved);
+      Message.findById.mockResolvedValue(createMessage());
+      const remindAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+      const updated = await savedMessageService.updateSaved(user, SAVED_ID, { remindAt });
+
+      expect(SavedMessage.findOne).toHaveBeenCalledWith({ _id: SAVED_ID, user: USER_ID });
+      expect(saved.save).toHaveBeenCalled();
+      expect(updated).toEqual(expect.objectContaining({ remindAt: new Date(remindAt), remindedAt: null }));
+    });
+
+    it('should only change the owner\'s items', async () => {
+      SavedMessage.findOne.mockResolvedValue(null);
+
+      await expect(savedMessageService.updateSaved(user, SAVED_ID, { note: 'x' })).rejects.toThrow('Saved message not found');
+      await expect(savedMessageService.removeSaved(user, 'not-an-id')).rejects.toThrow('Saved message not found');
+      expect(SavedMessage.deleteOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sendDueReminders', () => {
+    it('should claim due reminders and notify their owners', async () => {
+      const emit = jest.fn();
+      savedMessageService.io = { to: jest.fn(() => ({ emit })) };
+      SavedMessage.findOneAndUpdate
+        .mockResolvedValueOnce(createSaved({ note: 'check this' }))
+        .mockResolvedValueOnce(null);
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ _id: USER_ID, nickname: 'alice2', role: 'user' }) });
+      Message.findById.mockResolvedValue(createMessage());
+      const now = new Date('2024-01-01T10:00:00Z');
+
+      const sent = await savedMessageService.sendDueReminders(now);
+
+      expect(sent).toBe(1);
+      expect(SavedMessage.findOneAndUpdate).toHaveBeenCalledWith(
+        { remindedAt: null, remindAt: { $ne: null, $lte: now } },
+        { $set: { remindedAt: now } },
+        { new: true, sort: { remindAt: 1 } }
+      );
+      expect(savedMessageService.io.to).toHaveBeenCalledWith('user:alice2');
+      expect(emit).toHaveBeenCalledWith('saved_reminder', expect.objectContaining({ note: 'check this', room: 'general' }));
+
+      savedMessageService.io = null;
+    });
+  });
+});
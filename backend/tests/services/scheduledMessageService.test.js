@@ -0,0 +1,222 @@
+jest.mock('../../src/models/ScheduledMessage', () => ({
+  create: jest.fn(),
+  countDocuments: jest.fn(),
+  find: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../../src/models/Channel', () => ({
+  findOne: jest.fn()
+}));
+jest.mock('../../src/models/User', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../../src/services/chatService', () => ({
+  saveMessage: jest.fn(),
+  formatMessage: jest.fn(),
+  notifyMentions: jest.fn(),
+  getUserRoom: jest.fn()
+}));
+jest.mock('../../src/services/mentionService', () => ({
+  resolveMentions: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const ScheduledMessage = require('../../src/models/ScheduledMessage');
+const Channel = require('../../src/models/Channel');
+const User = require('../../src/models/User');
+const chatService = require('../../src/services/chatService');
+const mentionService = require('../../src/services/mentionService');
+const scheduledMessageService = require('../../src/services/scheduledMessageService');
+const { createUser: createBaseUser, createIo, mockSelect } = require('../shared/testHelpers');
+
+const USER_ID = new mongoose.Types.ObjectId();
+const SCHEDULED_ID = new mongoose.Types.ObjectId();
+const MESSAGE_ID = new mongoose.Types.ObjectId();
+const HOUR = 60 * 60 * 1000;
+
+const createUser = (overrides = {}) => createBaseUser({ _id: USER_ID, ...overrides });
+
+const createScheduled = (overrides = {}) => ({
+  _id: SCHEDULED_ID,
+  user: USER_ID,
+  author: 'alice',
+  channel: 'general',
+  text: 'Standup in 5 minutes',
+  sendAt: new Date(Date.now() - 1000),
+  status: 'sending',
+  messageId: MESSAGE_ID,
+  lockedAt: new Date(),
+  lockedBy: scheduledMessageService.instanceId,
+  attempts: 1,
+  ...overrides
+});
+
+describe('ScheduledMessageService', () => {
+  beforeEach(() => {
+    Channel.findOne.mockReturnValue(mockSelect({ type: 'text', permissions: { read: 'everyone', write: 'everyone' } }));
+    chatService.formatMessage.mockImplementation(message => ({ id: message._id.toString(), text: message.text, mentions: [] }));
+    chatService.getUserRoom.mockImplementation(nickname => `user:${nickname}`);
+    mentionService.resolveMentions.mockResolvedValue([]);
+    ScheduledMessage.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    scheduledMessageService.io = null;
+  });
+
+  describe('createScheduledMessage', () => {
+    it('should store a pending message for the future', async () => {
+      const sendAt = new Date(Date.now() + HOUR);
+      ScheduledMessage.countDocuments.mockResolvedValue(0);
+      ScheduledMessage.create.mockImplementation(async data => ({ _id: SCHEDULED_ID, status: 'pending', messageId: MESSAGE_ID, ...data }));
+
+      const scheduled = await scheduledMessageService.createScheduledMessage(createUser(), {
+        channel: 'general',
+        text: '  Standup in 5 minutes  ',
+        sendAt: sendAt.toISOString()
+      });
+
+      expect(ScheduledMessage.create).toHaveBeenCalledWith({
+        user: USER_ID,
+        author: 'alice',
+        channel: 'general',
+        text: 'Standup in 5 minutes',
+        sendAt
+      });
+      expect(scheduled).toMatchObject({ id: SCHEDULED_ID.toString(), status: 'pending', messageId: null });
+    });
+
+    it('should reject send times in the past', async () => {
+      await expect(scheduledMessageService.createScheduledMessage(createUser(), {
+        channel: 'general',
+        text: 'Too late',
+        sendAt: new Date(Date.now() - HOUR).toISOString()
+      })).rejects.toThrow('Send time must be in the future');
+      expect(ScheduledMessage.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject channels the user cannot post to', async () => {
+      Channel.findOne.mockReturnValue(mockSelect({ type: 'text', permissions: { read: 'everyone', write: 'admin' } }));
+
+      await expect(scheduledMessageService.createScheduledMessage(createUser(), {
+        channel: 'announcements',
+        text: 'Hello',
+        sendAt: new Date(Date.now() + HOUR).toISOString()
+      })).rejects.toThrow('You cannot post to this channel');
+    });
+
+    it('should enforce the pending limit per user', async () => {
+      ScheduledMessage.countDocuments.mockResolvedValue(50);
+
+      await expect(scheduledMessageService.createScheduledMessage(createUser(), {
+        channel: 'general',
+        text: 'One more',
+        sendAt: new Date(Date.now() + HOUR).toISOString()
+      })).rejects.toThrow('You can have at most 50 scheduled messages');
+    });
+  });
+
+  describe('updateScheduledMessage', () => {
+    it('should only update messages that are still pending', async () => {
+      ScheduledMessage.findOneAndUpdate.mockResolvedValue(null);
+      ScheduledMessage.findOne.mockReturnValue(mockSelect({ status: 'sent' }));
+
+      await expect(scheduledMessageService.updateScheduledMessage(createUser(), SCHEDULED_ID.toString(), { text: 'Edited' }))
+        .rejects.toThrow('Only pending messages can be changed');
+      expect(ScheduledMessage.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: SCHEDULED_ID.toString(), user: USER_ID, status: { $in: ['pending'] } },
+        { $set: { text: 'Edited', updatedAt: expect.any(Date) } },
+        { new: true }
+      );
+    });
+  });
+
+  describe('cancelScheduledMessage', () => {
+    it('should not find messages of other users', async () => {
+      ScheduledMessage.findOneAndUpdate.mockResolvedValue(null);
+      ScheduledMessage.findOne.mockReturnValue(mockSelect(null));
+
+      await expect(scheduledMessageService.cancelScheduledMessage(createUser(), SCHEDULED_ID.toString()))
+        .rejects.toThrow('Scheduled message not found');
+    });
+  });
+
+  describe('processDueMessages', () => {
+    it('should claim due messages atomically and post them with the reserved id', async () => {
+      const io = createIo();
+      scheduledMessageService.io = io;
+      ScheduledMessage.findOneAndUpdate
+        .mockResolvedValueOnce(createScheduled())
+        .mockResolvedValueOnce(null);
+      User.findById.mockReturnValue(mockSelect(createUser()));
+      chatService.saveMessage.mockImplementation(async data => ({ ...data }));
+
+      const handled = await scheduledMessageService.processDueMessages();
+
+      expect(handled).toBe(1);
+      expect(ScheduledMessage.findOneAndUpdate).toHaveBeenCalledWith(
+        {
+          sendAt: { $lte: expect.any(Date) },
+          $or: [
+            { status: 'pending' },
+            { status: 'sending', lockedAt: { $lte: expect.any(Date) } }
+          ]
+        },
+        {
+          $set: { status: 'sending', lockedAt: expect.any(Date), lockedBy: scheduledMessageService.instanceId },
+          $inc: { attempts: 1 }
+        },
+        { sort: { sendAt: 1 }, new: true }
+      );
+      expect(chatService.saveMessage).toHaveBeenCalledWith(expect.objectContaining({
+        _id: MESSAGE_ID,
+        author: 'alice',
+        channel: 'general',
+        type: 'public'
+      }));
+      expect(io.to).toHaveBeenCalledWith('general');
+      expect(io.emit).toHaveBeenCalledWith('message', expect.objectContaining({ id: MESSAGE_ID.toString() }));
+      expect(ScheduledMessage.updateOne).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: SCHEDULED_ID, status: 'sending', lockedBy: scheduledMessageService.instanceId }),
+        { $set: expect.objectContaining({ status: 'sent', lockedAt: null, lockedBy: null }) }
+      );
+      expect(io.emit).toHaveBeenCalledWith('scheduled_messages_updated', { id: SCHEDULED_ID.toString(), status: 'sent' });
+    });
+
+    it('should not post again when a retried delivery finds the message already saved', async () => {
+      const io = createIo();
+      scheduledMessageService.io = io;
+      User.findById.mockReturnValue(mockSelect(createUser()));
+      chatService.saveMessage.mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+      await scheduledMessageService.deliver(createScheduled({ attempts: 2 }));
+
+      expect(io.emit).not.toHaveBeenCalledWith('message', expect.anything());
+      expect(ScheduledMessage.updateOne).toHaveBeenCalledWith(
+        expect.any(Object),
+        { $set: expect.objectContaining({ status: 'sent' }) }
+      );
+    });
+
+    it('should mark the message failed when the author was muted meanwhile', async () => {
+      User.findById.mockReturnValue(mockSelect(createUser({ isMuted: () => true })));
+
+      await scheduledMessageService.deliver(createScheduled());
+
+      expect(chatService.saveMessage).not.toHaveBeenCalled();
+      expect(ScheduledMessage.updateOne).toHaveBeenCalledWith(
+        expect.any(Object),
+        { $set: expect.objectContaining({ status: 'failed', error: 'You are muted and cannot send messages' }) }
+      );
+    });
+
+    it('should give up on messages whose delivery keeps getting interrupted', async () => {
+      await scheduledMessageService.deliver(createScheduled({ attempts: 4 }));
+
+      expect(User.findById).not.toHaveBeenCalled();
+      expect(ScheduledMessage.updateOne).toHaveBeenCalledWith(
+        expect.any(Object),
+        { $set: expect.objectContaining({ status: 'failed', error: 'Delivery was interrupted too many times' }) }
+      );
+    });
+  });
+});
@@ -0,0 +1,337 @@
+jest.mock('../../src/models/User', () => ({}));
+jest.mock('../../src/services/chatService', () => ({
+  getUserRoom: jest.fn(),
+  sendPublicMessage: jest.fn(),
+  joinChannel: jest.fn(),
+  getOnlineUsers: jest.fn()
+}));
+jest.mock('../../src/services/channelService', () => ({}));
+jest.mock('../../src/services/messageService', () => ({
+  editMessage: jest.fn(),
+  deleteMessage: jest.fn(),
+  addReaction: jest.fn(),
+  removeReaction: jest.fn(),
+  getThread: jest.fn()
+}));
+jest.mock('../../src/services/readMarkerService', () => ({
+  markRead: jest.fn()
+}));
+jest.mock('../../src/services/typingService', () => ({
+  startTyping: jest.fn(),
+  stopTyping: jest.fn()
+}));
+jest.mock('../../src/services/pinService', () => ({
+  pinMessage: jest.fn()
+}));
+jest.mock('../../src/services/pollService', () => ({
+  vote: jest.fn(),
+  closePoll: jest.fn()
+}));
+jest.mock('../../src/services/commandService', () => ({}));
+jest.mock('../../src/services/directMessageService', () => ({
+  getConversationIds: jest.fn()
+}));
+
+const chatService = require('../../src/services/chatService');
+const messageService = require('../../src/services/messageService');
+const readMarkerService = require('../../src/services/readMarkerService');
+const pinService = require('../../src/services/pinService');
+const pollService = require('../../src/services/pollService');
+const directMessageService = require('../../src/services/directMessageService');
+const SocketService = require('../../src/services/socketService');
+const { TEST_MESSAGE_ID, TEST_USER_ID, createIo } = require('../shared/testHelpers');
+
+// Client socket of a connected user; trigger() runs the handler the service registered for an event
+const createSocket = (overrides = {}) => {
+  const handlers = {};
+  return {
+    id: 'socket-1',
+    userId: TEST_USER_ID,
+    nickname: 'alice',
+    role: 'member',
+    room: 'general',
+    connected: true,
+    emit: jest.fn(),
+    join: jest.fn(),
+    on: jest.fn((event, handler) => {
+      handlers[event] = handler;
+    }),
+    trigger: (event, ...args) => handlers[event](...args),
+    ...overrides
+  };
+};
+
+describe('SocketService', () => {
+  let io;
+
+  const connect = (overrides) => {
+    const socket = createSocket(overrides);
+    const [, onConnection] = io.on.mock.calls.find(([event]) => event === 'connection');
+    onConnection(socket);
+    return socket;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    io = { ...createIo(), on: jest.fn() };
+    chatService.getUserRoom.mockImplementation(nickname => `user:${nickname}`);
+    directMessageService.getConversationIds.mockResolvedValue(['dm:1']);
+    new SocketService(io);
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  describe('connection', () => {
+    it('should join the personal room and the direct conversations of the user', async () => {
+      const socket = connect();
+      await Promise.resolve();
+
+      expect(socket.join).toHaveBeenCalledWith('user:alice');
+      expect(directMessageService.getConversationIds).toHaveBeenCalledWith('alice');
+      expect(socket.join).toHaveBeenCalledWith(['dm:1']);
+      expect(socket.emit).not.toHaveBeenCalledWith('nickname_changed', expect.anything());
+    });
+
+    it('should tell clients about a nickname change made in another session', () => {
+      const socket = connect({ nickname: 'alicia', previousNickname: 'alice' });
+
+      expect(socket.join).toHaveBeenCalledWith('user:alicia');
+      expect(socket.emit).toHaveBeenCalledWith('nickname_changed', { nickname: 'alicia', previousNickname: 'alice' });
+    });
+  });
+
+  describe('message', () => {
+    it('should refuse messages before a channel is joined', async () => {
+      const socket = connect({ room: null });
+      const ack = jest.fn();
+
+      await socket.trigger('message', { text: 'hello' }, ack);
+
+      expect(ack).toHaveBeenCalledWith({ ok: false, error: 'Join a channel first' });
+      expect(chatService.sendPublicMessage).not.toHaveBeenCalled();
+    });
+
+    it('should not post outbox messages to another channel', async () => {
+      const socket = connect();
+      const ack = jest.fn();
+
+      await socket.trigger('message', { text: 'hello', room: 'random' }, ack);
+
+      expect(ack).toHaveBeenCalledWith({ ok: false, error: 'You are no longer in this channel' });
+      expect(chatService.sendPublicMessage).not.toHaveBeenCalled();
+    });
+
+    it('should pass the code of a content filter rejection on', async () => {
+      const socket = connect();
+      const ack = jest.fn();
+      chatService.sendPublicMessage.mockRejectedValue(
+        Object.assign(new Error('Invite links are not allowed here'), { code: 'CONTENT_INVITE_BLOCKED' })
+      );
+
+      await socket.trigger('message', { text: 'discord.gg/abc' }, ack);
+
+      expect(ack).toHaveBeenCalledWith({
+        ok: false,
+        error: 'Invite links are not allowed here',
+        code: 'CONTENT_INVITE_BLOCKED'
+      });
+    });
+
+    it('should tell clients without an acknowledgement about held messages', async () => {
+      const socket = connect();
+      const receipt = { held: true, id: 'held-1', room: 'general', clientId: 'c-1' };
+      chatService.sendPublicMessage.mockResolvedValue(receipt);
+
+      await socket.trigger('message', { text: 'discord.gg/abc' });
+
+      expect(socket.emit).toHaveBeenCalledWith('message_held', receipt);
+    });
+  });
+
+  describe('message actions', () => {
+    it.each([
+      'edit_message',
+      'delete_message',
+      'get_thread',
+      'mark_read'
+    ])('should require a message id for %s', async (event) => {
+      const socket = connect();
+
+      await socket.trigger(event, {});
+
+      expect(socket.emit).toHaveBeenCalledWith('error', expect.objectContaining({ code: 'MISSING_MESSAGE_ID' }));
+    });
+
+    it('should edit as the user', async () => {
+      const socket = connect();
+      messageService.editMessage.mockResolvedValue({});
+
+      await socket.trigger('edit_message', { messageId: TEST_MESSAGE_ID, text: 'hello world' });
+
+      expect(messageService.editMessage).toHaveBeenCalledWith(TEST_MESSAGE_ID, 'alice', 'hello world', io);
+    });
+
+    it('should report edits the service refuses', async () => {
+      const socket = connect();
+      messageService.editMessage.mockRejectedValue(new Error('You can only edit your own messages'));
+
+      await socket.trigger('edit_message', { messageId: TEST_MESSAGE_ID, text: 'hello world' });
+
+      expect(socket.emit).toHaveBeenCalledWith('error', expect.objectContaining({
+        message: 'You can only edit your own messages',
+        code: 'EDIT_MESSAGE_FAILED'
+      }));
+    });
+
+    it('should pass the code of a content filter rejection of an edit on', async () => {
+      const socket = connect();
+      messageService.editMessage.mockRejectedValue(
+        Object.assign(new Error('Invite links are not allowed here'), { code: 'CONTENT_INVITE_BLOCKED' })
+      );
+
+      await socket.trigger('edit_message', { messageId: TEST_MESSAGE_ID, text: 'discord.gg/abc' });
+
+      expect(socket.emit).toHaveBeenCalledWith('error', expect.objectContaining({ code: 'CONTENT_INVITE_BLOCKED' }));
+    });
+
+    it('should delete with the role of the user', async () => {
+      const socket = connect({ role: 'moderator' });
+      messageService.deleteMessage.mockResolvedValue({});
+
+      await socket.trigger('delete_message', { messageId: TEST_MESSAGE_ID });
+
+      expect(messageService.deleteMessage).toHaveBeenCalledWith(
+        TEST_MESSAGE_ID,
+        { nickname: 'alice', role: 'moderator', isModerator: true },
+        io
+      );
+    });
+
+    it('should require an emoji for reactions', async () => {
+      const socket = connect();
+
+      await socket.trigger('add_reaction', { messageId: TEST_MESSAGE_ID });
+
+      expect(socket.emit).toHaveBeenCalledWith('error', expect.objectContaining({ code: 'INVALID_REACTION' }));
+      expect(messageService.addReaction).not.toHaveBeenCalled();
+    });
+
+    it('should react as the user', async () => {
+      const socket = connect({ role: 'admin' });
+      messageService.addReaction.mockResolvedValue({});
+
+      await socket.trigger('add_reaction', { messageId: TEST_MESSAGE_ID, emoji: '👍' });
+
+      expect(messageService.addReaction).toHaveBeenCalledWith(TEST_MESSAGE_ID, { nickname: 'alice', role: 'admin' }, '👍', io);
+    });
+
+    it('should load threads as the user', async () => {
+      const socket = connect({ role: 'admin' });
+      messageService.getThread.mockResolvedValue({ root: {}, replies: [] });
+
+      await socket.trigger('get_thread', { messageId: TEST_MESSAGE_ID });
+
+      expect(messageService.getThread).toHaveBeenCalledWith(TEST_MESSAGE_ID, { nickname: 'alice', role: 'admin' });
+      expect(socket.emit).toHaveBeenCalledWith('thread', { root: {}, replies: [] });
+    });
+  });
+
+  describe('pins', () => {
+    it('should pin with the role of the user', async () => {
+      const socket = connect({ role: 'moderator' });
+      pinService.pinMessage.mockResolvedValue([]);
+
+      await socket.trigger('pin_message', { messageId: TEST_MESSAGE_ID });
+
+      expect(pinService.pinMessage).toHaveBeenCalledWith(
+        TEST_MESSAGE_ID,
+        { nickname: 'alice', role: 'moderator', isModerator: true },
+        io
+      );
+    });
+  });
+
+  describe('polls', () => {
+    it('should vote with the role of the user', async () => {
+      const socket = connect({ role: 'admin' });
+      const ack = jest.fn();
+      pollService.vote.mockResolvedValue({ totalVoters: 1 });
+
+      await socket.trigger('poll_vote', { messageId: TEST_MESSAGE_ID, options: [0] }, ack);
+
+      expect(pollService.vote).toHaveBeenCalledWith(
+        TEST_MESSAGE_ID,
+        { userId: TEST_USER_ID, nickname: 'alice', role: 'admin' },
+        [0],
+        io
+      );
+      expect(ack).toHaveBeenCalledWith({ ok: true, poll: { totalVoters: 1 } });
+    });
+
+    it('should close with the role of the user', async () => {
+      const socket = connect({ role: 'moderator' });
+      const ack = jest.fn();
+      pollService.closePoll.mockRejectedValue(new Error('Poll not found'));
+
+      await socket.trigger('poll_close', { messageId: TEST_MESSAGE_ID }, ack);
+
+      expect(pollService.closePoll).toHaveBeenCalledWith(
+        TEST_MESSAGE_ID,
+        { nickname: 'alice', role: 'moderator', isModerator: true },
+        io
+      );
+      expect(ack).toHaveBeenCalledWith({ ok: false, error: 'Poll not found' });
+    });
+  });
+
+  describe('mark_read', () => {
+    const marker = {
+      channel: 'general',
+      lastReadMessage: TEST_MESSAGE_ID,
+      lastReadAt: new Date('2024-01-01T10:00:00Z')
+    };
+
+    it('should sync a moved marker to the other connections of the user', async () => {
+      const socket = connect();
+      readMarkerService.markRead.mockResolvedValue({ marker, updated: true });
+
+      await socket.trigger('mark_read', { messageId: TEST_MESSAGE_ID });
+
+      expect(readMarkerService.markRead).toHaveBeenCalledWith(
+        { userId: TEST_USER_ID, nickname: 'alice', role: 'member' },
+        TEST_MESSAGE_ID
+      );
+      expect(io.to).toHaveBeenCalledWith('user:alice');
+      expect(io.emit).toHaveBeenCalledWith('read_marker', {
+        room: 'general',
+        messageId: TEST_MESSAGE_ID,
+        lastReadAt: marker.lastReadAt
+      });
+    });
+
+    it('should stay quiet when the marker did not move', async () => {
+      const socket = connect();
+      readMarkerService.markRead.mockResolvedValue({ marker, updated: false });
+
+      await socket.trigger('mark_read', { messageId: TEST_MESSAGE_ID });
+
+      expect(io.emit).not.toHaveBeenCalled();
+    });
+
+    it('should report messages the user cannot read', async () => {
+      const socket = connect();
+      readMarkerService.markRead.mockRejectedValue(new Error('Message not found'));
+
+      await socket.trigger('mark_read', { messageId: TEST_MESSAGE_ID });
+
+      expect(socket.emit).toHaveBeenCalledWith('error', expect.objectContaining({
+        message: 'Message not found',
+        code: 'MARK_READ_FAILED'
+      }));
+    });
+  });
+});
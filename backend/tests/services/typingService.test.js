@@ -0,0 +1,72 @@
+const typingService = require('../../src/services/typingService');
+const { createIo } = require('../shared/testHelpers');
+
+describe('TypingService', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    typingService.reset();
+    jest.useRealTimers();
+  });
+
+  it('should coalesce typing updates into one debounced broadcast', () => {
+    const io = createIo();
+
+    typingService.startTyping(io, 'general', 'alice');
+    typingService.startTyping(io, 'general', 'bob');
+    expect(io.emit).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(300);
+
+    expect(io.to).toHaveBeenCalledWith('general');
+    expect(io.emit).toHaveBeenCalledTimes(1);
+    expect(io.emit).toHaveBeenCalledWith('typing', { room: 'general', users: ['alice', 'bob'] });
+  });
+
+  it('should not rebroadcast when a user keeps typing', () => {
+    const io = createIo();
+
+    typingService.startTyping(io, 'general', 'alice');
+    jest.advanceTimersByTime(300);
+    typingService.startTyping(io, 'general', 'alice');
+    jest.advanceTimersByTime(300);
+
+    expect(io.emit).toHaveBeenCalledTimes(1);
+  });
+
+  it('should broadcast when a user stops typing', () => {
+    const io = createIo();
+
+    typingService.startTyping(io, 'general', 'alice');
+    jest.advanceTimersByTime(300);
+    typingService.stopTyping(io, 'general', 'alice');
+    jest.advanceTimersByTime(300);
+
+    expect(io.emit).toHaveBeenLastCalledWith('typing', { room: 'general', users: [] });
+    expect(typingService.getTypingUsers('general')).toEqual([]);
+  });
+
+  it('should expire users who stop sending typing events', () => {
+    const io = createIo();
+
+    typingService.startTyping(io, 'general', 'alice');
+    jest.advanceTimersByTime(5000);
+    typingService.startTyping(io, 'general', 'alice');
+    jest.advanceTimersByTime(5000);
+    expect(typingService.getTypingUsers('general')).toEqual(['alice']);
+
+    jest.advanceTimersByTime(1500);
+    expect(typingService.getTypingUsers('general')).toEqual([]);
+  });
+
+  it('should ignore stops for users who are not typing', () => {
+    const io = createIo();
+
+    typingService.stopTyping(io, 'general', 'ghost');
+    jest.advanceTimersByTime(300);
+
+    expect(io.emit).not.toHaveBeenCalled();
+  });
+});
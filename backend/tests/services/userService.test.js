@@ -0,0 +1,127 @@
+jest.mock('../../src/models/User', () => ({
+  findById: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../../src/models/Message', () => ({
+  updateMany: jest.fn()
+}));
+jest.mock('../../src/models/Channel', () => ({
+  find: jest.fn(),
+  updateOne: jest.fn(),
+  updateMany: jest.fn()
+}));
+jest.mock('../../src/models/ScheduledMessage', () => ({
+  updateMany: jest.fn()
+}));
+jest.mock('../../src/models/HeldMessage', () => ({
+  updateMany: jest.fn()
+}));
+jest.mock('../../src/services/cacheService', () => ({
+  cacheUser: jest.fn(),
+  getCachedUser: jest.fn(),
+  invalidateUserCache: jest.fn(),
+  cacheUserActivity: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const User = require('../../src/models/User');
+const Message = require('../../src/models/Message');
+const Channel = require('../../src/models/Channel');
+const HeldMessage = require('../../src/models/HeldMessage');
+const { invalidateUserCache } = require('../../src/services/cacheService');
+const userService = require('../../src/services/userService');
+
+const USER_ID = '507f1f77bcf86cd799439031';
+
+// Update of Message.updateMany whose filter matches
+const findMessageUpdate = (predicate) => Message.updateMany.mock.calls.find(([filter]) => predicate(filter));
+
+describe('UserService', () => {
+  describe('changeNickname', () => {
+    let session;
+
+    beforeEach(() => {
+      session = { withTransaction: jest.fn(work => work()), endSession: jest.fn() };
+      jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+      User.findById.mockResolvedValue({ _id: USER_ID, nickname: 'alice' });
+      User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+      invalidateUserCache.mockResolvedValue(true);
+      Channel.find.mockResolvedValue([]);
+    });
+
+    it('should move poll votes to the new nickname', async () => {
+      await userService.changeNickname(USER_ID, 'alicia');
+
+      const [, update] = findMessageUpdate(filter => `poll.votes.${USER_ID}` in filter);
+      expect(update).toEqual({ $set: { [`poll.votes.${USER_ID}.nickname`]: 'alicia' } });
+    });
+
+    it('should rename the user in the reaction lists of messages they reacted to', async () => {
+      await userService.changeNickname(USER_ID, 'alicia');
+
+      const [, pipeline, options] = findMessageUpdate(filter => filter.reactedBy === 'alice');
+      const rename = { $cond: [{ $eq: ['$$nickname', 'alice'] }, { $literal: 'alicia' }, '$$nickname'] };
+      expect(pipeline[0].$set.reactions.$arrayToObject.$map.in.v.$map.in).toEqual(rename);
+      expect(pipeline[0].$set.reactedBy.$map).toEqual({ input: '$reactedBy', as: 'nickname', in: rename });
+      expect(options).toEqual({ session });
+    });
+
+    it('should rename every record in one transaction', async () => {
+      await userService.changeNickname(USER_ID, 'alicia');
+
+      expect(session.withTransaction).toHaveBeenCalledTimes(1);
+      expect(User.updateOne).toHaveBeenCalledWith({ _id: USER_ID }, { $set: { nickname: 'alicia' } }, { session });
+      for (const [, , options] of Message.updateMany.mock.calls) {
+        expect(options).toEqual(expect.objectContaining({ session }));
+      }
+      expect(session.endSession).toHaveBeenCalled();
+    });
+
+    it('should rename without a transaction where the server has none', async () => {
+      session.withTransaction.mockRejectedValue(Object.assign(new Error('Transaction numbers are only allowed on a replica set member or mongos'), { code: 20 }));
+
+      const { user } = await userService.changeNickname(USER_ID, 'alicia');
+
+      expect(user.nickname).toBe('alicia');
+      expect(User.updateOne).toHaveBeenCalledWith({ _id: USER_ID }, { $set: { nickname: 'alicia' } }, { session: null });
+      expect(session.endSession).toHaveBeenCalled();
+    });
+
+    it('should update mentions, deletions, pins and held messages', async () => {
+      await userService.changeNickname(USER_ID, 'alicia');
+
+      expect(Message.updateMany).toHaveBeenCalledWith(
+        { 'mentions.user': USER_ID },
+        { $set: { 'mentions.$[mention].nickname': 'alicia' } },
+        { arrayFilters: [{ 'mention.user': USER_ID }], session }
+      );
+      expect(Message.updateMany).toHaveBeenCalledWith({ deletedBy: 'alice' }, { $set: { deletedBy: 'alicia' } }, { session });
+      expect(Channel.updateMany).toHaveBeenCalledWith(
+        { 'pins.pinnedBy': 'alice' },
+        { $set: { 'pins.$[pin].pinnedBy': 'alicia' } },
+        { arrayFilters: [{ 'pin.pinnedBy': 'alice' }], session }
+      );
+      expect(HeldMessage.updateMany).toHaveBeenCalledWith({ author: 'alice' }, { $set: { author: 'alicia' } }, { session });
+    });
+
+    it('should rekey one-to-one conversations', async () => {
+      Channel.find.mockResolvedValue([{ _id: 'dm-1', members: ['bob', 'alicia'] }]);
+
+      await userService.changeNickname(USER_ID, 'alicia');
+
+      expect(Channel.updateMany).toHaveBeenCalledWith(
+        { type: 'dm', members: 'alice' },
+        { $set: { 'members.$': 'alicia' } },
+        { session }
+      );
+      expect(Channel.updateOne).toHaveBeenCalledWith({ _id: 'dm-1' }, { $set: { memberKey: '["alicia","bob"]' } }, { session });
+    });
+
+    it('should not touch any records when the nickname is taken', async () => {
+      User.updateOne.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+      await expect(userService.changeNickname(USER_ID, 'bob')).rejects.toThrow('Nickname already taken');
+      expect(Message.updateMany).not.toHaveBeenCalled();
+    });
+  });
+});
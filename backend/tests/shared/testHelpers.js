@@ -2,8 +2,11 @@
 
 const request = require('supertest');
 const jwt = require('jsonwebtoken');
-const User = require('../../models/User');
-const Channel = require('../../models/Channel');
+const express = require('express');
+
+// Models are loaded on first use, so unit tests that mock them can import the factories below
+const getUserModel = () => require('../../models/User');
+const getChannelModel = () => require('../../models/Channel');
 
 // User test helpers
 class UserTestHelper {
@@ -19,6 +22,7 @@ class UserTestHelper {
     };
 
     const finalData = { ...defaultData, ...userData };
+    const User = getUserModel();
     const user = new User(finalData);
 
     try {
@@ -56,7 +60,7 @@ class UserTestHelper {
   async cleanup() {
     for (const user of this.createdUsers) {
       try {
-        await User.findByIdAndDelete(user._id);
+        await getUserModel().findByIdAndDelete(user._id);
       } catch (error) {
         console.warn(`Failed to cleanup test user ${user._id}:`, error.message);
       }
@@ -79,6 +83,7 @@ class ChannelTestHelper {
     };
 
     const finalData = { ...defaultData, ...channelData };
+    const Channel = getChannelModel();
     const channel = new Channel(finalData);
 
     try {
@@ -107,7 +112,7 @@ class ChannelTestHelper {
   async cleanup() {
     for (const channel of this.createdChannels) {
       try {
-        await Channel.findByIdAndDelete(channel._id);
+        await getChannelModel().findByIdAndDelete(channel._id);
       } catch (error) {
         console.warn(`Failed to cleanup test channel ${channel._id}:`, error.message);
       }
@@ -368,7 +373,92 @@ const assertHelpers = {
   }
 };
 
+// Factories for unit tests that mock models and services
+
+const TEST_MESSAGE_ID = '507f1f77bcf86cd799439011';
+const TEST_USER_ID = '507f1f77bcf86cd799439099';
+
+/**
+ * Socket.IO server double. io.to() returns the same room, which can be chained
+ * with more .to() calls; every emit lands in io.emit.
+ * @param {Array} sockets - Returned by io.in(room).fetchSockets()
+ */
+const createIo = (sockets = []) => {
+  const emit = jest.fn();
+  const room = { to: jest.fn(), emit };
+  room.to.mockReturnValue(room);
+  return {
+    emit,
+    room,
+    to: jest.fn(() => room),
+    in: jest.fn(() => ({ fetchSockets: jest.fn().mockResolvedValue(sockets) }))
+  };
+};
+
+// Plain message document, pass overrides for anything the test looks at
+const createMessage = (overrides = {}) => ({
+  _id: TEST_MESSAGE_ID,
+  author: 'alice',
+  channel: 'general',
+  text: 'hello',
+  type: 'public',
+  target: null,
+  replyTo: null,
+  timestamp: new Date('2024-01-01T10:00:00Z'),
+  deletedAt: null,
+  attachments: [],
+  ...overrides
+});
+
+// User document with the moderation and role checks services and middleware call
+const createUser = (overrides = {}) => ({
+  _id: TEST_USER_ID,
+  nickname: 'alice',
+  role: 'member',
+  isBanned: jest.fn().mockReturnValue(false),
+  isMuted: jest.fn().mockReturnValue(null),
+  hasModeratorPrivileges() {
+    return this.role === 'admin' || this.role === 'moderator';
+  },
+  hasAdminPrivileges() {
+    return this.role === 'admin';
+  },
+  ...overrides
+});
+
+// Result of a Mongoose query that is narrowed with .select()
+const mockSelect = (value) => ({ select: jest.fn().mockResolvedValue(value) });
+
+/**
+ * Express app serving one router under the path the server mounts it on,
+ * for route tests that mock the services behind the controllers
+ * @param {string} path - Mount path, e.g. '/api/messages'
+ * @param {Object} router - Router from src/routes
+ * @param {Object} io - Socket.IO server double the controllers get from req.app
+ */
+const createRouteApp = (path, router, io = createIo()) => {
+  const app = express();
+  app.use(express.json());
+  app.set('io', io);
+  app.use(path, router);
+  return app;
+};
+
+// Authorization header that authenticateToken accepts for the user
+const authHeader = (user) => {
+  const { security } = require('../../src/config');
+  return `Bearer ${jwt.sign({ userId: user._id, nickname: user.nickname }, security.jwtSecret)}`;
+};
+
 module.exports = {
+  TEST_MESSAGE_ID,
+  TEST_USER_ID,
+  createIo,
+  createMessage,
+  createUser,
+  mockSelect,
+  createRouteApp,
+  authHeader,
   UserTestHelper,
   ChannelTestHelper,
   HTTPTestHelper,
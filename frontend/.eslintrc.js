@@ -6,6 +6,7 @@ module.exports = {
     node: true
   },
   extends: ['eslint:recommended'],
+  plugins: ['react'],
   parserOptions: {
     ecmaVersion: 2020,
     sourceType: 'module',
@@ -18,6 +19,9 @@ module.exports = {
     process: 'readonly'
   },
   rules: {
+    // Count JSX usage so imported components aren't reported as unused
+    'react/jsx-uses-react': 'warn',
+    'react/jsx-uses-vars': 'warn',
     'no-unused-vars': ['warn', { 'argsIgnorePattern': '^_', 'varsIgnorePattern': '^_' }],
     'no-const-assign': 'error',
     'no-class-assign': 'off',
@@ -1,15 +1,33 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import ErrorBoundary from './ErrorBoundary';
 import useSocket from './hooks/useSocket';
 import useWebRTC from './hooks/useWebRTC';
+import useOutbox from './hooks/useOutbox';
 import AuthForm from './AuthForm';
 import Header from './components/layout/Header';
 import VoiceControls from './components/features/voice/VoiceControls';
 import axios from 'axios';
 
-import { Container, Paper, TextField, Button, List, ListItem, Typography, Box, ListItemText, Avatar, ThemeProvider, createTheme, CssBaseline, Badge, Drawer, useMediaQuery, Dialog, DialogTitle, DialogContent } from '@mui/material';
+import { Container, Paper, TextField, Button, List, ListItem, Typography, Box, ListItemText, Avatar, ThemeProvider, createTheme, CssBaseline, Badge, Drawer, useMediaQuery, Dialog, DialogTitle, DialogContent, IconButton, Tooltip } from '@mui/material';
 import MessageList from './components/features/chat/MessageList';
 import MessageInput from './components/features/chat/MessageInput';
+import ThreadPanel from './components/features/chat/ThreadPanel';
+import SearchPanel from './components/features/chat/SearchPanel';
+import PinsPanel from './components/features/chat/PinsPanel';
+import ScheduledMessagesPanel from './components/features/chat/ScheduledMessagesPanel';
+import SavedMessagesPanel from './components/features/chat/SavedMessagesPanel';
+import ChannelBadge from './components/features/chat/ChannelBadge';
+import DirectMessageList from './components/features/chat/DirectMessageList';
+import GroupConversationDialog from './components/features/chat/GroupConversationDialog';
+import ForwardMessageDialog from './components/features/chat/ForwardMessageDialog';
+import { formatScheduledTime } from './utils/scheduledMessages';
+import { appendMessage } from './utils/outbox';
+import { isDirectRoom, getConversationTitle, upsertConversation, removeConversation, sortConversations } from './utils/directMessages';
+import { mergePoll } from './utils/polls';
+import { removeMessages, pruneExpired } from './utils/messageExpiry';
+import { upsertSaved, getSavedIndex, getReminderText } from './utils/savedMessages';
+import { formatQuote } from './utils/forwarding';
+import { isContentFilterError, getSendErrorText, getReviewText } from './utils/contentFilters';
 import { useSnackbar } from 'notistack';
 import Grid from '@mui/material/Grid';
 import Accordion from '@mui/material/Accordion';
@@ -21,6 +39,8 @@ import VolumeUpIcon from '@mui/icons-material/VolumeUp';
 import MicIcon from '@mui/icons-material/Mic';
 import MicOffIcon from '@mui/icons-material/MicOff';
 import HeadphonesIcon from '@mui/icons-material/Headphones';
+import ChatBubbleOutlineIcon from '@mui/icons-material/ChatBubbleOutline';
+import SettingsIcon from '@mui/icons-material/Settings';
 
   // Old socket removed - using useSocket hook now
 
@@ -53,6 +73,19 @@ const darkTheme = createTheme({
   },
 });
 
+const OLDER_HISTORY_PAGE_SIZE = 50;
+// How often expired messages are dropped from the timeline (ms)
+const EXPIRY_CHECK_INTERVAL = 5000;
+
+// Apply an update to the open thread's parent or one of its replies
+const updateThreadMessage = (thread, id, update) => {
+  if (!thread) return thread;
+  if (thread.parent.id === id) {
+    return { ...thread, parent: update(thread.parent) };
+  }
+  return { ...thread, replies: thread.replies.map(m => m.id === id ? update(m) : m) };
+};
+
 function App() {
   const isMobile = useMediaQuery('(max-width:600px)');
   const { enqueueSnackbar } = useSnackbar();
@@ -172,7 +205,6 @@ function App() {
 
   const [room, setRoom] = useState(null);
   const [messages, setMessages] = useState([]);
-  const [input, setInput] = useState('');
   const [onlineUsers, setOnlineUsers] = useState([]);
   const [channels, setChannels] = useState([]);
   const [newChannelName, setNewChannelName] = useState('');
@@ -181,10 +213,65 @@ function App() {
   const [voiceChannel, setVoiceChannel] = useState(null);
   const [inVoice, setInVoice] = useState(false);
   const [selected, setSelected] = useState('');
+  const [threadTarget, setThreadTarget] = useState(null); // { id, room }
+  const [typingUsers, setTypingUsers] = useState([]);
+  const [thread, setThread] = useState(null);
+  const [hasMoreHistory, setHasMoreHistory] = useState(false);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [searchOpen, setSearchOpen] = useState(false);
+  const [pinsOpen, setPinsOpen] = useState(false);
+  const [pins, setPins] = useState([]);
+  const [pinsLoading, setPinsLoading] = useState(false);
+  const [scheduledOpen, setScheduledOpen] = useState(false);
+  const [scheduledMessages, setScheduledMessages] = useState([]);
+  const [scheduledLoading, setScheduledLoading] = useState(false);
+  const [savedOpen, setSavedOpen] = useState(false);
+  const [savedMessages, setSavedMessages] = useState([]);
+  const [savedLoading, setSavedLoading] = useState(false);
+  // Quote inserted into the message input, and the message being forwarded
+  const [quote, setQuote] = useState(null);
+  const [forwardingMessage, setForwardingMessage] = useState(null);
+  // Set while showing messages around a search hit instead of the latest ones
+  const [viewingContext, setViewingContext] = useState(false);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+  const viewingContextRef = useRef(false);
+  const [unreadCounts, setUnreadCounts] = useState({});
+  // Direct conversations carry their own unread and mention counts
+  const [conversations, setConversations] = useState([]);
+  // 'create' for a new group, 'manage' for the open one
+  const [groupDialog, setGroupDialog] = useState(null);
+  const [mentionCounts, setMentionCounts] = useState({});
+  // Last message reported via mark_read per room
+  const lastMarkedRef = useRef({});
+  // Current room for socket listeners registered once
+  const roomRef = useRef(room);
+  roomRef.current = room;
+  const nicknameRef = useRef(nickname);
+  nicknameRef.current = nickname;
+  // The history sent after joining a room would replace the loaded context
+  const skipNextHistoryRef = useRef(false);
 
   // Socket connection hook
   const { socket, isConnected, connectionStatus } = useSocket(token, { nickname, role });
 
+  // Room the server confirmed with its history, outbox messages are only sent there
+  const [joinedRoom, setJoinedRoom] = useState(null);
+  const handleDelivered = useCallback((message) => {
+    if (message.replyTo) {
+      setThread(prev => prev && prev.parent.id === message.replyTo
+        ? { ...prev, replies: appendMessage(prev.replies, message) }
+        : prev);
+    } else if (message.room === roomRef.current && !viewingContextRef.current) {
+      setMessages(prev => appendMessage(prev, message));
+    }
+  }, []);
+  const handleHeld = useCallback(() => {
+    enqueueSnackbar('Сообщение отправлено модераторам на проверку', { variant: 'info' });
+  }, [enqueueSnackbar]);
+  const outbox = useOutbox({ socket, isConnected, nickname, joinedRoom, onDelivered: handleDelivered, onHeld: handleHeld });
+  const { acknowledge: acknowledgeOutbox } = outbox;
+  const roomOutbox = useMemo(() => outbox.entries.filter(entry => entry.room === room), [outbox.entries, room]);
+
   // WebRTC voice hook with enhanced features
   const {
     isMuted,
@@ -201,35 +288,94 @@ function App() {
   } = useWebRTC(socket, voiceChannel);
 
 
+  // Channels come with the user's unread and mention counts
+  const fetchChannels = useCallback(() => {
+    axios.get('/api/channels')
+      .then(res => {
+        const uniqueChannels = res.data.filter((channel, index, self) =>
+          index === self.findIndex(c => c.id === channel.id)
+        );
+        setChannels(uniqueChannels);
+        // The open room is being read right now
+        const countFor = (channel, count) => (channel.id === roomRef.current ? 0 : count || 0);
+        setUnreadCounts(Object.fromEntries(uniqueChannels.map(c => [c.id, countFor(c, c.unreadCount)])));
+        setMentionCounts(Object.fromEntries(uniqueChannels.map(c => [c.id, countFor(c, c.mentionCount)])));
+        console.log('Fetched channels:', uniqueChannels);
+      })
+      .catch(err => console.error('Failed to fetch channels:', err));
+  }, []);
+
   useEffect(() => {
     if (!token) return;
 
-    const fetchInitialData = async () => {
-      try {
-        axios.get('/api/channels')
-          .then(res => {
-            const uniqueChannels = res.data.filter((channel, index, self) =>
-              index === self.findIndex(c => c.id === channel.id)
-            );
-            setChannels(uniqueChannels);
-            setExpanded(['server']);
-            console.log('Fetched channels:', uniqueChannels);
-          })
-          .catch(err => console.error('Failed to fetch channels:', err));
-      } catch (error) {
-        console.error('Failed to fetch channels:', error);
-      }
-    };
+    fetchChannels();
+    setExpanded(['server']);
+  }, [token, fetchChannels]);
+
+  const fetchConversations = useCallback(() => {
+    axios.get('/api/dms')
+      .then(res => {
+        setConversations(sortConversations(res.data.map(conversation => conversation.id === roomRef.current
+          ? { ...conversation, unreadCount: 0, mentionCount: 0 }
+          : conversation)));
+      })
+      .catch(err => console.error('Failed to fetch direct messages:', err));
+  }, []);
+
+  useEffect(() => {
+    if (token) fetchConversations();
+  }, [token, fetchConversations]);
+
+  const fetchPins = useCallback(() => {
+    const pinsRoom = roomRef.current;
+    if (!pinsRoom) return;
 
-    fetchInitialData();
-  }, [token, enqueueSnackbar]);
+    setPinsLoading(true);
+    axios.get(`/api/channels/${encodeURIComponent(pinsRoom)}/pins`)
+      .then(res => {
+        // Ignore answers for a room the user already left
+        if (pinsRoom === roomRef.current) setPins(res.data);
+      })
+      .catch(err => console.error('Failed to fetch pins:', err))
+      .finally(() => setPinsLoading(false));
+  }, []);
+
+  const fetchScheduledMessages = useCallback(() => {
+    setScheduledLoading(true);
+    axios.get('/api/scheduled-messages')
+      .then(res => setScheduledMessages(res.data))
+      .catch(err => console.error('Failed to fetch scheduled messages:', err))
+      .finally(() => setScheduledLoading(false));
+  }, []);
+
+  useEffect(() => {
+    if (token) fetchScheduledMessages();
+  }, [token, fetchScheduledMessages]);
+
+  const fetchSavedMessages = useCallback(() => {
+    setSavedLoading(true);
+    axios.get('/api/me/saved')
+      .then(res => setSavedMessages(res.data))
+      .catch(err => console.error('Failed to fetch saved messages:', err))
+      .finally(() => setSavedLoading(false));
+  }, []);
 
   useEffect(() => {
-    if (!token || !room || !socket) return;
+    if (token) fetchSavedMessages();
+  }, [token, fetchSavedMessages]);
+
+  const pinnedMessageIds = useMemo(() => new Set(pins.map(pin => pin.message.id)), [pins]);
+  const savedIndex = useMemo(() => getSavedIndex(savedMessages), [savedMessages]);
+  const currentChannel = useMemo(() => channels.find(c => c.id === room), [channels, room]);
+  const currentConversation = useMemo(() => conversations.find(c => c.id === room), [conversations, room]);
 
-    // Emit join_room when room changes
-    socket.emit('join_room', { room, nickname });
-  }, [token, room, socket, nickname]);
+  useEffect(() => {
+    setJoinedRoom(null);
+    if (!token || !room || !socket || !isConnected) return;
+
+    // Emit join_room when room changes, and again after a reconnect
+    socket.emit('join_room', { room });
+  }, [token, room, socket, isConnected]);
 
   // Setup socket listeners once with new hook
   useEffect(() => {
@@ -237,22 +383,211 @@ function App() {
 
     socket.on('message', (msg) => {
       console.log('Received message:', msg);
-      setMessages(prev => [...prev, msg]);
+      if (msg.author === nicknameRef.current) acknowledgeOutbox(msg.clientId);
+      // Connections receive every direct conversation, not only the open room
+      if (isDirectRoom(msg.room)) {
+        const unread = msg.room !== roomRef.current && msg.author !== nicknameRef.current;
+        setConversations(prev => sortConversations(prev.map(c => c.id === msg.room
+          ? { ...c, lastMessageAt: msg.timestamp, unreadCount: (c.unreadCount || 0) + (unread ? 1 : 0) }
+          : c)));
+        if (msg.room !== roomRef.current) {
+          if (unread) enqueueSnackbar(`Новое личное сообщение от ${msg.author}`, { variant: 'info' });
+          return;
+        }
+      }
+      // Live messages don't belong next to older context, they show up on return to the latest
+      if (viewingContextRef.current) return;
+      setMessages(prev => appendMessage(prev, msg));
     });
 
-    socket.on('private_message', (msg) => setMessages(prev => [...prev, msg]));
-    socket.on('history', (history) => setMessages(history));
+    // The newest page comes with { room, hasMore }
+    socket.on('history', (history, page) => {
+      // The room is joined even when its history is not shown, the outbox waits for this
+      setJoinedRoom(roomRef.current);
+      if (skipNextHistoryRef.current) {
+        skipNextHistoryRef.current = false;
+        return;
+      }
+      viewingContextRef.current = false;
+      setViewingContext(false);
+      setHighlightedMessageId(null);
+      setMessages(history);
+      setHasMoreHistory(Boolean(page?.hasMore));
+      setLoadingOlder(false);
+    });
+    socket.on('history_page', ({ room: pageRoom, messages: older, hasMore }) => {
+      setMessages(prev => {
+        // Ignore pages for a room we already left
+        if (prev.length > 0 && !prev.some(m => (m.room || m.channel) === pageRoom)) return prev;
+        const known = new Set(prev.map(m => m.id).filter(Boolean));
+        return [...older.filter(m => !known.has(m.id)), ...prev];
+      });
+      setHasMoreHistory(hasMore);
+      setLoadingOlder(false);
+    });
+    socket.on('message_edited', (updated) => {
+      setMessages(prev => prev.map(m => m.id === updated.id ? { ...m, ...updated } : m));
+      setThread(prev => updateThreadMessage(prev, updated.id, m => ({ ...m, ...updated })));
+    });
+    socket.on('message_deleted', (tombstone) => {
+      const applyTombstone = m => ({ ...m, ...tombstone, text: '', deleted: true, reactions: [] });
+      setMessages(prev => prev.map(m => m.id === tombstone.id ? applyTombstone(m) : m));
+      setThread(prev => updateThreadMessage(prev, tombstone.id, applyTombstone));
+    });
+    socket.on('reactions_updated', ({ id, reactions }) => {
+      setMessages(prev => prev.map(m => m.id === id ? { ...m, reactions } : m));
+      setThread(prev => updateThreadMessage(prev, id, m => ({ ...m, reactions })));
+    });
+    socket.on('poll_updated', ({ id, poll }) => {
+      setMessages(prev => prev.map(m => m.id === id ? { ...m, poll: mergePoll(m.poll, poll) } : m));
+      setThread(prev => updateThreadMessage(prev, id, m => ({ ...m, poll: mergePoll(m.poll, poll) })));
+    });
+    socket.on('messages_expired', ({ ids }) => {
+      setMessages(prev => removeMessages(prev, ids));
+      setThreadTarget(prev => prev && ids.includes(prev.id) ? null : prev);
+      setThread(prev => {
+        if (!prev) return prev;
+        if (ids.includes(prev.parent.id)) return null;
+        return { ...prev, replies: removeMessages(prev.replies, ids) };
+      });
+    });
+    socket.on('thread', (data) => setThread(data));
+    socket.on('thread_reply', (reply) => {
+      if (reply.author === nicknameRef.current) acknowledgeOutbox(reply.clientId);
+      setThread(prev => prev && prev.parent.id === reply.replyTo
+        ? { ...prev, replies: appendMessage(prev.replies, reply) }
+        : prev);
+    });
+    socket.on('thread_updated', ({ id, replyCount, lastReplyAt }) => {
+      setMessages(prev => prev.map(m => m.id === id ? { ...m, replyCount, lastReplyAt } : m));
+      setThread(prev => updateThreadMessage(prev, id, m => ({ ...m, replyCount, lastReplyAt })));
+    });
+    socket.on('mention', (mention) => {
+      if (mention.room === roomRef.current) return;
+      if (isDirectRoom(mention.room)) {
+        setConversations(prev => prev.map(c => c.id === mention.room ? { ...c, mentionCount: (c.mentionCount || 0) + 1 } : c));
+        return;
+      }
+      setMentionCounts(prev => ({ ...prev, [mention.room]: (prev[mention.room] || 0) + 1 }));
+      setUnreadCounts(prev => ({ ...prev, [mention.room]: (prev[mention.room] || 0) + 1 }));
+      enqueueSnackbar(`${mention.author} упомянул(а) вас в #${mention.room}`, { variant: 'info' });
+    });
+    // Another tab or device read further, counts are recalculated by the server
+    socket.on('read_marker', ({ room: markerRoom }) => {
+      if (isDirectRoom(markerRoom)) fetchConversations();
+      else fetchChannels();
+    });
+    // A conversation was opened with this user or its members changed
+    socket.on('conversation_updated', (conversation) => {
+      setConversations(prev => upsertConversation(prev, conversation));
+    });
+    // This user left a group conversation, possibly from another tab
+    socket.on('conversation_removed', ({ id }) => {
+      setConversations(prev => removeConversation(prev, id));
+      if (id === roomRef.current) {
+        setMessages([]);
+        setRoom(null);
+      }
+    });
+    socket.on('pins_updated', ({ room: pinsRoom }) => {
+      if (pinsRoom === roomRef.current) fetchPins();
+    });
+    // The scheduler sent a message or gave up on it
+    socket.on('scheduled_messages_updated', ({ status }) => {
+      fetchScheduledMessages();
+      if (status === 'failed') {
+        enqueueSnackbar('Запланированное сообщение не удалось отправить', { variant: 'error' });
+      }
+    });
+    // A reminder set on a saved message is due
+    socket.on('saved_reminder', (saved) => {
+      setSavedMessages(prev => upsertSaved(prev, saved));
+      enqueueSnackbar(`Напоминание: ${getReminderText(saved)}`, { variant: 'info' });
+    });
+    // A moderator approved or rejected a message a content filter held back
+    socket.on('held_message_reviewed', (review) => {
+      enqueueSnackbar(getReviewText(review), { variant: review.status === 'approved' ? 'success' : 'warning' });
+    });
+    // Command output only this user sees, kept locally until the next history load
+    socket.on('command_reply', (reply) => {
+      if (viewingContextRef.current) return;
+      setMessages(prev => [...prev, {
+        author: 'System',
+        room: reply.room || roomRef.current,
+        text: reply.text,
+        type: 'ephemeral',
+        error: reply.error,
+        timestamp: reply.timestamp
+      }]);
+    });
+    socket.on('kicked', ({ room: kickedRoom, by, reason }) => {
+      enqueueSnackbar(`${by} выгнал(а) вас из #${kickedRoom}${reason ? `: ${reason}` : ''}`, { variant: 'warning' });
+      if (kickedRoom === roomRef.current) {
+        setMessages([]);
+        setSelected('');
+        setRoom(null);
+      }
+    });
+    socket.on('nickname_changed', ({ nickname: newNickname }) => {
+      setNickname(newNickname);
+      localStorage.setItem('nickname', newNickname);
+    });
+    socket.on('channel_updated', (updated) => {
+      setChannels(prev => prev.map(c => c.id === updated.id ? { ...c, ...updated } : c));
+    });
+    socket.on('typing', ({ room: typingRoom, users }) => {
+      if (typingRoom === roomRef.current) setTypingUsers(users);
+    });
     socket.on('online_users', (users) => setOnlineUsers(users));
     socket.on('speaking', (data) => {
       setOnlineUsers(prev => prev.map(u => u.nickname === data.nickname ? { ...u, speaking: data.speaking } : u));
     });
     socket.on('error', (err) => {
       console.error('Socket error:', err.message);
+      if (err.code === 'GET_HISTORY_FAILED') {
+        setLoadingOlder(false);
+      }
+      if (isContentFilterError(err.code)) {
+        enqueueSnackbar(getSendErrorText({ error: err.message, code: err.code }, err.message), { variant: 'error' });
+        return;
+      }
       enqueueSnackbar(`Ошибка соединения: ${err.message}`, { variant: 'error' });
     });
 
     // Cleanup function moved to useSocket hook
-  }, [socket, token, enqueueSnackbar]);
+  }, [socket, token, enqueueSnackbar, fetchChannels, fetchConversations, fetchPins, fetchScheduledMessages, acknowledgeOutbox]);
+
+  // Self-destructing messages also disappear on their own, the server's removal may come late
+  useEffect(() => {
+    const timer = setInterval(() => {
+      setMessages(prev => pruneExpired(prev));
+      setThread(prev => {
+        if (!prev) return prev;
+        const replies = pruneExpired(prev.replies);
+        return replies === prev.replies ? prev : { ...prev, replies };
+      });
+    }, EXPIRY_CHECK_INTERVAL);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Counts of other rooms went stale while the user was elsewhere
+  useEffect(() => {
+    if (room) fetchChannels();
+    // The open conversation is being read right now
+    setConversations(prev => prev.map(c => c.id === room ? { ...c, unreadCount: 0, mentionCount: 0 } : c));
+  }, [room, fetchChannels]);
+
+  useEffect(() => {
+    setPins([]);
+    if (token && room) fetchPins();
+  }, [token, room, fetchPins]);
+
+  // Threads belong to a channel, close the panel when switching rooms
+  useEffect(() => {
+    setTypingUsers([]);
+    setThreadTarget(prev => prev && prev.room !== room ? null : prev);
+    setThread(prev => prev && prev.parent.room !== room ? null : prev);
+  }, [room]);
 
   // Initial room set after token and channels are loaded
   useEffect(() => {
@@ -261,36 +596,265 @@ function App() {
     }
   }, [channels, room]);
 
-  const sendMessage = () => {
+  // Messages are queued even while offline and sent once the room is joined
+  const { enqueue: enqueueMessage } = outbox;
+  const sendMessage = useCallback(({ text, attachments, expiresIn }) => {
+    enqueueMessage({ room: roomRef.current, text, attachments, expiresIn });
+  }, [enqueueMessage]);
+
+  const openDirectMessage = useCallback(async (targetNickname) => {
+    try {
+      const res = await axios.post('/api/dms', { nickname: targetNickname });
+      setConversations(prev => upsertConversation(prev, res.data));
+      setRoom(res.data.id);
+      setSelected('');
+      setDrawerOpen(false);
+    } catch (error) {
+      enqueueSnackbar(error.userMessage || 'Не удалось открыть личные сообщения', { variant: 'error' });
+    }
+  }, [enqueueSnackbar]);
+
+  const selectConversation = (conversationId) => {
+    setRoom(conversationId);
+    setSelected('');
+    setDrawerOpen(false);
+  };
+
+  const handleGroupCreated = (conversation) => {
+    setConversations(prev => upsertConversation(prev, conversation));
+    selectConversation(conversation.id);
+  };
+
+  const handleGroupLeft = (conversationId) => {
+    setConversations(prev => removeConversation(prev, conversationId));
+    if (conversationId === room) {
+      setMessages([]);
+      setRoom(null);
+    }
+  };
+
+  const sendCommand = useCallback((text) => {
+    socket.emit('command', { text });
+  }, [socket]);
+
+  const scheduleMessage = useCallback(async ({ text, sendAt }) => {
+    try {
+      const { data } = await axios.post('/api/scheduled-messages', { channel: roomRef.current, text, sendAt });
+      setScheduledMessages(prev => [...prev, data].sort((a, b) => new Date(a.sendAt) - new Date(b.sendAt)));
+      enqueueSnackbar(`Сообщение будет отправлено ${formatScheduledTime(data.sendAt)}`, { variant: 'success' });
+      return true;
+    } catch (err) {
+      enqueueSnackbar(err.response?.data?.error || 'Не удалось запланировать сообщение', { variant: 'error' });
+      return false;
+    }
+  }, [enqueueSnackbar]);
+
+  const updateScheduledMessage = useCallback(async (id, changes) => {
+    try {
+      const { data } = await axios.patch(`/api/scheduled-messages/${id}`, changes);
+      setScheduledMessages(prev => prev
+        .map(entry => entry.id === id ? data : entry)
+        .sort((a, b) => new Date(a.sendAt) - new Date(b.sendAt)));
+      return true;
+    } catch (err) {
+      enqueueSnackbar(err.response?.data?.error || 'Не удалось изменить сообщение', { variant: 'error' });
+      // The message may have been sent in the meantime
+      fetchScheduledMessages();
+      return false;
+    }
+  }, [enqueueSnackbar, fetchScheduledMessages]);
+
+  const cancelScheduledMessage = useCallback(async (id) => {
+    try {
+      await axios.delete(`/api/scheduled-messages/${id}`);
+      setScheduledMessages(prev => prev.filter(entry => entry.id !== id));
+    } catch (err) {
+      enqueueSnackbar(err.response?.data?.error || 'Не удалось отменить сообщение', { variant: 'error' });
+      fetchScheduledMessages();
+    }
+  }, [enqueueSnackbar, fetchScheduledMessages]);
+
+  const toggleSaved = useCallback(async (messageId, isSaved) => {
+    try {
+      if (isSaved) {
+        const savedId = savedIndex.get(messageId);
+        await axios.delete(`/api/me/saved/${savedId}`);
+        setSavedMessages(prev => prev.filter(entry => entry.id !== savedId));
+      } else {
+        const { data } = await axios.post('/api/me/saved', { messageId });
+        setSavedMessages(prev => upsertSaved(prev, data));
+        enqueueSnackbar('Сообщение сохранено', { variant: 'success' });
+      }
+    } catch (err) {
+      enqueueSnackbar(err.response?.data?.error || 'Не удалось изменить сохранённые сообщения', { variant: 'error' });
+      fetchSavedMessages();
+    }
+  }, [savedIndex, enqueueSnackbar, fetchSavedMessages]);
+
+  const updateSavedMessage = useCallback(async (id, changes) => {
+    try {
+      const { data } = await axios.patch(`/api/me/saved/${id}`, changes);
+      setSavedMessages(prev => upsertSaved(prev, data));
+      return true;
+    } catch (err) {
+      enqueueSnackbar(err.response?.data?.error || 'Не удалось изменить сохранённое сообщение', { variant: 'error' });
+      return false;
+    }
+  }, [enqueueSnackbar]);
+
+  const removeSavedMessage = useCallback(async (id) => {
+    try {
+      await axios.delete(`/api/me/saved/${id}`);
+      setSavedMessages(prev => prev.filter(entry => entry.id !== id));
+    } catch (err) {
+      enqueueSnackbar(err.response?.data?.error || 'Не удалось убрать сообщение из сохранённых', { variant: 'error' });
+      fetchSavedMessages();
+    }
+  }, [enqueueSnackbar, fetchSavedMessages]);
+
+  const quoteMessage = useCallback((message) => {
+    setQuote({ text: formatQuote(message), key: Date.now() });
+  }, []);
+
+  const forwardMessage = useCallback(async (messageId, target) => {
+    try {
+      await axios.post(`/api/messages/${messageId}/forward`, { channel: target.id });
+      enqueueSnackbar(target.direct ? `Сообщение переслано: ${target.title}` : `Сообщение переслано в #${target.title}`, { variant: 'success' });
+      return true;
+    } catch (err) {
+      enqueueSnackbar(getSendErrorText(err.response?.data, 'Не удалось переслать сообщение'), { variant: 'error' });
+      return false;
+    }
+  }, [enqueueSnackbar]);
+
+  const editMessage = (messageId, text) => {
+    if (!socket || !isConnected) {
+      enqueueSnackbar('Нет соединения с сервером', { variant: 'error' });
+      return;
+    }
+    socket.emit('edit_message', { messageId, text });
+  };
+
+  const deleteMessage = (messageId) => {
+    if (!socket || !isConnected) {
+      enqueueSnackbar('Нет соединения с сервером', { variant: 'error' });
+      return;
+    }
+    socket.emit('delete_message', { messageId });
+  };
+
+  const togglePin = (messageId, pinned) => {
     if (!socket || !isConnected) {
       enqueueSnackbar('Нет соединения с сервером', { variant: 'error' });
       return;
     }
+    socket.emit(pinned ? 'unpin_message' : 'pin_message', { messageId });
+  };
 
-    if (input.trim()) {
-      if (!room) {
-        enqueueSnackbar('Не выбран канал', { variant: 'warning' });
+  const toggleReaction = (messageId, emoji, alreadyReacted) => {
+    if (!socket || !isConnected) {
+      enqueueSnackbar('Нет соединения с сервером', { variant: 'error' });
+      return;
+    }
+    socket.emit(alreadyReacted ? 'remove_reaction' : 'add_reaction', { messageId, emoji });
+  };
+
+  // The acknowledgement carries the user's own choices, broadcasts only the tallies
+  const emitPollAction = (event, payload) => {
+    if (!socket || !isConnected) {
+      enqueueSnackbar('Нет соединения с сервером', { variant: 'error' });
+      return;
+    }
+    socket.emit(event, payload, (response) => {
+      if (!response?.ok) {
+        enqueueSnackbar(`Не удалось обновить опрос: ${response?.error || 'неизвестная ошибка'}`, { variant: 'error' });
         return;
       }
+      const applyPoll = m => ({ ...m, poll: response.poll });
+      setMessages(prev => prev.map(m => m.id === payload.messageId ? applyPoll(m) : m));
+      setThread(prev => updateThreadMessage(prev, payload.messageId, applyPoll));
+    });
+  };
 
-      if (input.startsWith('/w ')) {
-        const parts = input.split(' ');
-        if (parts.length < 3) {
-          enqueueSnackbar('Используйте: /w [никнейм] [сообщение]', { variant: 'warning' });
-          return;
-        }
-        const to = parts[1];
-        const text = parts.slice(2).join(' ');
-        socket.emit('private_message', { to, text });
-      } else {
-        socket.emit('message', { text: input });
+  const votePoll = (messageId, options) => emitPollAction('poll_vote', { messageId, options });
+  const closePoll = (messageId) => emitPollAction('poll_close', { messageId });
+
+  const loadOlderMessages = useCallback(() => {
+    if (!socket || !isConnected || loadingOlder || !hasMoreHistory) return;
+
+    const oldest = messages.find(m => m.id && (m.room === room || m.channel === room));
+    if (!oldest) return;
+
+    setLoadingOlder(true);
+    socket.emit('get_history', {
+      before: { timestamp: oldest.timestamp, id: oldest.id },
+      limit: OLDER_HISTORY_PAGE_SIZE
+    });
+  }, [socket, isConnected, loadingOlder, hasMoreHistory, messages, room]);
+
+  // Report the newest message the user has seen in the open room
+  const markRead = useCallback((messageId) => {
+    if (!socket || !isConnected || !room || lastMarkedRef.current[room] === messageId) return;
+
+    lastMarkedRef.current[room] = messageId;
+    socket.emit('mark_read', { messageId });
+    setUnreadCounts(prev => (prev[room] ? { ...prev, [room]: 0 } : prev));
+    setMentionCounts(prev => (prev[room] ? { ...prev, [room]: 0 } : prev));
+  }, [socket, isConnected, room]);
+
+  const openThread = (messageId, threadRoom = room) => {
+    if (!socket || !isConnected) {
+      enqueueSnackbar('Нет соединения с сервером', { variant: 'error' });
+      return;
+    }
+    setThreadTarget({ id: messageId, room: threadRoom });
+    setThread(null);
+    socket.emit('get_thread', { messageId });
+  };
+
+  const closeThread = () => {
+    setThreadTarget(null);
+    setThread(null);
+  };
+
+  // Show a search hit surrounded by its channel timeline
+  const jumpToMessage = async (hit) => {
+    try {
+      const { data: context } = await axios.get(`/api/messages/${hit.id}/context`);
+
+      if (context.room !== room) {
+        skipNextHistoryRef.current = true;
+        setRoom(context.room);
       }
-      setInput('');
+
+      viewingContextRef.current = true;
+      setViewingContext(true);
+      setMessages(context.messages);
+      setHasMoreHistory(context.hasMore);
+      setHighlightedMessageId(context.anchorId);
+      setSearchOpen(false);
+      setPinsOpen(false);
+      setSavedOpen(false);
+
+      if (context.threadId) {
+        openThread(context.threadId, context.room);
+      }
+    } catch (error) {
+      enqueueSnackbar(error.userMessage || 'Не удалось открыть сообщение', { variant: 'error' });
     }
   };
 
-  const handleKeyPress = (e) => {
-    if (e.key === 'Enter') sendMessage();
+  const jumpToLatest = () => {
+    if (!socket || !isConnected) {
+      enqueueSnackbar('Нет соединения с сервером', { variant: 'error' });
+      return;
+    }
+    skipNextHistoryRef.current = false;
+    socket.emit('get_history');
+  };
+
+  const sendThreadReply = (replyTo, text) => {
+    enqueueMessage({ room: threadTarget?.room || room, text, replyTo });
   };
 
   const joinVoice = (channelId) => {
@@ -334,6 +898,13 @@ function App() {
             role={role}
             isMobile={isMobile}
             onMenuClick={() => setDrawerOpen(true)}
+            onSearchClick={() => setSearchOpen(true)}
+            onPinsClick={room && !isDirectRoom(room) ? () => setPinsOpen(true) : undefined}
+            pinCount={pins.length}
+            onScheduledClick={() => setScheduledOpen(true)}
+            scheduledCount={scheduledMessages.filter(entry => entry.status === 'pending').length}
+            onSavedClick={() => setSavedOpen(true)}
+            savedCount={savedMessages.length}
             onLogout={handleLogout}
           />
         {isMobile && (
@@ -364,7 +935,8 @@ function App() {
                           }
                         }}>
                           {channel.type === 'voice' ? <VolumeUpIcon data-testid="VolumeUpIcon" fontSize="small" /> : <Typography sx={{ mr: 0.5 }}>#</Typography>}
-                          <Typography>{channel.name}</Typography>
+                          <Typography sx={{ fontWeight: unreadCounts[channel.id] > 0 ? 'bold' : 'normal' }}>{channel.name}</Typography>
+                          <ChannelBadge unreadCount={unreadCounts[channel.id]} mentionCount={mentionCounts[channel.id]} />
                         </Box>
                       </ListItem>
                     ))}
@@ -372,6 +944,14 @@ function App() {
                 </AccordionDetails>
               </Accordion>
               </ErrorBoundary>
+              <Typography variant="h6" gutterBottom sx={{ mt: 2 }}>Личные сообщения</Typography>
+              <DirectMessageList
+                conversations={conversations}
+                currentRoom={room}
+                currentUser={nickname}
+                onSelect={selectConversation}
+                onCreateGroup={() => setGroupDialog('create')}
+              />
               {inVoice && voiceChannel && (
                 <Box sx={{ mt: 2, p: 2, bgcolor: '#5865f2', borderRadius: 1 }}>
                   <Typography variant="body2">Голосовой канал: {channels.find(c => c.id === voiceChannel)?.name}</Typography>
@@ -459,7 +1039,8 @@ function App() {
                         }
                       }}>
                         {channel.type === 'voice' ? <VolumeUpIcon fontSize="small" /> : <Typography sx={{ mr: 0.5 }}>#</Typography>}
-                        <Typography>{channel.name}</Typography>
+                        <Typography sx={{ fontWeight: unreadCounts[channel.id] > 0 ? 'bold' : 'normal' }}>{channel.name}</Typography>
+                        <ChannelBadge unreadCount={unreadCounts[channel.id]} mentionCount={mentionCounts[channel.id]} />
                       </Box>
                     </ListItem>
                   ))}
@@ -549,6 +1130,13 @@ function App() {
                     primary={user.nickname}
                     secondary={`${user.speaking ? 'Говорит' : 'Онлайн'} • ${user.role || 'member'}`}
                   />
+                  {user.nickname !== nickname && (
+                    <Tooltip title="Личное сообщение">
+                      <IconButton size="small" aria-label={`Написать ${user.nickname}`} onClick={() => openDirectMessage(user.nickname)}>
+                        <ChatBubbleOutlineIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  )}
                   {inVoice && voiceChannel === room && (
                     <VolumeUpIcon fontSize="small" color="primary" style={{ marginLeft: 10 }} />
                   )}
@@ -559,32 +1147,155 @@ function App() {
         </Grid>
         <Grid size={{ xs: 12, sm: 6 }}>
           <Paper elevation={3} style={{ height: '90vh', display: 'flex', flexDirection: 'column' }}>
-            <MessageList messages={messages} currentRoom={room} />
-            <Box style={{ padding: 10 }}>
-              <TextField
-                data-testid="message-input"
-                fullWidth
-                label="Введите сообщение"
-                value={input}
-                onChange={(e) => setInput(e.target.value)}
-                onKeyDown={handleKeyPress}
-              />
-              <Button type="button" data-testid="send-message-button" variant="contained" color="primary" onClick={() => { console.log('Button clicked'); sendMessage(); }} style={{ marginTop: 10 }}>
-                Отправить
-              </Button>
-            </Box>
+            {viewingContext && (
+              <Box sx={{ display: 'flex', alignItems: 'center', px: 2, py: 1, bgcolor: '#5865f2' }}>
+                <Typography variant="body2" sx={{ flexGrow: 1, color: '#ffffff' }}>
+                  Вы просматриваете старые сообщения
+                </Typography>
+                <Button size="small" onClick={jumpToLatest} sx={{ color: '#ffffff' }}>
+                  Перейти к последним
+                </Button>
+              </Box>
+            )}
+            {currentConversation && (
+              <Box sx={{ display: 'flex', alignItems: 'center', px: 2, py: 1, borderBottom: '1px solid #40444b' }}>
+                <Typography variant="body2" noWrap sx={{ flexGrow: 1, color: '#ffffff', fontWeight: 'bold' }}>
+                  {currentConversation.group ? '' : '@'}{getConversationTitle(currentConversation, nickname)}
+                </Typography>
+                {currentConversation.group && (
+                  <Tooltip title="Настройки группы">
+                    <IconButton size="small" aria-label="Настройки группы" onClick={() => setGroupDialog('manage')} sx={{ color: '#b5bac1' }}>
+                      <SettingsIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                )}
+              </Box>
+            )}
+            {currentChannel?.description && (
+              <Box sx={{ px: 2, py: 1, borderBottom: '1px solid #40444b' }}>
+                <Typography variant="body2" noWrap title={currentChannel.description} sx={{ color: '#b5bac1' }}>
+                  {currentChannel.description}
+                </Typography>
+              </Box>
+            )}
+            <MessageList
+              messages={messages}
+              currentRoom={room}
+              currentUser={nickname}
+              currentUserRole={role}
+              highlightedMessageId={highlightedMessageId}
+              hasMore={hasMoreHistory}
+              loadingOlder={loadingOlder}
+              onLoadOlder={loadOlderMessages}
+              onMarkRead={viewingContext ? undefined : markRead}
+              onEditMessage={editMessage}
+              onDeleteMessage={deleteMessage}
+              onToggleReaction={toggleReaction}
+              onOpenThread={openThread}
+              pinnedMessageIds={pinnedMessageIds}
+              onTogglePin={isDirectRoom(room) ? undefined : togglePin}
+              savedMessageIds={savedIndex}
+              onToggleSaved={toggleSaved}
+              onQuoteMessage={quoteMessage}
+              onForwardMessage={setForwardingMessage}
+              onOpenForwarded={jumpToMessage}
+              onVotePoll={votePoll}
+              onClosePoll={closePoll}
+              outboxMessages={roomOutbox}
+              onRetryMessage={outbox.retry}
+              onDiscardMessage={outbox.discard}
+            />
+            <MessageInput
+              socket={socket}
+              isConnected={isConnected}
+              currentRoom={room}
+              channelExpiry={currentChannel?.messageExpiry || null}
+              quote={quote}
+              typingUsers={typingUsers.filter(user => user !== nickname)}
+              onSendMessage={sendMessage}
+              onSendCommand={sendCommand}
+              onScheduleMessage={scheduleMessage}
+            />
           </Paper>
         </Grid>
         <Grid size={{ sm: 3 }} sx={{ display: { xs: 'none', md: 'block' } }}>
           <Paper elevation={3} style={{ height: '100%', padding: 10 }}>
-            <Typography variant="h6">Приватные чаты</Typography>
-            <List>
-              {/* Future: List private conversations */}
-            </List>
+            <Typography variant="h6" gutterBottom>Личные сообщения</Typography>
+            <DirectMessageList
+              conversations={conversations}
+              currentRoom={room}
+              currentUser={nickname}
+              onSelect={selectConversation}
+              onCreateGroup={() => setGroupDialog('create')}
+            />
           </Paper>
         </Grid>
       </Grid>
 
+      <ThreadPanel
+        open={Boolean(threadTarget)}
+        thread={thread}
+        onClose={closeThread}
+        onSendReply={sendThreadReply}
+      />
+
+      <PinsPanel
+        open={pinsOpen}
+        room={room}
+        pins={pins}
+        loading={pinsLoading}
+        canModerate={role === 'admin' || role === 'moderator'}
+        onClose={() => setPinsOpen(false)}
+        onJump={jumpToMessage}
+        onUnpin={(messageId) => togglePin(messageId, true)}
+      />
+
+      <GroupConversationDialog
+        open={Boolean(groupDialog)}
+        conversation={groupDialog === 'manage' ? currentConversation : null}
+        currentUser={nickname}
+        onClose={() => setGroupDialog(null)}
+        onCreated={handleGroupCreated}
+        onLeft={handleGroupLeft}
+      />
+
+      <ForwardMessageDialog
+        open={Boolean(forwardingMessage)}
+        message={forwardingMessage}
+        channels={channels}
+        conversations={conversations}
+        currentUser={nickname}
+        currentUserRole={role}
+        onClose={() => setForwardingMessage(null)}
+        onForward={forwardMessage}
+      />
+
+      <ScheduledMessagesPanel
+        open={scheduledOpen}
+        scheduledMessages={scheduledMessages}
+        loading={scheduledLoading}
+        onClose={() => setScheduledOpen(false)}
+        onUpdate={updateScheduledMessage}
+        onCancel={cancelScheduledMessage}
+      />
+
+      <SavedMessagesPanel
+        open={savedOpen}
+        savedMessages={savedMessages}
+        loading={savedLoading}
+        onClose={() => setSavedOpen(false)}
+        onJump={jumpToMessage}
+        onUpdate={updateSavedMessage}
+        onRemove={removeSavedMessage}
+      />
+
+      <SearchPanel
+        open={searchOpen}
+        channels={channels}
+        onClose={() => setSearchOpen(false)}
+        onJump={jumpToMessage}
+      />
+
       {/* Hidden audio elements for WebRTC */}
       <audio ref={localAudioRef} style={{ display: 'none' }} />
       {voiceParticipants.map(participant => (
@@ -0,0 +1,32 @@
+import React from 'react';
+import { Box } from '@mui/material';
+
+const formatCount = (count) => (count > 99 ? '99+' : count);
+
+// Unread messages in a channel; mentions of the current user take precedence
+const ChannelBadge = ({ unreadCount, mentionCount }) => {
+  if (!unreadCount && !mentionCount) return null;
+
+  return (
+    <Box
+      component="span"
+      aria-label={mentionCount ? `Упоминаний: ${mentionCount}` : `Непрочитанных: ${unreadCount}`}
+      sx={{
+        ml: 'auto',
+        px: 0.75,
+        minWidth: 18,
+        textAlign: 'center',
+        borderRadius: 8,
+        bgcolor: mentionCount ? '#f23f43' : '#4e5058',
+        color: '#ffffff',
+        fontSize: '0.75rem',
+        fontWeight: 'bold',
+        lineHeight: '18px'
+      }}
+    >
+      {mentionCount ? `@${formatCount(mentionCount)}` : formatCount(unreadCount)}
+    </Box>
+  );
+};
+
+export default ChannelBadge;
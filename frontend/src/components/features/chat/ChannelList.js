@@ -7,8 +7,9 @@ import chewingRightIcon from '@mui/icons-material/ChevronRight';
 import AddIcon from '@mui/icons-material/Add';
 import RemoveIcon from '@mui/icons-material/Remove';
 import axios from 'axios';
+import ChannelBadge from './ChannelBadge';
 
-const ChannelList = ({ channels, onChannelSelect, onVoiceJoin, onVoiceLeave, inVoice, voiceChannel, selectedChannel }) => {
+const ChannelList = ({ channels, onChannelSelect, onVoiceJoin, onVoiceLeave, inVoice, voiceChannel, selectedChannel, unreadCounts = {}, mentionCounts = {} }) => {
   const isMobile = useMediaQuery('(max-width:600px)');
   const [newChannelName, setNewChannelName] = useState('');
 
@@ -70,9 +71,15 @@ const ChannelList = ({ channels, onChannelSelect, onVoiceJoin, onVoiceLeave, inV
                   ) : (
                     <Typography sx={{ mr: 1, color: '#72767d' }}>#</Typography>
                   )}
-                  <Typography sx={{ color: selectedChannel === channel.id ? '#ffffff' : '#dcddde' }}>
+                  <Typography
+                    sx={{
+                      color: selectedChannel === channel.id || unreadCounts[channel.id] > 0 ? '#ffffff' : '#dcddde',
+                      fontWeight: unreadCounts[channel.id] > 0 ? 'bold' : 'normal'
+                    }}
+                  >
                     {channel.name}
                   </Typography>
+                  <ChannelBadge unreadCount={unreadCounts[channel.id]} mentionCount={mentionCounts[channel.id]} />
                 </Box>
               </ListItem>
             ))}
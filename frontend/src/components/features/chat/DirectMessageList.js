@@ -0,0 +1,63 @@
+import React from 'react';
+import { List, ListItemButton, ListItemText, Avatar, Typography, Box, Button } from '@mui/material';
+import { GroupOutlined as GroupIcon, GroupAdd as GroupAddIcon } from '@mui/icons-material';
+import ChannelBadge from './ChannelBadge';
+import { getConversationTitle } from '../../../utils/directMessages';
+
+const DirectMessageList = ({ conversations, currentRoom, currentUser, onSelect, onCreateGroup }) => {
+  const newGroupButton = onCreateGroup && (
+    <Button size="small" startIcon={<GroupAddIcon />} onClick={onCreateGroup} sx={{ color: '#b5bac1' }}>
+      Новая группа
+    </Button>
+  );
+
+  if (conversations.length === 0) {
+    return (
+      <>
+        <Typography variant="body2" sx={{ color: '#949ba4', px: 1 }}>
+          Нет личных сообщений. Нажмите на пользователя в списке, чтобы написать ему.
+        </Typography>
+        {newGroupButton}
+      </>
+    );
+  }
+
+  return (
+    <>
+      {newGroupButton}
+      <List dense>
+        {conversations.map(conversation => {
+          const title = getConversationTitle(conversation, currentUser);
+          const unread = conversation.id !== currentRoom && conversation.unreadCount > 0;
+
+          return (
+            <ListItemButton
+              key={conversation.id}
+              selected={conversation.id === currentRoom}
+              onClick={() => onSelect(conversation.id)}
+              sx={{ borderRadius: 1 }}
+            >
+              <Avatar sx={{ width: 28, height: 28, mr: 1, fontSize: '0.85rem', bgcolor: `hsl(${title.length * 37 % 360}, 70%, 50%)` }}>
+                {conversation.group ? <GroupIcon fontSize="small" /> : title[0]?.toUpperCase()}
+              </Avatar>
+              <ListItemText
+                primary={title}
+                secondary={conversation.group ? `${conversation.members.length} участников` : null}
+                secondaryTypographyProps={{ sx: { color: '#949ba4' } }}
+                primaryTypographyProps={{ noWrap: true, sx: { fontWeight: unread ? 'bold' : 'normal' } }}
+              />
+              <Box sx={{ display: 'flex', ml: 1 }}>
+                <ChannelBadge
+                  unreadCount={conversation.id === currentRoom ? 0 : conversation.unreadCount}
+                  mentionCount={conversation.id === currentRoom ? 0 : conversation.mentionCount}
+                />
+              </Box>
+            </ListItemButton>
+          );
+        })}
+      </List>
+    </>
+  );
+};
+
+export default DirectMessageList;
@@ -0,0 +1,70 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Dialog, DialogTitle, DialogContent, DialogActions, TextField, Button, Typography, List, ListItemButton, ListItemText, Box } from '@mui/material';
+import { getForwardTargets } from '../../../utils/forwarding';
+
+/**
+ * Pick a channel or direct conversation to forward `message` to
+ */
+const ForwardMessageDialog = ({ open, message, channels, conversations, currentUser, currentUserRole, onClose, onForward }) => {
+  const [filter, setFilter] = useState('');
+  const [sending, setSending] = useState(false);
+
+  useEffect(() => {
+    if (open) setFilter('');
+  }, [open]);
+
+  const targets = useMemo(() => {
+    const query = filter.trim().toLowerCase();
+    return getForwardTargets(channels, conversations, { nickname: currentUser, role: currentUserRole })
+      .filter(target => !query || target.title.toLowerCase().includes(query));
+  }, [channels, conversations, currentUser, currentUserRole, filter]);
+
+  const handleForward = async (target) => {
+    setSending(true);
+    const forwarded = await onForward(message.id, target);
+    setSending(false);
+    if (forwarded) onClose();
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>Переслать сообщение</DialogTitle>
+      <DialogContent>
+        {message && (
+          <Box sx={{ borderLeft: '3px solid #4f545c', pl: 1, mb: 1 }}>
+            <Typography variant="caption" sx={{ color: '#949ba4' }}>
+              {message.forwardedFrom?.author || message.author}
+            </Typography>
+            <Typography variant="body2" noWrap>{message.text}</Typography>
+          </Box>
+        )}
+        <TextField
+          fullWidth
+          margin="dense"
+          label="Куда"
+          placeholder="Канал или беседа"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          autoFocus
+        />
+        <List dense sx={{ maxHeight: 300, overflowY: 'auto' }}>
+          {targets.map(target => (
+            <ListItemButton key={target.id} disabled={sending} onClick={() => handleForward(target)}>
+              <ListItemText primary={target.direct ? target.title : `#${target.title}`} secondary={target.direct ? 'Личные сообщения' : null} />
+            </ListItemButton>
+          ))}
+          {targets.length === 0 && (
+            <Typography variant="body2" sx={{ color: '#949ba4', p: 1 }}>
+              Ничего не найдено
+            </Typography>
+          )}
+        </List>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Отмена</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ForwardMessageDialog;
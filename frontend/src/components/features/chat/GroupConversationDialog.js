@@ -0,0 +1,154 @@
+import React, { useEffect, useState } from 'react';
+import { Dialog, DialogTitle, DialogContent, DialogActions, TextField, Autocomplete, Button, Typography, List, ListItem, ListItemText, Divider } from '@mui/material';
+import axios from 'axios';
+import { MAX_GROUP_MEMBERS } from '../../../utils/directMessages';
+
+/**
+ * Start a group conversation, or manage one when `conversation` is given:
+ * rename it, add members or leave it.
+ */
+const GroupConversationDialog = ({ open, conversation, currentUser, onClose, onCreated, onLeft }) => {
+  const [users, setUsers] = useState([]);
+  const [selectedUsers, setSelectedUsers] = useState([]);
+  const [name, setName] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const members = conversation?.members || [currentUser];
+  const freeSlots = MAX_GROUP_MEMBERS - members.length;
+
+  useEffect(() => {
+    if (!open) return;
+
+    setSelectedUsers([]);
+    setName(conversation?.name || '');
+    setError(null);
+    axios.get('/api/users')
+      .then(res => setUsers(res.data.map(user => user.nickname)))
+      .catch(err => setError(err.userMessage || 'Не удалось загрузить пользователей'));
+  }, [open, conversation]);
+
+  const run = async (request) => {
+    setSaving(true);
+    setError(null);
+    try {
+      return await request();
+    } catch (err) {
+      setError(err.userMessage || 'Не удалось сохранить изменения');
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCreate = async () => {
+    const res = await run(() => axios.post('/api/dms/groups', { nicknames: selectedUsers, name: name.trim() }));
+    if (res) {
+      onCreated(res.data);
+      onClose();
+    }
+  };
+
+  const handleRename = async () => {
+    const res = await run(() => axios.patch(`/api/dms/${encodeURIComponent(conversation.id)}`, { name: name.trim() }));
+    if (res) onClose();
+  };
+
+  const handleAddMembers = async () => {
+    const res = await run(() => axios.post(`/api/dms/${encodeURIComponent(conversation.id)}/members`, { nicknames: selectedUsers }));
+    if (res) setSelectedUsers([]);
+  };
+
+  const handleLeave = async () => {
+    const res = await run(() => axios.delete(`/api/dms/${encodeURIComponent(conversation.id)}/members/me`));
+    if (res) {
+      onLeft(conversation.id);
+      onClose();
+    }
+  };
+
+  const memberPicker = (
+    <Autocomplete
+      multiple
+      options={users.filter(user => !members.includes(user))}
+      value={selectedUsers}
+      onChange={(event, value) => setSelectedUsers(value.slice(0, freeSlots))}
+      renderInput={(params) => (
+        <TextField {...params} label="Участники" placeholder="Добавьте пользователей" margin="dense" />
+      )}
+    />
+  );
+
+  if (!conversation) {
+    return (
+      <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+        <DialogTitle>Новая группа</DialogTitle>
+        <DialogContent>
+          <TextField
+            fullWidth
+            margin="dense"
+            label="Название (необязательно)"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            inputProps={{ maxLength: 100 }}
+          />
+          {memberPicker}
+          <Typography variant="caption" sx={{ color: '#949ba4' }}>
+            В группе от 3 до {MAX_GROUP_MEMBERS} участников, включая вас
+          </Typography>
+          {error && <Typography color="error" variant="body2">{error}</Typography>}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={onClose}>Отмена</Button>
+          <Button variant="contained" onClick={handleCreate} disabled={saving || selectedUsers.length < 2}>
+            Создать
+          </Button>
+        </DialogActions>
+      </Dialog>
+    );
+  }
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>Настройки группы</DialogTitle>
+      <DialogContent>
+        <TextField
+          fullWidth
+          margin="dense"
+          label="Название"
+          placeholder="Без названия"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          inputProps={{ maxLength: 100 }}
+        />
+        <Button size="small" onClick={handleRename} disabled={saving || name.trim() === (conversation.name || '')}>
+          Переименовать
+        </Button>
+        <Divider sx={{ my: 1 }} />
+        <Typography variant="subtitle2">Участники ({members.length}/{MAX_GROUP_MEMBERS})</Typography>
+        <List dense>
+          {members.map(member => (
+            <ListItem key={member} disableGutters>
+              <ListItemText primary={member === currentUser ? `${member} (вы)` : member} />
+            </ListItem>
+          ))}
+        </List>
+        {freeSlots > 0 && (
+          <>
+            {memberPicker}
+            <Button size="small" onClick={handleAddMembers} disabled={saving || selectedUsers.length === 0}>
+              Добавить
+            </Button>
+          </>
+        )}
+        {error && <Typography color="error" variant="body2">{error}</Typography>}
+      </DialogContent>
+      <DialogActions>
+        <Button color="error" onClick={handleLeave} disabled={saving}>Покинуть группу</Button>
+        <Button onClick={onClose}>Закрыть</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default GroupConversationDialog;
@@ -0,0 +1,122 @@
+import React, { useMemo } from 'react';
+import { Box, Link } from '@mui/material';
+import { parseMarkdown } from '../../../utils/markdown';
+import { highlightCode } from '../../../utils/syntaxHighlight';
+
+const MONOSPACE = 'Consolas, "Courier New", monospace';
+
+const TOKEN_COLORS = {
+  keyword: '#c586c0',
+  string: '#ce9178',
+  number: '#b5cea8',
+  comment: '#6a9955'
+};
+
+const renderInline = (nodes, renderText) => nodes.map((node, index) => {
+  switch (node.type) {
+    case 'code':
+      return (
+        <Box
+          key={index}
+          component="code"
+          sx={{ fontFamily: MONOSPACE, fontSize: '0.85em', bgcolor: '#1e1f22', borderRadius: 0.5, px: 0.5, py: 0.2 }}
+        >
+          {node.text}
+        </Box>
+      );
+    case 'strong':
+      return <strong key={index}>{renderInline(node.children, renderText)}</strong>;
+    case 'em':
+      return <em key={index}>{renderInline(node.children, renderText)}</em>;
+    case 'link':
+      return (
+        <Link key={index} href={node.href} target="_blank" rel="noopener noreferrer" sx={{ color: '#00a8fc' }}>
+          {node.text}
+        </Link>
+      );
+    default:
+      return <React.Fragment key={index}>{renderText ? renderText(node.text) : node.text}</React.Fragment>;
+  }
+});
+
+const CodeBlock = ({ language, text }) => (
+  <Box
+    component="pre"
+    sx={{
+      fontFamily: MONOSPACE,
+      fontSize: '0.85rem',
+      bgcolor: '#1e1f22',
+      border: '1px solid #1a1b1e',
+      borderRadius: 1,
+      p: 1,
+      my: 0.5,
+      overflowX: 'auto',
+      whiteSpace: 'pre'
+    }}
+  >
+    <code>
+      {highlightCode(text, language).map((token, index) => (
+        token.type
+          ? <span key={index} style={{ color: TOKEN_COLORS[token.type] }}>{token.text}</span>
+          : <React.Fragment key={index}>{token.text}</React.Fragment>
+      ))}
+    </code>
+  </Box>
+);
+
+const renderBlocks = (blocks, renderText, trailing) => blocks.map((block, index) => {
+  // Trailing content (e.g. the "edited" mark) stays inline with the last paragraph
+  const isLast = index === blocks.length - 1;
+
+  switch (block.type) {
+    case 'code':
+      return <CodeBlock key={index} language={block.language} text={block.text} />;
+    case 'quote':
+      return (
+        <Box key={index} component="blockquote" sx={{ m: 0, my: 0.5, pl: 1.5, borderLeft: '4px solid #4e5058' }}>
+          {renderBlocks(block.children, renderText)}
+        </Box>
+      );
+    case 'list':
+      return (
+        <Box
+          key={index}
+          component={block.ordered ? 'ol' : 'ul'}
+          start={block.start}
+          sx={{ m: 0, my: 0.5, pl: 3 }}
+        >
+          {block.items.map((item, itemIndex) => (
+            <li key={itemIndex}>{renderInline(item, renderText)}</li>
+          ))}
+        </Box>
+      );
+    default:
+      return (
+        <Box key={index} component="div" sx={{ whiteSpace: 'pre-wrap' }}>
+          {renderInline(block.children, renderText)}
+          {isLast && trailing}
+        </Box>
+      );
+  }
+});
+
+/**
+ * Message text with the chat Markdown subset applied.
+ * Everything is rendered as React elements, raw HTML in the text stays plain text.
+ * @param {string} text - Message text
+ * @param {Function} renderText - Optional renderer for plain text runs (mentions)
+ * @param {ReactNode} trailing - Content appended after the text
+ */
+const MarkdownText = ({ text, renderText, trailing = null }) => {
+  const blocks = useMemo(() => parseMarkdown(text), [text]);
+  const endsWithParagraph = blocks.length > 0 && blocks[blocks.length - 1].type === 'paragraph';
+
+  return (
+    <>
+      {renderBlocks(blocks, renderText, trailing)}
+      {!endsWithParagraph && trailing}
+    </>
+  );
+};
+
+export default MarkdownText;
@@ -0,0 +1,148 @@
+import React, { useEffect, useState } from 'react';
+import { Box, Typography, Dialog, CircularProgress, ButtonBase } from '@mui/material';
+import { InsertDriveFileOutlined as FileIcon, Download as DownloadIcon } from '@mui/icons-material';
+import { fetchAttachmentUrl, downloadAttachment, formatFileSize } from '../../../utils/attachments';
+
+// Attachment files need the auth header, so images are loaded into object URLs
+const useAttachmentUrl = (url) => {
+  const [objectUrl, setObjectUrl] = useState(null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    if (!url) return undefined;
+
+    let cancelled = false;
+    let created = null;
+    setObjectUrl(null);
+    setFailed(false);
+
+    fetchAttachmentUrl(url)
+      .then((result) => {
+        created = result;
+        if (cancelled) {
+          URL.revokeObjectURL(result);
+        } else {
+          setObjectUrl(result);
+        }
+      })
+      .catch(() => !cancelled && setFailed(true));
+
+    return () => {
+      cancelled = true;
+      if (created) URL.revokeObjectURL(created);
+    };
+  }, [url]);
+
+  return { objectUrl, failed };
+};
+
+const ImageViewer = ({ attachment, onClose }) => {
+  const { objectUrl, failed } = useAttachmentUrl(attachment.url);
+
+  return (
+    <Dialog open onClose={onClose} maxWidth="lg">
+      <Box sx={{ bgcolor: '#1e1f22', display: 'flex', justifyContent: 'center', alignItems: 'center', minWidth: 200, minHeight: 200 }}>
+        {objectUrl && (
+          <img src={objectUrl} alt={attachment.filename} style={{ maxWidth: '90vw', maxHeight: '85vh', display: 'block' }} />
+        )}
+        {!objectUrl && !failed && <CircularProgress size={32} />}
+        {failed && <Typography color="error" sx={{ p: 2 }}>Не удалось загрузить изображение</Typography>}
+      </Box>
+    </Dialog>
+  );
+};
+
+const FileLink = ({ attachment }) => {
+  const [downloading, setDownloading] = useState(false);
+
+  const handleDownload = async () => {
+    setDownloading(true);
+    try {
+      await downloadAttachment(attachment);
+    } catch (error) {
+      console.error('Attachment download failed:', error);
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <ButtonBase
+      onClick={handleDownload}
+      disabled={downloading}
+      sx={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: 1,
+        px: 1.5,
+        py: 1,
+        maxWidth: 360,
+        borderRadius: 1,
+        bgcolor: '#2b2d31',
+        border: '1px solid #1e1f22',
+        textAlign: 'left',
+        '&:hover': { bgcolor: '#35373c' }
+      }}
+    >
+      <FileIcon sx={{ color: '#949ba4' }} />
+      <Box sx={{ minWidth: 0, flexGrow: 1 }}>
+        <Typography variant="body2" noWrap sx={{ color: '#00a8fc' }}>{attachment.filename}</Typography>
+        <Typography variant="caption" sx={{ color: '#949ba4' }}>{formatFileSize(attachment.size)}</Typography>
+      </Box>
+      {downloading ? <CircularProgress size={16} /> : <DownloadIcon fontSize="small" sx={{ color: '#949ba4' }} />}
+    </ButtonBase>
+  );
+};
+
+const ImagePreview = ({ attachment, onOpen }) => {
+  const { objectUrl, failed } = useAttachmentUrl(attachment.thumbnailUrl);
+  // Reserve the thumbnail box up front so the list does not jump when it loads
+  const scale = attachment.width && attachment.height
+    ? Math.min(1, 320 / Math.max(attachment.width, attachment.height))
+    : null;
+
+  if (failed) {
+    return <FileLink attachment={attachment} />;
+  }
+
+  return (
+    <ButtonBase
+      onClick={onOpen}
+      aria-label={`Открыть ${attachment.filename}`}
+      sx={{
+        borderRadius: 1,
+        overflow: 'hidden',
+        bgcolor: '#2b2d31',
+        width: scale ? Math.round(attachment.width * scale) : 160,
+        height: scale ? Math.round(attachment.height * scale) : 120
+      }}
+    >
+      {objectUrl ? (
+        <img src={objectUrl} alt={attachment.filename} style={{ width: '100%', height: '100%', objectFit: 'cover', display: 'block' }} />
+      ) : (
+        <CircularProgress size={20} />
+      )}
+    </ButtonBase>
+  );
+};
+
+const MessageAttachments = ({ attachments }) => {
+  const [viewing, setViewing] = useState(null);
+
+  if (!attachments || attachments.length === 0) {
+    return null;
+  }
+
+  return (
+    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 0.5 }}>
+      {attachments.map(attachment => (
+        attachment.thumbnailUrl
+          ? <ImagePreview key={attachment.id} attachment={attachment} onOpen={() => setViewing(attachment)} />
+          : <FileLink key={attachment.id} attachment={attachment} />
+      ))}
+      {viewing && <ImageViewer attachment={viewing} onClose={() => setViewing(null)} />}
+    </Box>
+  );
+};
+
+export default MessageAttachments;
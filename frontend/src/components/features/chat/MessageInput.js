@@ -1,45 +1,270 @@
-import React, { useState, useCallback } from 'react';
-import { TextField, Button, Box, Typography } from '@mui/material';
+import React, { useState, useCallback, useEffect, useRef } from 'react';
+import { TextField, Button, Box, Typography, IconButton, Chip, CircularProgress, Tooltip, Popover, Paper, List, ListItemButton, Menu, MenuItem } from '@mui/material';
 import SendIcon from '@mui/icons-material/Send';
+import AttachFileIcon from '@mui/icons-material/AttachFile';
+import ScheduleSendIcon from '@mui/icons-material/ScheduleSend';
+import TimerOutlinedIcon from '@mui/icons-material/TimerOutlined';
+import { uploadAttachment, formatFileSize, MAX_ATTACHMENT_SIZE, MAX_ATTACHMENTS_PER_MESSAGE } from '../../../utils/attachments';
+import { toDateTimeLocalValue, fromDateTimeLocalValue, nextFullHour } from '../../../utils/scheduledMessages';
+import { formatExpiry, getExpiryChoices } from '../../../utils/messageExpiry';
+import { insertQuote } from '../../../utils/forwarding';
+import axios from 'axios';
 
-const MessageInput = ({ socket, isConnected, currentRoom, onSendMessage }) => {
+// typing_start is repeated at most this often while the user keeps typing,
+// the server forgets a typist after 6s without it
+const TYPING_THROTTLE = 3000;
+// Pause after the last keystroke that counts as "stopped typing"
+const TYPING_IDLE = 4000;
+
+export const formatTypingUsers = (users) => {
+  if (users.length === 1) return `${users[0]} печатает…`;
+  if (users.length === 2) return `${users[0]} и ${users[1]} печатают…`;
+  if (users.length === 3) return `${users[0]}, ${users[1]} и ${users[2]} печатают…`;
+  return 'Несколько человек печатают…';
+};
+
+/**
+ * Commands offered while the user is still typing the command name
+ * @param {string} input - Current input
+ * @param {Array} commands - Commands from /api/commands
+ * @returns {Array}
+ */
+export const matchCommands = (input, commands) => {
+  const match = /^\/(\S*)$/.exec(input);
+  if (!match) return [];
+
+  const prefix = match[1].toLowerCase();
+  return commands.filter(command =>
+    command.name.startsWith(prefix) || command.aliases?.some(alias => alias.startsWith(prefix))
+  );
+};
+
+// Command whose arguments are being typed, for the usage hint
+const findTypedCommand = (input, commands) => {
+  const match = /^\/(\S+)\s/.exec(input);
+  if (!match) return null;
+
+  const name = match[1].toLowerCase();
+  return commands.find(command => command.name === name || command.aliases?.includes(name)) || null;
+};
+
+const MessageInput = ({ socket, isConnected, currentRoom, channelExpiry = null, quote = null, typingUsers = [], onSendMessage, onSendCommand, onScheduleMessage }) => {
   const [input, setInput] = useState('');
+  const [pendingFiles, setPendingFiles] = useState([]); // { key, name, size, status, attachment, error }
+  const [scheduleAnchor, setScheduleAnchor] = useState(null);
+  const [scheduleAt, setScheduleAt] = useState('');
+  const [scheduling, setScheduling] = useState(false);
+  const [expiryAnchor, setExpiryAnchor] = useState(null);
+  const [expiresIn, setExpiresIn] = useState(null); // minutes, null sends messages that stay
+  const [commands, setCommands] = useState([]);
+  const [selectedCommand, setSelectedCommand] = useState(0);
+  const [suggestionsDismissed, setSuggestionsDismissed] = useState(false);
+  const lastTypingSentRef = useRef(0);
+  const idleTimerRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const fileKeyRef = useRef(0);
+  const inputRef = useRef(null);
+
+  // The list depends on the user's role, which does not change during a session
+  useEffect(() => {
+    if (!isConnected) return;
+
+    let cancelled = false;
+    axios.get('/api/commands')
+      .then(res => !cancelled && setCommands(res.data))
+      .catch(err => console.error('Failed to fetch commands:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [isConnected]);
+
+  // A self-destruct choice belongs to the room it was made in
+  useEffect(() => {
+    setExpiresIn(null);
+  }, [currentRoom]);
+
+  // Quotes are requested from the message list as { text, key }, a new key quotes again
+  useEffect(() => {
+    if (!quote) return;
+    setInput(prev => insertQuote(prev, quote.text));
+    inputRef.current?.focus();
+  }, [quote]);
+
+  // Without a choice of its own a message gets the channel default on the server
+  const effectiveExpiry = expiresIn || channelExpiry;
+
+  const suggestions = suggestionsDismissed ? [] : matchCommands(input, commands);
+  const typedCommand = findTypedCommand(input, commands);
+
+  const readyAttachments = pendingFiles.filter(entry => entry.status === 'ready');
+  const isUploading = pendingFiles.some(entry => entry.status === 'uploading');
+
+  const stopTyping = useCallback(() => {
+    clearTimeout(idleTimerRef.current);
+    idleTimerRef.current = null;
+    if (lastTypingSentRef.current && socket) {
+      socket.emit('typing_stop');
+    }
+    lastTypingSentRef.current = 0;
+  }, [socket]);
+
+  const notifyTyping = useCallback(() => {
+    if (!socket || !isConnected || !currentRoom) return;
+
+    const now = Date.now();
+    if (now - lastTypingSentRef.current >= TYPING_THROTTLE) {
+      socket.emit('typing_start');
+      lastTypingSentRef.current = now;
+    }
+
+    clearTimeout(idleTimerRef.current);
+    idleTimerRef.current = setTimeout(stopTyping, TYPING_IDLE);
+  }, [socket, isConnected, currentRoom, stopTyping]);
+
+  // Typing state belongs to the room it started in
+  useEffect(() => stopTyping, [currentRoom, stopTyping]);
+
+  // Uploads are bound to the channel they were made in
+  useEffect(() => {
+    setPendingFiles([]);
+  }, [currentRoom]);
+
+  const updatePendingFile = useCallback((key, changes) => {
+    setPendingFiles(prev => prev.map(entry => entry.key === key ? { ...entry, ...changes } : entry));
+  }, []);
+
+  const handleFilesSelected = useCallback((e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (!currentRoom) return;
+
+    const room = currentRoom;
+    const accepted = files.slice(0, Math.max(0, MAX_ATTACHMENTS_PER_MESSAGE - pendingFiles.length));
+    const keys = accepted.map(() => ++fileKeyRef.current);
+
+    setPendingFiles(prev => [...prev, ...accepted.map((file, index) => ({
+      key: keys[index],
+      name: file.name,
+      size: file.size,
+      status: file.size > MAX_ATTACHMENT_SIZE ? 'failed' : 'uploading',
+      error: file.size > MAX_ATTACHMENT_SIZE ? `Файл больше ${formatFileSize(MAX_ATTACHMENT_SIZE)}` : null
+    }))]);
+
+    accepted.forEach((file, index) => {
+      if (file.size > MAX_ATTACHMENT_SIZE) return;
+
+      const key = keys[index];
+      uploadAttachment(room, file)
+        .then(attachment => updatePendingFile(key, { status: 'ready', attachment }))
+        .catch(error => updatePendingFile(key, {
+          status: 'failed',
+          error: error.response?.data?.error || error.userMessage || 'Не удалось загрузить файл'
+        }));
+    });
+  }, [currentRoom, pendingFiles.length, updatePendingFile]);
+
+  const removePendingFile = useCallback((key) => {
+    setPendingFiles(prev => prev.filter(entry => entry.key !== key));
+  }, []);
 
   const handleSendMessage = useCallback(() => {
-    if (!socket || !isConnected) {
+    if (!currentRoom || isUploading) {
       return;
     }
 
-    if (input.trim()) {
-      if (!currentRoom) {
-        return;
-      }
-
-      if (input.startsWith('/w ')) {
-        const parts = input.split(' ');
-        if (parts.length < 3) {
-          return;
-        }
-        const to = parts[1];
-        const text = parts.slice(2).join(' ');
-        onSendMessage({ text: `/w ${to} ${text}`, to });
+    if (input.trim() || readyAttachments.length > 0) {
+      // Commands run on the server, attachments stay pending for the next message.
+      // Messages go through the outbox and wait there while the connection is down.
+      if (input.startsWith('/')) {
+        if (!socket || !isConnected) return;
+        onSendCommand(input.trim());
       } else {
-        onSendMessage({ text: input });
+        const attachments = readyAttachments.map(entry => entry.attachment.id);
+        onSendMessage({
+          text: input,
+          ...(attachments.length > 0 && { attachments }),
+          ...(expiresIn && { expiresIn })
+        });
+        setPendingFiles([]);
       }
+      stopTyping();
       setInput('');
+      setSuggestionsDismissed(false);
+    }
+  }, [socket, isConnected, input, currentRoom, isUploading, readyAttachments, expiresIn, onSendMessage, onSendCommand, stopTyping]);
+
+  const completeCommand = useCallback((command) => {
+    setInput(`/${command.name} `);
+    setSelectedCommand(0);
+  }, []);
+
+  // Scheduled messages are plain channel text, without attachments or commands
+  const canSchedule = Boolean(onScheduleMessage) && isConnected && Boolean(currentRoom)
+    && Boolean(input.trim()) && !input.startsWith('/') && pendingFiles.length === 0;
+
+  const openSchedulePicker = useCallback((e) => {
+    setScheduleAt(toDateTimeLocalValue(nextFullHour()));
+    setScheduleAnchor(e.currentTarget);
+  }, []);
+
+  const handleSchedule = useCallback(async () => {
+    const sendAt = fromDateTimeLocalValue(scheduleAt);
+    if (!sendAt || !input.trim()) return;
+
+    setScheduling(true);
+    const scheduled = await onScheduleMessage({ text: input.trim(), sendAt });
+    setScheduling(false);
+    if (scheduled) {
+      setScheduleAnchor(null);
+      stopTyping();
+      setInput('');
+    }
+  }, [scheduleAt, input, onScheduleMessage, stopTyping]);
+
+  // Arrow keys and Tab do not produce key presses, so the suggestion list needs keydown.
+  // Enter is handled here too, it either picks a suggestion or sends.
+  const handleKeyDown = useCallback((e) => {
+    if (suggestions.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setSelectedCommand(prev => (prev + step + suggestions.length) % suggestions.length);
+        return;
+      }
+      const suggestion = suggestions[Math.min(selectedCommand, suggestions.length - 1)];
+      // A fully typed command without required arguments is sent right away
+      const complete = input === `/${suggestion.name}` && !suggestion.args.some(arg => arg.required);
+      if (e.key === 'Tab' || (e.key === 'Enter' && !e.shiftKey && !complete)) {
+        e.preventDefault();
+        completeCommand(suggestion);
+        return;
+      }
+      if (e.key === 'Escape') {
+        setSuggestionsDismissed(true);
+        return;
+      }
     }
-  }, [socket, isConnected, input, currentRoom, onSendMessage]);
 
-  const handleKeyPress = useCallback((e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
       handleSendMessage();
     }
-  }, [handleSendMessage]);
+  }, [suggestions, selectedCommand, input, completeCommand, handleSendMessage]);
 
   const handleInputChange = useCallback((e) => {
-    setInput(e.target.value);
-  }, []);
+    const { value } = e.target;
+    setInput(value);
+    setSelectedCommand(0);
+    if (!value.startsWith('/')) {
+      setSuggestionsDismissed(false);
+    }
+    // Commands are not chat, nobody needs to see them being typed
+    if (value.trim() && !value.startsWith('/')) {
+      notifyTyping();
+    } else {
+      stopTyping();
+    }
+  }, [notifyTyping, stopTyping]);
 
   return (
     <Box sx={{
@@ -47,7 +272,72 @@ const MessageInput = ({ socket, isConnected, currentRoom, onSendMessage }) => {
       borderTop: '1px solid #40444b',
       bgcolor: '#313338'
     }}>
-      <Box sx={{ display: 'flex', gap: 1 }}>
+      <Typography
+        variant="caption"
+        data-testid="typing-indicator"
+        sx={{ display: 'block', minHeight: '1.25rem', color: '#949ba4', fontStyle: 'italic' }}
+      >
+        {typingUsers.length > 0 ? formatTypingUsers(typingUsers) : ''}
+      </Typography>
+      {pendingFiles.length > 0 && (
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mb: 1 }}>
+          {pendingFiles.map(entry => (
+            <Tooltip key={entry.key} title={entry.error || ''}>
+              <Chip
+                size="small"
+                label={`${entry.name} (${formatFileSize(entry.size)})`}
+                color={entry.status === 'failed' ? 'error' : 'default'}
+                icon={entry.status === 'uploading' ? <CircularProgress size={14} /> : undefined}
+                onDelete={() => removePendingFile(entry.key)}
+                sx={{ maxWidth: 260, bgcolor: entry.status === 'failed' ? undefined : '#40444b', color: '#dcddde' }}
+              />
+            </Tooltip>
+          ))}
+        </Box>
+      )}
+      <Box sx={{ display: 'flex', gap: 1, position: 'relative' }}>
+        {suggestions.length > 0 && (
+          <Paper
+            elevation={4}
+            data-testid="command-suggestions"
+            sx={{ position: 'absolute', bottom: '100%', left: 0, right: 0, mb: 1, bgcolor: '#2b2d31', zIndex: 10, maxHeight: 240, overflowY: 'auto' }}
+          >
+            <List dense disablePadding>
+              {suggestions.map((command, index) => (
+                <ListItemButton
+                  key={command.name}
+                  selected={index === selectedCommand}
+                  // Keep focus in the input
+                  onMouseDown={(e) => e.preventDefault()}
+                  onClick={() => completeCommand(command)}
+                >
+                  <Typography variant="body2" sx={{ color: '#ffffff', fontFamily: 'monospace', mr: 1 }}>
+                    {command.usage}
+                  </Typography>
+                  <Typography variant="caption" noWrap sx={{ color: '#949ba4' }}>
+                    {command.description}
+                  </Typography>
+                </ListItemButton>
+              ))}
+            </List>
+          </Paper>
+        )}
+        <input
+          ref={fileInputRef}
+          type="file"
+          multiple
+          hidden
+          data-testid="attachment-input"
+          onChange={handleFilesSelected}
+        />
+        <IconButton
+          aria-label="Прикрепить файл"
+          onClick={() => fileInputRef.current?.click()}
+          disabled={!isConnected || !currentRoom || pendingFiles.length >= MAX_ATTACHMENTS_PER_MESSAGE}
+          sx={{ color: '#b5bac1', alignSelf: 'center' }}
+        >
+          <AttachFileIcon />
+        </IconButton>
         <TextField
           fullWidth
           variant="outlined"
@@ -57,12 +347,14 @@ const MessageInput = ({ socket, isConnected, currentRoom, onSendMessage }) => {
               ? 'Нет подключения к серверу...'
               : !currentRoom
               ? 'Выберите канал...'
-              : 'Введите сообщение... (Enter для отправки, /w ник сообщение для личного)'
+              : 'Введите сообщение... (Enter для отправки, / для команд)'
           }
+          inputRef={inputRef}
           value={input}
           onChange={handleInputChange}
-          onKeyPress={handleKeyPress}
-          disabled={!isConnected || !currentRoom}
+          onKeyDown={handleKeyDown}
+          onBlur={stopTyping}
+          disabled={!currentRoom}
           multiline
           maxRows={4}
           sx={{
@@ -85,12 +377,38 @@ const MessageInput = ({ socket, isConnected, currentRoom, onSendMessage }) => {
             }
           }}
         />
+        <Tooltip title={effectiveExpiry ? `Исчезнет через ${formatExpiry(effectiveExpiry)}` : 'Самоуничтожение сообщения'}>
+          <span style={{ alignSelf: 'center' }}>
+            <IconButton
+              aria-label="Срок жизни сообщения"
+              onClick={(e) => setExpiryAnchor(e.currentTarget)}
+              disabled={!currentRoom}
+              sx={{ color: effectiveExpiry ? '#faa61a' : '#b5bac1' }}
+            >
+              <TimerOutlinedIcon />
+            </IconButton>
+          </span>
+        </Tooltip>
+        {onScheduleMessage && (
+          <Tooltip title="Отправить позже">
+            <span style={{ alignSelf: 'center' }}>
+              <IconButton
+                aria-label="Запланировать отправку"
+                onClick={openSchedulePicker}
+                disabled={!canSchedule}
+                sx={{ color: '#b5bac1' }}
+              >
+                <ScheduleSendIcon />
+              </IconButton>
+            </span>
+          </Tooltip>
+        )}
         <Button
           variant="contained"
           color="primary"
           data-testid="send-message-button"
           onClick={handleSendMessage}
-          disabled={!isConnected || !currentRoom || !input.trim()}
+          disabled={!currentRoom || isUploading || (!input.trim() && readyAttachments.length === 0)}
           sx={{
             minWidth: '60px',
             bgcolor: '#5865f2',
@@ -107,9 +425,72 @@ const MessageInput = ({ socket, isConnected, currentRoom, onSendMessage }) => {
         </Button>
       </Box>
 
+      {typedCommand && (
+        <Typography variant="caption" sx={{ display: 'block', mt: 0.5, color: '#949ba4', fontFamily: 'monospace' }}>
+          {typedCommand.usage}
+        </Typography>
+      )}
+
+      <Menu
+        anchorEl={expiryAnchor}
+        open={Boolean(expiryAnchor)}
+        onClose={() => setExpiryAnchor(null)}
+        anchorOrigin={{ vertical: 'top', horizontal: 'right' }}
+        transformOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+      >
+        <MenuItem
+          selected={!expiresIn}
+          onClick={() => {
+            setExpiresIn(null);
+            setExpiryAnchor(null);
+          }}
+        >
+          {channelExpiry ? `Как в канале (${formatExpiry(channelExpiry)})` : 'Не удалять'}
+        </MenuItem>
+        {getExpiryChoices(channelExpiry).filter(minutes => minutes !== channelExpiry).map(minutes => (
+          <MenuItem
+            key={minutes}
+            selected={expiresIn === minutes}
+            onClick={() => {
+              setExpiresIn(minutes);
+              setExpiryAnchor(null);
+            }}
+          >
+            Удалить через {formatExpiry(minutes)}
+          </MenuItem>
+        ))}
+      </Menu>
+
+      <Popover
+        open={Boolean(scheduleAnchor)}
+        anchorEl={scheduleAnchor}
+        onClose={() => setScheduleAnchor(null)}
+        anchorOrigin={{ vertical: 'top', horizontal: 'right' }}
+        transformOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+      >
+        <Box sx={{ p: 2, display: 'flex', flexDirection: 'column', gap: 1.5, bgcolor: '#2b2d31' }}>
+          <TextField
+            type="datetime-local"
+            size="small"
+            label="Отправить в"
+            value={scheduleAt}
+            onChange={(e) => setScheduleAt(e.target.value)}
+            InputLabelProps={{ shrink: true }}
+            inputProps={{ min: toDateTimeLocalValue(new Date()), 'data-testid': 'schedule-time-input' }}
+          />
+          <Button
+            variant="contained"
+            onClick={handleSchedule}
+            disabled={scheduling || !fromDateTimeLocalValue(scheduleAt)}
+          >
+            Запланировать
+          </Button>
+        </Box>
+      </Popover>
+
       {currentRoom && !isConnected && (
         <Typography variant="caption" color="error" sx={{ mt: 1, display: 'block' }}>
-          Нет подключения к серверу. Сообщения не могут быть отправлены.
+          Нет подключения к серверу. Сообщения будут отправлены после переподключения.
         </Typography>
       )}
     </Box>
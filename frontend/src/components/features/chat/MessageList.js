@@ -1,11 +1,140 @@
-import React, { useEffect, useRef, useState, useCallback, useMemo } from 'react';
-import { List, ListItem, Typography, Box, Fab, Badge, useTheme, useMediaQuery } from '@mui/material';
-import { KeyboardArrowDown as ArrowDownIcon } from '@mui/icons-material';
+import React, { useEffect, useLayoutEffect, useRef, useState, useCallback, useMemo } from 'react';
+import { List, ListItem, Typography, Box, Fab, Badge, IconButton, TextField, Button, Chip, Tooltip, CircularProgress, useTheme, useMediaQuery } from '@mui/material';
+import { KeyboardArrowDown as ArrowDownIcon, Edit as EditIcon, DeleteOutline as DeleteIcon, ChatBubbleOutline as ThreadIcon, PushPin as PinIcon, PushPinOutlined as PinOutlinedIcon, TimerOutlined as TimerIcon, Bookmark as BookmarkIcon, BookmarkBorder as BookmarkOutlinedIcon, FormatQuote as QuoteIcon, Shortcut as ForwardIcon } from '@mui/icons-material';
 import { throttle, smoothScrollTo, createScrollListener, isNearBottom, debounce } from '../../../utils/performanceUtils';
+import MessageRevisionsDialog from './MessageRevisionsDialog';
+import ReactionPicker from './ReactionPicker';
+import { formatReplyCount } from './ThreadPanel';
+import MarkdownText from './MarkdownText';
+import MessageAttachments from './MessageAttachments';
+import PollMessage from './PollMessage';
+import { isDirectRoom } from '../../../utils/directMessages';
 
-const MessageList = ({ messages, currentRoom }) => {
+// Start loading older history this close to the top (px)
+const LOAD_OLDER_THRESHOLD = 100;
+
+const getMessageKey = (msg) => (msg ? msg.id || msg.timestamp : null);
+
+// Same token rules as the server: "@name" at the start or after a non-word character
+const MENTION_PATTERN = /(^|[^\p{L}\p{N}_@])@([\p{L}\p{N}_.-]+)/gu;
+
+// Highlight @mentions the server resolved, plus @here and @channel
+const renderMentions = (text, mentions, currentUser) => {
+  const nodes = [];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    const token = match[2].replace(/[.-]+$/, '');
+    const isBroadcast = token === 'here' || token === 'channel';
+    if (!isBroadcast && !mentions?.includes(token)) continue;
+
+    const start = match.index + match[1].length;
+    nodes.push(text.slice(lastIndex, start));
+    nodes.push(
+      <Box
+        key={start}
+        component="span"
+        sx={{
+          px: 0.3,
+          borderRadius: 0.5,
+          fontWeight: 500,
+          color: token === currentUser || isBroadcast ? '#faa61a' : '#c9cdfb',
+          bgcolor: token === currentUser || isBroadcast ? 'rgba(250, 166, 26, 0.15)' : 'rgba(88, 101, 242, 0.3)'
+        }}
+      >
+        @{token}
+      </Box>
+    );
+    lastIndex = start + token.length + 1;
+  }
+
+  nodes.push(text.slice(lastIndex));
+  return nodes;
+};
+
+// A message of the current user still in the outbox, or rejected by the server
+const OutboxMessage = ({ entry, onRetry, onDiscard }) => {
+  const failed = entry.status === 'failed';
+
+  return (
+    <ListItem sx={{ px: 0, py: 0.5, opacity: failed ? 1 : 0.6 }} data-testid="outbox-message">
+      <Box sx={{ display: 'flex', alignItems: 'flex-start', width: '100%' }}>
+        <Typography variant="caption" color="textSecondary" sx={{ mr: 1, minWidth: '60px', fontSize: '0.7rem' }}>
+          {new Date(entry.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+        </Typography>
+        <Box sx={{ width: 32, mr: 1 }} />
+        <Box sx={{ flexGrow: 1 }}>
+          <Typography variant="body2" sx={{ color: '#949ba4', mb: 0.2 }}>
+            <strong style={{ color: '#ffffff' }}>{entry.author}</strong>
+            {entry.replyTo && (
+              <Box component="span" sx={{ fontStyle: 'italic', fontSize: '0.7rem', ml: 0.5 }}>
+                ответ в ветке
+              </Box>
+            )}
+          </Typography>
+          <Typography component="div" variant="body1" sx={{ color: '#dcddde', wordWrap: 'break-word' }}>
+            <MarkdownText text={entry.text} />
+          </Typography>
+          {entry.attachments.length > 0 && (
+            <Typography variant="caption" sx={{ color: '#949ba4', display: 'block' }}>
+              Вложений: {entry.attachments.length}
+            </Typography>
+          )}
+          {failed ? (
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+              <Typography variant="caption" sx={{ color: '#ed4245' }}>
+                Не отправлено: {entry.error}
+              </Typography>
+              <Button size="small" onClick={() => onRetry(entry.clientId)}>Повторить</Button>
+              <Button size="small" color="error" onClick={() => onDiscard(entry.clientId)}>Удалить</Button>
+            </Box>
+          ) : (
+            <Typography variant="caption" sx={{ color: '#949ba4', display: 'flex', alignItems: 'center', gap: 0.5 }}>
+              <CircularProgress size={10} color="inherit" />
+              Отправляется...
+            </Typography>
+          )}
+        </Box>
+      </Box>
+    </ListItem>
+  );
+};
+
+const MessageList = ({
+  messages,
+  currentRoom,
+  currentUser,
+  currentUserRole,
+  highlightedMessageId,
+  hasMore,
+  loadingOlder,
+  onLoadOlder,
+  onMarkRead,
+  onEditMessage,
+  onDeleteMessage,
+  onToggleReaction,
+  onOpenThread,
+  pinnedMessageIds,
+  onTogglePin,
+  savedMessageIds,
+  onToggleSaved,
+  onQuoteMessage,
+  onForwardMessage,
+  onOpenForwarded,
+  onVotePoll,
+  onClosePoll,
+  outboxMessages = [],
+  onRetryMessage,
+  onDiscardMessage
+}) => {
   const messagesEndRef = useRef(null);
   const messagesContainerRef = useRef(null);
+  // Scroll geometry captured before older messages are prepended
+  const scrollAnchorRef = useRef(null);
+  const lastMessageKeyRef = useRef(null);
+  // While a search hit is highlighted, automatic scrolling to the bottom is off
+  const highlightedRef = useRef(highlightedMessageId);
+  highlightedRef.current = highlightedMessageId;
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
 
@@ -16,6 +145,11 @@ const MessageList = ({ messages, currentRoom }) => {
   const [scrollPosition, setScrollPosition] = useState(0);
   const [lastMessageCount, setLastMessageCount] = useState(0);
 
+  // State for inline editing and revision history
+  const [editingId, setEditingId] = useState(null);
+  const [editText, setEditText] = useState('');
+  const [revisionsMessageId, setRevisionsMessageId] = useState(null);
+
   // Enhanced scroll to bottom function
   const scrollToBottom = useCallback(() => {
     const container = messagesContainerRef.current;
@@ -49,11 +183,17 @@ const MessageList = ({ messages, currentRoom }) => {
     setShowScrollButton(shouldShowButton);
     setScrollPosition(scrollTop);
 
+    // Near the top: fetch the previous page and remember where the user was
+    if (scrollTop < LOAD_OLDER_THRESHOLD && hasMore && !loadingOlder && !scrollAnchorRef.current && onLoadOlder) {
+      scrollAnchorRef.current = { scrollHeight, scrollTop };
+      onLoadOlder();
+    }
+
     // Reset unread count when user scrolls to bottom
     if (newIsAtBottom) {
       setUnreadCount(0);
     }
-  }, [checkIfAtBottom]);
+  }, [checkIfAtBottom, hasMore, loadingOlder, onLoadOlder]);
 
   // Scroll to bottom with smooth animation
   const handleScrollToBottom = useCallback(() => {
@@ -61,6 +201,41 @@ const MessageList = ({ messages, currentRoom }) => {
     setUnreadCount(0);
   }, [scrollToBottom]);
 
+  const startEditing = useCallback((msg) => {
+    setEditingId(msg.id);
+    setEditText(msg.text);
+  }, []);
+
+  const cancelEditing = useCallback(() => {
+    setEditingId(null);
+    setEditText('');
+  }, []);
+
+  const saveEditing = useCallback(() => {
+    const trimmed = editText.trim();
+    if (trimmed && onEditMessage) {
+      onEditMessage(editingId, trimmed);
+    }
+    cancelEditing();
+  }, [editText, editingId, onEditMessage, cancelEditing]);
+
+  const canModerate = currentUserRole === 'admin' || currentUserRole === 'moderator';
+
+  const handleDelete = useCallback((msg) => {
+    if (onDeleteMessage && window.confirm('Удалить это сообщение?')) {
+      onDeleteMessage(msg.id);
+    }
+  }, [onDeleteMessage]);
+
+  const handleEditKeyDown = useCallback((e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      saveEditing();
+    } else if (e.key === 'Escape') {
+      cancelEditing();
+    }
+  }, [saveEditing, cancelEditing]);
+
   // Optimized message filtering with memoization to prevent recalculations
   const currentRoomMessages = useMemo(() =>
     messages.filter(msg =>
@@ -85,12 +260,63 @@ const MessageList = ({ messages, currentRoom }) => {
     };
   }, [handleScroll]);
 
+  // Report the newest message as read while the user is at the bottom of a visible tab
+  const lastMessageId = useMemo(() => {
+    for (let i = currentRoomMessages.length - 1; i >= 0; i--) {
+      if (currentRoomMessages[i].id) return currentRoomMessages[i].id;
+    }
+    return null;
+  }, [currentRoomMessages]);
+
+  useEffect(() => {
+    if (!onMarkRead || !lastMessageId || !isAtBottom) return;
+
+    const report = () => {
+      if (document.visibilityState === 'visible') onMarkRead(lastMessageId);
+    };
+    report();
+    document.addEventListener('visibilitychange', report);
+    return () => document.removeEventListener('visibilitychange', report);
+  }, [onMarkRead, lastMessageId, isAtBottom]);
+
+  // Bring a highlighted search hit into view
+  useEffect(() => {
+    if (!highlightedMessageId) return;
+    const element = document.getElementById(`message-${highlightedMessageId}`);
+    element?.scrollIntoView({ block: 'center' });
+  }, [highlightedMessageId, currentRoom]);
+
+  // Keep the visible messages in place when an older page is prepended
+  const firstMessageKey = getMessageKey(currentRoomMessages[0]);
+  useLayoutEffect(() => {
+    const container = messagesContainerRef.current;
+    const anchor = scrollAnchorRef.current;
+    if (!container || !anchor) return;
+
+    if (container.scrollHeight !== anchor.scrollHeight) {
+      container.scrollTop = container.scrollHeight - anchor.scrollHeight + anchor.scrollTop;
+      scrollAnchorRef.current = null;
+    } else if (!loadingOlder) {
+      // The page came back empty
+      scrollAnchorRef.current = null;
+    }
+  }, [firstMessageKey, loadingOlder]);
+
+  // Forget a pending anchor when switching rooms
+  useEffect(() => {
+    scrollAnchorRef.current = null;
+  }, [currentRoom]);
+
   // Optimized message handling with better debounce
   useEffect(() => {
     const currentMessageCount = currentRoomMessages.length;
-    const hasNewMessages = currentMessageCount > lastMessageCount && lastMessageCount > 0;
+    // Prepended history doesn't change the last message and isn't "new"
+    const lastMessageKey = getMessageKey(currentRoomMessages[currentMessageCount - 1]);
+    const appended = lastMessageKey !== lastMessageKeyRef.current;
+    lastMessageKeyRef.current = lastMessageKey;
+    const hasNewMessages = appended && currentMessageCount > lastMessageCount && lastMessageCount > 0;
 
-    if (hasNewMessages) {
+    if (hasNewMessages && !highlightedRef.current) {
       if (isAtBottom) {
         // Use requestAnimationFrame for smooth performance
         requestAnimationFrame(() => {
@@ -104,16 +330,28 @@ const MessageList = ({ messages, currentRoom }) => {
     }
 
     setLastMessageCount(currentMessageCount);
-  }, [currentRoomMessages.length, isAtBottom, scrollToBottom, lastMessageCount]); // More specific deps
+  }, [currentRoomMessages, isAtBottom, scrollToBottom, lastMessageCount]); // More specific deps
+
+  // Messages the user just wrote are always brought into view
+  const outboxCount = outboxMessages.length;
+  const lastOutboxCountRef = useRef(outboxCount);
+  useEffect(() => {
+    if (outboxCount > lastOutboxCountRef.current) {
+      requestAnimationFrame(() => scrollToBottom());
+    }
+    lastOutboxCountRef.current = outboxCount;
+  }, [outboxCount, scrollToBottom]);
 
-  // Initial scroll to bottom and setup tracking
+  // Initial scroll to bottom once the room's history arrives
+  const hasMessages = currentRoomMessages.length > 0;
   useEffect(() => {
-    setTimeout(() => {
+    const timer = setTimeout(() => {
+      if (highlightedRef.current) return;
       scrollToBottom();
       setIsAtBottom(true);
-      setLastMessageCount(currentRoomMessages.length);
     }, 100);
-  }, [currentRoom, currentRoomMessages.length, scrollToBottom]); // Reset when room changes
+    return () => clearTimeout(timer);
+  }, [currentRoom, hasMessages, scrollToBottom]); // Reset when room changes
 
   return (
     <Box sx={{
@@ -133,10 +371,35 @@ const MessageList = ({ messages, currentRoom }) => {
         borderRadius: '4px',
       }
     }} ref={messagesContainerRef}>
+      {loadingOlder && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 1 }}>
+          <CircularProgress size={20} />
+        </Box>
+      )}
+      {!hasMore && hasMessages && (
+        <Typography variant="caption" sx={{ display: 'block', textAlign: 'center', color: '#72767d', py: 1 }}>
+          Начало истории канала
+        </Typography>
+      )}
       <List>
         {currentRoomMessages.map((msg, index) => (
-          <ListItem key={`${msg.timestamp}-${index}`} sx={{ px: 0, py: 0.5 }}>
-            <Box sx={{ display: 'flex', alignItems: 'flex-start' }}>
+          <ListItem
+            key={msg.id || `${msg.timestamp}-${index}`}
+            id={msg.id ? `message-${msg.id}` : undefined}
+            sx={{
+              px: 0,
+              py: 0.5,
+              borderRadius: 1,
+              bgcolor: msg.id && msg.id === highlightedMessageId ? 'rgba(250, 166, 26, 0.12)' : 'transparent',
+              // Messages mentioning the current user stand out
+              ...(msg.mentions?.includes(currentUser) && !msg.deleted && {
+                borderLeft: '2px solid #faa61a',
+                bgcolor: 'rgba(250, 166, 26, 0.06)'
+              }),
+              '&:hover .message-actions': { visibility: 'visible' }
+            }}
+          >
+            <Box sx={{ display: 'flex', alignItems: 'flex-start', width: '100%' }}>
               {/* Timestamp */}
               <Typography
                 variant="caption"
@@ -182,17 +445,249 @@ const MessageList = ({ messages, currentRoom }) => {
                       (система)
                     </Box>
                   )}
+                  {msg.type === 'ephemeral' && (
+                    <Box component="span" sx={{ color: '#949ba4', fontStyle: 'italic', fontSize: '0.7rem', ml: 0.5 }}>
+                      Только вы видите это сообщение
+                    </Box>
+                  )}
+                  {msg.expiresAt && (
+                    <Tooltip title={`Исчезнет ${new Date(msg.expiresAt).toLocaleString([], { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' })}`}>
+                      <TimerIcon sx={{ fontSize: '0.8rem', color: '#faa61a', ml: 0.5, verticalAlign: 'middle' }} />
+                    </Tooltip>
+                  )}
+                  {pinnedMessageIds?.has(msg.id) && (
+                    <Tooltip title="Закреплено">
+                      <PinIcon sx={{ fontSize: '0.8rem', color: '#949ba4', ml: 0.5, verticalAlign: 'middle' }} />
+                    </Tooltip>
+                  )}
                 </Typography>
-                <Typography variant="body1" sx={{ color: '#dcddde', wordWrap: 'break-word' }}>
-                  {msg.text}
-                </Typography>
+                {!msg.deleted && msg.forwardedFrom && (
+                  <Box
+                    component="span"
+                    role={onOpenForwarded ? 'button' : undefined}
+                    title={onOpenForwarded ? 'Открыть оригинал' : undefined}
+                    onClick={onOpenForwarded ? () => onOpenForwarded({ id: msg.forwardedFrom.messageId }) : undefined}
+                    sx={{
+                      display: 'inline-flex',
+                      alignItems: 'center',
+                      color: '#949ba4',
+                      fontSize: '0.75rem',
+                      cursor: onOpenForwarded ? 'pointer' : 'default',
+                      '&:hover': onOpenForwarded ? { textDecoration: 'underline' } : undefined
+                    }}
+                  >
+                    <ForwardIcon sx={{ fontSize: '0.9rem', mr: 0.5 }} />
+                    Переслано от {msg.forwardedFrom.author}
+                    {isDirectRoom(msg.forwardedFrom.room) ? ' из личных сообщений' : ` из #${msg.forwardedFrom.room}`}
+                  </Box>
+                )}
+                {msg.deleted ? (
+                  <Typography variant="body1" sx={{ color: '#72767d', fontStyle: 'italic' }}>
+                    {msg.deletedBy && msg.deletedBy !== msg.author
+                      ? `Сообщение удалено модератором ${msg.deletedBy}`
+                      : 'Сообщение удалено'}
+                  </Typography>
+                ) : editingId && editingId === msg.id ? (
+                  <Box>
+                    <TextField
+                      fullWidth
+                      size="small"
+                      multiline
+                      maxRows={6}
+                      autoFocus
+                      value={editText}
+                      onChange={(e) => setEditText(e.target.value)}
+                      onKeyDown={handleEditKeyDown}
+                      inputProps={{ 'data-testid': 'edit-message-input', maxLength: 2000 }}
+                    />
+                    <Box sx={{ display: 'flex', gap: 1, mt: 0.5 }}>
+                      <Button size="small" variant="contained" onClick={saveEditing} disabled={!editText.trim()}>
+                        Сохранить
+                      </Button>
+                      <Button size="small" onClick={cancelEditing}>
+                        Отмена
+                      </Button>
+                    </Box>
+                  </Box>
+                ) : (
+                  <Typography
+                    component="div"
+                    variant="body1"
+                    sx={{
+                      color: msg.type === 'ephemeral' && msg.error ? '#ed4245' : '#dcddde',
+                      wordWrap: 'break-word',
+                      // /me actions read as a continuation of the author name
+                      ...(msg.action && { fontStyle: 'italic', color: '#b5bac1' })
+                    }}
+                  >
+                    <MarkdownText
+                      text={msg.text}
+                      renderText={(text) => renderMentions(text, msg.mentions, currentUser)}
+                      trailing={msg.editedAt && (
+                        <Box
+                          component="span"
+                          role="button"
+                          title="Показать предыдущие версии"
+                          onClick={() => setRevisionsMessageId(msg.id)}
+                          sx={{ color: '#949ba4', fontSize: '0.7rem', ml: 0.5, cursor: 'pointer', '&:hover': { textDecoration: 'underline' } }}
+                        >
+                          (изменено)
+                        </Box>
+                      )}
+                    />
+                  </Typography>
+                )}
+
+                {!msg.deleted && <MessageAttachments attachments={msg.attachments} />}
+
+                {!msg.deleted && msg.type === 'poll' && msg.poll && (
+                  <PollMessage
+                    messageId={msg.id}
+                    poll={msg.poll}
+                    canClose={msg.author === currentUser || canModerate}
+                    onVote={onVotePoll}
+                    onClose={onClosePoll}
+                  />
+                )}
+
+                {/* Reaction chips */}
+                {!msg.deleted && msg.reactions?.length > 0 && (
+                  <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 0.5 }}>
+                    {msg.reactions.map(reaction => {
+                      const reacted = reaction.users?.includes(currentUser);
+                      return (
+                        <Tooltip key={reaction.emoji} title={reaction.users?.join(', ') || ''}>
+                          <Chip
+                            size="small"
+                            label={`${reaction.emoji} ${reaction.count}`}
+                            onClick={onToggleReaction ? () => onToggleReaction(msg.id, reaction.emoji, reacted) : undefined}
+                            variant={reacted ? 'filled' : 'outlined'}
+                            color={reacted ? 'primary' : 'default'}
+                            sx={{ color: '#dcddde', borderColor: '#40444b' }}
+                          />
+                        </Tooltip>
+                      );
+                    })}
+                  </Box>
+                )}
+
+                {/* Thread summary */}
+                {msg.replyCount > 0 && onOpenThread && (
+                  <Box
+                    component="span"
+                    role="button"
+                    onClick={() => onOpenThread(msg.id)}
+                    sx={{ display: 'inline-block', mt: 0.5, color: '#00a8fc', fontSize: '0.8rem', cursor: 'pointer', '&:hover': { textDecoration: 'underline' } }}
+                  >
+                    {formatReplyCount(msg.replyCount)}
+                    {msg.lastReplyAt && (
+                      <Box component="span" sx={{ color: '#949ba4', ml: 1 }}>
+                        последний в {new Date(msg.lastReplyAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                      </Box>
+                    )}
+                  </Box>
+                )}
               </Box>
+
+              {/* Message actions: reactions for everyone, editing for the author, deletion also for moderators */}
+              {msg.id && !msg.deleted && editingId !== msg.id && (
+                <Box className="message-actions" sx={{ visibility: 'hidden', ml: 1, display: 'flex' }}>
+                  {msg.type !== 'system' && onToggleReaction && (
+                    <ReactionPicker
+                      onSelect={(emoji) => onToggleReaction(
+                        msg.id,
+                        emoji,
+                        Boolean(msg.reactions?.find(r => r.emoji === emoji)?.users?.includes(currentUser))
+                      )}
+                    />
+                  )}
+                  {(msg.type === 'public' || msg.type === 'poll') && onOpenThread && (
+                    <IconButton
+                      size="small"
+                      aria-label="Ответить в треде"
+                      onClick={() => onOpenThread(msg.id)}
+                      sx={{ color: '#949ba4' }}
+                    >
+                      <ThreadIcon fontSize="inherit" />
+                    </IconButton>
+                  )}
+                  {(msg.type === 'public' || msg.type === 'poll') && canModerate && onTogglePin && (
+                    <IconButton
+                      size="small"
+                      aria-label={pinnedMessageIds?.has(msg.id) ? 'Открепить сообщение' : 'Закрепить сообщение'}
+                      onClick={() => onTogglePin(msg.id, Boolean(pinnedMessageIds?.has(msg.id)))}
+                      sx={{ color: '#949ba4' }}
+                    >
+                      {pinnedMessageIds?.has(msg.id) ? <PinIcon fontSize="inherit" /> : <PinOutlinedIcon fontSize="inherit" />}
+                    </IconButton>
+                  )}
+                  {msg.type !== 'system' && onToggleSaved && (
+                    <IconButton
+                      size="small"
+                      aria-label={savedMessageIds?.has(msg.id) ? 'Убрать из сохранённых' : 'Сохранить сообщение'}
+                      onClick={() => onToggleSaved(msg.id, Boolean(savedMessageIds?.has(msg.id)))}
+                      sx={{ color: '#949ba4' }}
+                    >
+                      {savedMessageIds?.has(msg.id) ? <BookmarkIcon fontSize="inherit" /> : <BookmarkOutlinedIcon fontSize="inherit" />}
+                    </IconButton>
+                  )}
+                  {msg.type !== 'system' && msg.text && onQuoteMessage && (
+                    <IconButton
+                      size="small"
+                      aria-label="Цитировать"
+                      onClick={() => onQuoteMessage(msg)}
+                      sx={{ color: '#949ba4' }}
+                    >
+                      <QuoteIcon fontSize="inherit" />
+                    </IconButton>
+                  )}
+                  {(msg.type === 'public' || msg.type === 'private') && msg.text && !msg.attachments?.length && !msg.expiresAt && onForwardMessage && (
+                    <IconButton
+                      size="small"
+                      aria-label="Переслать"
+                      onClick={() => onForwardMessage(msg)}
+                      sx={{ color: '#949ba4' }}
+                    >
+                      <ForwardIcon fontSize="inherit" />
+                    </IconButton>
+                  )}
+                  {msg.type !== 'system' && msg.type !== 'poll' && !msg.forwardedFrom && msg.author === currentUser && onEditMessage && (
+                    <IconButton
+                      size="small"
+                      aria-label="Редактировать сообщение"
+                      onClick={() => startEditing(msg)}
+                      sx={{ color: '#949ba4' }}
+                    >
+                      <EditIcon fontSize="inherit" />
+                    </IconButton>
+                  )}
+                  {onDeleteMessage && (msg.author === currentUser || canModerate) && (
+                    <IconButton
+                      size="small"
+                      aria-label="Удалить сообщение"
+                      onClick={() => handleDelete(msg)}
+                      sx={{ color: '#949ba4', '&:hover': { color: '#ed4245' } }}
+                    >
+                      <DeleteIcon fontSize="inherit" />
+                    </IconButton>
+                  )}
+                </Box>
+              )}
             </Box>
           </ListItem>
         ))}
+        {outboxMessages.map(entry => (
+          <OutboxMessage key={entry.clientId} entry={entry} onRetry={onRetryMessage} onDiscard={onDiscardMessage} />
+        ))}
       </List>
       <div ref={messagesEndRef} />
 
+      <MessageRevisionsDialog
+        messageId={revisionsMessageId}
+        open={Boolean(revisionsMessageId)}
+        onClose={() => setRevisionsMessageId(null)}
+      />
+
       {/* Floating scroll to bottom button with unread count */}
       {showScrollButton && unreadCount > 0 && (
         <Box
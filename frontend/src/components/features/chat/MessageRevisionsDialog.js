@@ -0,0 +1,62 @@
+import React, { useEffect, useState } from 'react';
+import { Dialog, DialogTitle, DialogContent, List, ListItem, ListItemText, Typography, CircularProgress, Box } from '@mui/material';
+import axios from 'axios';
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString([], {
+  day: '2-digit',
+  month: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const MessageRevisionsDialog = ({ messageId, open, onClose }) => {
+  const [message, setMessage] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!open || !messageId) return;
+
+    setLoading(true);
+    setError(null);
+    axios.get(`/api/messages/${messageId}/revisions`)
+      .then(res => setMessage(res.data))
+      .catch(err => setError(err.userMessage || 'Не удалось загрузить историю изменений'))
+      .finally(() => setLoading(false));
+  }, [open, messageId]);
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>История изменений</DialogTitle>
+      <DialogContent>
+        {loading && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 2 }}>
+            <CircularProgress size={24} />
+          </Box>
+        )}
+        {error && <Typography color="error">{error}</Typography>}
+        {!loading && message && (
+          <List dense>
+            <ListItem>
+              <ListItemText
+                primary={message.text}
+                secondary={`Текущая версия • ${formatTime(message.editedAt || message.timestamp)}`}
+              />
+            </ListItem>
+            {[...message.revisions].reverse().map((revision, index) => (
+              <ListItem key={`${revision.timestamp}-${index}`}>
+                <ListItemText
+                  primary={revision.text}
+                  secondary={formatTime(revision.timestamp)}
+                  primaryTypographyProps={{ sx: { color: '#949ba4' } }}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default MessageRevisionsDialog;
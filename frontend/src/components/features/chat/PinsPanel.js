@@ -0,0 +1,87 @@
+import React from 'react';
+import { Drawer, Box, Typography, IconButton, Divider, CircularProgress, List, ListItemButton, Tooltip } from '@mui/material';
+import { Close as CloseIcon, PushPinOutlined as UnpinIcon } from '@mui/icons-material';
+import MarkdownText from './MarkdownText';
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString([], {
+  day: '2-digit',
+  month: '2-digit',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const PinsPanel = ({ open, room, pins, loading, canModerate, onClose, onJump, onUnpin }) => (
+  <Drawer anchor="right" open={open} onClose={onClose}>
+    <Box sx={{ width: { xs: '100vw', sm: 400 }, height: '100%', bgcolor: '#2b2d31', color: '#ffffff', display: 'flex', flexDirection: 'column' }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', p: 2 }}>
+        <Typography variant="h6" sx={{ flexGrow: 1 }}>
+          Закреплённые{room ? ` в #${room}` : ''}
+        </Typography>
+        <IconButton aria-label="Закрыть закреплённые" onClick={onClose} sx={{ color: '#949ba4' }}>
+          <CloseIcon />
+        </IconButton>
+      </Box>
+      <Divider sx={{ borderColor: '#40444b' }} />
+
+      <Box sx={{ flexGrow: 1, overflowY: 'auto', p: 2 }}>
+        {loading && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 2 }}>
+            <CircularProgress size={24} />
+          </Box>
+        )}
+        {!loading && pins.length === 0 && (
+          <Typography variant="body2" sx={{ color: '#949ba4' }}>
+            В этом канале пока нет закреплённых сообщений
+          </Typography>
+        )}
+        <List dense>
+          {pins.map(pin => (
+            <ListItemButton
+              key={pin.message.id}
+              onClick={() => onJump(pin.message)}
+              sx={{ display: 'block', borderRadius: 1, mb: 0.5, bgcolor: '#313338', '&:hover': { bgcolor: '#35373c' } }}
+            >
+              <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                <Typography variant="body2" sx={{ color: '#ffffff', fontWeight: 'bold', flexGrow: 1 }}>
+                  {pin.message.author}
+                  <Box component="span" sx={{ color: '#949ba4', fontWeight: 'normal', fontSize: '0.7rem', ml: 1 }}>
+                    {formatTime(pin.message.timestamp)}
+                  </Box>
+                </Typography>
+                {canModerate && (
+                  <Tooltip title="Открепить">
+                    <IconButton
+                      size="small"
+                      aria-label="Открепить сообщение"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        onUnpin(pin.message.id);
+                      }}
+                      sx={{ color: '#949ba4', '&:hover': { color: '#ed4245' } }}
+                    >
+                      <UnpinIcon fontSize="inherit" />
+                    </IconButton>
+                  </Tooltip>
+                )}
+              </Box>
+              <Typography component="div" variant="body2" sx={{ color: '#dcddde', wordWrap: 'break-word' }}>
+                <MarkdownText text={pin.message.text} />
+              </Typography>
+              {pin.message.attachments?.length > 0 && (
+                <Typography variant="caption" sx={{ color: '#949ba4', display: 'block' }}>
+                  Вложений: {pin.message.attachments.length}
+                </Typography>
+              )}
+              <Typography variant="caption" sx={{ color: '#72767d' }}>
+                Закрепил {pin.pinnedBy} • {formatTime(pin.pinnedAt)}
+              </Typography>
+            </ListItemButton>
+          ))}
+        </List>
+      </Box>
+    </Box>
+  </Drawer>
+);
+
+export default PinsPanel;
@@ -0,0 +1,78 @@
+import React from 'react';
+import { Box, Typography, LinearProgress, Button, Tooltip } from '@mui/material';
+import { CheckCircle as CheckedIcon, RadioButtonUnchecked as UncheckedIcon, CheckBox as CheckBoxIcon, CheckBoxOutlineBlank as CheckBoxBlankIcon } from '@mui/icons-material';
+import { nextPollChoice, pollPercent, formatVoteCount } from '../../../utils/polls';
+
+const formatCloseTime = (date) => new Date(date).toLocaleString([], {
+  day: '2-digit',
+  month: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// Options of a /poll message with live tallies; the question is the message text
+const PollMessage = ({ messageId, poll, canClose, onVote, onClose }) => {
+  const myVotes = poll.myVotes || [];
+  const canVote = !poll.closed && Boolean(onVote);
+  const [Checked, Unchecked] = poll.multiple ? [CheckBoxIcon, CheckBoxBlankIcon] : [CheckedIcon, UncheckedIcon];
+
+  return (
+    <Box sx={{ mt: 0.5, p: 1, maxWidth: 480, bgcolor: '#2b2d31', borderRadius: 1 }} data-testid="poll">
+      {poll.options.map((option, index) => {
+        const chosen = myVotes.includes(index);
+        const percent = pollPercent(option.count, poll.totalVoters);
+        return (
+          <Tooltip key={index} title={option.voters?.join(', ') || ''}>
+            <Box
+              role={canVote ? 'button' : undefined}
+              aria-pressed={canVote ? chosen : undefined}
+              onClick={canVote ? () => onVote(messageId, nextPollChoice(poll, index)) : undefined}
+              sx={{
+                mb: 0.5,
+                p: 0.5,
+                borderRadius: 0.5,
+                cursor: canVote ? 'pointer' : 'default',
+                '&:hover': canVote ? { bgcolor: 'rgba(255, 255, 255, 0.04)' } : undefined
+              }}
+            >
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                {chosen
+                  ? <Checked sx={{ fontSize: '1rem', color: '#5865f2' }} />
+                  : <Unchecked sx={{ fontSize: '1rem', color: '#949ba4' }} />}
+                <Typography variant="body2" sx={{ color: '#dcddde', flexGrow: 1, wordBreak: 'break-word' }}>
+                  {option.text}
+                </Typography>
+                <Typography variant="caption" sx={{ color: '#949ba4' }}>
+                  {option.count} · {percent}%
+                </Typography>
+              </Box>
+              <LinearProgress
+                variant="determinate"
+                value={percent}
+                sx={{ mt: 0.3, height: 4, borderRadius: 2, bgcolor: '#40444b', '& .MuiLinearProgress-bar': { bgcolor: chosen ? '#5865f2' : '#949ba4' } }}
+              />
+            </Box>
+          </Tooltip>
+        );
+      })}
+
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+        <Typography variant="caption" sx={{ color: '#949ba4' }}>
+          {formatVoteCount(poll.totalVoters)}
+          {poll.multiple && ' · можно выбрать несколько'}
+          {poll.anonymous && ' · анонимно'}
+          {poll.closed
+            ? ' · голосование завершено'
+            : poll.closesAt && ` · до ${formatCloseTime(poll.closesAt)}`}
+        </Typography>
+        {!poll.closed && canClose && onClose && (
+          <Button size="small" onClick={() => onClose(messageId)} sx={{ ml: 'auto', minWidth: 0, py: 0 }}>
+            Завершить
+          </Button>
+        )}
+      </Box>
+    </Box>
+  );
+};
+
+export default PollMessage;
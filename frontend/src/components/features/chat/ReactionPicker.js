@@ -0,0 +1,44 @@
+import React, { useState } from 'react';
+import { IconButton, Popover, Box } from '@mui/material';
+import { AddReactionOutlined as AddReactionIcon } from '@mui/icons-material';
+
+export const REACTION_EMOJIS = ['👍', '👎', '❤️', '😂', '😮', '😢', '🎉', '🔥', '👀', '✅', '❌', '🙏'];
+
+const ReactionPicker = ({ onSelect }) => {
+  const [anchorEl, setAnchorEl] = useState(null);
+
+  const handleSelect = (emoji) => {
+    onSelect(emoji);
+    setAnchorEl(null);
+  };
+
+  return (
+    <>
+      <IconButton
+        size="small"
+        aria-label="Добавить реакцию"
+        onClick={(e) => setAnchorEl(e.currentTarget)}
+        sx={{ color: '#949ba4' }}
+      >
+        <AddReactionIcon fontSize="inherit" />
+      </IconButton>
+      <Popover
+        open={Boolean(anchorEl)}
+        anchorEl={anchorEl}
+        onClose={() => setAnchorEl(null)}
+        anchorOrigin={{ vertical: 'top', horizontal: 'left' }}
+        transformOrigin={{ vertical: 'bottom', horizontal: 'left' }}
+      >
+        <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(6, 1fr)', p: 1, bgcolor: '#2b2d31' }}>
+          {REACTION_EMOJIS.map(emoji => (
+            <IconButton key={emoji} size="small" onClick={() => handleSelect(emoji)} sx={{ fontSize: '1.2rem' }}>
+              {emoji}
+            </IconButton>
+          ))}
+        </Box>
+      </Popover>
+    </>
+  );
+};
+
+export default ReactionPicker;
@@ -0,0 +1,173 @@
+import React, { useState } from 'react';
+import { Drawer, Box, Typography, IconButton, Divider, CircularProgress, TextField, Button, Chip, Tooltip } from '@mui/material';
+import { Close as CloseIcon, EditOutlined as EditIcon, DeleteOutline as DeleteIcon, NotificationsNoneOutlined as ReminderIcon } from '@mui/icons-material';
+import MarkdownText from './MarkdownText';
+import { toDateTimeLocalValue, fromDateTimeLocalValue, formatScheduledTime } from '../../../utils/scheduledMessages';
+
+const fieldSx = {
+  '& .MuiOutlinedInput-root': { bgcolor: '#40444b', color: '#dcddde' },
+  '& .MuiInputLabel-root': { color: '#949ba4' }
+};
+
+const SavedMessageEditor = ({ saved, onSave, onCancel }) => {
+  const [note, setNote] = useState(saved.note);
+  const [remindAt, setRemindAt] = useState(saved.remindAt && !saved.remindedAt ? toDateTimeLocalValue(saved.remindAt) : '');
+  const [saving, setSaving] = useState(false);
+
+  const handleSave = async () => {
+    setSaving(true);
+    const updated = await onSave(saved.id, { note: note.trim(), remindAt: fromDateTimeLocalValue(remindAt) });
+    setSaving(false);
+    if (updated) onCancel();
+  };
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1, mt: 1 }}>
+      <TextField
+        multiline
+        maxRows={4}
+        size="small"
+        label="Заметка"
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        inputProps={{ maxLength: 500 }}
+        sx={fieldSx}
+      />
+      <TextField
+        type="datetime-local"
+        size="small"
+        label="Напомнить"
+        value={remindAt}
+        onChange={(e) => setRemindAt(e.target.value)}
+        InputLabelProps={{ shrink: true }}
+        inputProps={{ min: toDateTimeLocalValue(new Date()) }}
+        helperText="Оставьте пустым, чтобы не напоминать"
+        sx={fieldSx}
+      />
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1 }}>
+        <Button size="small" onClick={onCancel} sx={{ color: '#b5bac1' }}>Отмена</Button>
+        <Button size="small" variant="contained" onClick={handleSave} disabled={saving}>
+          Сохранить
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+const SavedMessagesPanel = ({ open, savedMessages, loading, onClose, onJump, onUpdate, onRemove }) => {
+  const [editingId, setEditingId] = useState(null);
+
+  return (
+    <Drawer anchor="right" open={open} onClose={onClose}>
+      <Box sx={{ width: { xs: '100vw', sm: 400 }, height: '100%', bgcolor: '#2b2d31', color: '#ffffff', display: 'flex', flexDirection: 'column' }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', p: 2 }}>
+          <Typography variant="h6" sx={{ flexGrow: 1 }}>
+            Сохранённые сообщения
+          </Typography>
+          <IconButton aria-label="Закрыть сохранённые" onClick={onClose} sx={{ color: '#949ba4' }}>
+            <CloseIcon />
+          </IconButton>
+        </Box>
+        <Divider sx={{ borderColor: '#40444b' }} />
+
+        <Box sx={{ flexGrow: 1, overflowY: 'auto', p: 2 }}>
+          {loading && (
+            <Box sx={{ display: 'flex', justifyContent: 'center', p: 2 }}>
+              <CircularProgress size={24} />
+            </Box>
+          )}
+          {!loading && savedMessages.length === 0 && (
+            <Typography variant="body2" sx={{ color: '#949ba4' }}>
+              Сохраняйте важные сообщения значком закладки, чтобы вернуться к ним позже
+            </Typography>
+          )}
+          {savedMessages.map(saved => (
+            <Box
+              key={saved.id}
+              role={saved.message ? 'button' : undefined}
+              onClick={saved.message && editingId !== saved.id ? () => onJump({ id: saved.messageId }) : undefined}
+              sx={{
+                borderRadius: 1,
+                mb: 1,
+                p: 1.5,
+                bgcolor: '#313338',
+                cursor: saved.message && editingId !== saved.id ? 'pointer' : 'default',
+                '&:hover': { bgcolor: '#35373c' }
+              }}
+            >
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                <Typography variant="body2" sx={{ color: '#ffffff', fontWeight: 'bold', flexGrow: 1 }}>
+                  {saved.message ? saved.message.author : 'Сообщение недоступно'}
+                  <Box component="span" sx={{ color: '#949ba4', fontWeight: 'normal', fontSize: '0.7rem', ml: 1 }}>
+                    #{saved.room}
+                    {saved.message && ` • ${formatScheduledTime(saved.message.timestamp)}`}
+                  </Box>
+                </Typography>
+                {editingId !== saved.id && (
+                  <Tooltip title="Заметка и напоминание">
+                    <IconButton
+                      size="small"
+                      aria-label="Изменить сохранённое сообщение"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        setEditingId(saved.id);
+                      }}
+                      sx={{ color: '#949ba4', '&:hover': { color: '#ffffff' } }}
+                    >
+                      <EditIcon fontSize="inherit" />
+                    </IconButton>
+                  </Tooltip>
+                )}
+                <Tooltip title="Убрать из сохранённых">
+                  <IconButton
+                    size="small"
+                    aria-label="Убрать из сохранённых"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onRemove(saved.id);
+                    }}
+                    sx={{ color: '#949ba4', '&:hover': { color: '#ed4245' } }}
+                  >
+                    <DeleteIcon fontSize="inherit" />
+                  </IconButton>
+                </Tooltip>
+              </Box>
+
+              {saved.message && (
+                <Typography component="div" variant="body2" sx={{ color: saved.message.deleted ? '#72767d' : '#dcddde', wordWrap: 'break-word' }}>
+                  {saved.message.deleted ? <i>Сообщение удалено</i> : <MarkdownText text={saved.message.text} />}
+                </Typography>
+              )}
+
+              {editingId === saved.id ? (
+                <Box onClick={(e) => e.stopPropagation()}>
+                  <SavedMessageEditor saved={saved} onSave={onUpdate} onCancel={() => setEditingId(null)} />
+                </Box>
+              ) : (
+                <>
+                  {saved.note && (
+                    <Typography variant="body2" sx={{ color: '#b5bac1', fontStyle: 'italic', mt: 0.5, wordWrap: 'break-word' }}>
+                      {saved.note}
+                    </Typography>
+                  )}
+                  {saved.remindAt && (
+                    <Chip
+                      size="small"
+                      icon={<ReminderIcon />}
+                      label={saved.remindedAt ? `Напомнено ${formatScheduledTime(saved.remindAt)}` : `Напомнить ${formatScheduledTime(saved.remindAt)}`}
+                      color={saved.remindedAt ? 'default' : 'primary'}
+                      variant="outlined"
+                      sx={{ mt: 0.5 }}
+                    />
+                  )}
+                </>
+              )}
+            </Box>
+          ))}
+        </Box>
+      </Box>
+    </Drawer>
+  );
+};
+
+export default SavedMessagesPanel;
@@ -0,0 +1,156 @@
+import React, { useState } from 'react';
+import { Drawer, Box, Typography, IconButton, Divider, CircularProgress, TextField, Button, Chip, Tooltip } from '@mui/material';
+import { Close as CloseIcon, EditOutlined as EditIcon, DeleteOutline as DeleteIcon } from '@mui/icons-material';
+import MarkdownText from './MarkdownText';
+import { toDateTimeLocalValue, fromDateTimeLocalValue, formatScheduledTime } from '../../../utils/scheduledMessages';
+
+const STATUS_LABELS = {
+  pending: { label: 'Ожидает', color: 'default' },
+  sending: { label: 'Отправляется', color: 'info' },
+  failed: { label: 'Не отправлено', color: 'error' }
+};
+
+const fieldSx = {
+  '& .MuiOutlinedInput-root': { bgcolor: '#40444b', color: '#dcddde' },
+  '& .MuiInputLabel-root': { color: '#949ba4' }
+};
+
+const ScheduledMessageEditor = ({ scheduled, onSave, onCancel }) => {
+  const [text, setText] = useState(scheduled.text);
+  const [sendAt, setSendAt] = useState(toDateTimeLocalValue(scheduled.sendAt));
+  const [saving, setSaving] = useState(false);
+
+  const handleSave = async () => {
+    setSaving(true);
+    const saved = await onSave(scheduled.id, { text: text.trim(), sendAt: fromDateTimeLocalValue(sendAt) });
+    setSaving(false);
+    if (saved) onCancel();
+  };
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1, mt: 1 }}>
+      <TextField
+        multiline
+        maxRows={6}
+        size="small"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        inputProps={{ maxLength: 2000, 'aria-label': 'Текст сообщения' }}
+        sx={fieldSx}
+      />
+      <TextField
+        type="datetime-local"
+        size="small"
+        label="Отправить"
+        value={sendAt}
+        onChange={(e) => setSendAt(e.target.value)}
+        InputLabelProps={{ shrink: true }}
+        sx={fieldSx}
+      />
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1 }}>
+        <Button size="small" onClick={onCancel} sx={{ color: '#b5bac1' }}>Отмена</Button>
+        <Button
+          size="small"
+          variant="contained"
+          onClick={handleSave}
+          disabled={saving || !text.trim() || !fromDateTimeLocalValue(sendAt)}
+        >
+          Сохранить
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+const ScheduledMessagesPanel = ({ open, scheduledMessages, loading, onClose, onUpdate, onCancel }) => {
+  const [editingId, setEditingId] = useState(null);
+
+  return (
+    <Drawer anchor="right" open={open} onClose={onClose}>
+      <Box sx={{ width: { xs: '100vw', sm: 400 }, height: '100%', bgcolor: '#2b2d31', color: '#ffffff', display: 'flex', flexDirection: 'column' }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', p: 2 }}>
+          <Typography variant="h6" sx={{ flexGrow: 1 }}>
+            Запланированные сообщения
+          </Typography>
+          <IconButton aria-label="Закрыть запланированные" onClick={onClose} sx={{ color: '#949ba4' }}>
+            <CloseIcon />
+          </IconButton>
+        </Box>
+        <Divider sx={{ borderColor: '#40444b' }} />
+
+        <Box sx={{ flexGrow: 1, overflowY: 'auto', p: 2 }}>
+          {loading && (
+            <Box sx={{ display: 'flex', justifyContent: 'center', p: 2 }}>
+              <CircularProgress size={24} />
+            </Box>
+          )}
+          {!loading && scheduledMessages.length === 0 && (
+            <Typography variant="body2" sx={{ color: '#949ba4' }}>
+              Нет запланированных сообщений
+            </Typography>
+          )}
+          {scheduledMessages.map(scheduled => {
+            const status = STATUS_LABELS[scheduled.status] || STATUS_LABELS.pending;
+            const isPending = scheduled.status === 'pending';
+
+            return (
+              <Box key={scheduled.id} sx={{ borderRadius: 1, mb: 1, p: 1.5, bgcolor: '#313338' }}>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  <Typography variant="body2" sx={{ color: '#ffffff', fontWeight: 'bold', flexGrow: 1 }}>
+                    #{scheduled.channel}
+                    <Box component="span" sx={{ color: '#949ba4', fontWeight: 'normal', fontSize: '0.7rem', ml: 1 }}>
+                      {formatScheduledTime(scheduled.sendAt)}
+                    </Box>
+                  </Typography>
+                  <Chip size="small" label={status.label} color={status.color} />
+                  {isPending && editingId !== scheduled.id && (
+                    <Tooltip title="Изменить">
+                      <IconButton
+                        size="small"
+                        aria-label="Изменить запланированное сообщение"
+                        onClick={() => setEditingId(scheduled.id)}
+                        sx={{ color: '#949ba4', '&:hover': { color: '#ffffff' } }}
+                      >
+                        <EditIcon fontSize="inherit" />
+                      </IconButton>
+                    </Tooltip>
+                  )}
+                  {(isPending || scheduled.status === 'failed') && (
+                    <Tooltip title={isPending ? 'Отменить отправку' : 'Убрать из списка'}>
+                      <IconButton
+                        size="small"
+                        aria-label={isPending ? 'Отменить запланированное сообщение' : 'Убрать из списка'}
+                        onClick={() => onCancel(scheduled.id)}
+                        sx={{ color: '#949ba4', '&:hover': { color: '#ed4245' } }}
+                      >
+                        <DeleteIcon fontSize="inherit" />
+                      </IconButton>
+                    </Tooltip>
+                  )}
+                </Box>
+                {editingId === scheduled.id ? (
+                  <ScheduledMessageEditor
+                    scheduled={scheduled}
+                    onSave={onUpdate}
+                    onCancel={() => setEditingId(null)}
+                  />
+                ) : (
+                  <Typography component="div" variant="body2" sx={{ color: '#dcddde', wordWrap: 'break-word' }}>
+                    <MarkdownText text={scheduled.text} />
+                  </Typography>
+                )}
+                {scheduled.error && (
+                  <Typography variant="caption" sx={{ color: '#ed4245', display: 'block' }}>
+                    {scheduled.error}
+                  </Typography>
+                )}
+              </Box>
+            );
+          })}
+        </Box>
+      </Box>
+    </Drawer>
+  );
+};
+
+export default ScheduledMessagesPanel;
@@ -0,0 +1,174 @@
+import React, { useState } from 'react';
+import { Drawer, Box, Typography, IconButton, TextField, Button, Divider, CircularProgress, List, ListItemButton, MenuItem } from '@mui/material';
+import { Close as CloseIcon, Search as SearchIcon } from '@mui/icons-material';
+import axios from 'axios';
+
+const PAGE_SIZE = 20;
+
+const TYPE_OPTIONS = [
+  { value: '', label: 'Все' },
+  { value: 'public', label: 'Публичные' },
+  { value: 'private', label: 'Приватные' },
+  { value: 'system', label: 'Системные' }
+];
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString([], {
+  day: '2-digit',
+  month: '2-digit',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Wrap query words found in the text with <mark>
+const highlightTerms = (text, query) => {
+  const terms = query.split(/\s+/).filter(Boolean).map(escapeRegExp);
+  if (terms.length === 0) return text;
+
+  const pattern = new RegExp(`(${terms.join('|')})`, 'gi');
+  return text.split(pattern).map((part, index) =>
+    index % 2 === 1
+      ? <mark key={index} style={{ backgroundColor: '#faa61a', color: '#000000', borderRadius: 2 }}>{part}</mark>
+      : part
+  );
+};
+
+const SearchPanel = ({ open, channels, onClose, onJump }) => {
+  const [query, setQuery] = useState('');
+  const [channel, setChannel] = useState('');
+  const [author, setAuthor] = useState('');
+  const [type, setType] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [results, setResults] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [searchedQuery, setSearchedQuery] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const textChannels = (channels || []).filter(c => c.type === 'text');
+
+  const runSearch = async (nextPage) => {
+    const trimmed = query.trim();
+    if (!trimmed) return;
+
+    const params = { q: trimmed, page: nextPage, limit: PAGE_SIZE };
+    if (channel) params.channel = channel;
+    if (author.trim()) params.author = author.trim();
+    if (type) params.type = type;
+    // Date inputs are local calendar days, include the whole "to" day
+    if (from) params.from = new Date(`${from}T00:00:00`).toISOString();
+    if (to) params.to = new Date(`${to}T23:59:59.999`).toISOString();
+
+    setLoading(true);
+    setError(null);
+    try {
+      const { data } = await axios.get('/api/messages/search', { params });
+      setResults(prev => nextPage === 1 ? data.results : [...prev, ...data.results]);
+      setTotal(data.total);
+      setPage(data.page);
+      setHasMore(data.hasMore);
+      setSearchedQuery(trimmed);
+    } catch (err) {
+      setError(err.userMessage || 'Не удалось выполнить поиск');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    runSearch(1);
+  };
+
+  return (
+    <Drawer anchor="right" open={open} onClose={onClose}>
+      <Box sx={{ width: { xs: '100vw', sm: 420 }, height: '100%', bgcolor: '#2b2d31', color: '#ffffff', display: 'flex', flexDirection: 'column' }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', p: 2 }}>
+          <Typography variant="h6" sx={{ flexGrow: 1 }}>Поиск сообщений</Typography>
+          <IconButton aria-label="Закрыть поиск" onClick={onClose} sx={{ color: '#949ba4' }}>
+            <CloseIcon />
+          </IconButton>
+        </Box>
+
+        <Box component="form" onSubmit={handleSubmit} sx={{ px: 2, display: 'flex', flexDirection: 'column', gap: 1 }}>
+          <TextField
+            size="small"
+            label="Что ищем?"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            autoFocus
+            inputProps={{ 'data-testid': 'search-input', maxLength: 200 }}
+          />
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            <TextField select size="small" label="Канал" value={channel} onChange={(e) => setChannel(e.target.value)} sx={{ flex: 1 }}>
+              <MenuItem value="">Все каналы</MenuItem>
+              {textChannels.map(c => (
+                <MenuItem key={c.id} value={c.id}>#{c.name}</MenuItem>
+              ))}
+            </TextField>
+            <TextField select size="small" label="Тип" value={type} onChange={(e) => setType(e.target.value)} sx={{ flex: 1 }}>
+              {TYPE_OPTIONS.map(option => (
+                <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+              ))}
+            </TextField>
+          </Box>
+          <TextField size="small" label="Автор" value={author} onChange={(e) => setAuthor(e.target.value)} />
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            <TextField size="small" type="date" label="С" value={from} onChange={(e) => setFrom(e.target.value)} InputLabelProps={{ shrink: true }} sx={{ flex: 1 }} />
+            <TextField size="small" type="date" label="По" value={to} onChange={(e) => setTo(e.target.value)} InputLabelProps={{ shrink: true }} sx={{ flex: 1 }} />
+          </Box>
+          <Button type="submit" variant="contained" startIcon={<SearchIcon />} disabled={!query.trim() || loading}>
+            Найти
+          </Button>
+        </Box>
+
+        <Divider sx={{ borderColor: '#40444b', mt: 2 }} />
+
+        <Box sx={{ flexGrow: 1, overflowY: 'auto', p: 2 }}>
+          {error && <Typography color="error">{error}</Typography>}
+          {searchedQuery && !error && (
+            <Typography variant="caption" sx={{ color: '#949ba4' }}>
+              {total > 0 ? `Найдено: ${total}` : 'Ничего не найдено'}
+            </Typography>
+          )}
+          <List dense>
+            {results.map(hit => (
+              <ListItemButton
+                key={hit.id}
+                onClick={() => onJump(hit)}
+                sx={{ display: 'block', borderRadius: 1, mb: 0.5, '&:hover': { bgcolor: '#35373c' } }}
+              >
+                <Typography variant="caption" sx={{ color: '#949ba4' }}>
+                  #{hit.room} • {formatTime(hit.timestamp)}
+                  {hit.type === 'private' && ` • приватное${hit.target ? ` → ${hit.target}` : ''}`}
+                  {hit.replyTo && ' • в треде'}
+                </Typography>
+                <Typography variant="body2" sx={{ color: '#ffffff', fontWeight: 'bold' }}>{hit.author}</Typography>
+                <Typography variant="body2" sx={{ color: '#dcddde', wordWrap: 'break-word' }}>
+                  {highlightTerms(hit.text, searchedQuery)}
+                </Typography>
+              </ListItemButton>
+            ))}
+          </List>
+          {loading && (
+            <Box sx={{ display: 'flex', justifyContent: 'center', p: 2 }}>
+              <CircularProgress size={24} />
+            </Box>
+          )}
+          {hasMore && !loading && (
+            <Button fullWidth onClick={() => runSearch(page + 1)}>
+              Показать ещё
+            </Button>
+          )}
+        </Box>
+      </Box>
+    </Drawer>
+  );
+};
+
+export default SearchPanel;
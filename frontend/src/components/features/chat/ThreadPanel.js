@@ -0,0 +1,128 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Drawer, Box, Typography, IconButton, TextField, Button, Divider, CircularProgress, List, ListItem } from '@mui/material';
+import { Close as CloseIcon } from '@mui/icons-material';
+import MarkdownText from './MarkdownText';
+import PollMessage from './PollMessage';
+
+// Russian plural forms for "reply"
+export const formatReplyCount = (count) => {
+  const mod10 = count % 10;
+  const mod100 = count % 100;
+  if (mod10 === 1 && mod100 !== 11) return `${count} ответ`;
+  if (mod10 >= 2 && mod10 <= 4 && (mod100 < 12 || mod100 > 14)) return `${count} ответа`;
+  return `${count} ответов`;
+};
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString([], {
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const ThreadMessage = ({ message }) => (
+  <Box sx={{ width: '100%' }}>
+    <Typography variant="body2" sx={{ color: '#949ba4', mb: 0.2 }}>
+      <strong style={{ color: '#ffffff' }}>{message.author}</strong>
+      <Box component="span" sx={{ ml: 1, fontSize: '0.7rem' }}>{formatTime(message.timestamp)}</Box>
+    </Typography>
+    {message.deleted ? (
+      <Typography variant="body1" sx={{ color: '#72767d', fontStyle: 'italic' }}>
+        Сообщение удалено
+      </Typography>
+    ) : (
+      <Typography component="div" variant="body1" sx={{ color: '#dcddde', wordWrap: 'break-word' }}>
+        <MarkdownText
+          text={message.text}
+          trailing={message.editedAt && (
+            <Box component="span" sx={{ color: '#949ba4', fontSize: '0.7rem', ml: 0.5 }}>(изменено)</Box>
+          )}
+        />
+      </Typography>
+    )}
+    {/* Poll tallies are shown read-only, votes go through the message list */}
+    {!message.deleted && message.poll && <PollMessage messageId={message.id} poll={message.poll} />}
+  </Box>
+);
+
+const ThreadPanel = ({ open, thread, onClose, onSendReply }) => {
+  const [reply, setReply] = useState('');
+  const repliesEndRef = useRef(null);
+  const replyCount = thread?.replies.length || 0;
+
+  useEffect(() => {
+    repliesEndRef.current?.scrollIntoView({ block: 'end' });
+  }, [replyCount]);
+
+  useEffect(() => {
+    setReply('');
+  }, [thread?.parent?.id]);
+
+  const handleSend = () => {
+    const trimmed = reply.trim();
+    if (!trimmed || !thread) return;
+    onSendReply(thread.parent.id, trimmed);
+    setReply('');
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      handleSend();
+    }
+  };
+
+  return (
+    <Drawer anchor="right" open={open} onClose={onClose}>
+      <Box sx={{ width: { xs: '100vw', sm: 380 }, height: '100%', bgcolor: '#2b2d31', color: '#ffffff', display: 'flex', flexDirection: 'column' }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', p: 2 }}>
+          <Typography variant="h6" sx={{ flexGrow: 1 }}>Тред</Typography>
+          <IconButton aria-label="Закрыть тред" onClick={onClose} sx={{ color: '#949ba4' }}>
+            <CloseIcon />
+          </IconButton>
+        </Box>
+        <Divider sx={{ borderColor: '#40444b' }} />
+
+        {!thread ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : (
+          <>
+            <Box sx={{ flexGrow: 1, overflowY: 'auto', p: 2 }}>
+              <ThreadMessage message={thread.parent} />
+              <Typography variant="caption" sx={{ display: 'block', color: '#949ba4', my: 1 }}>
+                {replyCount > 0 ? formatReplyCount(replyCount) : 'Пока нет ответов'}
+              </Typography>
+              <Divider sx={{ borderColor: '#40444b' }} />
+              <List>
+                {thread.replies.map(message => (
+                  <ListItem key={message.id} sx={{ px: 0, py: 0.5 }}>
+                    <ThreadMessage message={message} />
+                  </ListItem>
+                ))}
+              </List>
+              <div ref={repliesEndRef} />
+            </Box>
+            <Box sx={{ p: 2 }}>
+              <TextField
+                fullWidth
+                size="small"
+                multiline
+                maxRows={4}
+                label="Ответить в треде"
+                value={reply}
+                onChange={(e) => setReply(e.target.value)}
+                onKeyDown={handleKeyDown}
+                inputProps={{ 'data-testid': 'thread-reply-input', maxLength: 2000 }}
+              />
+              <Button variant="contained" onClick={handleSend} disabled={!reply.trim()} sx={{ mt: 1 }}>
+                Ответить
+              </Button>
+            </Box>
+          </>
+        )}
+      </Box>
+    </Drawer>
+  );
+};
+
+export default ThreadPanel;
@@ -7,4 +7,18 @@ export { default as MobileDrawer } from './layout/MobileDrawer';
 export { default as ChannelList } from './features/chat/ChannelList';
 export { default as MessageList } from './features/chat/MessageList';
 export { default as MessageInput } from './features/chat/MessageInput';
+export { default as MessageRevisionsDialog } from './features/chat/MessageRevisionsDialog';
+export { default as ReactionPicker } from './features/chat/ReactionPicker';
+export { default as ThreadPanel } from './features/chat/ThreadPanel';
+export { default as MarkdownText } from './features/chat/MarkdownText';
+export { default as MessageAttachments } from './features/chat/MessageAttachments';
+export { default as PollMessage } from './features/chat/PollMessage';
+export { default as SearchPanel } from './features/chat/SearchPanel';
+export { default as PinsPanel } from './features/chat/PinsPanel';
+export { default as ScheduledMessagesPanel } from './features/chat/ScheduledMessagesPanel';
+export { default as SavedMessagesPanel } from './features/chat/SavedMessagesPanel';
+export { default as ChannelBadge } from './features/chat/ChannelBadge';
+export { default as DirectMessageList } from './features/chat/DirectMessageList';
+export { default as GroupConversationDialog } from './features/chat/GroupConversationDialog';
+export { default as ForwardMessageDialog } from './features/chat/ForwardMessageDialog';
 export { default as VoiceControls } from './features/voice/VoiceControls';
\ No newline at end of file
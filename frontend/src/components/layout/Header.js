@@ -2,8 +2,12 @@ import React from 'react';
 import { Box, Typography, Avatar, Badge, IconButton, Tooltip } from '@mui/material';
 import MenuIcon from '@mui/icons-material/Menu';
 import LogoutIcon from '@mui/icons-material/Logout';
+import SearchIcon from '@mui/icons-material/Search';
+import PushPinIcon from '@mui/icons-material/PushPinOutlined';
+import ScheduleIcon from '@mui/icons-material/Schedule';
+import BookmarkIcon from '@mui/icons-material/BookmarkBorder';
 
-const Header = ({ isConnected, connectionStatus, nickname, role, isMobile, onMenuClick, onLogout }) => {
+const Header = ({ isConnected, connectionStatus, nickname, role, isMobile, onMenuClick, onSearchClick, onPinsClick, pinCount = 0, onScheduledClick, scheduledCount = 0, onSavedClick, savedCount = 0, onLogout }) => {
   return (
     <Box sx={{ height: 50, bgcolor: '#36393f', display: 'flex', alignItems: 'center', px: 2 }}>
       {isMobile && (
@@ -34,6 +38,40 @@ const Header = ({ isConnected, connectionStatus, nickname, role, isMobile, onMen
       </Box>
 
       <Box sx={{ marginLeft: 'auto', display: 'flex', alignItems: 'center' }}>
+        {onPinsClick && (
+          <Tooltip title="Закреплённые сообщения">
+            <IconButton onClick={onPinsClick} sx={{ color: '#ffffff', mr: 1 }} size="small">
+              <Badge badgeContent={pinCount} color="primary" max={99}>
+                <PushPinIcon fontSize="small" />
+              </Badge>
+            </IconButton>
+          </Tooltip>
+        )}
+        {onScheduledClick && (
+          <Tooltip title="Запланированные сообщения">
+            <IconButton onClick={onScheduledClick} sx={{ color: '#ffffff', mr: 1 }} size="small">
+              <Badge badgeContent={scheduledCount} color="primary" max={99}>
+                <ScheduleIcon fontSize="small" />
+              </Badge>
+            </IconButton>
+          </Tooltip>
+        )}
+        {onSavedClick && (
+          <Tooltip title="Сохранённые сообщения">
+            <IconButton onClick={onSavedClick} sx={{ color: '#ffffff', mr: 1 }} size="small">
+              <Badge badgeContent={savedCount} color="primary" max={99}>
+                <BookmarkIcon fontSize="small" />
+              </Badge>
+            </IconButton>
+          </Tooltip>
+        )}
+        {onSearchClick && (
+          <Tooltip title="Поиск сообщений">
+            <IconButton onClick={onSearchClick} sx={{ color: '#ffffff', mr: 1 }} size="small">
+              <SearchIcon fontSize="small" />
+            </IconButton>
+          </Tooltip>
+        )}
         {!isMobile && (
           <>
             <Badge color="success" variant="dot" overlap="circular">
@@ -1,10 +1,11 @@
 import React, { useState, useEffect } from 'react';
-import { Typography, List, ListItem, ListItemText, Avatar, Badge, Box, Tabs, Tab } from '@mui/material';
+import { Typography, List, ListItem, ListItemText, Avatar, Badge, Box, Tabs, Tab, IconButton, Tooltip } from '@mui/material';
 import VolumeUpIcon from '@mui/icons-material/VolumeUp';
 import PersonIcon from '@mui/icons-material/Person';
 import GroupIcon from '@mui/icons-material/Group';
+import ChatBubbleOutlineIcon from '@mui/icons-material/ChatBubbleOutline';
 
-const UserList = ({ users, allUsers = [], inVoice, voiceChannel, currentRoom, socket }) => {
+const UserList = ({ users, allUsers = [], inVoice, voiceChannel, currentRoom, currentUser, socket, onStartDirectMessage }) => {
   const [tabValue, setTabValue] = useState(0); // 0 - Онлайн, 1 - Все пользователи
   const [onlineUsers, setOnlineUsers] = useState([]);
   const [speakingUsers, setSpeakingUsers] = useState(new Set());
@@ -114,6 +115,20 @@ const UserList = ({ users, allUsers = [], inVoice, voiceChannel, currentRoom, so
               />
             </Box>
 
+            {/* Direct messages reach offline users too */}
+            {onStartDirectMessage && user.nickname !== currentUser && (
+              <Tooltip title="Личное сообщение">
+                <IconButton
+                  size="small"
+                  aria-label={`Написать ${user.nickname}`}
+                  onClick={() => onStartDirectMessage(user.nickname)}
+                  sx={{ color: '#949ba4', '&:hover': { color: '#ffffff' } }}
+                >
+                  <ChatBubbleOutlineIcon fontSize="small" />
+                </IconButton>
+              </Tooltip>
+            )}
+
             {/* Voice channel indicator */}
             {inVoice && voiceChannel === currentRoom && (
               <VolumeUpIcon
@@ -0,0 +1,110 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  ACK_TIMEOUT,
+  MAX_SEND_ATTEMPTS,
+  createOutboxEntry,
+  toMessagePayload,
+  loadOutbox,
+  saveOutbox
+} from '../utils/outbox';
+import { getSendErrorText } from '../utils/contentFilters';
+
+/**
+ * Send messages through an outbox: entries are emitted with an acknowledgement,
+ * resent while the server doesn't answer and kept as failed when it rejects them.
+ * Only entries of the joined room are sent, the server posts to the socket's room.
+ * Messages a content filter holds for review leave the outbox through onHeld.
+ *
+ * @param {Object} options - { socket, isConnected, nickname, joinedRoom, onDelivered, onHeld }
+ * @returns {Object} - { entries, enqueue, retry, discard, acknowledge }
+ */
+const useOutbox = ({ socket, isConnected, nickname, joinedRoom, onDelivered, onHeld }) => {
+  const [entries, setEntries] = useState(() => loadOutbox(nickname));
+  // Nickname the loaded entries belong to, another user gets their own outbox
+  const ownerRef = useRef(nickname);
+  const inFlightRef = useRef(new Set());
+  const onDeliveredRef = useRef(onDelivered);
+  onDeliveredRef.current = onDelivered;
+  const onHeldRef = useRef(onHeld);
+  onHeldRef.current = onHeld;
+
+  useEffect(() => {
+    if (ownerRef.current !== nickname) {
+      ownerRef.current = nickname;
+      setEntries(loadOutbox(nickname));
+      return;
+    }
+    saveOutbox(nickname, entries);
+  }, [nickname, entries]);
+
+  const updateEntry = useCallback((clientId, update) => {
+    setEntries(prev => prev.map(entry => (entry.clientId === clientId ? { ...entry, ...update(entry) } : entry)));
+  }, []);
+
+  const removeEntry = useCallback((clientId) => {
+    setEntries(prev => prev.filter(entry => entry.clientId !== clientId));
+  }, []);
+
+  const deliver = useCallback((entry) => {
+    if (!socket || inFlightRef.current.has(entry.clientId)) return;
+    inFlightRef.current.add(entry.clientId);
+
+    socket.timeout(ACK_TIMEOUT).emit('message', toMessagePayload(entry), (err, response) => {
+      inFlightRef.current.delete(entry.clientId);
+
+      // No answer in time: the message may or may not have been posted, resending is safe
+      if (err) {
+        updateEntry(entry.clientId, current => {
+          const attempts = current.attempts + 1;
+          return attempts >= MAX_SEND_ATTEMPTS
+            ? { attempts, status: 'failed', error: 'Сервер не ответил' }
+            : { attempts };
+        });
+        return;
+      }
+
+      if (response?.ok && response.held) {
+        removeEntry(entry.clientId);
+        onHeldRef.current?.(response.held);
+      } else if (response?.ok) {
+        removeEntry(entry.clientId);
+        onDeliveredRef.current?.(response.message);
+      } else {
+        updateEntry(entry.clientId, () => ({ status: 'failed', error: getSendErrorText(response, 'Не удалось отправить сообщение') }));
+      }
+    });
+  }, [socket, updateEntry, removeEntry]);
+
+  // Send whatever is pending once the room is joined, and again after each timed out attempt
+  useEffect(() => {
+    if (!isConnected || !joinedRoom) return;
+    entries
+      .filter(entry => entry.status === 'pending' && entry.room === joinedRoom)
+      .forEach(deliver);
+  }, [entries, isConnected, joinedRoom, deliver]);
+
+  const enqueue = useCallback((message) => {
+    const entry = createOutboxEntry(message, nickname);
+    setEntries(prev => [...prev, entry]);
+    return entry;
+  }, [nickname]);
+
+  const retry = useCallback((clientId) => {
+    updateEntry(clientId, () => ({ status: 'pending', attempts: 0, error: null }));
+  }, [updateEntry]);
+
+  // A broadcast of our own message can beat its acknowledgement
+  const acknowledge = useCallback((clientId) => {
+    if (clientId) removeEntry(clientId);
+  }, [removeEntry]);
+
+  return {
+    entries,
+    enqueue,
+    retry,
+    discard: removeEntry,
+    acknowledge
+  };
+};
+
+export default useOutbox;
@@ -10,7 +10,7 @@ export const MessageTypes = {
     text: PropTypes.string.isRequired,
     author: PropTypes.string.isRequired,
     timestamp: PropTypes.oneOfType([PropTypes.string, PropTypes.instanceOf(Date)]).isRequired,
-    type: PropTypes.oneOf(['message', 'system', 'private']),
+    type: PropTypes.oneOf(['message', 'system', 'private', 'ephemeral']),
     room: PropTypes.string,
     channel: PropTypes.string,
     target: PropTypes.string // For private messages
@@ -92,6 +92,9 @@ export const ComponentProps = {
   // MessageInput component
   MessageInput: {
     onSendMessage: PropTypes.func.isRequired,
+    onSendCommand: PropTypes.func,
+    onScheduleMessage: PropTypes.func,
+    typingUsers: PropTypes.arrayOf(PropTypes.string),
     disabled: PropTypes.bool,
     placeholder: PropTypes.string
   },
@@ -112,7 +115,9 @@ export const ComponentProps = {
     users: UserTypes.userList.isRequired,
     currentUserId: PropTypes.string,
     showRoles: PropTypes.bool,
-    onUserClick: PropTypes.func
+    onUserClick: PropTypes.func,
+    currentUser: PropTypes.string,
+    onStartDirectMessage: PropTypes.func
   },
 
   // MobileDrawer component
@@ -0,0 +1,59 @@
+// Helpers for uploading and displaying message attachments
+
+import axios from 'axios';
+
+// Mirrors the server defaults, the server has the final word
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+export const MAX_ATTACHMENTS_PER_MESSAGE = 10;
+
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} Б`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} КБ`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} МБ`;
+};
+
+const readAsDataUrl = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+/**
+ * Upload a file to a channel, the server renders previews of images
+ * @param {string} channelId
+ * @param {File} file
+ * @returns {Promise<Object>} - Attachment data from the server
+ */
+export const uploadAttachment = async (channelId, file) => {
+  const payload = {
+    filename: file.name,
+    mimeType: file.type || 'application/octet-stream',
+    data: await readAsDataUrl(file)
+  };
+
+  const { data } = await axios.post(`/api/channels/${encodeURIComponent(channelId)}/attachments`, payload);
+  return data;
+};
+
+/**
+ * Fetch an attachment with the auth header and return an object URL for it.
+ * The caller revokes the URL when done.
+ * @param {string} url - Attachment or thumbnail URL
+ * @returns {Promise<string>}
+ */
+export const fetchAttachmentUrl = async (url) => {
+  const { data } = await axios.get(url, { responseType: 'blob' });
+  return URL.createObjectURL(data);
+};
+
+export const downloadAttachment = async (attachment) => {
+  const objectUrl = await fetchAttachmentUrl(attachment.url);
+  const link = document.createElement('a');
+  link.href = objectUrl;
+  link.download = attachment.filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(objectUrl), 0);
+};
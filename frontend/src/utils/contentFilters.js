@@ -0,0 +1,29 @@
+// Messages for the error codes content filters reject messages with
+
+const CONTENT_FILTER_ERRORS = {
+  CONTENT_BANNED_WORD: 'Сообщение содержит запрещённое в этом канале слово',
+  CONTENT_LINK_BLOCKED: 'Ссылки на этот сайт здесь запрещены',
+  CONTENT_INVITE_BLOCKED: 'Приглашения в другие чаты здесь запрещены',
+  CONTENT_TOO_MANY_CAPS: 'Пожалуйста, не пишите заглавными буквами',
+  CONTENT_FLOOD: 'Вы отправляете сообщения слишком часто'
+};
+
+export const isContentFilterError = (code) => typeof code === 'string' && code.startsWith('CONTENT_');
+
+/**
+ * Text to show for a rejected message, filters the client doesn't know keep the server text
+ * @param {Object} error - { error, code } from an acknowledgement or API response
+ * @param {string} fallback - Text when there is no error message at all
+ * @returns {string}
+ */
+export const getSendErrorText = (error, fallback) => {
+  if (isContentFilterError(error?.code)) {
+    return CONTENT_FILTER_ERRORS[error.code] || error.error || fallback;
+  }
+  return error?.error || fallback;
+};
+
+// Snackbar text for a held message a moderator has reviewed
+export const getReviewText = ({ status, room }) => (status === 'approved'
+  ? `Модератор одобрил ваше сообщение в #${room}`
+  : `Модератор отклонил ваше сообщение в #${room}`);
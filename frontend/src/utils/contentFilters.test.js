@@ -0,0 +1,22 @@
+import { isContentFilterError, getSendErrorText, getReviewText } from './contentFilters';
+
+describe('content filter helpers', () => {
+  it('recognizes content filter codes', () => {
+    expect(isContentFilterError('CONTENT_FLOOD')).toBe(true);
+    expect(isContentFilterError('VALIDATION_ERROR')).toBe(false);
+    expect(isContentFilterError(undefined)).toBe(false);
+  });
+
+  it('translates known filter codes and keeps the server text otherwise', () => {
+    expect(getSendErrorText({ error: 'You are sending messages too fast', code: 'CONTENT_FLOOD' }, 'x'))
+      .toBe('Вы отправляете сообщения слишком часто');
+    expect(getSendErrorText({ error: 'Custom filter matched', code: 'CONTENT_CUSTOM' }, 'x')).toBe('Custom filter matched');
+    expect(getSendErrorText({ error: 'You are muted and cannot send messages' }, 'x')).toBe('You are muted and cannot send messages');
+    expect(getSendErrorText(undefined, 'Не удалось отправить сообщение')).toBe('Не удалось отправить сообщение');
+  });
+
+  it('describes review outcomes', () => {
+    expect(getReviewText({ status: 'approved', room: 'general' })).toBe('Модератор одобрил ваше сообщение в #general');
+    expect(getReviewText({ status: 'rejected', room: 'general' })).toBe('Модератор отклонил ваше сообщение в #general');
+  });
+});
@@ -0,0 +1,32 @@
+// Direct conversations are channels whose id starts with "dm:"
+
+export const isDirectRoom = (room) => typeof room === 'string' && room.startsWith('dm:');
+
+// Group conversations have 3 to 10 members, the server enforces the same limit
+export const MAX_GROUP_MEMBERS = 10;
+
+/**
+ * Name a conversation after the other participants, unless a group was given a name
+ * @param {Object} conversation - { name, members }
+ * @param {string} nickname - Current user
+ * @returns {string}
+ */
+export const getConversationTitle = (conversation, nickname) => {
+  if (conversation.name) return conversation.name;
+  const others = (conversation.members || []).filter(member => member !== nickname);
+  return others.length > 0 ? others.join(', ') : nickname;
+};
+
+// Add or replace a conversation in the list, most recently active first
+export const upsertConversation = (conversations, conversation) => {
+  const existing = conversations.find(c => c.id === conversation.id);
+  const merged = existing ? { ...existing, ...conversation, unreadCount: existing.unreadCount, mentionCount: existing.mentionCount } : conversation;
+  return sortConversations([merged, ...conversations.filter(c => c.id !== conversation.id)]);
+};
+
+export const removeConversation = (conversations, conversationId) =>
+  conversations.filter(c => c.id !== conversationId);
+
+export const sortConversations = (conversations) => [...conversations].sort((a, b) =>
+  new Date(b.lastMessageAt || b.createdAt || 0) - new Date(a.lastMessageAt || a.createdAt || 0)
+);
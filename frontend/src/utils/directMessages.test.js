@@ -0,0 +1,33 @@
+import { isDirectRoom, getConversationTitle, upsertConversation } from './directMessages';
+
+describe('direct message helpers', () => {
+  it('recognizes direct conversation rooms', () => {
+    expect(isDirectRoom('dm:64b7f0c2e4b0a1a2b3c4d5e6')).toBe(true);
+    expect(isDirectRoom('general')).toBe(false);
+    expect(isDirectRoom(null)).toBe(false);
+  });
+
+  it('names a conversation after the other member', () => {
+    expect(getConversationTitle({ members: ['alice', 'bob'] }, 'alice')).toBe('bob');
+  });
+
+  it('prefers the name of a renamed group', () => {
+    const group = { group: true, name: null, members: ['alice', 'bob', 'carol'] };
+    expect(getConversationTitle(group, 'alice')).toBe('bob, carol');
+    expect(getConversationTitle({ ...group, name: 'Launch' }, 'alice')).toBe('Launch');
+  });
+
+  it('keeps local unread counts when a conversation is updated', () => {
+    const conversations = [
+      { id: 'dm:1', members: ['alice', 'bob'], lastMessageAt: '2024-01-01T10:00:00Z', unreadCount: 2, mentionCount: 0 },
+      { id: 'dm:2', members: ['alice', 'carol'], lastMessageAt: '2024-01-01T09:00:00Z', unreadCount: 0, mentionCount: 0 }
+    ];
+
+    const updated = upsertConversation(conversations, {
+      id: 'dm:2', members: ['alice', 'carol'], lastMessageAt: '2024-01-01T11:00:00Z', unreadCount: 0, mentionCount: 0
+    });
+
+    expect(updated.map(c => c.id)).toEqual(['dm:2', 'dm:1']);
+    expect(updated[1].unreadCount).toBe(2);
+  });
+});
@@ -0,0 +1,47 @@
+// Helpers for quoting and forwarding messages
+import { getConversationTitle } from './directMessages';
+
+/**
+ * Markdown quote of a message, attributed to its author. The author is named
+ * without @ so that quoting does not notify them.
+ * @param {Object} message - Formatted message
+ * @returns {string}
+ */
+export const formatQuote = (message) => {
+  const lines = (message.text || '').split('\n').map(line => `> ${line}`);
+  const author = message.forwardedFrom?.author || message.author;
+  return [...lines, `> — ${author}`].join('\n');
+};
+
+/**
+ * Add a quote to the draft, keeping what is already typed. The blank line after
+ * the quote starts the reply as a new paragraph.
+ * @param {string} draft - Current input
+ * @param {string} quote - Result of formatQuote
+ * @returns {string}
+ */
+export const insertQuote = (draft, quote) => {
+  const before = draft.trimEnd();
+  return before ? `${before}\n\n${quote}\n\n` : `${quote}\n\n`;
+};
+
+/**
+ * Places a message can be forwarded to: text channels the user may post to,
+ * then their direct conversations
+ * @param {Object[]} channels - Channels from /api/channels
+ * @param {Object[]} conversations - Direct conversations
+ * @param {Object} viewer - { nickname, role }
+ * @returns {Object[]} - [{ id, title, direct }]
+ */
+export const getForwardTargets = (channels, conversations, viewer) => [
+  ...channels
+    .filter(channel => channel.type === 'text')
+    .filter(channel => viewer.role === 'admin'
+      || (channel.permissions?.read !== 'admin' && channel.permissions?.write !== 'admin'))
+    .map(channel => ({ id: channel.id, title: channel.name, direct: false })),
+  ...conversations.map(conversation => ({
+    id: conversation.id,
+    title: getConversationTitle(conversation, viewer.nickname),
+    direct: true
+  }))
+];
@@ -0,0 +1,29 @@
+import { formatQuote, insertQuote, getForwardTargets } from './forwarding';
+
+describe('forwarding helpers', () => {
+  it('quotes every line and names the author', () => {
+    expect(formatQuote({ author: 'alice', text: 'первая\nвторая' })).toBe('> первая\n> вторая\n> — alice');
+    expect(formatQuote({ author: 'bob', text: 'x', forwardedFrom: { author: 'alice' } })).toBe('> x\n> — alice');
+  });
+
+  it('adds quotes after the typed text', () => {
+    expect(insertQuote('', '> a')).toBe('> a\n\n');
+    expect(insertQuote('смотри  \n', '> a')).toBe('смотри\n\n> a\n\n');
+  });
+
+  it('offers channels the user can post to and their conversations', () => {
+    const channels = [
+      { id: 'general', name: 'general', type: 'text' },
+      { id: 'voice', name: 'voice', type: 'voice' },
+      { id: 'news', name: 'news', type: 'text', permissions: { read: 'everyone', write: 'admin' } }
+    ];
+    const conversations = [{ id: 'dm-1', members: ['alice', 'bob'] }];
+
+    expect(getForwardTargets(channels, conversations, { nickname: 'alice', role: 'user' })).toEqual([
+      { id: 'general', title: 'general', direct: false },
+      { id: 'dm-1', title: 'bob', direct: true }
+    ]);
+    expect(getForwardTargets(channels, [], { nickname: 'root', role: 'admin' }).map(target => target.id))
+      .toEqual(['general', 'news']);
+  });
+});
@@ -0,0 +1,145 @@
+// Markdown subset for chat messages.
+// The parser only produces a plain tree of nodes; rendering is left to React,
+// which escapes every string, so message text can never turn into raw HTML.
+
+const FENCE_PATTERN = /^\s*```\s*([\w+#.-]*)\s*$/;
+const QUOTE_PATTERN = /^\s*> ?(.*)$/;
+const BULLET_PATTERN = /^\s*[-*+]\s+(.*)$/;
+const ORDERED_PATTERN = /^\s*(\d{1,9})[.)]\s+(.*)$/;
+
+// Inline code first so nothing inside it is interpreted, then emphasis and bare links.
+// "_" emphasis must sit on word boundaries to leave snake_case identifiers alone.
+const INLINE_PATTERN = new RegExp([
+  '`([^`\\n]+)`',
+  '\\*\\*(?=\\S)([\\s\\S]*?\\S)\\*\\*',
+  '(?<![\\p{L}\\p{N}_])__(?=\\S)([\\s\\S]*?\\S)__(?![\\p{L}\\p{N}_])',
+  '\\*(?=[^\\s*])([\\s\\S]*?[^\\s*])\\*',
+  '(?<![\\p{L}\\p{N}_])_(?=[^\\s_])([\\s\\S]*?[^\\s_])_(?![\\p{L}\\p{N}_])',
+  '(https?:\\/\\/[^\\s<>]+)'
+].join('|'), 'gu');
+
+const countChar = (value, char) => value.split(char).length - 1;
+
+// Sentence punctuation after a URL is not part of it
+const trimUrl = (url) => {
+  let href = url;
+  while (href) {
+    const last = href[href.length - 1];
+    // A closing parenthesis stays only when it pairs with one inside the URL
+    const unbalanced = last === ')' && countChar(href, '(') < countChar(href, ')');
+    if (!'.,!?:;\'"'.includes(last) && !unbalanced) break;
+    href = href.slice(0, -1);
+  }
+  return href;
+};
+
+/**
+ * Parse inline formatting
+ * @param {string} text
+ * @returns {Array} - nodes: text, code, strong, em, link
+ */
+export const parseInline = (text) => {
+  const nodes = [];
+  let lastIndex = 0;
+
+  const pushText = (value) => {
+    if (!value) return;
+    const previous = nodes[nodes.length - 1];
+    if (previous && previous.type === 'text') {
+      previous.text += value;
+    } else {
+      nodes.push({ type: 'text', text: value });
+    }
+  };
+
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    const [whole, code, strong, strongAlt, em, emAlt, url] = match;
+    pushText(text.slice(lastIndex, match.index));
+    lastIndex = match.index + whole.length;
+
+    if (code !== undefined) {
+      nodes.push({ type: 'code', text: code });
+    } else if (strong !== undefined || strongAlt !== undefined) {
+      nodes.push({ type: 'strong', children: parseInline(strong ?? strongAlt) });
+    } else if (em !== undefined || emAlt !== undefined) {
+      nodes.push({ type: 'em', children: parseInline(em ?? emAlt) });
+    } else {
+      const href = trimUrl(url);
+      nodes.push({ type: 'link', href, text: href });
+      pushText(url.slice(href.length));
+    }
+  }
+
+  pushText(text.slice(lastIndex));
+  return nodes;
+};
+
+const isBlockStart = (line) =>
+  FENCE_PATTERN.test(line) || QUOTE_PATTERN.test(line) || BULLET_PATTERN.test(line) || ORDERED_PATTERN.test(line);
+
+/**
+ * Parse message text into blocks
+ * @param {string} text
+ * @returns {Array} - blocks: paragraph, code, quote, list
+ */
+export const parseMarkdown = (text) => {
+  const lines = (text || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i += 1;
+      continue;
+    }
+
+    const fence = line.match(FENCE_PATTERN);
+    if (fence) {
+      const code = [];
+      i += 1;
+      // An unclosed fence runs to the end of the message
+      while (i < lines.length && !FENCE_PATTERN.test(lines[i])) {
+        code.push(lines[i]);
+        i += 1;
+      }
+      i += 1;
+      blocks.push({ type: 'code', language: fence[1].toLowerCase(), text: code.join('\n') });
+      continue;
+    }
+
+    if (QUOTE_PATTERN.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE_PATTERN.test(lines[i])) {
+        quoted.push(lines[i].match(QUOTE_PATTERN)[1]);
+        i += 1;
+      }
+      blocks.push({ type: 'quote', children: parseMarkdown(quoted.join('\n')) });
+      continue;
+    }
+
+    const ordered = ORDERED_PATTERN.test(line);
+    if (ordered || BULLET_PATTERN.test(line)) {
+      const pattern = ordered ? ORDERED_PATTERN : BULLET_PATTERN;
+      const items = [];
+      const start = ordered ? parseInt(line.match(ORDERED_PATTERN)[1], 10) : undefined;
+      while (i < lines.length && pattern.test(lines[i])) {
+        const item = lines[i].match(pattern);
+        items.push(parseInline(ordered ? item[2] : item[1]));
+        i += 1;
+      }
+      blocks.push({ type: 'list', ordered, start, items });
+      continue;
+    }
+
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !isBlockStart(lines[i]))) {
+      paragraph.push(lines[i]);
+      i += 1;
+    }
+    blocks.push({ type: 'paragraph', children: parseInline(paragraph.join('\n')) });
+  }
+
+  return blocks;
+};
@@ -0,0 +1,78 @@
+import { parseInline, parseMarkdown } from './markdown';
+import { highlightCode } from './syntaxHighlight';
+
+describe('parseInline', () => {
+  it('parses bold, italics and inline code', () => {
+    expect(parseInline('**bold** *it* `x*y*`')).toEqual([
+      { type: 'strong', children: [{ type: 'text', text: 'bold' }] },
+      { type: 'text', text: ' ' },
+      { type: 'em', children: [{ type: 'text', text: 'it' }] },
+      { type: 'text', text: ' ' },
+      { type: 'code', text: 'x*y*' }
+    ]);
+  });
+
+  it('leaves snake_case identifiers alone', () => {
+    expect(parseInline('call my_var_name now')).toEqual([{ type: 'text', text: 'call my_var_name now' }]);
+  });
+
+  it('links http urls without trailing punctuation', () => {
+    expect(parseInline('see https://example.com/a_(b)).')).toEqual([
+      { type: 'text', text: 'see ' },
+      { type: 'link', href: 'https://example.com/a_(b)', text: 'https://example.com/a_(b)' },
+      { type: 'text', text: ').' }
+    ]);
+  });
+
+  it('does not link other schemes', () => {
+    expect(parseInline('javascript:alert(1)')).toEqual([{ type: 'text', text: 'javascript:alert(1)' }]);
+  });
+
+  it('keeps html as plain text', () => {
+    expect(parseInline('<img src=x onerror=alert(1)>')).toEqual([
+      { type: 'text', text: '<img src=x onerror=alert(1)>' }
+    ]);
+  });
+});
+
+describe('parseMarkdown', () => {
+  it('parses fenced code, quotes and lists', () => {
+    const blocks = parseMarkdown('> quoted\n- one\n- two\n2. second\n```JS\nlet **x**\n```\ntail');
+
+    expect(blocks).toEqual([
+      { type: 'quote', children: [{ type: 'paragraph', children: [{ type: 'text', text: 'quoted' }] }] },
+      { type: 'list', ordered: false, start: undefined, items: [[{ type: 'text', text: 'one' }], [{ type: 'text', text: 'two' }]] },
+      { type: 'list', ordered: true, start: 2, items: [[{ type: 'text', text: 'second' }]] },
+      { type: 'code', language: 'js', text: 'let **x**' },
+      { type: 'paragraph', children: [{ type: 'text', text: 'tail' }] }
+    ]);
+  });
+
+  it('keeps line breaks inside a paragraph', () => {
+    expect(parseMarkdown('Error: boom\n    at foo (a.js:1:2)')).toEqual([
+      { type: 'paragraph', children: [{ type: 'text', text: 'Error: boom\n    at foo (a.js:1:2)' }] }
+    ]);
+  });
+
+  it('runs an unclosed fence to the end of the message', () => {
+    expect(parseMarkdown('```\nline 1\nline 2')).toEqual([
+      { type: 'code', language: '', text: 'line 1\nline 2' }
+    ]);
+  });
+});
+
+describe('highlightCode', () => {
+  it('tokenizes keywords, strings, numbers and comments', () => {
+    expect(highlightCode('const a = "x"; // 1', 'js')).toEqual([
+      { type: 'keyword', text: 'const' },
+      { type: null, text: ' a = ' },
+      { type: 'string', text: '"x"' },
+      { type: null, text: '; ' },
+      { type: 'comment', text: '// 1' }
+    ]);
+  });
+
+  it('returns plain text for unknown languages', () => {
+    expect(highlightCode('whatever 1', 'brainfuck')).toEqual([{ type: null, text: 'whatever 1' }]);
+  });
+});
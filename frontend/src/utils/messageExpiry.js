@@ -0,0 +1,53 @@
+// Helpers for self-destructing messages
+
+// Expiry times offered in the composer, in minutes
+export const EXPIRY_OPTIONS = [1, 5, 15, 60, 24 * 60, 7 * 24 * 60];
+
+const UNITS = [
+  { minutes: 7 * 24 * 60, forms: ['неделю', 'недели', 'недель'] },
+  { minutes: 24 * 60, forms: ['день', 'дня', 'дней'] },
+  { minutes: 60, forms: ['час', 'часа', 'часов'] },
+  { minutes: 1, forms: ['минуту', 'минуты', 'минут'] }
+];
+
+const plural = (count, [one, few, many]) => {
+  const mod10 = count % 10;
+  const mod100 = count % 100;
+  if (mod10 === 1 && mod100 !== 11) return one;
+  if (mod10 >= 2 && mod10 <= 4 && (mod100 < 12 || mod100 > 14)) return few;
+  return many;
+};
+
+// "5 минут", "1 час", "2 недели", in the largest unit that divides the time
+export const formatExpiry = (minutes) => {
+  const unit = UNITS.find(candidate => minutes % candidate.minutes === 0);
+  const count = minutes / unit.minutes;
+  return `${count} ${plural(count, unit.forms)}`;
+};
+
+/**
+ * Expiry times the user can pick. A channel default caps them and replaces "keep".
+ * @param {number|null} channelExpiry - Channel default in minutes
+ * @returns {number[]}
+ */
+export const getExpiryChoices = (channelExpiry) => {
+  if (!channelExpiry) return EXPIRY_OPTIONS;
+  const shorter = EXPIRY_OPTIONS.filter(minutes => minutes < channelExpiry);
+  return [...shorter, channelExpiry];
+};
+
+export const removeMessages = (messages, ids) => {
+  const removed = new Set(ids);
+  return messages.filter(message => !removed.has(message.id));
+};
+
+/**
+ * Drop messages whose time is up, in case the server's removal arrives late
+ * @param {Array} messages
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array} - The same array when nothing expired
+ */
+export const pruneExpired = (messages, now = Date.now()) => {
+  const kept = messages.filter(message => !message.expiresAt || new Date(message.expiresAt).getTime() > now);
+  return kept.length === messages.length ? messages : kept;
+};
@@ -0,0 +1,27 @@
+import { formatExpiry, getExpiryChoices, removeMessages, pruneExpired, EXPIRY_OPTIONS } from './messageExpiry';
+
+describe('message expiry helpers', () => {
+  it('formats expiry times in the largest fitting unit', () => {
+    expect([1, 5, 15, 60, 90, 120, 1440, 10080, 20160].map(formatExpiry)).toEqual([
+      '1 минуту', '5 минут', '15 минут', '1 час', '90 минут', '2 часа', '1 день', '1 неделю', '2 недели'
+    ]);
+  });
+
+  it('caps the choices at the channel default', () => {
+    expect(getExpiryChoices(null)).toEqual(EXPIRY_OPTIONS);
+    expect(getExpiryChoices(90)).toEqual([1, 5, 15, 60, 90]);
+    expect(getExpiryChoices(60)).toEqual([1, 5, 15, 60]);
+  });
+
+  it('removes expired messages', () => {
+    const messages = [
+      { id: 'a', expiresAt: '2024-01-01T10:00:00Z' },
+      { id: 'b', expiresAt: null },
+      { id: 'c', expiresAt: '2024-01-01T12:00:00Z' }
+    ];
+
+    expect(pruneExpired(messages, Date.parse('2024-01-01T11:00:00Z')).map(m => m.id)).toEqual(['b', 'c']);
+    expect(pruneExpired(messages, Date.parse('2024-01-01T09:00:00Z'))).toBe(messages);
+    expect(removeMessages(messages, ['b']).map(m => m.id)).toEqual(['a', 'c']);
+  });
+});
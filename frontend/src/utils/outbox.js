@@ -0,0 +1,68 @@
+// Messages wait in the outbox until the server acknowledges them. Each one carries
+// a client-generated id, so resending after a lost acknowledgement never posts twice.
+
+export const ACK_TIMEOUT = 10000;
+export const MAX_SEND_ATTEMPTS = 3;
+
+const STORAGE_PREFIX = 'chatOutbox:';
+
+export const createClientId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+};
+
+/**
+ * Queue a message written by the current user
+ * @param {Object} message - { room, text, attachments, replyTo, expiresIn }
+ * @param {string} author - Current user
+ * @returns {Object} - Outbox entry, rendered like a message until it is delivered
+ */
+export const createOutboxEntry = ({ room, text, attachments, replyTo, expiresIn }, author) => ({
+  clientId: createClientId(),
+  room,
+  author,
+  text,
+  attachments: attachments || [],
+  replyTo: replyTo || null,
+  expiresIn: expiresIn || null,
+  timestamp: new Date().toISOString(),
+  status: 'pending',
+  attempts: 0,
+  error: null
+});
+
+export const toMessagePayload = (entry) => ({
+  clientId: entry.clientId,
+  room: entry.room,
+  text: entry.text,
+  ...(entry.attachments.length > 0 && { attachments: entry.attachments }),
+  ...(entry.replyTo && { replyTo: entry.replyTo }),
+  ...(entry.expiresIn && { expiresIn: entry.expiresIn })
+});
+
+// Entries survive a reload, the client id makes resending them safe
+export const loadOutbox = (nickname) => {
+  if (!nickname) return [];
+  try {
+    const entries = JSON.parse(localStorage.getItem(STORAGE_PREFIX + nickname) || '[]');
+    return Array.isArray(entries) ? entries.map(entry => ({ ...entry, status: entry.status === 'failed' ? 'failed' : 'pending' })) : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+export const saveOutbox = (nickname, entries) => {
+  if (!nickname) return;
+  if (entries.length === 0) {
+    localStorage.removeItem(STORAGE_PREFIX + nickname);
+  } else {
+    localStorage.setItem(STORAGE_PREFIX + nickname, JSON.stringify(entries));
+  }
+};
+
+// Append a message unless the timeline already has it, the broadcast and the acknowledgement both carry it
+export const appendMessage = (messages, message) => (
+  message.id && messages.some(m => m.id === message.id) ? messages : [...messages, message]
+);
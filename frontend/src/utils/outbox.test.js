@@ -0,0 +1,40 @@
+import { createOutboxEntry, toMessagePayload, loadOutbox, saveOutbox, appendMessage } from './outbox';
+
+describe('outbox helpers', () => {
+  afterEach(() => localStorage.clear());
+
+  it('sends the client id and room with each message', () => {
+    const entry = createOutboxEntry({ room: 'general', text: 'hello' }, 'alice');
+
+    expect(entry).toEqual(expect.objectContaining({ author: 'alice', status: 'pending', attempts: 0 }));
+    expect(toMessagePayload(entry)).toEqual({ clientId: entry.clientId, room: 'general', text: 'hello' });
+  });
+
+  it('gives every entry its own client id', () => {
+    const first = createOutboxEntry({ room: 'general', text: 'a' }, 'alice');
+    const second = createOutboxEntry({ room: 'general', text: 'a' }, 'alice');
+    expect(first.clientId).not.toBe(second.clientId);
+  });
+
+  it('sends the expiry of self-destructing messages', () => {
+    const entry = createOutboxEntry({ room: 'general', text: 'secret', expiresIn: 5 }, 'alice');
+    expect(toMessagePayload(entry)).toEqual(expect.objectContaining({ expiresIn: 5 }));
+  });
+
+  it('keeps entries per user across reloads', () => {
+    const entry = createOutboxEntry({ room: 'general', text: 'hello' }, 'alice');
+    saveOutbox('alice', [entry]);
+
+    expect(loadOutbox('alice')).toEqual([entry]);
+    expect(loadOutbox('bob')).toEqual([]);
+
+    saveOutbox('alice', []);
+    expect(localStorage.getItem('chatOutbox:alice')).toBeNull();
+  });
+
+  it('does not add a message the timeline already has', () => {
+    const messages = [{ id: '1', text: 'hello' }];
+    expect(appendMessage(messages, { id: '1', text: 'hello' })).toBe(messages);
+    expect(appendMessage(messages, { id: '2', text: 'again' })).toHaveLength(2);
+  });
+});
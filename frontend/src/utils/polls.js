@@ -0,0 +1,39 @@
+// Helpers for polls posted with /poll
+
+/**
+ * Apply a broadcast poll update. Broadcasts carry the same tallies for everyone,
+ * so the current user's own choices are kept from the previous state.
+ * @param {Object} current - Poll already shown
+ * @param {Object} update - Poll from a poll_updated event
+ * @returns {Object}
+ */
+export const mergePoll = (current, update) => ({
+  ...update,
+  myVotes: update.myVotes || current?.myVotes || []
+});
+
+/**
+ * Choices after clicking an option: single choice polls switch to the option,
+ * multiple choice polls toggle it. Clicking the only chosen option withdraws the vote.
+ * @param {Object} poll - Formatted poll with myVotes
+ * @param {number} index - Clicked option
+ * @returns {number[]}
+ */
+export const nextPollChoice = (poll, index) => {
+  const myVotes = poll.myVotes || [];
+  if (myVotes.includes(index)) {
+    return myVotes.filter(choice => choice !== index);
+  }
+  return poll.multiple ? [...myVotes, index].sort((a, b) => a - b) : [index];
+};
+
+export const pollPercent = (count, totalVoters) => (totalVoters > 0 ? Math.round((count / totalVoters) * 100) : 0);
+
+// "1 голос", "3 голоса", "5 голосов"
+export const formatVoteCount = (count) => {
+  const mod10 = count % 10;
+  const mod100 = count % 100;
+  if (mod10 === 1 && mod100 !== 11) return `${count} голос`;
+  if (mod10 >= 2 && mod10 <= 4 && (mod100 < 12 || mod100 > 14)) return `${count} голоса`;
+  return `${count} голосов`;
+};
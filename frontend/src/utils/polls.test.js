@@ -0,0 +1,26 @@
+import { mergePoll, nextPollChoice, pollPercent, formatVoteCount } from './polls';
+
+describe('poll helpers', () => {
+  it('keeps the current user\'s choices across broadcasts', () => {
+    const update = { options: [{ text: 'a', count: 2 }], totalVoters: 2 };
+    expect(mergePoll({ myVotes: [0] }, update)).toEqual({ ...update, myVotes: [0] });
+    expect(mergePoll({ myVotes: [0] }, { ...update, myVotes: [] }).myVotes).toEqual([]);
+    expect(mergePoll(undefined, update).myVotes).toEqual([]);
+  });
+
+  it('switches the choice in single choice polls', () => {
+    expect(nextPollChoice({ multiple: false, myVotes: [0] }, 2)).toEqual([2]);
+    expect(nextPollChoice({ multiple: false, myVotes: [2] }, 2)).toEqual([]);
+  });
+
+  it('toggles options in multiple choice polls', () => {
+    expect(nextPollChoice({ multiple: true, myVotes: [2] }, 0)).toEqual([0, 2]);
+    expect(nextPollChoice({ multiple: true, myVotes: [0, 2] }, 2)).toEqual([0]);
+  });
+
+  it('formats tallies', () => {
+    expect(pollPercent(1, 3)).toBe(33);
+    expect(pollPercent(0, 0)).toBe(0);
+    expect([1, 3, 5, 11, 22].map(formatVoteCount)).toEqual(['1 голос', '3 голоса', '5 голосов', '11 голосов', '22 голоса']);
+  });
+});
@@ -0,0 +1,30 @@
+// Helpers for the personal list of saved messages
+
+const REMINDER_PREVIEW_LENGTH = 80;
+
+/**
+ * Put a saved item into the list, replacing an older copy. Newest saves come first.
+ * @param {Object[]} savedMessages - Current list
+ * @param {Object} saved - Item from the API or a saved_reminder event
+ * @returns {Object[]}
+ */
+export const upsertSaved = (savedMessages, saved) => [
+  saved,
+  ...savedMessages.filter(entry => entry.id !== saved.id)
+].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+// Message ID -> saved item ID, for the bookmark action on messages
+export const getSavedIndex = (savedMessages) => new Map(savedMessages.map(saved => [saved.messageId, saved.id]));
+
+/**
+ * Text of a reminder notification: the note, else the start of the message
+ * @param {Object} saved - Saved item
+ * @returns {string}
+ */
+export const getReminderText = (saved) => {
+  if (saved.note) return saved.note;
+
+  const text = saved.message && !saved.message.deleted ? saved.message.text || '' : '';
+  if (!text) return `сообщение в #${saved.room}`;
+  return text.length > REMINDER_PREVIEW_LENGTH ? `${text.slice(0, REMINDER_PREVIEW_LENGTH)}…` : text;
+};
@@ -0,0 +1,25 @@
+import { upsertSaved, getSavedIndex, getReminderText } from './savedMessages';
+
+describe('saved message helpers', () => {
+  const older = { id: 's1', messageId: 'm1', createdAt: '2024-01-01T10:00:00Z' };
+  const newer = { id: 's2', messageId: 'm2', createdAt: '2024-01-02T10:00:00Z' };
+
+  it('keeps the newest saves first and replaces updated items', () => {
+    expect(upsertSaved([older], newer)).toEqual([newer, older]);
+    const updated = { ...older, note: 'later' };
+    expect(upsertSaved([newer, older], updated)).toEqual([newer, updated]);
+  });
+
+  it('indexes saved items by message', () => {
+    const index = getSavedIndex([older, newer]);
+    expect(index.get('m2')).toBe('s2');
+    expect(index.has('m3')).toBe(false);
+  });
+
+  it('describes reminders by note, message or channel', () => {
+    expect(getReminderText({ note: 'ответить', message: { text: 'вопрос' }, room: 'general' })).toBe('ответить');
+    expect(getReminderText({ note: '', message: { text: 'вопрос' }, room: 'general' })).toBe('вопрос');
+    expect(getReminderText({ note: '', message: { text: 'x'.repeat(100) }, room: 'general' })).toBe(`${'x'.repeat(80)}…`);
+    expect(getReminderText({ note: '', message: null, room: 'general' })).toBe('сообщение в #general');
+  });
+});
@@ -0,0 +1,40 @@
+// Helpers for scheduling messages from the browser's local time
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Format a date for an <input type="datetime-local">, which works in local time without a zone
+ * @param {Date|string} date
+ * @returns {string} - e.g. "2024-01-01T09:55"
+ */
+export const toDateTimeLocalValue = (date) => {
+  const value = new Date(date);
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}T${pad(value.getHours())}:${pad(value.getMinutes())}`;
+};
+
+/**
+ * Turn a datetime-local value back into an ISO timestamp for the server
+ * @param {string} value - e.g. "2024-01-01T09:55"
+ * @returns {string|null} - ISO timestamp, null when the value is not a valid time
+ */
+export const fromDateTimeLocalValue = (value) => {
+  if (!value) return null;
+  // Date-time strings without a zone are parsed as local time
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+// Default suggestion in the schedule picker: the next full hour
+export const nextFullHour = (now = new Date()) => {
+  const date = new Date(now);
+  date.setHours(date.getHours() + 1, 0, 0, 0);
+  return date;
+};
+
+export const formatScheduledTime = (date) => new Date(date).toLocaleString([], {
+  day: '2-digit',
+  month: '2-digit',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
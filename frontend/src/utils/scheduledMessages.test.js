@@ -0,0 +1,21 @@
+import { toDateTimeLocalValue, fromDateTimeLocalValue, nextFullHour } from './scheduledMessages';
+
+describe('scheduled message time helpers', () => {
+  it('formats local time for datetime-local inputs', () => {
+    expect(toDateTimeLocalValue(new Date(2024, 0, 5, 9, 7, 30))).toBe('2024-01-05T09:07');
+  });
+
+  it('round-trips a local time through ISO', () => {
+    const iso = fromDateTimeLocalValue('2024-01-05T09:07');
+    expect(toDateTimeLocalValue(iso)).toBe('2024-01-05T09:07');
+  });
+
+  it('rejects empty and invalid values', () => {
+    expect(fromDateTimeLocalValue('')).toBeNull();
+    expect(fromDateTimeLocalValue('not a date')).toBeNull();
+  });
+
+  it('suggests the next full hour', () => {
+    expect(toDateTimeLocalValue(nextFullHour(new Date(2024, 0, 5, 23, 40)))).toBe('2024-01-06T00:00');
+  });
+});
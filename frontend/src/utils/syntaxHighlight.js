@@ -0,0 +1,138 @@
+// Lightweight tokenizer for highlighting fenced code blocks.
+// It recognises comments, strings, numbers and keywords, which is enough
+// for the snippets and stack traces people paste into chat.
+
+const C_LIKE_KEYWORDS = [
+  'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'do', 'else', 'enum',
+  'extends', 'false', 'finally', 'for', 'if', 'import', 'new', 'null', 'return', 'static',
+  'super', 'switch', 'this', 'throw', 'true', 'try', 'void', 'while'
+];
+
+const LANGUAGES = {
+  javascript: {
+    keywords: [...C_LIKE_KEYWORDS, 'async', 'await', 'delete', 'export', 'from', 'function', 'in',
+      'instanceof', 'let', 'of', 'typeof', 'undefined', 'var', 'yield', 'interface', 'type', 'implements'],
+    lineComment: '//',
+    blockComment: true,
+    templateStrings: true
+  },
+  python: {
+    keywords: ['and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del',
+      'elif', 'else', 'except', 'False', 'finally', 'for', 'from', 'global', 'if', 'import', 'in',
+      'is', 'lambda', 'None', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'True', 'try',
+      'while', 'with', 'yield'],
+    lineComment: '#'
+  },
+  clike: {
+    keywords: [...C_LIKE_KEYWORDS, 'abstract', 'boolean', 'byte', 'char', 'double', 'final', 'float',
+      'implements', 'instanceof', 'int', 'interface', 'long', 'package', 'private', 'protected',
+      'public', 'short', 'synchronized', 'throws', 'var', 'struct', 'unsigned', 'auto', 'namespace',
+      'using', 'virtual', 'template', 'typename', 'include', 'define'],
+    lineComment: '//',
+    blockComment: true
+  },
+  go: {
+    keywords: ['break', 'case', 'chan', 'const', 'continue', 'default', 'defer', 'else', 'false',
+      'for', 'func', 'go', 'if', 'import', 'interface', 'map', 'nil', 'package', 'range', 'return',
+      'select', 'struct', 'switch', 'true', 'type', 'var'],
+    lineComment: '//',
+    blockComment: true,
+    templateStrings: true
+  },
+  sql: {
+    keywords: ['and', 'as', 'asc', 'by', 'create', 'delete', 'desc', 'distinct', 'drop', 'from',
+      'group', 'having', 'in', 'index', 'inner', 'insert', 'into', 'is', 'join', 'left', 'limit',
+      'not', 'null', 'on', 'or', 'order', 'right', 'select', 'set', 'table', 'update', 'values', 'where'],
+    lineComment: '--',
+    blockComment: true,
+    caseInsensitive: true
+  },
+  bash: {
+    keywords: ['case', 'do', 'done', 'echo', 'elif', 'else', 'esac', 'export', 'fi', 'for',
+      'function', 'if', 'in', 'local', 'return', 'then', 'while'],
+    lineComment: '#'
+  },
+  json: {
+    keywords: ['true', 'false', 'null']
+  }
+};
+
+const ALIASES = {
+  js: 'javascript', jsx: 'javascript', ts: 'javascript', tsx: 'javascript', typescript: 'javascript',
+  py: 'python',
+  java: 'clike', c: 'clike', 'c++': 'clike', cpp: 'clike', cs: 'clike', csharp: 'clike',
+  kotlin: 'clike', kt: 'clike', rust: 'clike', rs: 'clike',
+  golang: 'go',
+  sh: 'bash', shell: 'bash', zsh: 'bash',
+  postgres: 'sql', mysql: 'sql'
+};
+
+export const resolveLanguage = (name) => {
+  const key = (name || '').toLowerCase();
+  if (LANGUAGES[key]) return key;
+  return ALIASES[key] || null;
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const buildPattern = (language) => {
+  const parts = [];
+  if (language.blockComment) parts.push('(?<comment>\\/\\*[\\s\\S]*?(?:\\*\\/|$))');
+  if (language.lineComment) parts.push(`(?<lineComment>${escapeRegExp(language.lineComment)}[^\\n]*)`);
+  const quotes = language.templateStrings ? '"\'`' : '"\'';
+  parts.push(`(?<string>(?<quote>[${quotes}])(?:\\\\[\\s\\S]|(?!\\k<quote>)[^\\\\\\n])*\\k<quote>?)`);
+  parts.push('(?<number>\\b\\d[\\d_]*(?:\\.\\d+)?(?:e[+-]?\\d+)?\\b|\\b0x[\\da-f]+\\b)');
+  parts.push('(?<word>[A-Za-z_$][\\w$]*)');
+  return new RegExp(parts.join('|'), 'gi');
+};
+
+const patterns = {};
+
+/**
+ * Split code into highlight tokens
+ * @param {string} code
+ * @param {string} languageName - fence info string, e.g. "js"
+ * @returns {Array} - [{ type, text }], type is null for plain text
+ */
+export const highlightCode = (code, languageName) => {
+  const name = resolveLanguage(languageName);
+  if (!name) {
+    return [{ type: null, text: code }];
+  }
+
+  const language = LANGUAGES[name];
+  patterns[name] = patterns[name] || buildPattern(language);
+  const keywords = new Set(language.caseInsensitive ? language.keywords.map(k => k.toLowerCase()) : language.keywords);
+
+  const tokens = [];
+  let lastIndex = 0;
+  const push = (type, text) => {
+    if (!text) return;
+    const previous = tokens[tokens.length - 1];
+    if (previous && previous.type === type) {
+      previous.text += text;
+    } else {
+      tokens.push({ type, text });
+    }
+  };
+
+  for (const match of code.matchAll(patterns[name])) {
+    const { comment, lineComment, string, number, word } = match.groups;
+    push(null, code.slice(lastIndex, match.index));
+    lastIndex = match.index + match[0].length;
+
+    if (comment !== undefined || lineComment !== undefined) {
+      push('comment', match[0]);
+    } else if (string !== undefined) {
+      push('string', match[0]);
+    } else if (number !== undefined) {
+      push('number', match[0]);
+    } else {
+      const key = language.caseInsensitive ? word.toLowerCase() : word;
+      push(keywords.has(key) ? 'keyword' : null, word);
+    }
+  }
+
+  push(null, code.slice(lastIndex));
+  return tokens;
+};